@@ -0,0 +1,57 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2022 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * Blend modes determine how a layers contents are composited onto
+ * the contents of the layers below it. The values map directly onto
+ * the globalCompositeOperation of the CanvasRenderingContext2D.
+ */
+const BlendModes = {
+    NORMAL      : "source-over",
+    MULTIPLY    : "multiply",
+    SCREEN      : "screen",
+    OVERLAY     : "overlay",
+    DARKEN      : "darken",
+    LIGHTEN     : "lighten",
+    COLOR_DODGE : "color-dodge",
+    COLOR_BURN  : "color-burn",
+    HARD_LIGHT  : "hard-light",
+    SOFT_LIGHT  : "soft-light",
+    DIFFERENCE  : "difference",
+    EXCLUSION   : "exclusion",
+    HUE         : "hue",
+    SATURATION  : "saturation",
+    COLOR       : "color",
+    LUMINOSITY  : "luminosity",
+};
+export default BlendModes;
+
+export const DEFAULT_BLEND_MODE = BlendModes.NORMAL;
+
+export const isValidBlendMode = value => Object.values( BlendModes ).includes( value );
+
+/**
+ * Retrieve the globalCompositeOperation to use when compositing the contents of given layer
+ * (falls back to the default blend mode for layers without, or with an unsupported, blend mode)
+ */
+export const getBlendMode = layer => isValidBlendMode( layer?.blendMode ) ? layer.blendMode : DEFAULT_BLEND_MODE;
@@ -20,6 +20,8 @@
  * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
+import { getTiltAmount } from "@/utils/pointer-util";
+
 const BrushTypes = {
     LINE           : "0",
     PAINT_BRUSH    : "1",
@@ -28,9 +30,35 @@ const BrushTypes = {
     CONNECTED      : "4",
     NEAREST        : "5",
     SPRAY          : "6",
+    IMAGE          : "7", // uses brush tip from the brush library (see brush-module)
 };
 export default BrushTypes;
 
+// sources that can drive the size, opacity and flow of a brush stroke (see getBrushDynamics())
+
+export const DYNAMICS_NONE     = "none";
+export const DYNAMICS_PRESSURE = "pressure";
+export const DYNAMICS_TILT     = "tilt";
+
+// the minimum factor a dynamic property can be scaled to, ensures strokes remain visible at the lightest touch
+export const MIN_DYNAMICS_FACTOR = .1;
+
+// stabilizers that smoothen the recorded pointers of a brush stroke (see stroke-math#stabilizePointers())
+
+export const STABILIZER_NONE    = "none";
+export const STABILIZER_LAZY    = "lazy";    // lazy mouse, the brush is pulled by the pointer on a string
+export const STABILIZER_AVERAGE = "average"; // weighted moving average of the most recent pointers
+
+// symmetry modes that replicate a brush stroke while painting (see symmetry-math#getSymmetricalPointers())
+
+export const SYMMETRY_NONE       = "none";
+export const SYMMETRY_VERTICAL   = "vertical";   // mirrored across the vertical axis (left and right)
+export const SYMMETRY_HORIZONTAL = "horizontal"; // mirrored across the horizontal axis (top and bottom)
+export const SYMMETRY_BOTH       = "both";
+export const SYMMETRY_RADIAL     = "radial";     // rotated around the center, N times
+export const MIN_SYMMETRY_AXES   = 2;
+export const MAX_SYMMETRY_AXES   = 32;
+
 const NON_STEPPABLE_TYPES = [ BrushTypes.CONNECTED, BrushTypes.NEAREST ];
 
 /**
@@ -56,3 +84,48 @@ export const getSizeForBrush = ({ options, radius, halfRadius }) => {
             return halfRadius;
     }
 };
+
+/**
+ * Whether given brush options map pointer pressure or tilt onto any of the brush properties
+ *
+ * @param {Object} options brush options, provided by tool-module
+ * @return {Boolean}
+ */
+export const hasDynamics = ({ sizeDynamics, opacityDynamics, flowDynamics }) => {
+    return [ sizeDynamics, opacityDynamics, flowDynamics ].some( source => !!source && source !== DYNAMICS_NONE );
+};
+
+/**
+ * Calculate the factors by which the size, opacity and flow of a brush should be
+ * scaled at given pointer, according to the dynamics defined in the brush options.
+ * Pointers without pressure or tilt information (e.g. recorded by a mouse) apply no scaling.
+ *
+ * @param {Object} options brush options, provided by tool-module
+ * @param {{ pressure: Number=, tiltX: Number=, tiltY: Number= }} pointer
+ * @return {{ size: Number, opacity: Number, flow: Number }}
+ */
+export const getBrushDynamics = ( options, pointer ) => ({
+    size    : getDynamicsFactor( options.sizeDynamics,    pointer ),
+    opacity : getDynamicsFactor( options.opacityDynamics, pointer ),
+    flow    : getDynamicsFactor( options.flowDynamics,    pointer ),
+});
+
+/* internal methods */
+
+function getDynamicsFactor( source, pointer ) {
+    if ( pointer.pressure === undefined ) {
+        return 1;
+    }
+    let value;
+    switch ( source ) {
+        default:
+            return 1;
+        case DYNAMICS_PRESSURE:
+            value = pointer.pressure;
+            break;
+        case DYNAMICS_TILT:
+            value = getTiltAmount( pointer );
+            break;
+    }
+    return MIN_DYNAMICS_FACTOR + ( 1 - MIN_DYNAMICS_FACTOR ) * value;
+}
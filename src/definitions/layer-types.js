@@ -24,5 +24,10 @@ export const LAYER_GRAPHIC = "graphic";
 export const LAYER_IMAGE   = "image";
 export const LAYER_MASK    = "mask";
 export const LAYER_TEXT    = "text";
+export const LAYER_GROUP   = "group";
+export const LAYER_SHAPE   = "shape";
+// adjustment layers have no content of their own but apply their filters onto the layers below
+export const LAYER_ADJUSTMENT = "adjustment";
 
 export const DEFAULT_LAYER_NAME = "New Layer"; // TODO i18n
+export const DEFAULT_SHAPE_NAME = "New Shape"; // TODO i18n
@@ -33,3 +33,4 @@ export const PREFERENCES                = 10;
 export const RESIZE_CANVAS              = 11;
 export const GRID_TO_LAYERS             = 12;
 export const STROKE_SELECTION           = 13;
+export const MODIFY_SELECTION           = 14;
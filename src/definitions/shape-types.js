@@ -0,0 +1,38 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2022 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+// the types of vector shapes that can be drawn by the SHAPE tool (see shape-factory.js)
+
+export const SHAPE_RECTANGLE = "rectangle";
+export const SHAPE_ELLIPSE   = "ellipse";
+export const SHAPE_POLYGON   = "polygon";
+export const SHAPE_LINE      = "line";
+export const SHAPE_ARROW     = "arrow";
+
+export const MIN_POLYGON_SIDES = 3;
+export const MAX_POLYGON_SIDES = 32;
+
+/**
+ * Lines and arrows are drawn from their start to their end coordinate. These only
+ * render a stroke and have no fill, all other shapes describe a closed area.
+ */
+export const isLineShape = ({ type }) => [ SHAPE_LINE, SHAPE_ARROW ].includes( type );
@@ -29,21 +29,26 @@ const ToolTypes = {
     DRAG       : "drag",  // drags layer within document
     LASSO      : "lasso",
     SELECTION  : "selection",
+    WAND       : "wand",
     SCALE      : "scale",
     EYEDROPPER : "eyedropper",
     ROTATE     : "rotate",
     FILL       : "fill",
+    GRADIENT   : "gradient",
     BRUSH      : "brush",
     ERASER     : "eraser",
     CLONE      : "clone",
     TEXT       : "text",
     ZOOM       : "zoom",
+    CROP       : "crop",
+    SHAPE      : "shape",
+    PEN        : "pen",
 };
 export default ToolTypes;
 
 // certain tools are handled by the top layer interaction pane, not individual layer sprites
 
-const PANE_TYPES = [ ToolTypes.MOVE, ToolTypes.LASSO, ToolTypes.SELECTION ];
+const PANE_TYPES = [ ToolTypes.MOVE, ToolTypes.LASSO, ToolTypes.SELECTION, ToolTypes.WAND, ToolTypes.CROP, ToolTypes.SHAPE, ToolTypes.PEN ];
 export const usesInteractionPane = tool => PANE_TYPES.includes( tool );
 
 export const canDraw = ( activeDocument, activeLayer ) => {
@@ -61,6 +66,23 @@ export const canDrawOnSelection = activeLayer => {
 
 export const TOOL_SRC_MERGED = "Merged"; // constant to define that a tools source context are all layers merged
 
+// shapes that can be drawn by the SELECTION tool
+export const MARQUEE_RECTANGLE = "rectangle";
+export const MARQUEE_ELLIPSE   = "ellipse";
+
+// ways in which the LASSO tool can draw its outline
+export const LASSO_POLYGONAL = "polygonal"; // each click adds a vertex
+export const LASSO_FREEHAND  = "freehand";  // outline follows the pointer while dragging
+export const LASSO_MAGNETIC  = "magnetic";  // outline snaps to edges in the image while moving
+
+// aspect ratios the CROP tool can constrain its area to
+export const CROP_FREE       = "free";
+export const CROP_SQUARE     = "1:1";
+export const CROP_PORTRAIT   = "4:5";
+export const CROP_WIDESCREEN = "16:9";
+export const CROP_CUSTOM     = "custom"; // uses the ratio defined in the tool options
+export const MAX_STRAIGHTEN_ANGLE = 45; // in degrees
+
 // UI variables
 export const MAX_BRUSH_SIZE = 100;
 export const MIN_ZOOM       = -50; // zooming out from base (which is 0)
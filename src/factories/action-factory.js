@@ -21,6 +21,8 @@
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
 import { enqueueState } from "@/factories/history-state-factory";
+import { inverseMask } from "@/rendering/compositing";
+import { cloneCanvas } from "@/utils/canvas-util";
 
 /**
  * @param {Object} store reference
@@ -37,3 +39,80 @@ export const toggleLayerVisibility = ( store, index ) => {
         redo: commit,
     });
 };
+
+/**
+ * @param {Object} store reference
+ * @param {Number} index index of layer to toggle clipping to the layer below of
+ */
+export const toggleLayerClipping = ( store, index ) => {
+    const originalClipping = store.getters.layers[ index ].clipped;
+    const commit = () => store.commit( "updateLayer", { index, opts: { clipped: !originalClipping } });
+    commit();
+    enqueueState( `layerClipping_${index}`, {
+        undo() {
+            store.commit( "updateLayer", { index, opts: { clipped: originalClipping } });
+        },
+        redo: commit,
+    });
+};
+
+/**
+ * @param {Object} store reference
+ * @param {Number} index index of layer to toggle the mask of (disabled masks are not rendered)
+ */
+export const toggleLayerMask = ( store, index ) => {
+    const originalEnabled = store.getters.layers[ index ].maskEnabled;
+    const commit = () => store.commit( "updateLayer", { index, opts: { maskEnabled: !originalEnabled } });
+    commit();
+    enqueueState( `layerMask_${index}`, {
+        undo() {
+            store.commit( "updateLayer", { index, opts: { maskEnabled: originalEnabled } });
+        },
+        redo: commit,
+    });
+};
+
+/**
+ * @param {Object} store reference
+ * @param {Number} index index of layer to invert the mask of
+ */
+export const invertLayerMask = ( store, index ) => {
+    const originalMask = store.getters.layers[ index ].mask;
+    const invertedMask = cloneCanvas( originalMask );
+    inverseMask( invertedMask );
+
+    const commit = () => store.commit( "updateLayer", { index, opts: { mask: invertedMask } });
+    commit();
+    enqueueState( `invertMask_${index}`, {
+        undo() {
+            store.commit( "updateLayer", { index, opts: { mask: originalMask } });
+        },
+        redo: commit,
+    });
+};
+
+/**
+ * Permanently applies the mask of a layer onto its source, removing the mask afterwards.
+ * Note the mask is also applied when it is disabled (in which case applying it reveals its effect).
+ *
+ * @param {Object} store reference
+ * @param {Number} index index of layer to apply the mask of
+ */
+export const applyLayerMask = ( store, index ) => {
+    const { source, mask, maskX, maskY, maskEnabled } = store.getters.layers[ index ];
+    const maskedSource = cloneCanvas( source );
+    const ctx = maskedSource.getContext( "2d" );
+    ctx.globalCompositeOperation = "destination-out";
+    ctx.drawImage( mask, maskX, maskY );
+
+    const commit = () => store.commit( "updateLayer", {
+        index, opts: { source: maskedSource, mask: null, maskEnabled: true }
+    });
+    commit();
+    enqueueState( `applyMask_${index}`, {
+        undo() {
+            store.commit( "updateLayer", { index, opts: { source, mask, maskEnabled } });
+        },
+        redo: commit,
+    });
+};
@@ -0,0 +1,85 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2022 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+let UID_COUNTER = 0;
+
+// the brush tool options stored within a preset (see tool-module)
+export const PRESET_OPTIONS = [
+    "size", "type", "opacity", "strokes", "thickness", "smooth",
+    "sizeDynamics", "opacityDynamics", "flowDynamics",
+    "tipId", "spacing", "rotation", "scatter", "sizeJitter", "angleJitter",
+    "stabilizer", "stabilizerStrength",
+];
+
+/**
+ * Describes a named set of brush tool options within the brush library.
+ * As the library persists across sessions (and can be shared between users
+ * through export and import), ids are unique across sessions too.
+ */
+const BrushPresetFactory = {
+    create({
+        id = `preset_${Date.now().toString( 36 )}_${( ++UID_COUNTER )}`,
+        name = "",
+        options = {}
+    } = {}) {
+        return {
+            id,
+            name,
+            options: pickPresetOptions( options ),
+        };
+    },
+
+    /**
+     * Saving brush preset properties into a simplified JSON structure
+     * for brush library storage
+     */
+    serialize( preset ) {
+        return {
+            i: preset.id,
+            n: preset.name,
+            o: { ...preset.options },
+        };
+    },
+
+    /**
+     * Creating a new brush preset instance from a stored brush library entry
+     */
+    deserialize( preset = {} ) {
+        return BrushPresetFactory.create({
+            id      : preset.i,
+            name    : preset.n,
+            options : preset.o,
+        });
+    }
+};
+export default BrushPresetFactory;
+
+/* internal methods */
+
+function pickPresetOptions( options ) {
+    return PRESET_OPTIONS.reduce(( acc, option ) => {
+        if ( options[ option ] !== undefined ) {
+            acc[ option ] = options[ option ];
+        }
+        return acc;
+    }, {});
+}
@@ -0,0 +1,74 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2022 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+let UID_COUNTER = 0;
+
+/**
+ * Describes an image based brush tip within the brush library. The image
+ * is stored as an alpha mask (see brush-tip#createTipMask()) in base64 format.
+ * As the library persists across sessions, ids are unique across sessions too.
+ */
+const BrushTipFactory = {
+    create({
+        id = `tip_${Date.now().toString( 36 )}_${( ++UID_COUNTER )}`,
+        name = "",
+        width = 1,
+        height = 1,
+        src = ""
+    } = {}) {
+        return {
+            id,
+            name,
+            width,
+            height,
+            src,
+        };
+    },
+
+    /**
+     * Saving brush tip properties into a simplified JSON structure
+     * for brush library storage
+     */
+    serialize( tip ) {
+        return {
+            i: tip.id,
+            n: tip.name,
+            w: tip.width,
+            h: tip.height,
+            s: tip.src,
+        };
+    },
+
+    /**
+     * Creating a new brush tip instance from a stored brush library entry
+     */
+    deserialize( tip = {} ) {
+        return BrushTipFactory.create({
+            id     : tip.i,
+            name   : tip.n,
+            width  : tip.w,
+            height : tip.h,
+            src    : tip.s,
+        });
+    }
+};
+export default BrushTipFactory;
@@ -31,7 +31,7 @@ const DocumentFactory = {
      * all layers and image content)
      */
     create({
-        name = "New document", width = 1000, height = 1000, layers = [], selections = {}
+        name = "New document", width = 1000, height = 1000, layers = [], selections = {}, paths = {}
     } = {}) {
         if ( !layers.length ) {
             layers = [ LayerFactory.create({ width, height }) ];
@@ -43,9 +43,11 @@ const DocumentFactory = {
             width,
             height,
             selections,
+            paths, // Bezier paths drawn using the PEN tool (see path-math.js)
             // only used at runtime, will not be serialized
             selection: null,
             invertSelection: false,
+            activePath: null, // name of the path that is edited by the PEN tool
         };
     },
 
@@ -60,7 +62,9 @@ const DocumentFactory = {
             w: document.width,
             h: document.height,
             l: layers,
+            g: serializeGroups( document.layers ),
             s: document.selections,
+            p: document.paths,
         };
     },
 
@@ -72,12 +76,14 @@ const DocumentFactory = {
         for ( let i = 0, l = ( document.l ?? [] ).length; i < l; ++i ) {
             layers.push( await LayerFactory.deserialize( document.l[ i ]));
         }
+        deserializeGroups( layers, document.g );
         return DocumentFactory.create({
             name: document.n,
             width: document.w,
             height: document.h,
             layers,
             selections: document.s,
+            paths: document.p,
         });
     },
 
@@ -94,3 +100,21 @@ const DocumentFactory = {
     }
 };
 export default DocumentFactory;
+
+/* internal methods */
+
+// as Layer ids are unique per session, the group hierarchy is stored
+// as a list of indices (for each layer) of the group Layer it is nested in
+
+function serializeGroups( layers ) {
+    return layers.map(({ groupId }) => groupId ? layers.findIndex(({ id }) => id === groupId ) : -1 );
+}
+
+function deserializeGroups( layers, groupIndices = [] ) {
+    groupIndices.forEach(( groupIndex, index ) => {
+        const group = layers[ groupIndex ];
+        if ( group && layers[ index ] ) {
+            layers[ index ].groupId = group.id;
+        }
+    });
+}
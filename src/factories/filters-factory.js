@@ -22,15 +22,43 @@
  */
 let defaultFilters = null;
 
+// a curve is described by a list of points (in the 0 - 1 range) sorted by their x-coordinate,
+// the default curve is linear (e.g. it does not alter the tonal values)
+export const createDefaultCurve = () => [{ x: 0, y: 0 }, { x: 1, y: 1 }];
+
+// a colour balance is described by its shift along the cyan-red, magenta-green and yellow-blue
+// axes (in the 0 - 1 range, where .5 is neutral), for each of the shadows, midtones and highlights
+export const createDefaultBalance = () => ({ r: .5, g: .5, b: .5 });
+
 const FiltersFactory = {
     create({
-        enabled    = true,
-        opacity    = 1,
-        gamma      = .5,
-        brightness = .5,
-        contrast   = 0,
-        vibrance   = .5,
-        desaturate = false
+        enabled           = true,
+        opacity           = 1,
+        gamma             = .5,
+        brightness        = .5,
+        contrast          = 0,
+        vibrance          = .5,
+        desaturate        = false,
+        hue               = .5,
+        saturation        = .5,
+        lightness         = .5,
+        balanceShadows    = createDefaultBalance(),
+        balanceMidtones   = createDefaultBalance(),
+        balanceHighlights = createDefaultBalance(),
+        blur              = 0,
+        unsharpAmount     = 0,
+        unsharpRadius     = .1,
+        unsharpThreshold  = 0,
+        kernel            = null,
+        levelsInBlack     = 0,
+        levelsInWhite     = 1,
+        levelsMidtone     = .5,
+        levelsOutBlack    = 0,
+        levelsOutWhite    = 1,
+        curveRGB          = createDefaultCurve(),
+        curveR            = createDefaultCurve(),
+        curveG            = createDefaultCurve(),
+        curveB            = createDefaultCurve(),
     } = {}) {
         return {
             enabled,
@@ -40,6 +68,26 @@ const FiltersFactory = {
             contrast,
             desaturate,
             vibrance,
+            hue,
+            saturation,
+            lightness,
+            balanceShadows,
+            balanceMidtones,
+            balanceHighlights,
+            blur,
+            unsharpAmount,
+            unsharpRadius,
+            unsharpThreshold,
+            kernel, // optional custom convolution kernel (Array of 9 or 25 values)
+            levelsInBlack,
+            levelsInWhite,
+            levelsMidtone,
+            levelsOutBlack,
+            levelsOutWhite,
+            curveRGB,
+            curveR,
+            curveG,
+            curveB,
         };
     },
 
@@ -56,6 +104,26 @@ const FiltersFactory = {
             c: filters.contrast,
             d: filters.desaturate,
             v: filters.vibrance,
+            hh: filters.hue,
+            hs: filters.saturation,
+            hl: filters.lightness,
+            bs: serializeBalance( filters.balanceShadows ),
+            bm: serializeBalance( filters.balanceMidtones ),
+            bh: serializeBalance( filters.balanceHighlights ),
+            bl: filters.blur,
+            ua: filters.unsharpAmount,
+            ur: filters.unsharpRadius,
+            ut: filters.unsharpThreshold,
+            k: filters.kernel ? [ ...filters.kernel ] : null,
+            li: filters.levelsInBlack,
+            lw: filters.levelsInWhite,
+            lm: filters.levelsMidtone,
+            lo: filters.levelsOutBlack,
+            lx: filters.levelsOutWhite,
+            ca: serializeCurve( filters.curveRGB ),
+            cr: serializeCurve( filters.curveR ),
+            cg: serializeCurve( filters.curveG ),
+            cb: serializeCurve( filters.curveB ),
         };
     },
 
@@ -72,6 +140,26 @@ const FiltersFactory = {
              contrast: filters.c,
              desaturate: filters.d,
              vibrance: filters.v,
+             hue: filters.hh,
+             saturation: filters.hs,
+             lightness: filters.hl,
+             balanceShadows: deserializeBalance( filters.bs ),
+             balanceMidtones: deserializeBalance( filters.bm ),
+             balanceHighlights: deserializeBalance( filters.bh ),
+             blur: filters.bl,
+             unsharpAmount: filters.ua,
+             unsharpRadius: filters.ur,
+             unsharpThreshold: filters.ut,
+             kernel: filters.k,
+             levelsInBlack: filters.li,
+             levelsInWhite: filters.lw,
+             levelsMidtone: filters.lm,
+             levelsOutBlack: filters.lo,
+             levelsOutWhite: filters.lx,
+             curveRGB: deserializeCurve( filters.ca ),
+             curveR: deserializeCurve( filters.cr ),
+             curveG: deserializeCurve( filters.cg ),
+             curveB: deserializeCurve( filters.cb ),
          });
      }
 };
@@ -94,5 +182,127 @@ export const isEqual = ( filters, filtersToCompareTo = {} ) => {
            filters.brightness === filtersToCompareTo.brightness &&
            filters.contrast   === filtersToCompareTo.contrast   &&
            filters.desaturate === filtersToCompareTo.desaturate &&
-           filters.vibrance   === filtersToCompareTo.vibrance;
+           filters.vibrance   === filtersToCompareTo.vibrance   &&
+           filters.hue        === filtersToCompareTo.hue        &&
+           filters.saturation === filtersToCompareTo.saturation &&
+           filters.lightness  === filtersToCompareTo.lightness  &&
+           !hasBalanceChanged( filters, filtersToCompareTo ) &&
+           !hasSpatialChanged( filters, filtersToCompareTo ) &&
+           !hasLevelsChanged( filters, filtersToCompareTo )  &&
+           !hasCurvesChanged( filters, filtersToCompareTo );
 };
+
+/**
+ * Whether given filters specify a hue, saturation or lightness adjustment
+ */
+export const hasHSL = filters => {
+    if ( !defaultFilters ) {
+        defaultFilters = FiltersFactory.create();
+    }
+    return filters.hue        !== defaultFilters.hue        ||
+           filters.saturation !== defaultFilters.saturation ||
+           filters.lightness  !== defaultFilters.lightness;
+};
+
+/**
+ * Whether given filters specify a colour balance adjustment (for any of the tonal ranges)
+ */
+export const hasColorBalance = filters => {
+    if ( !defaultFilters ) {
+        defaultFilters = FiltersFactory.create();
+    }
+    return hasBalanceChanged( filters, defaultFilters );
+};
+
+/**
+ * Whether given filters specify a spatial filter (e.g. blur, sharpening or a convolution kernel)
+ */
+export const hasSpatialFilters = filters => {
+    return filters.blur > 0 || filters.unsharpAmount > 0 || !!filters.kernel;
+};
+
+/**
+ * Whether given filters specify a Levels adjustment
+ */
+export const hasLevels = filters => {
+    if ( !defaultFilters ) {
+        defaultFilters = FiltersFactory.create();
+    }
+    return hasLevelsChanged( filters, defaultFilters );
+};
+
+/**
+ * Whether given filters specify a Curves adjustment (on any of the channels)
+ */
+export const hasCurves = filters => {
+    if ( !defaultFilters ) {
+        defaultFilters = FiltersFactory.create();
+    }
+    return hasCurvesChanged( filters, defaultFilters );
+};
+
+export const isCurveEqual = ( curve, curveToCompareTo = [] ) => {
+    if ( curve?.length !== curveToCompareTo?.length ) {
+        return false;
+    }
+    return curve.every(( point, index ) => {
+        const compared = curveToCompareTo[ index ];
+        return point.x === compared.x && point.y === compared.y;
+    });
+};
+
+/* internal methods */
+
+function hasLevelsChanged( filters, filtersToCompareTo ) {
+    return filters.levelsInBlack  !== filtersToCompareTo.levelsInBlack  ||
+           filters.levelsInWhite  !== filtersToCompareTo.levelsInWhite  ||
+           filters.levelsMidtone  !== filtersToCompareTo.levelsMidtone  ||
+           filters.levelsOutBlack !== filtersToCompareTo.levelsOutBlack ||
+           filters.levelsOutWhite !== filtersToCompareTo.levelsOutWhite;
+}
+
+function hasCurvesChanged( filters, filtersToCompareTo ) {
+    return !isCurveEqual( filters.curveRGB, filtersToCompareTo.curveRGB ) ||
+           !isCurveEqual( filters.curveR,   filtersToCompareTo.curveR )   ||
+           !isCurveEqual( filters.curveG,   filtersToCompareTo.curveG )   ||
+           !isCurveEqual( filters.curveB,   filtersToCompareTo.curveB );
+}
+
+function hasBalanceChanged( filters, filtersToCompareTo ) {
+    return [ "balanceShadows", "balanceMidtones", "balanceHighlights" ].some( range => {
+        const balance = filters[ range ];
+        const compare = filtersToCompareTo[ range ];
+        return balance?.r !== compare?.r || balance?.g !== compare?.g || balance?.b !== compare?.b;
+    });
+}
+
+function hasSpatialChanged( filters, filtersToCompareTo ) {
+    const { kernel } = filters;
+    const compare    = filtersToCompareTo.kernel;
+
+    return filters.blur             !== filtersToCompareTo.blur             ||
+           filters.unsharpAmount    !== filtersToCompareTo.unsharpAmount    ||
+           filters.unsharpRadius    !== filtersToCompareTo.unsharpRadius    ||
+           filters.unsharpThreshold !== filtersToCompareTo.unsharpThreshold ||
+           !!kernel !== !!compare || ( !!kernel && ( kernel.length !== compare.length || kernel.some(( value, i ) => value !== compare[ i ])));
+}
+
+function serializeBalance({ r, g, b }) {
+    return [ r, g, b ];
+}
+
+function deserializeBalance( balance ) {
+    if ( !balance ) {
+        return undefined;
+    }
+    const [ r, g, b ] = balance;
+    return { r, g, b };
+}
+
+function serializeCurve( curve ) {
+    return curve.map(({ x, y }) => [ x, y ]);
+}
+
+function deserializeCurve( curve ) {
+    return curve?.map(([ x, y ]) => ({ x, y }));
+}
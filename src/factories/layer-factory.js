@@ -20,11 +20,14 @@
  * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
-import { LAYER_GRAPHIC, DEFAULT_LAYER_NAME } from "@/definitions/layer-types";
-import { imageToBase64, base64toCanvas } from "@/utils/canvas-util";
+import { DEFAULT_BLEND_MODE } from "@/definitions/blend-modes";
+import { LAYER_ADJUSTMENT, LAYER_GRAPHIC, DEFAULT_LAYER_NAME } from "@/definitions/layer-types";
+import { createCanvas, imageToBase64, base64toCanvas } from "@/utils/canvas-util";
 import EffectsFactory from "@/factories/effects-factory";
 import FiltersFactory from "@/factories/filters-factory";
+import StylesFactory  from "@/factories/styles-factory";
 import TextFactory    from "@/factories/text-factory";
+import ShapeFactory   from "@/factories/shape-factory";
 
 let UID_COUNTER = 0;
 
@@ -34,9 +37,10 @@ const LayerFactory = {
      */
     create({
         name = DEFAULT_LAYER_NAME,
-        type = LAYER_GRAPHIC, transparent = true, source = null, mask = null,
+        type = LAYER_GRAPHIC, transparent = true, source = null, mask = null, maskEnabled = true,
         left = 0, top = 0, maskX = 0, maskY = 0, width = 1, height = 1, visible = true,
-        effects = {}, filters = {}, text = {}
+        blendMode = DEFAULT_BLEND_MODE, groupId = null, clipped = false, effects = {}, filters = {}, styles = {}, text = {},
+        shape = {}
     } = {}) {
         return {
             id: `layer_${( ++UID_COUNTER )}`,
@@ -45,6 +49,7 @@ const LayerFactory = {
             source,
             transparent,
             mask,
+            maskEnabled, // whether the mask is applied when rendering the layer
             left,
             top,
             maskX,
@@ -52,33 +57,46 @@ const LayerFactory = {
             width,
             height,
             visible,
+            blendMode,
+            groupId, // id of the group Layer this layer is nested in (null when at the root level)
+            clipped, // whether this layer is clipped to the layer below
             text: TextFactory.create( text ),
+            shape: ShapeFactory.create( shape ),
             effects: EffectsFactory.create( effects ),
             filters: FiltersFactory.create( filters ),
+            styles: StylesFactory.create( styles ),
         }
     },
 
     /**
      * Saving layer properties into a simplified JSON structure
-     * for project storage
+     * for project storage. Note the group hierarchy is serialized
+     * by the DocumentFactory as Layer ids are unique per session. The source
+     * of an adjustment Layer is omitted as it is recreated upon deserialization.
      */
     serialize( layer ) {
+        const isAdjustment = layer.type === LAYER_ADJUSTMENT;
         return {
             n: layer.name,
             t: layer.type,
             tr: layer.transparent,
-            s: imageToBase64( layer.source, layer.width, layer.height, layer.transparent ),
+            s: isAdjustment ? null : imageToBase64( layer.source, layer.width, layer.height, layer.transparent ),
             m: imageToBase64( layer.mask,   layer.width, layer.height, true ),
             x: layer.left,
             y: layer.top,
             x2: layer.maskX,
             y2: layer.maskY,
+            me: layer.maskEnabled,
             w: layer.width,
             h: layer.height,
             tx: TextFactory.serialize( layer.text ),
             f: EffectsFactory.serialize( layer.effects ),
             fl: FiltersFactory.serialize( layer.filters ),
+            st: StylesFactory.serialize( layer.styles ),
+            sh: ShapeFactory.serialize( layer.shape ),
             v: layer.visible,
+            b: layer.blendMode,
+            c: layer.clipped,
         };
     },
 
@@ -87,7 +105,9 @@ const LayerFactory = {
      * inside a stored project
      */
     async deserialize( layer ) {
-        const source = await base64toCanvas( layer.s, layer.w, layer.h );
+        const source = layer.t === LAYER_ADJUSTMENT
+            ? createAdjustmentSource( layer.w, layer.h )
+            : await base64toCanvas( layer.s, layer.w, layer.h );
         const mask   = await base64toCanvas( layer.m, layer.w, layer.h );
         const text   = await TextFactory.deserialize( layer.tx );
         return LayerFactory.create({
@@ -100,12 +120,17 @@ const LayerFactory = {
             top: layer.y,
             maskX: layer.x2,
             maskY: layer.y2,
+            maskEnabled: layer.me,
             width: layer.w,
             height: layer.h,
             visible: layer.v,
+            blendMode: layer.b,
+            clipped: layer.c,
             text,
             effects: EffectsFactory.deserialize( layer.f ),
             filters: FiltersFactory.deserialize( layer.fl ),
+            styles: StylesFactory.deserialize( layer.st ),
+            shape: ShapeFactory.deserialize( layer.sh ),
         });
     }
 };
@@ -117,3 +142,14 @@ export const layerToRect = layer => ({
     width  : layer.width,
     height : layer.height
 });
+
+/**
+ * Creates the source of an adjustment layer. The source solely describes the area the
+ * adjustment is applied to, which by default is the full bounds of the layer (unless masked).
+ */
+export const createAdjustmentSource = ( width, height ) => {
+    const { cvs, ctx } = createCanvas( width, height );
+    ctx.fillStyle = "#FFF";
+    ctx.fillRect( 0, 0, width, height );
+    return cvs;
+};
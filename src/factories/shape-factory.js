@@ -0,0 +1,98 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2022 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import { SHAPE_RECTANGLE } from "@/definitions/shape-types";
+
+/**
+ * Describes the vector shape rendered by a shape layer. The width and height
+ * describe the distance between the start and end coordinate of the shape
+ * and can be negative (as the direction matters for lines and arrows).
+ */
+const ShapeFactory = {
+    create({
+        type = SHAPE_RECTANGLE,
+        width = 0,
+        height = 0,
+        fill = "rgba(255,0,0,1)",
+        stroke = "rgba(0,0,0,1)",
+        strokeWidth = 0,
+        radius = 0,
+        sides = 5
+    } = {}) {
+        return {
+            type,
+            width,
+            height,
+            fill,
+            stroke,
+            strokeWidth,
+            radius, // corner radius, applies to rectangles only
+            sides,  // amount of sides, applies to polygons only
+        };
+    },
+
+    /**
+     * Saving shape properties into a simplified JSON structure
+     * for project storage
+     */
+    serialize( shape ) {
+        return {
+            t: shape.type,
+            w: shape.width,
+            h: shape.height,
+            f: shape.fill,
+            s: shape.stroke,
+            sw: shape.strokeWidth,
+            r: shape.radius,
+            n: shape.sides,
+        };
+    },
+
+    /**
+     * Creating a new shape instance from a stored shape structure
+     * inside a stored projects layer
+     */
+    deserialize( shape = {} ) {
+        return ShapeFactory.create({
+            type: shape.t,
+            width: shape.w,
+            height: shape.h,
+            fill: shape.f,
+            stroke: shape.s,
+            strokeWidth: shape.sw,
+            radius: shape.r,
+            sides: shape.n,
+        });
+    }
+};
+export default ShapeFactory;
+
+export const isEqual = ( shape, shapeToCompare = {} ) => {
+    return shape.type        === shapeToCompare.type &&
+           shape.width       === shapeToCompare.width &&
+           shape.height      === shapeToCompare.height &&
+           shape.fill        === shapeToCompare.fill &&
+           shape.stroke      === shapeToCompare.stroke &&
+           shape.strokeWidth === shapeToCompare.strokeWidth &&
+           shape.radius      === shapeToCompare.radius &&
+           shape.sides       === shapeToCompare.sides;
+};
@@ -0,0 +1,132 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2022 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+let defaultStyles = null;
+
+/**
+ * Layer styles are non-destructive effects rendered onto (or around)
+ * the contents of a Layer, see rendering/styles.js
+ */
+const StylesFactory = {
+    create({
+        shadow         = false,
+        shadowColor    = "rgba(0,0,0,.75)",
+        shadowX        = 5,
+        shadowY        = 5,
+        shadowBlur     = 5,
+        outerGlow      = false,
+        outerGlowColor = "rgba(255,255,160,1)",
+        outerGlowSize  = 10,
+        innerGlow      = false,
+        innerGlowColor = "rgba(255,255,160,1)",
+        innerGlowSize  = 10,
+        stroke         = false,
+        strokeColor    = "rgba(0,0,0,1)",
+        strokeSize     = 3,
+        overlay        = false,
+        overlayColor   = "rgba(255,0,0,1)",
+    } = {}) {
+        return {
+            shadow,
+            shadowColor,
+            shadowX,
+            shadowY,
+            shadowBlur,
+            outerGlow,
+            outerGlowColor,
+            outerGlowSize,
+            innerGlow,
+            innerGlowColor,
+            innerGlowSize,
+            stroke,
+            strokeColor,
+            strokeSize,
+            overlay,
+            overlayColor,
+        };
+    },
+
+    /**
+     * Saving style properties into a simplified JSON structure
+     * for project storage
+     */
+    serialize( styles ) {
+        return {
+            s: styles.shadow,
+            sc: styles.shadowColor,
+            sx: styles.shadowX,
+            sy: styles.shadowY,
+            sb: styles.shadowBlur,
+            o: styles.outerGlow,
+            oc: styles.outerGlowColor,
+            os: styles.outerGlowSize,
+            i: styles.innerGlow,
+            ic: styles.innerGlowColor,
+            is: styles.innerGlowSize,
+            k: styles.stroke,
+            kc: styles.strokeColor,
+            ks: styles.strokeSize,
+            c: styles.overlay,
+            cc: styles.overlayColor,
+        };
+    },
+
+    /**
+     * Creating a new styles Object from a stored styles structure
+     * inside a stored projects layer
+     */
+    deserialize( styles = {} ) {
+        return StylesFactory.create({
+            shadow: styles.s,
+            shadowColor: styles.sc,
+            shadowX: styles.sx,
+            shadowY: styles.sy,
+            shadowBlur: styles.sb,
+            outerGlow: styles.o,
+            outerGlowColor: styles.oc,
+            outerGlowSize: styles.os,
+            innerGlow: styles.i,
+            innerGlowColor: styles.ic,
+            innerGlowSize: styles.is,
+            stroke: styles.k,
+            strokeColor: styles.kc,
+            strokeSize: styles.ks,
+            overlay: styles.c,
+            overlayColor: styles.cc,
+        });
+    }
+};
+export default StylesFactory;
+
+/**
+ * Whether given styles will render any effect at all
+ */
+export const hasStyles = styles => {
+    return !!styles && ( styles.shadow || styles.outerGlow || styles.innerGlow || styles.stroke || styles.overlay );
+};
+
+export const isEqual = ( styles, stylesToCompareTo = {} ) => {
+    if ( !defaultStyles ) {
+        defaultStyles  = StylesFactory.create();
+    }
+    return Object.keys( defaultStyles ).every( key => styles[ key ] === stylesToCompareTo[ key ]);
+};
@@ -0,0 +1,174 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2022 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import { CROP_FREE, CROP_CUSTOM } from "@/definitions/tool-types";
+
+// handles that can be dragged to resize the crop area, named after the compass direction they face
+const HANDLES = [ "nw", "n", "ne", "e", "se", "s", "sw", "w" ];
+
+export const CROP_MOVE = "move"; // describes dragging the crop area as a whole
+
+/**
+ * Retrieves the width to height ratio the crop area should be constrained to
+ * (see tool-options-crop.vue). Returns 0 when the crop area is freely resizable.
+ */
+export const getCropRatio = ({ aspect = CROP_FREE, xRatio = 1, yRatio = 1 } = {}) => {
+    if ( aspect === CROP_FREE ) {
+        return 0;
+    }
+    if ( aspect === CROP_CUSTOM ) {
+        return xRatio > 0 && yRatio > 0 ? xRatio / yRatio : 0;
+    }
+    const [ x, y ] = aspect.split( ":" ).map( parseFloat );
+    return x / y;
+};
+
+/**
+ * Returns the coordinates of all resize handles of given crop area.
+ */
+export const getCropHandles = ({ left, top, width, height }) => {
+    return HANDLES.map( handle => ({
+        handle,
+        x: handle.includes( "w" ) ? left : handle.includes( "e" ) ? left + width  : left + width  / 2,
+        y: handle.includes( "n" ) ? top  : handle.includes( "s" ) ? top  + height : top  + height / 2,
+    }));
+};
+
+/**
+ * Returns the handle at given coordinate (within given margin). When the coordinate
+ * is inside the crop area but not on a handle CROP_MOVE is returned, when outside null.
+ */
+export const getCropHandleAtPoint = ( rect, x, y, margin = 5 ) => {
+    const handle = getCropHandles( rect ).find( point => Math.abs( point.x - x ) <= margin && Math.abs( point.y - y ) <= margin );
+    if ( handle ) {
+        return handle.handle;
+    }
+    const { left, top, width, height } = rect;
+    if ( x >= left && x <= left + width && y >= top && y <= top + height ) {
+        return CROP_MOVE;
+    }
+    return null;
+};
+
+/**
+ * Resizes given crop area by dragging given handle to given coordinate. The edges opposite to the
+ * handle remain in place. When a ratio is given, the area maintains it. The area is constrained
+ * to lie within given bounds.
+ *
+ * @param {{ left: Number, top: Number, width: Number, height: Number }} rect current crop area
+ * @param {String} handle name of the dragged handle
+ * @param {Number} x coordinate of the handle
+ * @param {Number} y coordinate of the handle
+ * @param {Number=} ratio optional width to height ratio to maintain, 0 for free resizing
+ * @param {{ width: Number, height: Number }} bounds the area cannot extend outside of
+ * @return {{ left: Number, top: Number, width: Number, height: Number }}
+ */
+export const resizeCrop = ( rect, handle, x, y, ratio = 0, bounds ) => {
+    x = Math.max( 0, Math.min( bounds.width,  x ));
+    y = Math.max( 0, Math.min( bounds.height, y ));
+
+    let left   = rect.left;
+    let top    = rect.top;
+    let right  = rect.left + rect.width;
+    let bottom = rect.top  + rect.height;
+
+    const moveLeft   = handle.includes( "w" );
+    const moveRight  = handle.includes( "e" );
+    const moveTop    = handle.includes( "n" );
+    const moveBottom = handle.includes( "s" );
+
+    if ( moveLeft ) {
+        left = Math.min( x, right - 1 );
+    } else if ( moveRight ) {
+        right = Math.max( x, left + 1 );
+    }
+    if ( moveTop ) {
+        top = Math.min( y, bottom - 1 );
+    } else if ( moveBottom ) {
+        bottom = Math.max( y, top + 1 );
+    }
+    if ( ratio <= 0 ) {
+        return { left, top, width: right - left, height: bottom - top };
+    }
+
+    const horizontal = moveLeft || moveRight;
+    const vertical   = moveTop  || moveBottom;
+    const centerX    = ( left + right )  / 2;
+    const centerY    = ( top  + bottom ) / 2;
+
+    let width  = right  - left;
+    let height = bottom - top;
+
+    if ( horizontal && ( !vertical || width / ratio >= height )) {
+        height = width / ratio;
+    } else {
+        width = height * ratio;
+    }
+
+    // the available space is determined by the edges that remain in place
+    const maxWidth  = moveLeft ? right  : moveRight  ? bounds.width  - left : 2 * Math.min( centerX, bounds.width  - centerX );
+    const maxHeight = moveTop  ? bottom : moveBottom ? bounds.height - top  : 2 * Math.min( centerY, bounds.height - centerY );
+
+    if ( width > maxWidth ) {
+        width  = maxWidth;
+        height = width / ratio;
+    }
+    if ( height > maxHeight ) {
+        height = maxHeight;
+        width  = height * ratio;
+    }
+    return {
+        left   : moveLeft ? right  - width  : moveRight  ? left : centerX - width  / 2,
+        top    : moveTop  ? bottom - height : moveBottom ? top  : centerY - height / 2,
+        width,
+        height,
+    };
+};
+
+/**
+ * Moves given crop area by given distance, keeping the area within given bounds.
+ */
+export const moveCrop = ({ left, top, width, height }, deltaX, deltaY, bounds ) => ({
+    left : Math.max( 0, Math.min( bounds.width  - width,  left + deltaX )),
+    top  : Math.max( 0, Math.min( bounds.height - height, top  + deltaY )),
+    width,
+    height,
+});
+
+/**
+ * Returns the largest area of given ratio that fits inside given crop area, centered within it.
+ */
+export const fitCropToRatio = ( rect, ratio = 0 ) => {
+    if ( ratio <= 0 ) {
+        return { ...rect };
+    }
+    const { left, top, width, height } = rect;
+    const fittedWidth  = Math.min( width, height * ratio );
+    const fittedHeight = fittedWidth / ratio;
+
+    return {
+        left   : left + ( width  - fittedWidth )  / 2,
+        top    : top  + ( height - fittedHeight ) / 2,
+        width  : fittedWidth,
+        height : fittedHeight,
+    };
+};
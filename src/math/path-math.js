@@ -0,0 +1,161 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2022 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import { isPointInRange } from "@/math/point-math";
+
+/**
+ * A path describes a (cubic) Bezier curve drawn using the PEN tool. It consists of a list of anchor
+ * points, where each anchor defines a control handle for the incoming and outgoing curve segment.
+ * All coordinates are relative to the document.
+ *
+ * path   : { points: Array<anchor>, closed: Boolean }
+ * anchor : { x: Number, y: Number, in: { x: Number, y: Number }, out: { x: Number, y: Number } }
+ */
+
+// handles of an anchor that can be dragged, where PATH_ANCHOR describes the anchor point itself
+export const PATH_ANCHOR     = "anchor";
+export const PATH_HANDLE_IN  = "in";
+export const PATH_HANDLE_OUT = "out";
+
+const SEGMENT_STEPS = 24; // amount of lines a curve segment is divided into when converting a path to a polygon
+
+export const createPath = ( points = [], closed = false ) => ({ points, closed });
+
+/**
+ * Creates an anchor point at given coordinate. The control handles are positioned
+ * on the anchor, meaning the segments connecting to it are straight lines.
+ */
+export const createAnchor = ( x, y ) => ({ x, y, in: { x, y }, out: { x, y } });
+
+export const clonePath = ({ points, closed }) => createPath(
+    points.map( anchor => ({ x: anchor.x, y: anchor.y, in: { ...anchor.in }, out: { ...anchor.out } })),
+    closed
+);
+
+/**
+ * Calculates the coordinate at given progress t (between 0 and 1) along a
+ * cubic Bezier curve running from start to end using two control points.
+ */
+export const getBezierPoint = ( start, control1, control2, end, t ) => {
+    const inv = 1 - t;
+    const a   = inv * inv * inv;
+    const b   = 3 * inv * inv * t;
+    const c   = 3 * inv * t * t;
+    const d   = t * t * t;
+    return {
+        x: a * start.x + b * control1.x + c * control2.x + d * end.x,
+        y: a * start.y + b * control1.y + c * control2.y + d * end.y
+    };
+};
+
+/**
+ * Converts given path into a list of coordinates describing its curves as a series of lines (for instance
+ * to use the path as a selection shape or to render its outline as a brush stroke). When the path is
+ * closed (or forceClosed is true), the last coordinate equals the first coordinate.
+ *
+ * @param {Object} path
+ * @param {Boolean=} forceClosed whether to close the path when it isn't closed
+ * @return {Array<{ x: Number, y: Number }>}
+ */
+export const pathToPolygon = ( path, forceClosed = false ) => {
+    const { points } = path;
+    if ( points.length === 0 ) {
+        return [];
+    }
+    const polygon = [{ x: points[ 0 ].x, y: points[ 0 ].y }];
+    const closed  = ( path.closed || forceClosed ) && points.length > 1;
+    const amount  = closed ? points.length : points.length - 1;
+
+    for ( let i = 0; i < amount; ++i ) {
+        const start = points[ i ];
+        const end   = points[ ( i + 1 ) % points.length ];
+        if ( isStraightSegment( start, end )) {
+            polygon.push({ x: end.x, y: end.y });
+            continue;
+        }
+        for ( let step = 1; step <= SEGMENT_STEPS; ++step ) {
+            polygon.push( getBezierPoint( start, start.out, end.in, end, step / SEGMENT_STEPS ));
+        }
+    }
+    return polygon;
+};
+
+/**
+ * Moves given anchor point (and its control handles) to given coordinate.
+ */
+export const moveAnchor = ( anchor, x, y ) => {
+    const deltaX = x - anchor.x;
+    const deltaY = y - anchor.y;
+
+    anchor.x = x;
+    anchor.y = y;
+    [ anchor.in, anchor.out ].forEach( handle => {
+        handle.x += deltaX;
+        handle.y += deltaY;
+    });
+};
+
+/**
+ * Moves the control handle of given anchor to given coordinate. When mirror is true, the opposite
+ * handle is positioned symmetrically (on the other side of the anchor) to keep the curve smooth.
+ */
+export const moveHandle = ( anchor, handleName, x, y, mirror = true ) => {
+    anchor[ handleName ] = { x, y };
+    if ( mirror ) {
+        anchor[ handleName === PATH_HANDLE_IN ? PATH_HANDLE_OUT : PATH_HANDLE_IN ] = {
+            x: anchor.x * 2 - x,
+            y: anchor.y * 2 - y
+        };
+    }
+};
+
+/**
+ * Retrieves the anchor or control handle of given path at given coordinate (within given margin).
+ * Control handles take precedence over anchors, as these are positioned on top of the anchor
+ * until they are dragged out.
+ *
+ * @return {{ index: Number, handle: String }|null} index of the anchor and the name of the handle
+ */
+export const getPathHandleAtPoint = ( path, x, y, margin = 5 ) => {
+    const { points } = path;
+    for ( let i = points.length - 1; i >= 0; --i ) {
+        const anchor = points[ i ];
+        for ( const handle of [ PATH_HANDLE_OUT, PATH_HANDLE_IN ]) {
+            const point = anchor[ handle ];
+            if ( !isHandleOnAnchor( anchor, point ) && isPointInRange( x, y, point.x, point.y, margin )) {
+                return { index: i, handle };
+            }
+        }
+    }
+    for ( let i = points.length - 1; i >= 0; --i ) {
+        if ( isPointInRange( x, y, points[ i ].x, points[ i ].y, margin )) {
+            return { index: i, handle: PATH_ANCHOR };
+        }
+    }
+    return null;
+};
+
+export const isHandleOnAnchor = ( anchor, handle ) => anchor.x === handle.x && anchor.y === handle.y;
+
+/* internal methods */
+
+const isStraightSegment = ( start, end ) => isHandleOnAnchor( start, start.out ) && isHandleOnAnchor( end, end.in );
@@ -22,6 +22,9 @@
  */
 const { pow, sqrt, atan2, round, cos, sin, PI } = Math;
 
+const MIN_ELLIPSE_POINTS = 16;
+const MAX_ELLIPSE_POINTS = 1440;
+
 export const rectToPoint = ({ top, left }) => ({ x: left, y: top });
 
 export const rectToCoordinateList = ( x, y, width, height ) => [
@@ -30,6 +33,29 @@ export const rectToCoordinateList = ( x, y, width, height ) => [
     { x, y }, // back to TL to close selection
 ];
 
+/**
+ * Approximates the ellipse that fits inside given rectangle by a closed polygon.
+ * The amount of points is proportional to the circumference of the ellipse.
+ */
+export const ellipseToCoordinateList = ( x, y, width, height ) => {
+    const radiusX = Math.abs( width )  / 2;
+    const radiusY = Math.abs( height ) / 2;
+    const centerX = x + width  / 2;
+    const centerY = y + height / 2;
+    // Ramanujan's approximation of the circumference, place a point every two pixels
+    // (the amount is a multiple of four so the outline touches each side of the rectangle)
+    const circumference = PI * ( 3 * ( radiusX + radiusY ) - sqrt(( 3 * radiusX + radiusY ) * ( radiusX + 3 * radiusY )));
+    const amount = Math.min( MAX_ELLIPSE_POINTS, Math.max( MIN_ELLIPSE_POINTS, round( circumference / 8 ) * 4 ));
+
+    const points = [];
+    for ( let i = 0; i < amount; ++i ) {
+        const angle = ( i / amount ) * 2 * PI;
+        points.push({ x: centerX + cos( angle ) * radiusX, y: centerY + sin( angle ) * radiusY });
+    }
+    points.push({ ...points[ 0 ] }); // back to first point to close selection
+    return points;
+};
+
 export const distanceBetween = ( point1, point2 ) => {
     return sqrt( pow( point2.x - point1.x, 2 ) + pow( point2.y - point1.y, 2 ));
 };
@@ -111,3 +111,13 @@ export const areEqual = ( rect1, rect2 ) => {
         rect1.height === rect2.height
     );
 };
+
+/**
+ * Whether given rectangles overlap (rectangles that merely touch at their edges do not overlap)
+ */
+export const isOverlapping = ( rect1, rect2 ) => {
+    return (
+        rect1.left < rect2.left + rect2.width  && rect2.left < rect1.left + rect1.width &&
+        rect1.top  < rect2.top  + rect2.height && rect2.top  < rect1.top  + rect1.height
+    );
+};
@@ -20,6 +20,8 @@
  * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
+import { distanceBetween } from "@/math/point-math";
+
 export const getRectangleForSelection = selection => {
     let minX = Infinity;
     let minY = Infinity;
@@ -69,3 +71,192 @@ export const isSelectionClosed = selection => {
 
     return firstPoint.x === lastPoint.x && firstPoint.y === lastPoint.y;
 };
+
+/**
+ * A Documents selection can consist of multiple shapes, where each shape is a list
+ * of coordinates describing a polygon (e.g. the methods above operate on individual shapes).
+ * Shapes describing a selected area are wound clockwise, shapes describing holes
+ * within a selected area are wound counter-clockwise. As such the selection can be
+ * rendered using the "nonzero" winding rule.
+ */
+
+export const areShapesClosed = selection => selection?.length > 0 && selection.every( isSelectionClosed );
+
+/**
+ * Calculates the signed area of given shape. The area is positive for
+ * clockwise wound shapes (in screen space, where the y-axis points down).
+ */
+export const getShapeArea = shape => {
+    let area = 0;
+    for ( let i = 0, l = shape.length; i < l; ++i ) {
+        const point = shape[ i ];
+        const next  = shape[( i + 1 ) % l ];
+        area += point.x * next.y - next.x * point.y;
+    }
+    return area / 2;
+};
+
+/**
+ * Ensures given shape is wound clockwise, so it describes a selected area.
+ */
+export const normalizeShape = shape => getShapeArea( shape ) < 0 ? [ ...shape ].reverse() : shape;
+
+/**
+ * Ensures given selection is formatted as a list of shapes. Selections
+ * stored prior to the support of multiple shapes consist of a single shape.
+ */
+export const normalizeSelection = selection => {
+    if ( !Array.isArray( selection ) || selection.length === 0 ) {
+        return selection;
+    }
+    return Array.isArray( selection[ 0 ]) ? selection : [ normalizeShape( selection ) ];
+};
+
+/**
+ * Creates the list of shapes that outline all selected pixels in given mask.
+ * The shapes follow the pixel edges, enclosed unselected areas are described as holes.
+ *
+ * @param {Uint8Array} mask where each pixel is described by a single value, where 1 means selected
+ * @param {Number} width of the mask
+ * @param {Number} height of the mask
+ * @return {Array<Array<{ x: Number, y: Number }>>}
+ */
+export const createShapesForMask = ( mask, width, height ) => {
+    const isSelected = ( x, y ) => x >= 0 && y >= 0 && x < width && y < height && mask[ y * width + x ] === 1;
+    const rowSize    = width + 1; // amount of pixel corners on a row
+    const edges      = new Map(); // all outline edges by their start corner
+
+    const addEdge = ( x1, y1, x2, y2 ) => {
+        const start = y1 * rowSize + x1;
+        const end   = y2 * rowSize + x2;
+        if ( edges.has( start )) {
+            edges.get( start ).push( end );
+        } else {
+            edges.set( start, [ end ]);
+        }
+    };
+
+    // collect the edges separating selected from unselected pixels, traveling clockwise around each selected pixel
+    for ( let y = 0; y < height; ++y ) {
+        for ( let x = 0; x < width; ++x ) {
+            if ( !isSelected( x, y )) {
+                continue;
+            }
+            if ( !isSelected( x, y - 1 )) {
+                addEdge( x, y, x + 1, y );
+            }
+            if ( !isSelected( x + 1, y )) {
+                addEdge( x + 1, y, x + 1, y + 1 );
+            }
+            if ( !isSelected( x, y + 1 )) {
+                addEdge( x + 1, y + 1, x, y + 1 );
+            }
+            if ( !isSelected( x - 1, y )) {
+                addEdge( x, y + 1, x, y );
+            }
+        }
+    }
+
+    // connect the edges into closed shapes, keeping only the corner points
+    const shapes = [];
+    for ( const start of edges.keys() ) {
+        while ( edges.get( start ).length > 0 ) {
+            const corners = [];
+            let current = start;
+            do {
+                corners.push( current );
+                current = takeEdge( edges.get( current ), corners[ corners.length - 2 ], current, rowSize );
+            } while ( current !== start );
+
+            const points = corners.map( corner => ({ x: corner % rowSize, y: Math.floor( corner / rowSize ) }));
+            const shape  = points.filter(( point, index ) => {
+                const prev = points[( index + points.length - 1 ) % points.length ];
+                const next = points[( index + 1 ) % points.length ];
+                return !(( prev.x === point.x && point.x === next.x ) || ( prev.y === point.y && point.y === next.y ));
+            });
+            shape.push({ ...shape[ 0 ] });
+            shapes.push( shape );
+        }
+    }
+    return shapes;
+};
+
+/**
+ * Simplifies the outline of given closed shape using the Ramer-Douglas-Peucker algorithm, removing
+ * all points that deviate less than given tolerance from the simplified outline (e.g. turning the
+ * staircase outline of traced pixels into diagonal lines). Shapes that would collapse are returned as is.
+ *
+ * @param {Array<{ x: Number, y: Number }>} shape closed shape
+ * @param {Number=} tolerance in pixels
+ * @return {Array<{ x: Number, y: Number }>}
+ */
+export const simplifyShape = ( shape, tolerance = 1 ) => {
+    const last = shape.length - 1;
+    if ( last < 4 ) {
+        return shape;
+    }
+    // as the first and last point of a closed shape are equal, the outline is first split at the furthest point
+    let split = 0;
+    let maxDistance = 0;
+    for ( let i = 1; i < last; ++i ) {
+        const distance = distanceBetween( shape[ 0 ], shape[ i ]);
+        if ( distance > maxDistance ) {
+            split = i;
+            maxDistance = distance;
+        }
+    }
+    const keep  = new Uint8Array( shape.length );
+    const stack = [ 0, split, split, last ];
+    keep[ 0 ] = keep[ split ] = keep[ last ] = 1;
+
+    while ( stack.length > 0 ) {
+        const end   = stack.pop();
+        const start = stack.pop();
+        let index   = -1;
+        let max     = tolerance;
+        for ( let i = start + 1; i < end; ++i ) {
+            const distance = getDistanceToLine( shape[ i ], shape[ start ], shape[ end ]);
+            if ( distance > max ) {
+                index = i;
+                max   = distance;
+            }
+        }
+        if ( index !== -1 ) {
+            keep[ index ] = 1;
+            stack.push( start, index, index, end );
+        }
+    }
+    const simplified = shape.filter(( point, index ) => keep[ index ] === 1 );
+    return simplified.length < 4 ? shape : simplified;
+};
+
+/* internal methods */
+
+function getDistanceToLine( point, start, end ) {
+    const dx     = end.x - start.x;
+    const dy     = end.y - start.y;
+    const length = Math.sqrt( dx * dx + dy * dy );
+    if ( length === 0 ) {
+        return distanceBetween( point, start );
+    }
+    return Math.abs( dy * point.x - dx * point.y + end.x * start.y - end.y * start.x ) / length;
+}
+
+/**
+ * Removes and returns the end corner of one of given edges starting at the current corner.
+ * Where pixels touch diagonally, two edges start at the same corner. In this case the
+ * edge turning right is taken so diagonally touching areas are outlined separately.
+ */
+function takeEdge( ends, prev, current, rowSize ) {
+    if ( ends.length === 1 || prev === undefined ) {
+        return ends.pop();
+    }
+    const dx = ( current % rowSize ) - ( prev % rowSize );
+    const dy = Math.floor( current / rowSize ) - Math.floor( prev / rowSize );
+    const index = ends.findIndex( end => {
+        const ex = ( end % rowSize ) - ( current % rowSize );
+        const ey = Math.floor( end / rowSize ) - Math.floor( current / rowSize );
+        return dx * ey - dy * ex > 0;
+    });
+    return ends.splice( Math.max( 0, index ), 1 )[ 0 ];
+}
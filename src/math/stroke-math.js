@@ -0,0 +1,99 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2022 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import { STABILIZER_LAZY, STABILIZER_AVERAGE } from "@/definitions/brush-types";
+
+// the stabilizer strength (0 - 1 range) maps onto these maximum values
+export const MAX_LAZY_RADIUS    = 50; // in pixels
+export const MAX_AVERAGE_WINDOW = 20; // in amount of pointers
+
+/**
+ * Stabilize the recorded pointers of a brush stroke using the stabilizer defined in the brush options.
+ * Each pointer maps onto a single stabilized pointer, where the stabilized position only depends on the
+ * current and preceding pointers. As such, the result can be sliced identically to the source list
+ * (for instance for iterative low resolution rendering) and successive calls yield consistent results.
+ * Any additional pointer properties (e.g. pressure) are maintained. The source list is not mutated.
+ *
+ * @param {Array<{ x: Number, y: Number }>} pointers
+ * @param {Object} options brush options, provided by tool-module
+ * @return {Array<{ x: Number, y: Number }>}
+ */
+export const stabilizePointers = ( pointers, { stabilizer, stabilizerStrength = 0 }) => {
+    switch ( stabilizer ) {
+        default:
+            return pointers;
+        case STABILIZER_LAZY:
+            return getLazyPointers( pointers, stabilizerStrength * MAX_LAZY_RADIUS );
+        case STABILIZER_AVERAGE:
+            return getAveragedPointers( pointers, 1 + Math.round( stabilizerStrength * ( MAX_AVERAGE_WINDOW - 1 )));
+    }
+};
+
+/**
+ * Lazy mouse / pulled string stabilization: the brush only follows the pointer once the pointer
+ * has moved further away than given radius, after which it is pulled along in the pointers direction.
+ *
+ * @param {Array<{ x: Number, y: Number }>} pointers
+ * @param {Number} radius length of the string in pixels
+ * @return {Array<{ x: Number, y: Number }>}
+ */
+export const getLazyPointers = ( pointers, radius ) => {
+    if ( radius <= 0 || pointers.length === 0 ) {
+        return pointers;
+    }
+    let { x, y } = pointers[ 0 ];
+    return pointers.map( pointer => {
+        const dx   = pointer.x - x;
+        const dy   = pointer.y - y;
+        const dist = Math.sqrt( dx * dx + dy * dy );
+        if ( dist > radius ) {
+            const pull = ( dist - radius ) / dist;
+            x += dx * pull;
+            y += dy * pull;
+        }
+        return { ...pointer, x, y };
+    });
+};
+
+/**
+ * Weighted moving average stabilization: each pointer is averaged with its
+ * preceding pointers, where more recent pointers have a larger weight.
+ *
+ * @param {Array<{ x: Number, y: Number }>} pointers
+ * @param {Number} windowSize amount of pointers to average
+ * @return {Array<{ x: Number, y: Number }>}
+ */
+export const getAveragedPointers = ( pointers, windowSize ) => {
+    if ( windowSize <= 1 ) {
+        return pointers;
+    }
+    return pointers.map(( pointer, index ) => {
+        let x = 0, y = 0, totalWeight = 0;
+        for ( let i = Math.max( 0, index - windowSize + 1 ); i <= index; ++i ) {
+            const weight = windowSize - ( index - i );
+            x += pointers[ i ].x * weight;
+            y += pointers[ i ].y * weight;
+            totalWeight += weight;
+        }
+        return { ...pointer, x: x / totalWeight, y: y / totalWeight };
+    });
+};
@@ -0,0 +1,125 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2022 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import {
+    SYMMETRY_VERTICAL, SYMMETRY_HORIZONTAL, SYMMETRY_BOTH, SYMMETRY_RADIAL, MIN_SYMMETRY_AXES, MAX_SYMMETRY_AXES
+} from "@/definitions/brush-types";
+
+const { PI, cos, sin, sqrt, max, min, round } = Math;
+const TWO_PI = PI * 2;
+
+/**
+ * Replicate the pointers of a brush stroke around the symmetry axes defined in the brush options.
+ * The returned list contains the pointer lists of all strokes, the first entry being the source pointers
+ * (the replicated pointers are new objects, maintaining additional pointer properties like pressure).
+ *
+ * @param {Array<{ x: Number, y: Number }>} pointers
+ * @param {Object} options brush options, provided by tool-module
+ * @param {Number} centerX coordinate of the symmetry center
+ * @param {Number} centerY coordinate of the symmetry center
+ * @return {Array<Array<{ x: Number, y: Number }>>}
+ */
+export const getSymmetricalPointers = ( pointers, { symmetry, symmetryAxes }, centerX, centerY ) => {
+    const mirror = ( mirrorX, mirrorY ) => pointers.map( pointer => ({
+        ...pointer,
+        x: mirrorX ? centerX * 2 - pointer.x : pointer.x,
+        y: mirrorY ? centerY * 2 - pointer.y : pointer.y,
+    }));
+    switch ( symmetry ) {
+        default:
+            return [ pointers ];
+        case SYMMETRY_VERTICAL:
+            return [ pointers, mirror( true, false ) ];
+        case SYMMETRY_HORIZONTAL:
+            return [ pointers, mirror( false, true ) ];
+        case SYMMETRY_BOTH:
+            return [ pointers, mirror( true, false ), mirror( false, true ), mirror( true, true ) ];
+        case SYMMETRY_RADIAL:
+            return rotateAroundCenter( pointers, getAmountOfAxes( symmetryAxes ), centerX, centerY );
+    }
+};
+
+/**
+ * Get the line segments describing the symmetry axes defined in the brush options,
+ * spanning the area of given dimensions (e.g. the document), for rendering guides.
+ *
+ * @param {Object} options brush options, provided by tool-module
+ * @param {Number} centerX coordinate of the symmetry center
+ * @param {Number} centerY coordinate of the symmetry center
+ * @param {Number} width of the area
+ * @param {Number} height of the area
+ * @return {Array<{ x1: Number, y1: Number, x2: Number, y2: Number }>}
+ */
+export const getSymmetryAxes = ({ symmetry, symmetryAxes }, centerX, centerY, width, height ) => {
+    const vertical   = { x1: centerX, y1: 0, x2: centerX, y2: height };
+    const horizontal = { x1: 0, y1: centerY, x2: width, y2: centerY };
+    switch ( symmetry ) {
+        default:
+            return [];
+        case SYMMETRY_VERTICAL:
+            return [ vertical ];
+        case SYMMETRY_HORIZONTAL:
+            return [ horizontal ];
+        case SYMMETRY_BOTH:
+            return [ vertical, horizontal ];
+        case SYMMETRY_RADIAL:
+            return getRadialAxes( getAmountOfAxes( symmetryAxes ), centerX, centerY, width, height );
+    }
+};
+
+/* internal methods */
+
+function getAmountOfAxes( value ) {
+    return max( MIN_SYMMETRY_AXES, min( MAX_SYMMETRY_AXES, round( value ) || MIN_SYMMETRY_AXES ));
+}
+
+function rotateAroundCenter( pointers, axes, centerX, centerY ) {
+    const result = [ pointers ];
+    for ( let i = 1; i < axes; ++i ) {
+        const angle = TWO_PI * i / axes;
+        const cosA  = cos( angle );
+        const sinA  = sin( angle );
+        result.push( pointers.map( pointer => {
+            const dx = pointer.x - centerX;
+            const dy = pointer.y - centerY;
+            return {
+                ...pointer,
+                x: centerX + dx * cosA - dy * sinA,
+                y: centerY + dx * sinA + dy * cosA,
+            };
+        }));
+    }
+    return result;
+}
+
+// rays from the center (starting upwards) that are long enough to reach the furthest corner of the area
+function getRadialAxes( axes, centerX, centerY, width, height ) {
+    const length = sqrt( max( centerX, width - centerX ) ** 2 + max( centerY, height - centerY ) ** 2 );
+    const result = [];
+    for ( let i = 0; i < axes; ++i ) {
+        const angle = TWO_PI * i / axes - PI / 2;
+        result.push({
+            x1: centerX, y1: centerY, x2: centerX + cos( angle ) * length, y2: centerY + sin( angle ) * length
+        });
+    }
+    return result;
+}
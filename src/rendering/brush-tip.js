@@ -0,0 +1,159 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2022 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import { getBrushTipImage } from "@/rendering/cache/brush-tip-cache";
+import { createCanvas, setCanvasDimensions } from "@/utils/canvas-util";
+import { degreesToRadians } from "@/math/unit-math";
+import { PNG } from "@/definitions/image-types";
+
+// the maximum size of a brush tips image, larger images are scaled down upon creation
+export const MAX_TIP_SIZE = 256;
+
+let tintCanvas;
+let tintedTip = { tipId: null, color: null };
+
+/**
+ * Convert the pixel data of an image into a brush tip mask, where dark, opaque
+ * pixels paint at full strength and light or transparent pixels do not paint at all.
+ * The resulting pixels are black, with their transparency describing the masks strength.
+ * NOTE: this mutates the data in place
+ *
+ * @param {Uint8ClampedArray} data RGBA pixel data
+ * @return {Uint8ClampedArray}
+ */
+export const createTipMask = data => {
+    for ( let i = 0, l = data.length; i < l; i += 4 ) {
+        const luminance = ( data[ i ] * .299 + data[ i + 1 ] * .587 + data[ i + 2 ] * .114 ) / 255;
+        data[ i + 3 ] = Math.round( data[ i + 3 ] * ( 1 - luminance ));
+        data[ i ] = data[ i + 1 ] = data[ i + 2 ] = 0;
+    }
+    return data;
+};
+
+/**
+ * Scale given dimensions to fit within the maximum brush tip size, maintaining their ratio
+ *
+ * @param {Number} width
+ * @param {Number} height
+ * @return {{ width: Number, height: Number }}
+ */
+export const getTipDimensions = ( width, height ) => {
+    const scale = Math.min( 1, MAX_TIP_SIZE / Math.max( width, height ));
+    return {
+        width  : Math.max( 1, Math.round( width  * scale )),
+        height : Math.max( 1, Math.round( height * scale )),
+    };
+};
+
+/**
+ * Create the brush tip mask for given image (e.g. the contents of a selection or an imported PNG)
+ *
+ * @param {CanvasImageSource} image
+ * @return {{ width: Number, height: Number, src: String }} dimensions and base64 encoded mask
+ */
+export const createTipSource = image => {
+    const { width, height } = getTipDimensions( image.width, image.height );
+    const { cvs, ctx } = createCanvas( width, height );
+    ctx.drawImage( image, 0, 0, width, height );
+
+    const imageData = ctx.getImageData( 0, 0, width, height );
+    createTipMask( imageData.data );
+    ctx.putImageData( imageData, 0, 0 );
+
+    return { width, height, src: cvs.toDataURL( PNG.mime ) };
+};
+
+/**
+ * Calculate the distance between two successive dabs of a brush tip
+ *
+ * @param {Number} size of the brush tip
+ * @param {Number} spacing relative to the size of the brush tip
+ * @return {Number}
+ */
+export const getTipSpacing = ( size, spacing = .25 ) => Math.max( 1, size * spacing );
+
+/**
+ * Calculate the transformation of a single dab of a brush tip, applying
+ * the rotation and random jitter defined in the brush options.
+ *
+ * @param {Object} options brush options, provided by tool-module
+ * @param {Function=} random optional random number generator
+ * @return {{ scale: Number, angle: Number, scatter: Number }} where angle is in radians and
+ *         scatter is the offset relative to the tip size, perpendicular to the stroke direction
+ */
+export const getTipDab = ({ rotation = 0, scatter = 0, sizeJitter = 0, angleJitter = 0 }, random = Math.random ) => ({
+    scale   : 1 - sizeJitter * random(),
+    angle   : degreesToRadians( rotation + ( random() * 2 - 1 ) * angleJitter * 180 ),
+    scatter : ( random() * 2 - 1 ) * scatter,
+});
+
+/**
+ * Retrieve the image for the brush tip with given id, colorized in given color.
+ * The last colorized tip is cached as tips are retrieved for each brush stroke.
+ *
+ * @param {String} tipId
+ * @param {String} color
+ * @return {HTMLCanvasElement|null} null when tip has not been loaded
+ */
+export const getTintedBrushTip = ( tipId, color ) => {
+    const image = getBrushTipImage( tipId );
+    if ( !image ) {
+        return null;
+    }
+    if ( !tintCanvas ) {
+        tintCanvas = createCanvas();
+    }
+    if ( tintedTip.tipId !== tipId || tintedTip.color !== color ) {
+        const { cvs, ctx } = tintCanvas;
+        setCanvasDimensions( tintCanvas, image.width, image.height );
+        ctx.drawImage( image, 0, 0 );
+        ctx.globalCompositeOperation = "source-in";
+        ctx.fillStyle = color;
+        ctx.fillRect( 0, 0, cvs.width, cvs.height );
+        ctx.globalCompositeOperation = "source-over";
+        tintedTip = { tipId, color };
+    }
+    return tintCanvas.cvs;
+};
+
+/**
+ * Draw a single dab of given brush tip onto given context, centered around given coordinate.
+ * The longest side of the tip matches given size.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {CanvasImageSource} tip
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Number} size
+ * @param {Number=} angle in radians
+ */
+export const drawTip = ( ctx, tip, x, y, size, angle = 0 ) => {
+    const scale  = size / Math.max( tip.width, tip.height );
+    const width  = tip.width  * scale;
+    const height = tip.height * scale;
+
+    ctx.save();
+    ctx.translate( x, y );
+    ctx.rotate( angle );
+    ctx.drawImage( tip, -width / 2, -height / 2, width, height );
+    ctx.restore();
+};
@@ -0,0 +1,43 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2022 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import { loader } from "zcanvas";
+
+/**
+ * Cache of the loaded images of the brush tips within the brush library,
+ * allowing synchronous retrieval when rendering brush strokes.
+ */
+const tipCache = new Map();
+
+export const getBrushTipImage = tipId => tipCache.get( tipId ) ?? null;
+
+export const hasBrushTipImage = tipId => tipCache.has( tipId );
+
+export const cacheBrushTip = async ({ id, src }) => {
+    const { image } = await loader.loadImage( src );
+    tipCache.set( id, image );
+    return image;
+};
+
+export const flushBrushTip = tipId => {
+    tipCache.delete( tipId );
+};
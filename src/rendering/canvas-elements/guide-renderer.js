@@ -22,11 +22,13 @@
  */
 import { sprite } from "zcanvas";
 import { SNAP_MARGIN } from "@/definitions/tool-types";
-import { fastRound } from "@/math/unit-math";
+import { fastRound, degreesToRadians } from "@/math/unit-math";
 import { isCoordinateInHorizontalRange, isCoordinateInVerticalRange } from "@/math/point-math";
+import { getSymmetryAxes } from "@/math/symmetry-math";
 import { getClosestSnappingPoints } from "@/rendering/snapping";
 
-const AMOUNT_OF_PIXELS = 1; // currently only 1 pixel grid supported
+const AMOUNT_OF_PIXELS   = 1; // currently only 1 pixel grid supported
+const SYMMETRY_MARKER_SIZE = 6; // radius (in screen pixels) of the symmetry center marker
 
 class GuideRenderer extends sprite  {
     constructor( zCanvasInstance = null ) {
@@ -42,9 +44,18 @@ class GuideRenderer extends sprite  {
         zCanvas?.addChild( this );
     }
 
-    setModes( drawGuides, drawPixelGrid ) {
-        this.drawGuides    = drawGuides;
-        this.drawPixelGrid = drawPixelGrid;
+    /**
+     * @param {Boolean} drawGuides whether to draw the snap alignment guides
+     * @param {Boolean} drawPixelGrid whether to draw the pixel grid
+     * @param {Boolean=} drawCropGuides whether to draw the rule of thirds within the crop area
+     * @param {Object=} symmetry optional brush symmetry options (including document width and height)
+     *                  describing the symmetry axes to draw
+     */
+    setModes( drawGuides, drawPixelGrid, drawCropGuides = false, symmetry = null ) {
+        this.drawGuides     = drawGuides;
+        this.drawPixelGrid  = drawPixelGrid;
+        this.drawCropGuides = drawCropGuides;
+        this.symmetry       = symmetry;
     }
 
     draw( ctx, viewport = null ) {
@@ -70,6 +81,22 @@ class GuideRenderer extends sprite  {
             ctx.stroke();
         }
 
+        /* rule of thirds within the crop area */
+
+        if ( this.drawCropGuides && this.canvas.interactionPane ) {
+            const { interactionPane } = this.canvas;
+            drawThirds(
+                ctx, viewport, interactionPane.getCropRectangle(),
+                degreesToRadians( interactionPane.toolOptions?.angle || 0 ), 1 / this.canvas.zoomFactor
+            );
+        }
+
+        /* brush symmetry axes and center */
+
+        if ( this.symmetry ) {
+            drawSymmetry( ctx, viewport, this.symmetry, 1 / this.canvas.zoomFactor );
+        }
+
         /* guides */
 
         if ( !this.drawGuides || !this.canvas.guides || !this.canvas.draggingSprite ) {
@@ -96,3 +123,55 @@ class GuideRenderer extends sprite  {
     }
 };
 export default GuideRenderer;
+
+/* internal methods */
+
+function drawThirds( ctx, viewport, { left, top, width, height }, angle, lineWidth ) {
+    const x = left - ( viewport?.left || 0 );
+    const y = top  - ( viewport?.top  || 0 );
+
+    ctx.save();
+    // the crop area is rotated in the opposite direction of the straighten angle (see InteractionPane)
+    if ( angle !== 0 ) {
+        ctx.translate( x + width / 2, y + height / 2 );
+        ctx.rotate( -angle );
+        ctx.translate( -( x + width / 2 ), -( y + height / 2 ));
+    }
+    ctx.strokeStyle = "rgba(255,255,255,.75)";
+    ctx.lineWidth   = lineWidth;
+    ctx.beginPath();
+    for ( let i = 1; i < 3; ++i ) {
+        ctx.moveTo( x + width * i / 3, y );
+        ctx.lineTo( x + width * i / 3, y + height );
+        ctx.moveTo( x, y + height * i / 3 );
+        ctx.lineTo( x + width, y + height * i / 3 );
+    }
+    ctx.stroke();
+    ctx.restore();
+}
+
+function drawSymmetry( ctx, viewport, symmetry, lineWidth ) {
+    const { width, height, symmetryX, symmetryY } = symmetry;
+    const vpLeft  = viewport?.left || 0;
+    const vpTop   = viewport?.top  || 0;
+    const centerX = symmetryX * width;
+    const centerY = symmetryY * height;
+
+    ctx.save();
+    ctx.strokeStyle = "rgba(0,255,255,.75)";
+    ctx.lineWidth   = lineWidth;
+    ctx.setLineDash([ lineWidth * 4, lineWidth * 4 ]);
+    ctx.beginPath();
+    for ( const { x1, y1, x2, y2 } of getSymmetryAxes( symmetry, centerX, centerY, width, height )) {
+        ctx.moveTo( x1 - vpLeft, y1 - vpTop );
+        ctx.lineTo( x2 - vpLeft, y2 - vpTop );
+    }
+    ctx.stroke();
+
+    // the center marker is drawn at a constant on-screen size, regardless of zoom level
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.arc( centerX - vpLeft, centerY - vpTop, SYMMETRY_MARKER_SIZE * lineWidth, 0, Math.PI * 2 );
+    ctx.stroke();
+    ctx.restore();
+}
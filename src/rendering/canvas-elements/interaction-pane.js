@@ -23,19 +23,45 @@
 import Vue from "vue";
 import { sprite } from "zcanvas";
 import { isInsideTransparentArea } from "@/utils/canvas-util";
+import { renderFullSize } from "@/utils/document-util";
 import { enqueueState } from "@/factories/history-state-factory";
+import ShapeFactory from "@/factories/shape-factory";
 import { getCanvasInstance, getSpriteForLayer } from "@/factories/sprite-factory";
-import { isPointInRange, translatePoints, snapToAngle, rectToCoordinateList } from "@/math/point-math";
+import {
+    getCropRatio, getCropHandles, getCropHandleAtPoint, resizeCrop, moveCrop, fitCropToRatio, CROP_MOVE
+} from "@/math/crop-math";
+import {
+    isPointInRange, translatePoints, translatePointerRotation, snapToAngle, distanceBetween,
+    rectToCoordinateList, ellipseToCoordinateList
+} from "@/math/point-math";
+import {
+    createAnchor, clonePath, moveAnchor, moveHandle, getPathHandleAtPoint, isHandleOnAnchor,
+    PATH_ANCHOR, PATH_HANDLE_OUT
+} from "@/math/path-math";
 import { scaleRectangle } from "@/math/rectangle-math";
-import { isSelectionClosed, createSelectionForRectangle } from "@/math/selection-math";
-import { fastRound } from "@/math/unit-math";
-import ToolTypes from "@/definitions/tool-types";
+import { areShapesClosed, createSelectionForRectangle, normalizeShape } from "@/math/selection-math";
+import { fastRound, degreesToRadians } from "@/math/unit-math";
+import SelectionModes from "@/definitions/selection-modes";
+import { isLineShape } from "@/definitions/shape-types";
+import ToolTypes, { MARQUEE_ELLIPSE, LASSO_FREEHAND, LASSO_MAGNETIC } from "@/definitions/tool-types";
 import LayerSprite from "@/rendering/canvas-elements/layer-sprite";
+import { selectByColor } from "@/rendering/magic-wand";
+import { createEdgeMap, snapToEdge } from "@/rendering/magnetic-lasso";
+import { combineSelection, modifySelection, SELECTION_EXPAND, SELECTION_CONTRACT } from "@/rendering/selection";
+import { traceShape, getShapeBounds } from "@/rendering/shape";
 import KeyboardService from "@/services/keyboard-service";
+import { addShapeLayer } from "@/utils/layer-util";
 
 export const MODE_PAN          = 0;
 export const MODE_LAYER_SELECT = 1;
 export const MODE_SELECTION    = 2;
+export const MODE_CROP         = 3;
+export const MODE_SHAPE        = 4;
+export const MODE_PEN          = 5;
+
+const FREEHAND_SPACING = 3; // minimum distance (in screen pixels) between points of a freehand lasso outline
+const CROP_HANDLE_SIZE = 8; // size (in screen pixels) of the handles used to resize the crop area
+const PATH_HANDLE_SIZE = 6; // size (in screen pixels) of the anchors and control handles of a path
 
 /**
  * InteractionPane is a top-level canvas-sized Sprite that captures all Canvas
@@ -43,7 +69,11 @@ export const MODE_SELECTION    = 2;
  *
  * 1. control viewport panning when dragging over the canvas in panMode
  * 2. select the active layer by finding non-transparent pixels at the pointer position
- * 3. create selection outlines that can be used across layers
+ * 3. create selection outlines that can be used across layers (also by color, using the magic wand)
+ *    where a selection can consist of multiple shapes (see selection-math.js)
+ * 4. define the area the document is cropped to (see crop-math.js)
+ * 5. draw the outline of a new vector shape layer (see shape.js)
+ * 6. draw and edit Bezier paths (see path-math.js)
  */
 class InteractionPane extends sprite {
     constructor( zCanvas ) {
@@ -91,11 +121,23 @@ class InteractionPane extends sprite {
                 this.resetSelection();
             }
             this._hasSelection    = document.selection.length > 0;
-            this._selectionClosed = isSelectionClosed( document.selection );
-            // we distinguish between the rectangular and lasso selection tool
+            this._selectionClosed = areShapesClosed( document.selection );
+            // we distinguish between the rectangular, lasso and magic wand selection tool
             this._isRectangleSelect = activeTool === ToolTypes.SELECTION;
+            this._isWandSelect      = activeTool === ToolTypes.WAND;
             // selection mode has an always active move listener
             this.forceMoveListener();
+        } else if ( document && mode === MODE_CROP ) {
+            if ( this._lastTool !== activeTool ) {
+                this._cropRect = null; // crop area initially spans the full document
+            }
+            this.forceMoveListener();
+        } else if ( document && mode === MODE_SHAPE ) {
+            this._shapeStart = null;
+            this.forceMoveListener();
+        } else if ( document && mode === MODE_PEN ) {
+            this._penHandle = null;
+            this.forceMoveListener();
         } else {
             // unsets move listener
             this.isDragging = false;
@@ -105,9 +147,17 @@ class InteractionPane extends sprite {
     }
 
     handleActiveTool( tool, remainInteractive ) {
-        if ( tool !== ToolTypes.LASSO && this.getActiveDocument()?.selection && !this._selectionClosed ) {
-            // reset unclosed selection when switching tools
-            this.resetSelection();
+        const selection = this.getActiveDocument()?.selection;
+        if ( tool !== ToolTypes.LASSO && selection && !this._selectionClosed ) {
+            // reset unclosed selection when switching tools, shapes that were
+            // closed prior to drawing the unclosed shape remain selected
+            if ( selection.length > 1 ) {
+                selection.pop();
+                this._selectionClosed = true;
+                this.invalidate();
+            } else {
+                this.resetSelection();
+            }
         }
         this.setInteractive( remainInteractive );
     }
@@ -129,19 +179,217 @@ class InteractionPane extends sprite {
         return getCanvasInstance().store.getters.activeLayer;
     }
 
+    /**
+     * Retrieves the area the document will be cropped to when using the crop tool. When undefined,
+     * this is the largest area of the ratio defined in the crop tool options that fits in the document.
+     */
+    getCropRectangle() {
+        const { width, height } = this.getActiveDocument();
+        const rect = this._cropRect;
+        if ( !rect || rect.left + rect.width > width || rect.top + rect.height > height ) {
+            this._cropRect = fitCropToRatio({ left: 0, top: 0, width, height }, getCropRatio( this.toolOptions ));
+        }
+        return this._cropRect;
+    }
+
+    /**
+     * Restores the crop area to its default (for instance after changing the crop ratio).
+     */
+    resetCrop() {
+        this._cropRect   = null;
+        this._cropHandle = null;
+        this.invalidate();
+    }
+
+    /**
+     * Crops the document to the current crop area, straightening the document by the angle
+     * defined in the crop tool options.
+     */
+    commitCrop() {
+        const { store } = getCanvasInstance();
+        const { left, top, width, height } = this.getCropRectangle();
+        const { angle, deletePixels } = this.toolOptions;
+
+        store.dispatch( "cropActiveDocument", {
+            left   : fastRound( left ),
+            top    : fastRound( top ),
+            width  : fastRound( width ),
+            height : fastRound( height ),
+            angle  : degreesToRadians( angle ),
+            deletePixels,
+        });
+        store.commit( "setToolOptionValue", { tool: ToolTypes.CROP, option: "angle", value: 0 });
+        this.resetCrop();
+    }
+
+    /**
+     * When the document is straightened, the crop area is displayed rotated in the opposite
+     * direction (see draw()). This translates given pointer coordinate to the unrotated crop area.
+     */
+    translateCropPointer( x, y ) {
+        const angle = degreesToRadians( this.toolOptions.angle || 0 );
+        if ( angle === 0 ) {
+            return { x, y };
+        }
+        return translatePointerRotation( x, y, this._cropCenter.x, this._cropCenter.y, -angle );
+    }
+
+    handleCropPress( x, y ) {
+        const rect = this.getCropRectangle();
+        this._cropCenter = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+        ({ x, y } = this.translateCropPointer( x, y ));
+
+        this._cropHandle = getCropHandleAtPoint( rect, x, y, CROP_HANDLE_SIZE / this.canvas.zoomFactor );
+        if ( !this._cropHandle ) {
+            // pressing outside of the crop area starts drawing a new area
+            const { width, height } = this.getActiveDocument();
+            this._cropRect = {
+                left   : Math.max( 0, Math.min( width  - 1, x )),
+                top    : Math.max( 0, Math.min( height - 1, y )),
+                width  : 1,
+                height : 1
+            };
+            this._cropHandle = "se";
+        }
+        this._cropStart = { x, y };
+    }
+
+    handleCropMove( x, y ) {
+        const document = this.getActiveDocument();
+        ({ x, y } = this.translateCropPointer( x, y ));
+
+        if ( this._cropHandle === CROP_MOVE ) {
+            this._cropRect  = moveCrop( this._cropRect, x - this._cropStart.x, y - this._cropStart.y, document );
+            this._cropStart = { x, y };
+        } else {
+            this._cropRect = resizeCrop( this._cropRect, this._cropHandle, x, y, getCropRatio( this.toolOptions ), document );
+        }
+        this.invalidate();
+    }
+
+    /**
+     * Retrieves the shape that is drawn from the pointer down coordinate to given coordinate,
+     * using the properties defined in the shape tool options. When holding shift, the shape
+     * is constrained to equal sides (or for lines: to 45 degree angles).
+     */
+    getDrawnShape( x, y ) {
+        const start = this._shapeStart;
+        if ( KeyboardService.hasShift() ) {
+            if ( isLineShape( this.toolOptions )) {
+                ({ x, y } = snapToAngle( x, y, start ));
+            } else {
+                const size = Math.max( Math.abs( x - start.x ), Math.abs( y - start.y ));
+                x = start.x + ( x < start.x ? -size : size );
+                y = start.y + ( y < start.y ? -size : size );
+            }
+        }
+        return ShapeFactory.create({ ...this.toolOptions, width: x - start.x, height: y - start.y });
+    }
+
+    /**
+     * Adds a new shape layer for the shape drawn from the pointer down coordinate to given coordinate.
+     */
+    commitDrawnShape( x, y ) {
+        const start = this._shapeStart;
+        const shape = this.getDrawnShape( x, y );
+
+        this._shapeStart = null;
+        this.invalidate();
+
+        // ignore clicks without drag
+        if ( Math.abs( shape.width ) < 1 && Math.abs( shape.height ) < 1 ) {
+            return;
+        }
+        // the shape is rendered with padding (to fit its stroke), offset the layer to keep the shape at the drawn position
+        const { width, height, padding } = getShapeBounds( shape );
+        addShapeLayer( getCanvasInstance().store, {
+            left : Math.min( start.x, start.x + shape.width )  - padding,
+            top  : Math.min( start.y, start.y + shape.height ) - padding,
+            width,
+            height,
+            shape,
+        });
+    }
+
+    /**
+     * Retrieves the path that is being edited by the PEN tool (see document.activePath)
+     */
+    getActivePath() {
+        const { paths, activePath } = this.getActiveDocument();
+        return paths?.[ activePath ] ?? null;
+    }
+
+    /**
+     * Stops editing the current path, a subsequent press will start a new path.
+     */
+    finishPath() {
+        getCanvasInstance().store.commit( "setActivePath", null );
+        this._penHandle = null;
+        this.invalidate();
+    }
+
+    /**
+     * Pressing on an anchor or control handle of the active path starts dragging it. Pressing on
+     * the first anchor of an open path closes the path. Pressing elsewhere adds a new anchor, where
+     * dragging the pointer defines the anchors control handles (e.g. the curvature of the path).
+     */
+    handlePenPress( x, y ) {
+        let path = this.getActivePath();
+        const target = path ? getPathHandleAtPoint( path, x, y, PATH_HANDLE_SIZE / this.canvas.zoomFactor ) : null;
+
+        if ( !target && ( !path || path.closed )) {
+            // closed paths can not be extended, start a new path instead
+            getCanvasInstance().store.dispatch( "addPath" );
+            path = this.getActivePath();
+        }
+        this._penOrgPath = clonePath( path );
+
+        if ( !target ) {
+            const lastAnchor = path.points[ path.points.length - 1 ];
+            if ( lastAnchor && KeyboardService.hasShift() ) {
+                ({ x, y } = snapToAngle( x, y, lastAnchor ));
+            }
+            path.points.push( createAnchor( x, y ));
+            this._penHandle = { index: path.points.length - 1, handle: PATH_HANDLE_OUT };
+        } else if ( target.index === 0 && target.handle === PATH_ANCHOR && !path.closed && path.points.length > 2 ) {
+            path.closed = true;
+            this._penHandle = { index: 0, handle: PATH_HANDLE_OUT };
+        } else {
+            this._penHandle = target;
+        }
+        this.invalidate();
+    }
+
+    handlePenMove( x, y ) {
+        const { index, handle } = this._penHandle;
+        const anchor = this.getActivePath()?.points[ index ];
+        if ( !anchor ) {
+            return;
+        }
+        if ( handle === PATH_ANCHOR ) {
+            moveAnchor( anchor, x, y );
+        } else {
+            // holding alt allows positioning the control handles independently (e.g. to create corners)
+            moveHandle( anchor, handle, x, y, !KeyboardService.hasAlt() );
+        }
+        this.invalidate();
+    }
+
     resetSelection() {
         const document = this.getActiveDocument();
         const currentSelection = document.selection || [];
         if ( this.mode === MODE_SELECTION ) {
             this.setSelection( [] );
-            if ( isSelectionClosed( currentSelection )) {
+            if ( areShapesClosed( currentSelection )) {
                 storeSelectionHistory( document, currentSelection, "reset" );
             }
         } else {
             Vue.delete( document, "selection" );
         }
         Vue.set( document, "invertSelection", false );
+        Vue.set( document, "selectionFeather", 0 );
         this._selectionClosed = false;
+        this._edgeMap         = null;
         syncSelection();
         this.invalidate();
     }
@@ -153,10 +401,149 @@ class InteractionPane extends sprite {
         if ( optStoreState ) {
             storeSelectionHistory( document, currentSelection );
         }
-        this._selectionClosed = value?.length > 1; // TODO: can we determine this from first and last point?
+        this._selectionClosed = areShapesClosed( value );
         this.invalidate();
     }
 
+    /**
+     * Softens the edges of the current selection by given radius (in pixels).
+     */
+    featherSelection( radius ) {
+        const document = this.getActiveDocument();
+        if ( !document.selection?.length ) {
+            return;
+        }
+        const curValue = document.selectionFeather || 0;
+        const updateFn = value => {
+            Vue.set( document, "selectionFeather", value );
+            syncSelection();
+        };
+        const commit = () => updateFn( radius );
+        commit();
+        enqueueState( "feather", {
+            undo() {
+                updateFn( curValue );
+            },
+            redo: commit
+        });
+    }
+
+    /**
+     * Modifies the outline of the current selection (see rendering/selection.js).
+     */
+    modifySelection( type, radius ) {
+        const document = this.getActiveDocument();
+        if ( !areShapesClosed( document.selection )) {
+            return;
+        }
+        // for inverted selections, expanding the visible selection means contracting the selected shapes
+        if ( document.invertSelection ) {
+            type = type === SELECTION_EXPAND ? SELECTION_CONTRACT : type === SELECTION_CONTRACT ? SELECTION_EXPAND : type;
+        }
+        this.setSelection( modifySelection( document.selection, type, radius, document.width, document.height ), true );
+        syncSelection();
+    }
+
+    /**
+     * The shape that is currently being drawn is the last shape in the selection.
+     */
+    getActiveShape() {
+        const { selection } = this.getActiveDocument();
+        return selection?.[ selection.length - 1 ];
+    }
+
+    /**
+     * Determines how a newly drawn shape is combined with the existing selection. The modifier
+     * keys held down when starting the shape take precedence over the tool options.
+     */
+    getSelectionMode() {
+        const shift = KeyboardService.hasShift();
+        const alt   = KeyboardService.hasAlt();
+        if ( shift && alt ) {
+            return SelectionModes.INTERSECT;
+        }
+        if ( shift ) {
+            return SelectionModes.ADD;
+        }
+        if ( alt ) {
+            return SelectionModes.SUBTRACT;
+        }
+        return getCanvasInstance().store.getters.selectionOptions.mode;
+    }
+
+    /**
+     * Invoked when the shape that is currently being drawn has been closed. The shape
+     * is combined with the shapes that were selected prior to drawing it.
+     */
+    commitShape() {
+        const document = this.getActiveDocument();
+        const previousSelection = document.selection.slice( 0, -1 );
+        const shape = normalizeShape( this.getActiveShape() );
+
+        Vue.set( document, "selection", combineSelection(
+            previousSelection, shape, this._selectionMode, document.width, document.height
+        ));
+        this._selectionClosed = areShapesClosed( document.selection );
+        this._edgeMap = null;
+        storeSelectionHistory( document, previousSelection );
+        this.invalidate();
+    }
+
+    isLassoType( type ) {
+        return !this._isRectangleSelect && !this._isWandSelect && this.toolOptions?.type === type;
+    }
+
+    /**
+     * Invoked when moving the pointer while drawing an unclosed lasso shape. Depending on the lasso type,
+     * points are added while dragging (freehand) or while moving along the edges in the image (magnetic).
+     */
+    extendLasso( x, y ) {
+        const shape     = this.getActiveShape();
+        const lastPoint = shape?.[ shape.length - 1 ];
+        if ( !lastPoint ) {
+            return;
+        }
+        if ( this.isLassoType( LASSO_FREEHAND )) {
+            if ( this.pointerDown && distanceBetween( lastPoint, { x, y }) >= FREEHAND_SPACING / this.canvas.zoomFactor ) {
+                shape.push({ x, y });
+            }
+        } else if ( this.isLassoType( LASSO_MAGNETIC ) && !this.hasShiftOverride() ) {
+            const point = this.snapToEdge( x, y );
+            if ( distanceBetween( lastPoint, point ) >= this.toolOptions.width ) {
+                shape.push( point );
+            }
+        }
+    }
+
+    /**
+     * Holding down Shift while drawing a lasso shape snaps its points to angles (polygonal) or places
+     * points without snapping to edges (magnetic). As Shift is also the modifier to add a new shape to
+     * the selection (see getSelectionMode()), it only acts as an override once it has been released
+     * after starting the shape.
+     */
+    hasShiftOverride() {
+        if ( !KeyboardService.hasShift() ) {
+            this._shiftOnStart = false;
+            return false;
+        }
+        return !this._shiftOnStart;
+    }
+
+    /**
+     * Snaps given coordinate onto the nearest strong edge within the merged image of all layers.
+     */
+    snapToEdge( x, y ) {
+        if ( !this._edgeMap ) {
+            const document = this.getActiveDocument();
+            const { width, height } = document;
+            const { data } = renderFullSize( document ).getContext( "2d" ).getImageData( 0, 0, width, height );
+            this._edgeMap = { width, height, edges: createEdgeMap( data, width, height ) };
+        }
+        const { edges, width, height } = this._edgeMap;
+        const { contrast } = this.toolOptions;
+        return snapToEdge( edges, width, height, x, y, Math.max( 1, Math.round( this.toolOptions.width )), contrast );
+    }
+
     invertSelection() {
         const document = this.getActiveDocument();
         if ( document.selection?.length > 0 ) {
@@ -177,11 +564,42 @@ class InteractionPane extends sprite {
         }
     }
 
+    /**
+     * Selects the pixels that are similar in color to the pixel at given coordinate
+     * (see tool-options-wand.vue for the options), sampling either the active layer
+     * or all layers merged.
+     */
+    selectByColor( x, y ) {
+        const { getters } = getCanvasInstance().store;
+        const document = this.getActiveDocument();
+        const { tolerance, contiguous, sampleMerged } = this.toolOptions;
+
+        x = Math.round( x );
+        y = Math.round( y );
+
+        if ( x < 0 || y < 0 || x >= document.width || y >= document.height ) {
+            return;
+        }
+        if ( !sampleMerged && !getters.activeLayer ) {
+            return;
+        }
+        const source = renderFullSize( document, sampleMerged ? [] : [ getters.activeLayerIndex ]);
+        const shapes = selectByColor( source.getContext( "2d" ), x, y, tolerance, contiguous );
+
+        if ( shapes.length === 0 ) {
+            return;
+        }
+        Vue.set( document, "invertSelection", false );
+        Vue.set( document, "selectionFeather", 0 );
+        this.setSelection( shapes, true ); // note holes are wound counter-clockwise
+        syncSelection();
+    }
+
     selectAll( targetLayer = null ) {
         const bounds = targetLayer ? getSpriteForLayer( targetLayer ).getBounds() : this._bounds;
-        this.setSelection(
+        this.setSelection([
             rectToCoordinateList( bounds.left, bounds.top, bounds.width, bounds.height )
-        );
+        ]);
     }
 
     // cheap way to hook into zCanvas.handleMove()-handler so we can keep following the cursor in tool modes
@@ -220,30 +638,73 @@ class InteractionPane extends sprite {
                 break;
 
             case MODE_SELECTION:
-                if ( !this._selectionClosed ) {
-                    const document      = this.getActiveDocument();
-                    const { selection } = document;
-                    // selection mode, set the click coordinate as the first point in the selection
-                    const firstPoint = selection[ 0 ];
-                    let storeHistory = false;
-                    if ( firstPoint ) {
-                        if ( KeyboardService.hasShift() ) {
-                            ({ x, y } = snapToAngle( x, y, selection[ selection.length - 1 ] ));
-                        }
-                        else if ( isPointInRange( x, y, firstPoint.x, firstPoint.y, 5 / this.canvas.zoomFactor )) {
-                            // point was in range of start coordinate, snap and close selection
-                            this._selectionClosed = true;
-                            x = firstPoint.x;
-                            y = firstPoint.y;
-                            storeHistory = true;
-                        }
-                    }
-                    selection.push({ x, y });
-                    if ( storeHistory ) {
-                        storeSelectionHistory( document );
-                    }
+                if ( this._isWandSelect ) {
+                    this.selectByColor( x, y );
+                } else {
+                    this.addSelectionPoint( x, y );
                 }
                 break;
+
+            case MODE_CROP:
+                this.handleCropPress( x, y );
+                break;
+
+            case MODE_SHAPE:
+                this._shapeStart = { x, y };
+                break;
+
+            case MODE_PEN:
+                this.handlePenPress( x, y );
+                break;
+        }
+    }
+
+    /**
+     * Adds a point to the shape that is currently being drawn. When there is no shape
+     * being drawn, a new shape is started (unless the existing selection is to be dragged).
+     */
+    addSelectionPoint( x, y ) {
+        const document = this.getActiveDocument();
+        if ( !document.selection ) {
+            Vue.set( document, "selection", [] );
+        }
+        if ( this._selectionClosed || document.selection.length === 0 ) {
+            // pressing down on a closed selection drags it (see handleMove()), unless
+            // a new shape is to be combined with the existing selection
+            const mode = this.getSelectionMode();
+            if ( this._selectionClosed && mode === SelectionModes.REPLACE ) {
+                return;
+            }
+            this._selectionMode   = mode;
+            this._selectionClosed = false;
+            this._edgeMap         = null; // a magnetic lasso shape snaps to the current image contents
+            this._shiftOnStart    = KeyboardService.hasShift(); // see hasShiftOverride()
+            document.selection.push( [] );
+        }
+        if ( !this._selectionClosed ) {
+            const shape = this.getActiveShape();
+            // selection mode, set the click coordinate as the first point in the shape
+            const firstPoint = shape[ 0 ];
+            let closeShape = false;
+            if ( firstPoint ) {
+                if ( this.hasShiftOverride() ) {
+                    ({ x, y } = snapToAngle( x, y, shape[ shape.length - 1 ] ));
+                }
+                else if ( isPointInRange( x, y, firstPoint.x, firstPoint.y, 5 / this.canvas.zoomFactor )) {
+                    // point was in range of start coordinate, snap and close shape
+                    this._selectionClosed = true;
+                    x = firstPoint.x;
+                    y = firstPoint.y;
+                    closeShape = true;
+                }
+            }
+            if ( !closeShape && !this.hasShiftOverride() && this.isLassoType( LASSO_MAGNETIC )) {
+                ({ x, y } = this.snapToEdge( x, y ));
+            }
+            shape.push({ x, y });
+            if ( closeShape ) {
+                this.commitShape();
+            }
         }
     }
 
@@ -259,12 +720,32 @@ class InteractionPane extends sprite {
                 return;
             case MODE_SELECTION:
                 // when mouse is down and selection is closed, drag the selection
-                if ( this._selectionClosed && this.pointerDown ) {
+                // (note the magic wand creates a new selection on each press instead)
+                if ( this._selectionClosed && this.pointerDown && !this._isWandSelect ) {
                     const document = this.getActiveDocument();
                     const currentSelection = document.selection;
-                    document.selection = translatePoints( currentSelection, x - this._dragStartEventCoordinates.x, y - this._dragStartEventCoordinates.y);
+                    document.selection = currentSelection.map( shape => translatePoints( shape, x - this._dragStartEventCoordinates.x, y - this._dragStartEventCoordinates.y ));
                     this._dragStartEventCoordinates = { x, y }; // update to current position so we can easily move the selection using relative deltas
                     storeSelectionHistory( document, currentSelection, "drag" );
+                } else if ( !this._selectionClosed && !this._isRectangleSelect && !this._isWandSelect ) {
+                    this.extendLasso( x, y );
+                }
+                break;
+            case MODE_CROP:
+                if ( this.pointerDown && this._cropHandle ) {
+                    this.handleCropMove( x, y );
+                }
+                break;
+            case MODE_SHAPE:
+                if ( this.pointerDown && this._shapeStart ) {
+                    this.invalidate();
+                }
+                break;
+            case MODE_PEN:
+                if ( this.pointerDown && this._penHandle ) {
+                    this.handlePenMove( x, y );
+                } else {
+                    this.invalidate(); // shows the next segment of the path at the pointer position
                 }
                 break;
             case MODE_PAN:
@@ -287,60 +768,101 @@ class InteractionPane extends sprite {
         const isDoubleClick = ( now - this._lastRelease ) < 250;
         this._lastRelease   = now;
 
+        if ( this.mode === MODE_CROP ) {
+            this.forceMoveListener(); // keep the move listener active
+            // double clicking inside the crop area commits the crop
+            if ( isDoubleClick && this._cropHandle === CROP_MOVE ) {
+                this.commitCrop();
+            }
+            this._cropHandle = null;
+            return;
+        }
+        if ( this.mode === MODE_SHAPE ) {
+            this.forceMoveListener(); // keep the move listener active
+            if ( this._shapeStart ) {
+                this.commitDrawnShape( x, y );
+            }
+            return;
+        }
+        if ( this.mode === MODE_PEN ) {
+            this.forceMoveListener(); // keep the move listener active
+            if ( this._penHandle ) {
+                storePathHistory( this.getActiveDocument().activePath, this._penOrgPath, this.getActivePath() );
+                this._penHandle = null;
+            }
+            // double clicking finishes the current path
+            if ( isDoubleClick ) {
+                this.finishPath();
+            }
+            return;
+        }
         if ( this.mode === MODE_SELECTION ) {
             this.forceMoveListener(); // keep the move listener active
+            if ( this._isWandSelect ) {
+                return;
+            }
             if ( isDoubleClick && this._selectionClosed ) {
                 this.resetSelection();
                 return;
             }
             const document = this.getActiveDocument();
+            const shape    = this.getActiveShape();
             if ( this._isRectangleSelect ) {
-                if ( document.selection.length > 0 && !this._selectionClosed ) {
-                    // when releasing in rectangular select mode, set the selection to
+                if ( shape?.length > 0 && !this._selectionClosed ) {
+                    // when releasing in rectangular select mode, set the shape to fit inside
                     // the bounding box of the down press coordinate and this release coordinate
-                    const firstPoint = document.selection[ 0 ];
-                    const { width, height } = calculateSelectionSize( firstPoint, x, y, this.toolOptions );
-                    document.selection = rectToCoordinateList( firstPoint.x, firstPoint.y, width, height );
-                    this._selectionClosed = true;
-                    storeSelectionHistory( document );
+                    document.selection.splice( -1, 1, createMarqueeShape( shape[ 0 ], x, y, this.toolOptions ));
+                    this.commitShape();
                 }
             }
-            else if ( isDoubleClick && !this._selectionClosed ) {
-                // double click on unclosed lasso tool selections auto-closes the selection
-                document.selection.push({ ...document.selection[ 0 ] });
-                this._selectionClosed = true;
-                storeSelectionHistory( document );
+            else if ( this.isLassoType( LASSO_FREEHAND ) && !this._selectionClosed && shape?.length > 2 ) {
+                // releasing the pointer closes freehand lasso shapes
+                shape.push({ ...shape[ 0 ] });
+                this.commitShape();
+            }
+            else if ( isDoubleClick && !this._selectionClosed && shape?.length > 0 ) {
+                // double click on unclosed lasso tool selections auto-closes the shape
+                shape.push({ ...shape[ 0 ] });
+                this.commitShape();
             }
         }
     }
 
     draw( ctx, viewport ) {
+        if ( this.mode === MODE_CROP ) {
+            drawCropArea( ctx, this.canvas, viewport, this.getCropRectangle(), degreesToRadians( this.toolOptions.angle || 0 ));
+            return;
+        }
+        if ( this.mode === MODE_SHAPE && this._shapeStart ) {
+            drawShapeOutline( ctx, this.canvas, viewport, this._shapeStart, this.getDrawnShape( this._pointerX, this._pointerY ));
+            return;
+        }
         // render selection outline
         let { selection, invertSelection, width, height } = this.getActiveDocument();
         if ( /*this.mode === MODE_SELECTION && */ selection?.length ) {
-            const firstPoint    = selection[ 0 ];
+            const shape         = selection[ selection.length - 1 ];
+            const firstPoint    = shape[ 0 ];
             const localPointerX = this._pointerX - viewport.left; // local to viewport
             const localPointerY = this._pointerY - viewport.top;
-            const hasUnclosedSelection = selection.length && !this._selectionClosed;
+            const hasUnclosedSelection = !!firstPoint && !this._selectionClosed;
 
-            // when in rectangular select mode, the outline will draw from the first coordinate
-            // (defined in handlePress()) to the current pointer coordinate
+            // when in rectangular select mode, the outline of the active shape will draw from
+            // the first coordinate (defined in handlePress()) to the current pointer coordinate
             if ( this._isRectangleSelect && hasUnclosedSelection ) {
-                const { width, height } = calculateSelectionSize( firstPoint, this._pointerX, this._pointerY, this.toolOptions );
-                selection = rectToCoordinateList( firstPoint.x, firstPoint.y, width, height );
+                selection = [ ...selection.slice( 0, -1 ), createMarqueeShape( firstPoint, this._pointerX, this._pointerY, this.toolOptions )];
             }
             // for unclosed lasso selections, draw line to current cursor position
             let currentPosition = null;
             if ( !this._isRectangleSelect && hasUnclosedSelection ) {
-                currentPosition = KeyboardService.hasShift() ?
-                    snapToAngle( localPointerX, localPointerY, selection[ selection.length - 1 ], viewport )
+                currentPosition = this.hasShiftOverride() ?
+                    snapToAngle( localPointerX, localPointerY, shape[ shape.length - 1 ], viewport )
                 : { x: localPointerX, y: localPointerY };
             }
 
-            // draw each point in the selection
+            // draw each shape in the selection
             drawSelection( ctx, this.canvas, viewport, selection, currentPosition );
             if ( invertSelection && !hasUnclosedSelection ) {
-                drawSelection( ctx, this.canvas, viewport, createSelectionForRectangle( width, height ), currentPosition );
+                drawSelection( ctx, this.canvas, viewport, [ createSelectionForRectangle( width, height ) ], currentPosition );
             }
 
             // highlight current cursor position for unclosed selections
@@ -378,6 +900,15 @@ class InteractionPane extends sprite {
             }
         }
 
+        if ( this.mode === MODE_PEN ) {
+            const path = this.getActivePath();
+            if ( path ) {
+                // unless dragging, show the segment that is added on the next press
+                const pointer = this._penHandle ? null : { x: this._pointerX, y: this._pointerY };
+                drawPath( ctx, this.canvas, viewport, path, pointer );
+            }
+        }
+
         // DEBUG only
         //ctx.fillStyle = "rgba(255,0,128,.5)";
         //ctx.fillRect( 0, 0, this._bounds.width, this._bounds.height );
@@ -402,19 +933,144 @@ function drawSelectionOutline( ctx, zCanvas, viewport, selection, color, current
     ctx.lineWidth = 2 / zCanvas.zoomFactor;
     ctx.beginPath();
     ctx.strokeStyle = color;
-    selection.forEach(( point, index ) => {
-        ctx[ index === 0 ? "moveTo" : "lineTo" ](
-            ( .5 + point.x - viewport.left ) << 0,
-            ( .5 + point.y - viewport.top )  << 0
-        );
+    selection.forEach( shape => {
+        shape.forEach(( point, index ) => {
+            ctx[ index === 0 ? "moveTo" : "lineTo" ](
+                ( .5 + point.x - viewport.left ) << 0,
+                ( .5 + point.y - viewport.top )  << 0
+            );
+        });
     });
-    // for lasso selections, draw line to current cursor position
+    // for lasso selections, draw line from the last point of the active shape to current cursor position
     if ( currentPosition && currentPosition.x !== 0 && currentPosition.y !== 0 ) {
         ctx.lineTo(( .5 + currentPosition.x ) << 0, ( .5 + currentPosition.y ) << 0 );
     }
     ctx.stroke();
 }
 
+// draws the area the document is cropped to, darkening the surrounding area (note the crop area
+// is displayed rotated in the opposite direction of the angle the document is to be straightened by)
+
+function drawCropArea( ctx, zCanvas, viewport, rect, angle ) {
+    const { zoomFactor } = zCanvas;
+    const { left, top, width, height } = rect;
+    const x = left - viewport.left;
+    const y = top  - viewport.top;
+    const margin     = viewport.width + viewport.height;
+    const handleSize = CROP_HANDLE_SIZE / zoomFactor;
+
+    ctx.save();
+    if ( angle !== 0 ) {
+        const centerX = x + width  / 2;
+        const centerY = y + height / 2;
+        ctx.translate( centerX, centerY );
+        ctx.rotate( -angle );
+        ctx.translate( -centerX, -centerY );
+    }
+    ctx.beginPath();
+    ctx.rect( x - margin, y - margin, width + margin * 2, height + margin * 2 );
+    ctx.rect( x, y, width, height );
+    ctx.fillStyle = "rgba(0,0,0,.5)";
+    ctx.fill( "evenodd" );
+
+    ctx.lineWidth   = 1 / zoomFactor;
+    ctx.strokeStyle = "#FFF";
+    ctx.strokeRect( x, y, width, height );
+
+    ctx.fillStyle = "#0db0bc";
+    getCropHandles( rect ).forEach( handle => {
+        ctx.fillRect( handle.x - viewport.left - handleSize / 2, handle.y - viewport.top - handleSize / 2, handleSize, handleSize );
+    });
+    ctx.restore();
+}
+
+// draws the outline of the shape that is being drawn by the SHAPE tool
+
+function drawShapeOutline( ctx, zCanvas, viewport, start, shape ) {
+    const x = Math.min( start.x, start.x + shape.width )  - viewport.left;
+    const y = Math.min( start.y, start.y + shape.height ) - viewport.top;
+
+    ctx.save();
+    traceShape( ctx, shape, x, y );
+    ctx.lineWidth   = 1 / zCanvas.zoomFactor;
+    ctx.strokeStyle = "#0db0bc";
+    ctx.stroke();
+    ctx.restore();
+}
+
+// draws the curves, anchors and control handles of a path drawn using the PEN tool
+
+function drawPath( ctx, zCanvas, viewport, path, pointer = null ) {
+    const { zoomFactor } = zCanvas;
+    const { points, closed } = path;
+    const handleSize = PATH_HANDLE_SIZE / zoomFactor;
+    const toLocal    = point => ({ x: point.x - viewport.left, y: point.y - viewport.top });
+
+    if ( !points.length ) {
+        return;
+    }
+    ctx.save();
+    ctx.lineWidth   = 1 / zoomFactor;
+    ctx.strokeStyle = "#0db0bc";
+
+    // curves
+    ctx.beginPath();
+    const first = toLocal( points[ 0 ]);
+    ctx.moveTo( first.x, first.y );
+    const amount = closed ? points.length : points.length - 1;
+    for ( let i = 0; i < amount; ++i ) {
+        const start = points[ i ];
+        const end   = points[ ( i + 1 ) % points.length ];
+        const c1 = toLocal( start.out );
+        const c2 = toLocal( end.in );
+        const p  = toLocal( end );
+        ctx.bezierCurveTo( c1.x, c1.y, c2.x, c2.y, p.x, p.y );
+    }
+    if ( pointer && !closed ) {
+        const p = toLocal( pointer );
+        ctx.lineTo( p.x, p.y );
+    }
+    ctx.stroke();
+
+    // control handles
+    points.forEach( anchor => {
+        const a = toLocal( anchor );
+        [ anchor.in, anchor.out ].forEach( handle => {
+            if ( isHandleOnAnchor( anchor, handle )) {
+                return;
+            }
+            const h = toLocal( handle );
+            ctx.beginPath();
+            ctx.moveTo( a.x, a.y );
+            ctx.lineTo( h.x, h.y );
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.arc( h.x, h.y, handleSize / 2, 0, 2 * Math.PI );
+            ctx.fillStyle = "#0db0bc";
+            ctx.fill();
+        });
+    });
+
+    // anchors
+    ctx.fillStyle = "#FFF";
+    points.forEach( anchor => {
+        const a = toLocal( anchor );
+        ctx.fillRect( a.x - handleSize / 2, a.y - handleSize / 2, handleSize, handleSize );
+        ctx.strokeRect( a.x - handleSize / 2, a.y - handleSize / 2, handleSize, handleSize );
+    });
+    ctx.restore();
+}
+
+// creates the shape drawn by the SELECTION tool, fitting inside the bounding box of given coordinates
+
+function createMarqueeShape( firstPoint, destX, destY, toolOptions ) {
+    const { width, height } = calculateSelectionSize( firstPoint, destX, destY, toolOptions );
+    if ( toolOptions.shape === MARQUEE_ELLIPSE ) {
+        return ellipseToCoordinateList( firstPoint.x, firstPoint.y, width, height );
+    }
+    return rectToCoordinateList( firstPoint.x, firstPoint.y, width, height );
+}
+
 function calculateSelectionSize( firstPoint, destX, destY, { lockRatio, xRatio, yRatio }) {
     if ( !lockRatio && !KeyboardService.hasShift() ) {
         return {
@@ -437,6 +1093,24 @@ function syncSelection() {
     getSpriteForLayer( getters.activeLayer )?.setSelection( getters.activeDocument );
 }
 
+function storePathHistory( name, orgPath, path ) {
+    const { store } = getCanvasInstance();
+    const updatedPath = clonePath( path );
+    const update = value => {
+        store.commit( "savePath", { name, path: clonePath( value ) });
+        store.commit( "setActivePath", name );
+        getCanvasInstance()?.interactionPane.invalidate();
+    };
+    enqueueState( `path_${name}`, {
+        undo() {
+            update( orgPath );
+        },
+        redo() {
+            update( updatedPath );
+        }
+    });
+}
+
 function storeSelectionHistory( document, optPreviousSelection = [], optType = "" ) {
     const selection = [ ...document.selection ];
     enqueueState( `selection_${document.name}${optType}`, {
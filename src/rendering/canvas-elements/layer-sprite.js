@@ -22,19 +22,28 @@
  */
 import Vue from "vue";
 import ZoomableSprite from "./zoomable-sprite";
-import { createCanvas, canvasToBlob, globalToLocal } from "@/utils/canvas-util";
+import { createCanvas, cloneCanvas, canvasToBlob, globalToLocal } from "@/utils/canvas-util";
 import { renderCross } from "@/utils/render-util";
+import {
+    isGroup, isLayerVisible, isTranslucentGroup, getClippingBase, getCompositedGroup, getLayerAncestors, getLayerDescendants
+} from "@/utils/layer-util";
 import { blobToResource } from "@/utils/resource-manager";
-import { LAYER_GRAPHIC, LAYER_TEXT } from "@/definitions/layer-types";
+import { DEFAULT_BLEND_MODE, getBlendMode } from "@/definitions/blend-modes";
+import { LAYER_ADJUSTMENT, LAYER_GRAPHIC, LAYER_SHAPE, LAYER_TEXT } from "@/definitions/layer-types";
 import { getSizeForBrush } from "@/definitions/brush-types";
-import { getRectangleForSelection, isSelectionClosed } from "@/math/selection-math";
+import { getRectangleForSelection, areShapesClosed } from "@/math/selection-math";
 import { scaleRectangle, rotateRectangle } from "@/math/rectangle-math";
 import { translatePointerRotation } from "@/math/point-math";
+import { stabilizePointers } from "@/math/stroke-math";
+import { getSymmetricalPointers } from "@/math/symmetry-math";
 import { renderEffectsForLayer } from "@/services/render-service";
-import { clipContextToSelection } from "@/rendering/clipping";
+import { clipContextToSelection, createFeatherMask, createSoftSelectionMask, drawThroughMask } from "@/rendering/clipping";
+import { renderAdjustment, renderClipped, renderIsolated } from "@/rendering/compositing";
 import { renderClonedStroke } from "@/rendering/cloning";
 import { renderBrushStroke } from "@/rendering/drawing";
 import { floodFill } from "@/rendering/fill";
+import { renderGradient } from "@/rendering/gradient";
+import { getSoftSelection } from "@/rendering/selection";
 import { snapSpriteToGuide } from "@/rendering/snapping";
 import { applyTransformation } from "@/rendering/transforming";
 import { flushLayerCache, clearCacheProperty } from "@/rendering/cache/bitmap-cache";
@@ -42,6 +51,7 @@ import {
     getTempCanvas, renderTempCanvas, disposeTempCanvas, slicePointers, createOverrideConfig
 } from "@/rendering/lowres";
 import BrushFactory from "@/factories/brush-factory";
+import { createAdjustmentSource } from "@/factories/layer-factory";
 import { getSpriteForLayer } from "@/factories/sprite-factory";
 import { enqueueState } from "@/factories/history-state-factory";
 import ToolTypes, { canDrawOnSelection } from "@/definitions/tool-types";
@@ -63,15 +73,20 @@ class LayerSprite extends ZoomableSprite {
 
         this.layer = layer; // the Layer this Sprite will be rendering
 
-        if ([ LAYER_GRAPHIC, LAYER_TEXT ].includes( layer.type ) && !layer.source ) {
+        if ([ LAYER_GRAPHIC, LAYER_TEXT, LAYER_SHAPE ].includes( layer.type ) && !layer.source ) {
             // create a Canvas on which this layer will render its drawable content.
             const { cvs } = createCanvas( layer.width, layer.height );
             layer.source = cvs;
+        } else if ( layer.type === LAYER_ADJUSTMENT && !layer.source ) {
+            layer.source = createAdjustmentSource( layer.width, layer.height );
         }
 
         this._pointerX = 0;
         this._pointerY = 0;
 
+        // incremented whenever the rendered contents change (see getAdjustmentDependencies())
+        this._revision = 0;
+
         // brush properties (used for both drawing on LAYER_GRAPHIC types and to create layer masks)
         this._brush = BrushFactory.create();
 
@@ -148,9 +163,20 @@ class LayerSprite extends ZoomableSprite {
         });
     }
 
+    /**
+     * Replicate given pointers (in document coordinates) around the symmetry axes defined
+     * in the brush options. Returns the list of all strokes (the first being given pointers).
+     */
+    getSymmetricalPointers( pointers ) {
+        const { options } = this._brush;
+        const { width, height } = this.getStore().getters.activeDocument;
+        return getSymmetricalPointers( pointers, options, options.symmetryX * width, options.symmetryY * height );
+    }
+
     storeBrushPointer( x, y ) {
         this._brush.down = true;
-        this._brush.pointers.push({ x, y });
+        // when drawing with a pressure sensitive device, its pressure and tilt are stored alongside the coordinates
+        this._brush.pointers.push({ x, y, ...this.canvas?.pointerData });
     }
 
     cacheEffects() {
@@ -168,6 +194,7 @@ class LayerSprite extends ZoomableSprite {
 
     resetFilterAndRecache() {
         clearCacheProperty( this.layer, "filterData" ); // filter must be applied to new contents
+        clearCacheProperty( this.layer, "stylesData" ); // as must the layer styles
         this.cacheEffects(); // sync mask and source changes with sprite Bitmap
     }
 
@@ -175,18 +202,30 @@ class LayerSprite extends ZoomableSprite {
         return this._bitmap;
     }
 
+    /**
+     * Layer styles that are rendered around the layer contents are drawn from a separate,
+     * padded bitmap (see rendering/styles.js) which is rendered below the Sprites bitmap
+     *
+     * @param {{ cvs: HTMLCanvasElement, padding: Number }|null} underlay
+     */
+    setStylesUnderlay( underlay = null ) {
+        this._stylesUnderlay = underlay;
+    }
+
     handleActiveLayer({ id }) {
         this.setInteractive( this.layer.id === id );
     }
 
     setSelection( document, onlyWhenClosed = false ) {
         const { selection } = document;
-        if ( !onlyWhenClosed || ( isSelectionClosed( selection ) && canDrawOnSelection( this.layer ))) {
+        if ( !onlyWhenClosed || ( areShapesClosed( selection ) && canDrawOnSelection( this.layer ))) {
             this._selection = selection?.length ? selection : null;
         } else {
             this._selection = null;
         }
         this._invertSelection = this._selection && document.invertSelection;
+        this._selectionFeather = this._selection ? document.selectionFeather || 0 : 0;
+        this._softSelection    = this._selection ? getSoftSelection( document ) : null;
     }
 
     handleActiveTool( tool, toolOptions, activeDocument ) {
@@ -198,6 +237,7 @@ class LayerSprite extends ZoomableSprite {
         this._toolType         = null;
         this._toolOptions      = null;
         this._cloneStartCoords = null;
+        this._gradient         = null;
 
         // store pending paint states (if there were any)
         this.storePaintState();
@@ -223,6 +263,7 @@ class LayerSprite extends ZoomableSprite {
                 break;
             // drawables
             case ToolTypes.FILL:
+            case ToolTypes.GRADIENT:
             case ToolTypes.ERASER:
             case ToolTypes.BRUSH:
             case ToolTypes.CLONE:
@@ -248,7 +289,7 @@ class LayerSprite extends ZoomableSprite {
         this._dragStartEventCoordinates = { x: this._pointerX, y: this._pointerY };
     }
 
-    // draw onto the source Bitmap (e.g. brushing / fill tool / eraser)
+    // draw onto the source Bitmap (e.g. brushing / fill tool / gradient tool / eraser)
 
     paint( optAction = null ) {
         if ( !this._pendingPaintState ) {
@@ -261,6 +302,7 @@ class LayerSprite extends ZoomableSprite {
         const isEraser     = this._toolType === ToolTypes.ERASER;
         const isCloneStamp = this._toolType === ToolTypes.CLONE;
         const isFillMode   = this._toolType === ToolTypes.FILL;
+        const isGradient   = this._toolType === ToolTypes.GRADIENT;
 
         // get the drawing context
         let ctx = ( drawOnMask ? this.layer.mask : this.layer.source ).getContext( "2d" );
@@ -274,14 +316,27 @@ class LayerSprite extends ZoomableSprite {
 
         // if there is an active selection, painting will be constrained within
         let selectionPoints = optAction?.selection || this._selection;
+        let featherMask     = null;
+        let featherTarget   = null;
         if ( selectionPoints ) {
             let { left, top } = this.layer;
             if ( this.isRotated() && !isLowResPreview ) {
-                selectionPoints = rotatePointerLists( selectionPoints, this.layer, width, height );
+                selectionPoints = selectionPoints.map( shape => rotatePointerLists( shape, this.layer, width, height ));
                 left = top = 0; // pointers have been rotated within clipping context
             }
-            ctx.save(); // 2. clipping save()
-            clipContextToSelection( ctx, selectionPoints, left, top, this._invertSelection );
+            // feathered and soft selections are honoured once the final paint operation has been rendered
+            // onto a copy of the source, which is then drawn through the selections soft edged mask
+            // (strokes are aligned with the selection outline and low res previews remain hard edged,
+            // soft selections are not transformed and as such only apply to non-rotated layers)
+            const hasSoftSelection = !!this._softSelection && !this.isRotated();
+            if (( this._selectionFeather > 0 || hasSoftSelection ) && !optAction && !isLowResPreview ) {
+                featherMask   = this.getFeatherMask( selectionPoints, width, height, left, top );
+                featherTarget = ctx;
+                ctx = cloneCanvas( ctx.canvas ).getContext( "2d" );
+            } else {
+                ctx.save(); // 2. clipping save()
+                clipContextToSelection( ctx, selectionPoints, left, top, this._invertSelection );
+            }
         }
 
         if ( optAction ) {
@@ -289,6 +344,8 @@ class LayerSprite extends ZoomableSprite {
                 ctx.strokeStyle = optAction.color;
                 ctx.lineWidth   = ( optAction.size || 1 ) / this.canvas.documentScale;
                 ctx.stroke();
+            } else {
+                this.paintPointers( ctx, optAction, width, height );
             }
         } else if ( isFillMode ) {
             const color = this.getStore().getters.activeColor;
@@ -297,7 +354,7 @@ class LayerSprite extends ZoomableSprite {
                 floodFill( ctx, point.x, point.y, color );
             } else {
                 ctx.fillStyle = this.getStore().getters.activeColor;
-                if ( this._selection ) {
+                if ( this._selection && !featherMask ) {
                     ctx.fill();
                 } else {
                     ctx.fillRect( 0, 0, width, height );
@@ -306,15 +363,24 @@ class LayerSprite extends ZoomableSprite {
             if ( this._selection ) {
                 ctx.closePath(); // is this necessary ?
             }
+        } else if ( isGradient ) {
+            const [ start, end ] = rotatePointerLists([ this._gradient.start, this._gradient.end ], this.layer, width, height );
+            // transform destination context in case the current layer is rotated or mirrored
+            ctx.scale( mirrorX ? -1 : 1, mirrorY ? -1 : 1 );
+            renderGradient( ctx, this._toolOptions, start, end, {
+                left: mirrorX ? -width : 0, top: mirrorY ? -height : 0, width, height
+            });
         } else {
             // get the enqueued pointers which are to be rendered in this paint cycle
             const pointers = slicePointers( this._brush );
 
             if ( isCloneStamp ) {
                 if ( isLowResPreview ) {
-                    renderClonedStroke( ctx, this._brush, this, this._toolOptions.sourceLayerId,
-                        rotatePointerLists( pointers, this.layer, width, height )
-                    );
+                    this.getSymmetricalPointers( pointers ).forEach( stroke => {
+                        renderClonedStroke( ctx, this._brush, this, this._toolOptions.sourceLayerId,
+                            rotatePointerLists( stroke, this.layer, width, height )
+                        );
+                    });
                     // clone operation is direct-to-Layer-source
                     this.setBitmap( ctx.canvas );
                 }
@@ -325,10 +391,12 @@ class LayerSprite extends ZoomableSprite {
                 // where each individual brush stroke is rendered in successive iterations.
                 // upon release, the full stroke is rendered on the Layer source (see handleRelease())
                 let overrides = null;
+                let strokes;
                 if ( isLowResPreview ) {
                     // live update on lower resolution canvas
                     this.tempCanvas = this.tempCanvas || getTempCanvas( this.canvas );
                     overrides = createOverrideConfig( this.canvas, pointers );
+                    strokes   = this.getSymmetricalPointers( pointers );
                     ctx = this.tempCanvas.ctx;
 
                     if ( selectionPoints && this.tempCanvas ) {
@@ -340,9 +408,14 @@ class LayerSprite extends ZoomableSprite {
                     ctx = createCanvas( orgContext.canvas.width, orgContext.canvas.height ).ctx;
                     // transform destination context in case the current layer is rotated or mirrored
                     ctx.scale( mirrorX ? -1 : 1, mirrorY ? -1 : 1 );
-                    this._brush.pointers = rotatePointerLists( this._brush.pointers, this.layer, width, height );
+                    // stabilize the full stroke (the low res preview is stabilized by slicePointers()) and
+                    // replicate it around the symmetry axes, prior to translating it to the rotated Layer space
+                    strokes = this.getSymmetricalPointers( stabilizePointers( this._brush.pointers, this._brush.options ))
+                        .map( stroke => rotatePointerLists( stroke, this.layer, width, height ));
                 }
-                renderBrushStroke( ctx, this._brush, this, overrides );
+                strokes.forEach( stroke => {
+                    renderBrushStroke( ctx, { ...this._brush, pointers: stroke }, this, overrides && { ...overrides, pointers: stroke });
+                });
 
                 if ( !isLowResPreview ) {
                     // draw the temp context with the fully rendered brush path
@@ -358,7 +431,10 @@ class LayerSprite extends ZoomableSprite {
                 }
             }
         }
-        if ( selectionPoints ) {
+        if ( featherMask ) {
+            drawThroughMask( featherTarget, ctx.canvas, featherMask );
+            ctx = featherTarget;
+        } else if ( selectionPoints ) {
             ctx.restore(); // 2. clipping restore()
         }
         ctx.restore(); // 1. preparation restore()
@@ -367,6 +443,56 @@ class LayerSprite extends ZoomableSprite {
         if ( !isLowResPreview ) {
             this.resetFilterAndRecache();
         }
+        ++this._revision;
+    }
+
+    /**
+     * Renders a list of document relative coordinates (for instance a path drawn using the PEN tool)
+     * onto given context, either as a stroke of given brush (type "brush") or as a filled shape (type "fill").
+     */
+    paintPointers( ctx, { type, pointers, brush, color }, width, height ) {
+        const { mirrorX, mirrorY } = this.layer.effects;
+        const tempCtx = createCanvas( width, height ).ctx;
+
+        // transform destination context in case the current layer is rotated or mirrored
+        tempCtx.scale( mirrorX ? -1 : 1, mirrorY ? -1 : 1 );
+        pointers = rotatePointerLists( pointers, this.layer, width, height );
+
+        if ( type === "brush" ) {
+            renderBrushStroke( tempCtx, { ...brush, pointers }, this );
+            ctx.globalAlpha = brush.options.opacity ?? 1;
+        } else {
+            tempCtx.beginPath();
+            pointers.forEach(( point, index ) => {
+                tempCtx[ index === 0 ? "moveTo" : "lineTo" ]( point.x, point.y );
+            });
+            tempCtx.fillStyle = color;
+            tempCtx.fill();
+        }
+        ctx.drawImage( tempCtx.canvas, 0, 0 );
+    }
+
+    /**
+     * Retrieves the soft edged mask for the current feathered (or soft) selection. As the mask
+     * is expensive to create, it is cached for as long as the selection and layer remain unchanged.
+     */
+    getFeatherMask( selectionPoints, width, height, left, top ) {
+        const { mirrorX, mirrorY, rotation } = this.layer.effects;
+        const key = [
+            width, height, left, top, this._invertSelection, this._selectionFeather, mirrorX, mirrorY, rotation
+        ].join( "_" );
+        const softSelection = this.isRotated() ? null : this._softSelection;
+        if ( this._featherMask?.selection !== this._selection || this._featherMask?.softSelection !== softSelection || this._featherMask?.key !== key ) {
+            this._featherMask = {
+                selection : this._selection,
+                softSelection,
+                key,
+                mask : softSelection ?
+                    createSoftSelectionMask( softSelection, width, height, left, top, this._invertSelection )
+                  : createFeatherMask( selectionPoints, width, height, left, top, this._invertSelection, this._selectionFeather )
+            };
+        }
+        return this._featherMask.mask;
     }
 
     /**
@@ -504,6 +630,10 @@ class LayerSprite extends ZoomableSprite {
             } else if ( this._toolType === ToolTypes.FILL ) {
                 this.paint();
                 return;
+            } else if ( this._toolType === ToolTypes.GRADIENT ) {
+                // gradient is rendered between the pressed and released coordinates (see handleRelease())
+                this._gradient = { start: { x, y }, end: { x, y } };
+                return;
             }
             // for any other brush mode state, set the brush application to true (will be applied in handleMove())
             this.storeBrushPointer( x, y );
@@ -549,6 +679,11 @@ class LayerSprite extends ZoomableSprite {
             }
         }
 
+        if ( this._gradient ) {
+            this._gradient.end = { x, y };
+            this.invalidate();
+        }
+
         // brush mode and brushing is active
         if ( this._brush.down ) {
             // enqueue current pointer position, painting of all enqueued pointers will be deferred
@@ -573,6 +708,17 @@ class LayerSprite extends ZoomableSprite {
                 this.storePaintState();
             }
         }
+        if ( this._gradient ) {
+            const { start, end } = this._gradient;
+            if ( start.x !== end.x || start.y !== end.y ) {
+                this.paint();
+                if ( !getters.getPreference( "lowMemory" )) {
+                    this.storePaintState();
+                }
+            }
+            this._gradient = null;
+            this.invalidate();
+        }
         if ( this._isPaintMode ) {
             this.forceMoveListener(); // keeps the move listener active
         }
@@ -585,6 +731,11 @@ class LayerSprite extends ZoomableSprite {
         }
     }
 
+    invalidate() {
+        ++this._revision;
+        super.invalidate();
+    }
+
     update() {
         if ( this._brush.down ) {
             this.paint();
@@ -611,42 +762,18 @@ class LayerSprite extends ZoomableSprite {
         );
     }
 
+    /**
+     * Layers nested inside a translucent group are not drawn individually, instead the
+     * group is composited as a single unit when drawing its bottom-most Layer.
+     */
     draw( documentContext, viewport, omitOutlines = false ) {
-        drawBounds = this._bounds;
-
-        const { enabled, opacity } = this.layer.filters;
-        const altOpacity = enabled && opacity !== 1;
-        if ( altOpacity ) {
-            documentContext.globalAlpha = opacity;
-        }
+        const layers = this.getStore()?.getters.layers;
+        const group  = getCompositedGroup( this.layer, layers );
 
-        documentContext.save(); // 1. transformation save()
-
-        const transformedBounds = applyTransformation( documentContext, this.layer, viewport );
-        const transformCanvas   = transformedBounds !== null;
-
-        if ( transformCanvas ) {
-            drawBounds = transformedBounds;
-        }
-
-        // invoke base class behaviour to render bitmap
-        super.draw( documentContext, transformCanvas ? null : viewport, drawBounds );
-
-        documentContext.restore(); // 1. transformation restore()
-
-        // sprite is currently brushing, render low resolution temp contents onto screen
-        if ( this.tempCanvas ) {
-            documentContext.save(); // 2. low res render save()
-            documentContext.globalAlpha = this._brush.options.opacity;
-            if ( this._toolType === ToolTypes.ERASER || this.isMaskable() ) {
-                documentContext.globalCompositeOperation = "destination-out";
-            }
-            renderTempCanvas( this.canvas, documentContext );
-            documentContext.restore(); // 2. low res render restore()
-        }
-
-        if ( altOpacity ) {
-            documentContext.globalAlpha = 1; // restore document opacity
+        if ( !group ) {
+            this.drawLayer( documentContext, viewport );
+        } else if ( getFirstRenderedLayer( group, layers ) === this.layer ) {
+            renderGroup( documentContext, viewport, group, layers );
         }
 
         // render brush outline at pointer position
@@ -671,7 +798,15 @@ class LayerSprite extends ZoomableSprite {
             documentContext.save(); // 4. brush outline save()
             documentContext.beginPath();
 
-            if ( drawBrushOutline ) {
+            if ( this._toolType === ToolTypes.GRADIENT ) {
+                // gradient tool shows the direction of the gradient while dragging
+                if ( this._gradient ) {
+                    const { start, end } = this._gradient;
+                    documentContext.moveTo( start.x - viewport.left, start.y - viewport.top );
+                    documentContext.lineTo( end.x - viewport.left, end.y - viewport.top );
+                    documentContext.strokeStyle = "#999";
+                }
+            } else if ( drawBrushOutline ) {
                 // any other brush mode state shows brush outline
                 documentContext.arc( tx, ty, getSizeForBrush( this._brush ), 0, TWO_PI );
                 documentContext.strokeStyle = "#999";
@@ -681,19 +816,184 @@ class LayerSprite extends ZoomableSprite {
         }
     }
 
+    /**
+     * Draws the contents of this Layer onto given context, regardless of the group
+     * it is nested in (see draw())
+     */
+    drawLayer( documentContext, viewport ) {
+        drawBounds = this._bounds;
+
+        const layers = this.getStore()?.getters.layers;
+
+        // when clipped to a layer below, we can only render when the base layer is visible
+        const clippingBase   = getClippingBase( this.layer, layers );
+        const clippingSprite = clippingBase ? getSpriteForLayer( clippingBase ) : null;
+        const canRender      = !clippingBase || !!clippingSprite;
+
+        const { enabled, opacity } = this.layer.filters;
+        const layerOpacity = enabled ? opacity : 1;
+        const altOpacity   = layerOpacity !== 1;
+        if ( altOpacity ) {
+            documentContext.globalAlpha = layerOpacity;
+        }
+
+        documentContext.save(); // 1. transformation and blending save()
+
+        const blendMode = getBlendMode( this.layer );
+        if ( blendMode !== DEFAULT_BLEND_MODE ) {
+            documentContext.globalCompositeOperation = blendMode;
+        }
+        const baseTransform     = documentContext.getTransform();
+        const transformedBounds = applyTransformation( documentContext, this.layer, viewport );
+        const transformCanvas   = transformedBounds !== null;
+
+        if ( transformCanvas ) {
+            drawBounds = transformedBounds;
+        }
+
+        // invokes base class behaviour to render bitmap, optionally clipped to the contents of the base layer
+        // (note the bounds are copied as drawBounds is shared by all LayerSprites, including the clipping base)
+        const bounds = drawBounds;
+        const renderBitmap = ctx => {
+            if ( this._stylesUnderlay ) {
+                renderStylesUnderlay( ctx, this._stylesUnderlay, this.layer, bounds, transformCanvas ? null : viewport );
+            }
+            super.draw( ctx, transformCanvas ? null : viewport, bounds );
+        };
+        const renderContent = ctx => {
+            if ( clippingSprite ) {
+                renderClipped( ctx, renderBitmap, baseCtx => {
+                    baseCtx.setTransform( baseTransform );
+                    clippingSprite.drawLayer( baseCtx, viewport );
+                });
+            } else {
+                renderBitmap( ctx );
+            }
+        };
+
+        if ( canRender ) {
+            if ( this.layer.type !== LAYER_ADJUSTMENT ) {
+                renderContent( documentContext );
+            } else if ( this.layer.filters.enabled ) {
+                // the Bitmap of an adjustment layer describes the area it covers
+                renderAdjustment( documentContext, this.layer.filters, renderContent, belowCtx => {
+                    belowCtx.setTransform( baseTransform );
+                    renderLayersBelow( belowCtx, viewport, this.layer, layers );
+                }, getAdjustmentDependencies( this.layer, layers, viewport ));
+            }
+        }
+
+        documentContext.restore(); // 1. transformation and blending restore()
+
+        // sprite is currently brushing, render low resolution temp contents onto screen
+        if ( this.tempCanvas ) {
+            documentContext.save(); // 2. low res render save()
+            documentContext.globalAlpha = this._brush.options.opacity;
+            if ( this._toolType === ToolTypes.ERASER || this.isMaskable() ) {
+                documentContext.globalCompositeOperation = "destination-out";
+            } else if ( blendMode !== DEFAULT_BLEND_MODE ) {
+                // the brushed contents are blended in the same manner as the contents of the Layer
+                documentContext.globalCompositeOperation = blendMode;
+            }
+            renderTempCanvas( this.canvas, documentContext );
+            documentContext.restore(); // 2. low res render restore()
+        }
+
+        if ( altOpacity ) {
+            documentContext.globalAlpha = 1; // restore document opacity
+        }
+    }
+
     dispose() {
         super.dispose();
 
         flushLayerCache( this.layer );
 
-        this._bitmap      = null;
-        this._bitmapReady = false;
+        this._bitmap         = null;
+        this._bitmapReady    = false;
+        this._stylesUnderlay = null;
+        this._featherMask    = null;
     }
 }
 export default LayerSprite;
 
 /* internal non-instance methods */
 
+function renderStylesUnderlay( ctx, { cvs, padding }, layer, bounds, viewport ) {
+    // the underlay is scaled alongside the layer contents (bounds are scaled when the layer is scaled)
+    const scale = bounds.width / layer.width;
+    const left  = bounds.left - padding * scale - ( viewport?.left ?? 0 );
+    const top   = bounds.top  - padding * scale - ( viewport?.top  ?? 0 );
+
+    ctx.drawImage( cvs, left, top, cvs.width * scale, cvs.height * scale );
+}
+
+// the contents of a group are rendered by the first visible Layer of the group (as this is the first
+// Sprite of the group to draw, subsequent Sprites can render their brush outline on top of the group)
+
+function getFirstRenderedLayer( group, layers ) {
+    return getLayerDescendants( group, layers ).find( layer => {
+        return !isGroup( layer ) && isLayerVisible( layer, layers ) && !!getSpriteForLayer( layer );
+    });
+}
+
+function renderGroup( documentContext, viewport, group, layers, depth = 0 ) {
+    renderIsolated( documentContext, group.filters.opacity, ctx => {
+        renderGroupContents( ctx, viewport, group, layers, depth + 1 );
+    }, depth );
+}
+
+function renderGroupContents( ctx, viewport, group, layers, depth ) {
+    for ( const layer of layers ) {
+        if ( layer.groupId !== group.id || !layer.visible ) {
+            continue;
+        }
+        if ( isTranslucentGroup( layer )) {
+            renderGroup( ctx, viewport, layer, layers, depth );
+        } else if ( isGroup( layer )) {
+            renderGroupContents( ctx, viewport, layer, layers, depth );
+        } else {
+            getSpriteForLayer( layer )?.drawLayer( ctx, viewport );
+        }
+    }
+}
+
+// renders the contents below given adjustment layer, e.g. all layers below it in the Document or
+// when the adjustment is nested inside a translucent group, all layers below it inside that group
+
+function renderLayersBelow( ctx, viewport, adjustment, layers ) {
+    const below = getLayersBelow( adjustment, layers );
+    const group = getLayerAncestors( adjustment, layers ).find( isTranslucentGroup ); // innermost
+
+    if ( group ) {
+        // isolated contents are rendered at the nesting level subsequent to that of the group
+        const depth = getLayerAncestors( group, layers ).filter( isTranslucentGroup ).length + 1;
+        renderGroupContents( ctx, viewport, group, below, depth );
+    } else {
+        below.forEach( layer => getSpriteForLayer( layer )?.draw( ctx, viewport, true ));
+    }
+}
+
+// collects all values the rendered contents below given adjustment layer depend on (note Layers
+// are replaced when their properties are updated, while content changes update the Sprites revision)
+
+function getAdjustmentDependencies( adjustment, layers, viewport ) {
+    const dependencies = [ viewport.left, viewport.top ];
+    for ( const layer of getLayersBelow( adjustment, layers )) {
+        const sprite = getSpriteForLayer( layer );
+        dependencies.push( layer );
+        if ( sprite ) {
+            const { left, top, width, height } = sprite._bounds;
+            dependencies.push( sprite._revision, sprite._bitmap, left, top, width, height );
+        }
+    }
+    return dependencies;
+}
+
+function getLayersBelow( layer, layers = [] ) {
+    return layers.slice( 0, Math.max( 0, layers.findIndex(({ id }) => id === layer.id )));
+}
+
 function rotatePointerLists( pointers, layer, sourceWidth, sourceHeight ) {
     // we take layer.left instead of bounds.left as it provides the unrotated Layer offset
     const { left, top } = layer;
@@ -715,7 +1015,7 @@ function rotatePointerLists( pointers, layer, sourceWidth, sourceHeight ) {
         if ( mirrorY ) {
             p.y -= sourceHeight;
         }
-        return p;
+        return { ...point, ...p };
     });
 }
 
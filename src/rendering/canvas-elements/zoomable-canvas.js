@@ -25,6 +25,7 @@ import { canvas } from "zcanvas";
 import InteractionPane from "@/rendering/canvas-elements/interaction-pane";
 import { fastRound } from "@/math/unit-math";
 import { renderState } from "@/services/render-service";
+import { getPointerDataFromEvent, getPointerDataFromTouch } from "@/utils/pointer-util";
 
 class ZoomableCanvas extends canvas {
     constructor( opts, store, rescaleFn, refreshFn ) {
@@ -43,6 +44,18 @@ class ZoomableCanvas extends canvas {
 
         // reference to Sprite that is being dragged (see LayerSprite)
         this.draggingSprite = null;
+
+        // pressure and tilt of the pointer for the interaction currently being handled (null when
+        // input device is not pressure sensitive). zCanvas only listens to mouse and touch events, as
+        // such we keep track of the last PointerEvent to retrieve this information for mouse events
+        this.pointerData  = null;
+        this._lastPointer = null;
+        this._pointerHandler = event => {
+            this._lastPointer = getPointerDataFromEvent( event );
+        };
+        const element = this.getElement();
+        element.addEventListener( "pointerdown", this._pointerHandler );
+        element.addEventListener( "pointermove", this._pointerHandler );
     }
 
     setDocumentScale( targetWidth, targetHeight, scale, zoom, activeDocument = null ) {
@@ -229,6 +242,8 @@ class ZoomableCanvas extends canvas {
                             eventOffsetX = ( touches[ 0 ].pageX - offset.x ) / this.zoomFactor; // QQQ
                             eventOffsetY = ( touches[ 0 ].pageY - offset.y ) / this.zoomFactor; // QQQ
 
+                            this.pointerData = getPointerDataFromTouch( touch );
+
                             switch ( event.type ) {
                                 // on touchstart events, when we a Sprite handles the event, we
                                 // map the touch identifier to this Sprite
@@ -270,6 +285,7 @@ class ZoomableCanvas extends canvas {
                     }
                     offsetX /= this.zoomFactor; // QQQ
                     offsetY /= this.zoomFactor; // QQQ
+                    this.pointerData = this._lastPointer;
                     while ( theChild ) {
                         found = theChild.handleInteraction( offsetX, offsetY, aEvent );
                         if ( found ) {
@@ -298,6 +314,10 @@ class ZoomableCanvas extends canvas {
     }
 
     dispose() {
+        const element = this.getElement();
+        element.removeEventListener( "pointerdown", this._pointerHandler );
+        element.removeEventListener( "pointermove", this._pointerHandler );
+
         super.dispose();
 
         this.interactionPane?.dispose();
@@ -20,44 +20,144 @@
  * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
-import { isSelectionRectangular } from "@/math/selection-math";
+import { createCanvas } from "@/utils/canvas-util";
+import { gaussianBlur } from "@/rendering/spatial-filters";
 
 /**
  * Prepares a clipping path corresponding to given selections outline, transformed
  * appropriately to the destination coordinates.
  *
  * @param {CanvasRenderingContext2D} ctx destination context to clip
- * @param {Array<{{ x: Number, y: Number }}>} selectionPoints all coordinates within the selection
+ * @param {Array<Array<{ x: Number, y: Number }>>} selection list of shapes within the selection
  * @param {Number} offsetX destination offset to shift selection by (bounds relative to viewport)
  * @param {Number} offsetY destination offset to shift selection by (bounds relative to viewport)
  * @param {Boolean=} invert optional whether to invert the selection
  * @param {Object=} overrideConfig optional override Object when workin in lowres preview mode
  */
-export const clipContextToSelection = ( ctx, selectionPoints, offsetX, offsetY, invert = false, overrideConfig = null ) => {
+export const clipContextToSelection = ( ctx, selection, offsetX, offsetY, invert = false, overrideConfig = null ) => {
+    ctx.beginPath();
+    traceSelection( ctx, selection, offsetX, offsetY, overrideConfig );
+    // when the selection is inverted, we can reverse the clipping operation
+    // by drawing the rectangular outline over the clipping path
+    if ( invert ) {
+        createInverseClipping( ctx, offsetX, offsetY, ctx.canvas.width, ctx.canvas.height );
+    }
+    ctx.clip();
+};
+
+/**
+ * Adds the outlines of all shapes within given selection to the current path of given context.
+ * As shapes describing selected areas and holes are wound in opposite directions (see selection-math.js),
+ * the path can be filled or clipped using the default "nonzero" winding rule.
+ *
+ * @param {CanvasRenderingContext2D} ctx destination context
+ * @param {Array<Array<{ x: Number, y: Number }>>} selection list of shapes within the selection
+ * @param {Number=} offsetX destination offset to shift selection by
+ * @param {Number=} offsetY destination offset to shift selection by
+ * @param {Object=} overrideConfig optional override Object when workin in lowres preview mode
+ */
+export const traceSelection = ( ctx, selection, offsetX = 0, offsetY = 0, overrideConfig = null ) => {
     let scale = 1;
     let vpX   = 0;
     let vpY   = 0;
     if ( overrideConfig ) {
         ({ scale, vpX, vpY } = overrideConfig );
     }
-    ctx.beginPath();
-    selectionPoints.forEach(( point, index ) => {
-        ctx[ index === 0 ? "moveTo" : "lineTo" ]( (( point.x - offsetX ) * scale ) - vpX, (( point.y - offsetY ) * scale ) - vpY );
+    selection.forEach( shape => {
+        shape.forEach(( point, index ) => {
+            ctx[ index === 0 ? "moveTo" : "lineTo" ]( (( point.x - offsetX ) * scale ) - vpX, (( point.y - offsetY ) * scale ) - vpY );
+        });
     });
+};
+
+export const createInverseClipping = ( ctx, x, y, width, height ) => {
     // when the selection is inverted, we can reverse the clipping operation
-    // by drawing the rectangular outline over the clipping path
+    // by drawing the rectangular outline over the clipping path, wound
+    // in the opposite direction of the (clockwise) selected shapes
+    ctx.rect( width - x, -y, -width, height );
+};
+
+/**
+ * Clipping paths have hard edges. To honour a feathered selection, its outline is rendered
+ * into an alpha mask which is softened by the feather radius. Content can be drawn through the
+ * mask using drawThroughMask(). The offset and invert arguments match clipContextToSelection().
+ *
+ * @param {Array<Array<{ x: Number, y: Number }>>} selection list of shapes within the selection
+ * @param {Number} width of the mask (e.g. the width of the destination context)
+ * @param {Number} height of the mask (e.g. the height of the destination context)
+ * @param {Number} offsetX destination offset to shift selection by
+ * @param {Number} offsetY destination offset to shift selection by
+ * @param {Boolean} invert whether to invert the selection
+ * @param {Number} feather radius of the soft edge, in pixels
+ * @return {HTMLCanvasElement} the alpha mask
+ */
+export const createFeatherMask = ( selection, width, height, offsetX, offsetY, invert, feather ) => {
+    const { cvs, ctx } = createCanvas( width, height );
+    ctx.fillStyle = "#FFF";
+    ctx.beginPath();
+    traceSelection( ctx, selection, offsetX, offsetY );
     if ( invert ) {
-        createInverseClipping( ctx, selectionPoints, offsetX, offsetY, ctx.canvas.width, ctx.canvas.height );
+        createInverseClipping( ctx, offsetX, offsetY, width, height );
     }
-    ctx.clip();
+    ctx.fill();
+
+    const imageData = ctx.getImageData( 0, 0, width, height );
+    // the soft edge spans the feather radius on both sides of the selection outline
+    gaussianBlur( imageData.data, width, height, feather / 2 );
+    ctx.putImageData( imageData, 0, 0 );
+
+    return cvs;
 };
 
-export const createInverseClipping = ( ctx, selection, x, y, width, height ) => {
-    // when the selection is inverted, we can reverse the clipping operation
-    // by drawing the rectangular outline over the clipping path
-    if ( isSelectionRectangular( selection )) {
-        ctx.rect( width - x, -y, -width, height );
-    } else {
-        ctx.rect( width - x, height - y, -width, -height );
+/**
+ * Creates the alpha mask for a soft selection (see rendering/selection.js). The mask can be used in
+ * the same manner as the mask created by createFeatherMask().
+ *
+ * @param {HTMLCanvasElement} bitmap document sized soft selection bitmap
+ * @param {Number} width of the mask (e.g. the width of the destination context)
+ * @param {Number} height of the mask (e.g. the height of the destination context)
+ * @param {Number} offsetX destination offset to shift selection by
+ * @param {Number} offsetY destination offset to shift selection by
+ * @param {Boolean} invert whether to invert the selection
+ * @return {HTMLCanvasElement} the alpha mask
+ */
+export const createSoftSelectionMask = ( bitmap, width, height, offsetX, offsetY, invert ) => {
+    const { cvs, ctx } = createCanvas( width, height );
+    if ( invert ) {
+        ctx.fillStyle = "#FFF";
+        ctx.fillRect( 0, 0, width, height );
+        ctx.globalCompositeOperation = "destination-out";
     }
+    ctx.drawImage( bitmap, -offsetX, -offsetY );
+
+    return cvs;
+};
+
+/**
+ * Draws given source onto given destination context through given alpha mask. Where the mask
+ * is opaque the source replaces the destination contents, where the mask is partially transparent
+ * the source and destination contents are blended, where the mask is transparent the destination
+ * contents remain unchanged. As such the source is expected to contain the destination contents
+ * onto which the (unclipped) paint operation has been applied.
+ *
+ * @param {CanvasRenderingContext2D} ctx destination context
+ * @param {HTMLCanvasElement} source
+ * @param {HTMLCanvasElement} mask as created by createFeatherMask()
+ */
+export const drawThroughMask = ( ctx, source, mask ) => {
+    const { width, height } = ctx.canvas;
+    const masked = createCanvas( width, height ).ctx;
+    masked.drawImage( source, 0, 0 );
+    masked.globalCompositeOperation = "destination-in";
+    masked.drawImage( mask, 0, 0 );
+
+    ctx.save();
+    ctx.setTransform( 1, 0, 0, 1, 0, 0 );
+    ctx.globalAlpha = 1;
+    ctx.globalCompositeOperation = "destination-out";
+    ctx.drawImage( mask, 0, 0 );
+    // the remaining destination and masked source contents are complementary, add them up
+    ctx.globalCompositeOperation = "lighter";
+    ctx.drawImage( masked.canvas, 0, 0 );
+    ctx.restore();
 };
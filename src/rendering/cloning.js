@@ -20,10 +20,13 @@
  * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
+import BrushTypes, { getBrushDynamics } from "@/definitions/brush-types";
 import { createDrawable } from "@/factories/brush-factory";
 import { getCanvasInstance, getSpriteForLayer } from "@/factories/sprite-factory";
 import { createCanvas, setCanvasDimensions } from "@/utils/canvas-util";
 import { renderFullSize } from "@/utils/document-util";
+import { getBrushTipImage } from "@/rendering/cache/brush-tip-cache";
+import { getTipDab, drawTip } from "@/rendering/brush-tip";
 import { TOOL_SRC_MERGED } from "@/definitions/tool-types";
 
 const tempCanvas = createCanvas();
@@ -58,6 +61,8 @@ export const renderClonedStroke = ( destContext, brush, sprite, sourceLayerId, o
     const { radius, doubleRadius, options } = brush;
     const { type } = options;
     const pointers = optPointers || brush.pointers;
+    // image based brush tips mask the source by their image (scatter is not applied as clones follow the pointer)
+    const tip = type === BrushTypes.IMAGE ? getBrushTipImage( options.tipId ) : null;
 
     const sourceX = ( coords.x - left ) - radius;
     const sourceY = ( coords.y - top ) - radius;
@@ -74,9 +79,12 @@ export const renderClonedStroke = ( destContext, brush, sprite, sourceLayerId, o
         const xDelta  = sprite._dragStartOffset.x + ( destinationPoint.x - relSource.x );
         const yDelta  = sprite._dragStartOffset.y + ( destinationPoint.y - relSource.y );
 
+        // scale the brush by the pressure or tilt recorded for the current pointer (when defined in the options)
+        const dynamics = getBrushDynamics( options, destinationPoint );
+
         // draw source bitmap data onto temporary canvas
         ctx.globalCompositeOperation = "source-over";
-        ctx.globalAlpha = opacity;
+        ctx.globalAlpha = opacity * dynamics.opacity * dynamics.flow;
 
         ctx.clearRect( 0, 0, cvs.width, cvs.height );
         ctx.drawImage(
@@ -86,8 +94,13 @@ export const renderClonedStroke = ( destContext, brush, sprite, sourceLayerId, o
         // draw the brush above the bitmap, keeping only the overlapping area
         ctx.globalCompositeOperation = "destination-in";
 
-        ctx.fillStyle = createDrawable( brush, ctx, radius, radius );
-        ctx.fillRect( 0, 0, doubleRadius, doubleRadius );
+        if ( tip ) {
+            const dab = getTipDab( options );
+            drawTip( ctx, tip, radius, radius, doubleRadius * dynamics.size * dab.scale, dab.angle );
+        } else {
+            ctx.fillStyle = createDrawable( brush, ctx, radius, radius, dynamics.size );
+            ctx.fillRect( 0, 0, doubleRadius, doubleRadius );
+        }
 
         // draw the masked result onto the destination canvas
         destContext.drawImage(
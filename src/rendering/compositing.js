@@ -20,7 +20,9 @@
  * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
-import { createCanvas } from "@/utils/canvas-util";
+import { createCanvas, setCanvasDimensions } from "@/utils/canvas-util";
+import { renderFilters } from "@/rendering/filters";
+import FiltersFactory from "@/factories/filters-factory";
 
 /**
  * Applies an inverse colour operation onto a bitmap that contains
@@ -39,3 +41,144 @@ export const inverseMask = bitmap => {
     ctx.fillRect( 0, 0, width, height );
     ctx.globalCompositeOperation = orgCompositeOperation;
 };
+
+// canvases used for intermediate renders, created lazily on first use
+let clippedCanvas, clippingCanvas, coverageCanvas, adjustedCanvas;
+
+// applying filters is expensive, as such the adjusted composite of the contents below an adjustment is
+// cached per adjustment and only rendered anew when either the filters or the contents below have changed
+const adjustmentCache = new WeakMap();
+
+/**
+ * Adjustment layers apply their filters onto all contents that are rendered below them. These
+ * contents are rendered onto an offscreen composite, which is filtered and then rendered
+ * onto the destination context. The composite is only rendered anew when any of given
+ * dependencies (the values the contents below depend on) have changed.
+ *
+ * @param {CanvasRenderingContext2D} documentContext destination context
+ * @param {Object} filters the adjustment to apply @see filters-factory
+ * @param {Function} renderCoverage function that receives a CanvasRenderingContext2D onto which
+ *                   the area that should be adjusted should be rendered (e.g. the unmasked area)
+ * @param {Function} renderBelow function that receives a CanvasRenderingContext2D onto which
+ *                   the contents below the adjustment should be rendered (at the documents transformation)
+ * @param {Array<*>} dependencies list of values the contents rendered by renderBelow depend on
+ */
+export const renderAdjustment = ( documentContext, filters, renderCoverage, renderBelow, dependencies ) => {
+    const { width, height } = documentContext.canvas;
+    const transform = documentContext.getTransform();
+
+    // 1. apply the filters onto the composite of the contents below the adjustment
+    // (note this precedes the use of the shared canvases as the contents below can contain adjustments)
+
+    const key  = `${width}x${height}_${transform}_${JSON.stringify( FiltersFactory.serialize( filters ))}`;
+    let cached = adjustmentCache.get( filters );
+
+    if ( !cached || cached.key !== key || cached.target !== documentContext.canvas || !isListEqual( cached.dependencies, dependencies )) {
+        cached = { key, target: documentContext.canvas, dependencies, canvas: cached?.canvas || createCanvas() };
+        const { ctx } = cached.canvas;
+
+        setCanvasDimensions( cached.canvas, width, height );
+        renderBelow( ctx );
+
+        const imageData = ctx.getImageData( 0, 0, width, height );
+        renderFilters( imageData, filters );
+        ctx.putImageData( imageData, 0, 0 );
+
+        adjustmentCache.set( filters, cached );
+    }
+    coverageCanvas = coverageCanvas || createCanvas();
+    adjustedCanvas = adjustedCanvas || createCanvas();
+
+    // 2. render the area covered by the adjustment at the destination contexts transformation
+
+    setCanvasDimensions( coverageCanvas, width, height );
+    coverageCanvas.ctx.setTransform( transform );
+    renderCoverage( coverageCanvas.ctx );
+
+    setCanvasDimensions( adjustedCanvas, width, height );
+    adjustedCanvas.ctx.drawImage( cached.canvas.cvs, 0, 0 );
+
+    // 3. only keep the adjusted contents within the covered area
+
+    adjustedCanvas.ctx.globalCompositeOperation = "destination-in";
+    adjustedCanvas.ctx.drawImage( coverageCanvas.cvs, 0, 0 );
+    adjustedCanvas.ctx.globalCompositeOperation = "source-over";
+
+    // 4. render the adjusted contents onto the destination (note the
+    // destination opacity and composite operation remain in effect)
+
+    documentContext.save();
+    documentContext.setTransform( 1, 0, 0, 1, 0, 0 );
+    documentContext.drawImage( adjustedCanvas.cvs, 0, 0 );
+    documentContext.restore();
+};
+
+/**
+ * Renders contents clipped to the contents of a base layer, meaning the contents
+ * are only visible where the base layer has content.
+ *
+ * @param {CanvasRenderingContext2D} documentContext destination context
+ * @param {Function} renderContent function that receives a CanvasRenderingContext2D onto which
+ *                   the contents should be rendered (at the destination contexts transformation)
+ * @param {Function} renderBase function that receives a CanvasRenderingContext2D onto which
+ *                   the contents of the base layer should be rendered
+ */
+export const renderClipped = ( documentContext, renderContent, renderBase ) => {
+    const { width, height } = documentContext.canvas;
+
+    clippedCanvas  = clippedCanvas  || createCanvas();
+    clippingCanvas = clippingCanvas || createCanvas();
+
+    setCanvasDimensions( clippedCanvas, width, height );
+    clippedCanvas.ctx.setTransform( documentContext.getTransform() );
+    renderContent( clippedCanvas.ctx );
+
+    setCanvasDimensions( clippingCanvas, width, height );
+    renderBase( clippingCanvas.ctx );
+
+    // only keep the contents where the base layer is opaque
+
+    clippedCanvas.ctx.setTransform( 1, 0, 0, 1, 0, 0 );
+    clippedCanvas.ctx.globalCompositeOperation = "destination-in";
+    clippedCanvas.ctx.drawImage( clippingCanvas.cvs, 0, 0 );
+    clippedCanvas.ctx.globalCompositeOperation = "source-over";
+
+    documentContext.save();
+    documentContext.setTransform( 1, 0, 0, 1, 0, 0 );
+    documentContext.drawImage( clippedCanvas.cvs, 0, 0 );
+    documentContext.restore();
+};
+
+const isolationCanvases = []; // one per nesting level (see renderIsolated())
+
+/**
+ * Renders contents in isolation, meaning all contents are composited onto each
+ * other before being rendered onto the destination at given opacity (e.g. overlapping
+ * contents inside a translucent layer group do not show through each other).
+ *
+ * @param {CanvasRenderingContext2D} documentContext destination context
+ * @param {Number} opacity to apply onto the isolated contents
+ * @param {Function} renderContent function that receives a CanvasRenderingContext2D onto which
+ *                   the contents should be rendered (at the destination contexts transformation)
+ * @param {Number=} depth nesting level, when isolated contents render isolated contents themselves
+ */
+export const renderIsolated = ( documentContext, opacity, renderContent, depth = 0 ) => {
+    const { width, height } = documentContext.canvas;
+
+    const isolatedCanvas = isolationCanvases[ depth ] || ( isolationCanvases[ depth ] = createCanvas());
+    setCanvasDimensions( isolatedCanvas, width, height );
+    isolatedCanvas.ctx.setTransform( documentContext.getTransform() );
+    renderContent( isolatedCanvas.ctx );
+
+    documentContext.save();
+    documentContext.setTransform( 1, 0, 0, 1, 0, 0 );
+    documentContext.globalAlpha = opacity;
+    documentContext.drawImage( isolatedCanvas.cvs, 0, 0 );
+    documentContext.restore();
+};
+
+/* internal methods */
+
+function isListEqual( list, otherList ) {
+    return list.length === otherList.length && list.every(( value, index ) => value === otherList[ index ]);
+}
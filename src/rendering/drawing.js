@@ -20,19 +20,24 @@
  * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
-import BrushTypes, { getSizeForBrush } from "@/definitions/brush-types";
+import BrushTypes, { getSizeForBrush, hasDynamics, getBrushDynamics } from "@/definitions/brush-types";
 import { createDrawable } from "@/factories/brush-factory";
+import { getTintedBrushTip, getTipSpacing, getTipDab, drawTip } from "@/rendering/brush-tip";
 import { randomInRange } from "@/math/unit-math";
 import { applyOverrideConfig } from "@/rendering/lowres";
 import { distanceBetween, angleBetween, pointBetween } from "@/math/point-math";
 
 const { cos, sin } = Math;
 const TWO_PI = Math.PI * 2;
+const NO_DYNAMICS = { size: 1, opacity: 1, flow: 1 };
 
 /**
  * Render a series of registered pointer offsets into a single brush stroke
  * Adapted from studies provided by Juriy Zaytsev
  *
+ * When the brush options define dynamics, the size, opacity and flow of the stroke
+ * are scaled at each pointer by its recorded pressure or tilt (see getBrushDynamics())
+ *
  * @param {CanvasRenderingContext2D} ctx to render on
  * @param {Object} brush properties
  * @param {zCanvas.sprite} sprite defining relative (on-screen) Layer coordinates
@@ -58,6 +63,12 @@ export const renderBrushStroke = ( ctx, brush, sprite, overrideConfig ) => {
     }
 
     const lineWidth = getSizeForBrush( brush ) * scale;
+    // dynamics only apply when the stroke was recorded with pressure and tilt information (e.g. not by a mouse)
+    const dynamic   = hasDynamics( options ) && pointers.some( pointer => pointer.pressure !== undefined );
+    const baseAlpha = ctx.globalAlpha;
+
+    // image based brush tips fall back to the paint brush when their image is not available
+    const tip = type === BrushTypes.IMAGE ? getTintedBrushTip( options.tipId, brush.colors[ 0 ]) : null;
 
     ctx.save();
     ctx.lineJoin = ctx.lineCap = "round";
@@ -67,35 +78,66 @@ export const renderBrushStroke = ( ctx, brush, sprite, overrideConfig ) => {
         const prevPoint = pointers[ i - 1 ];
         const point     = pointers[ i ];
 
+        // scale the brush properties for the current pointer (flow determines the density of
+        // dabs for the dab based brush types, for line types it scales the opacity of the segment)
+
+        const { size, opacity, flow } = dynamic ? getBrushDynamics( options, point ) : NO_DYNAMICS;
+        const pointRadius = radius * size;
+
+        ctx.globalAlpha = baseAlpha * opacity;
+
         // paint brush types
 
-        if ( type === BrushTypes.PAINT_BRUSH ) {
+        if ( tip ) {
+            const dist    = distanceBetween( prevPoint, point );
+            const angle   = angleBetween( prevPoint, point );
+            const tipSize = doubleRadius * size;
+
+            const incr = getTipSpacing( tipSize, options.spacing ) / flow;
+            const sin  = Math.sin( angle );
+            const cos  = Math.cos( angle );
+
+            for ( let j = 0; j < dist; j += incr ) {
+                // scatter offsets the dab perpendicular to the stroke direction
+                const dab     = getTipDab( options );
+                const scatter = dab.scatter * tipSize;
+                drawTip(
+                    ctx, tip,
+                    prevPoint.x + ( sin * j ) + ( cos * scatter ),
+                    prevPoint.y + ( cos * j ) - ( sin * scatter ),
+                    tipSize * dab.scale, dab.angle
+                );
+            }
+            continue;
+        }
+
+        if ( type === BrushTypes.PAINT_BRUSH || type === BrushTypes.IMAGE ) {
             const dist  = distanceBetween( prevPoint, point );
             const angle = angleBetween( prevPoint, point );
 
-            const incr = radius * 0.25;
+            const incr = Math.max( 1, ( pointRadius * 0.25 ) / flow );
             const sin  = Math.sin( angle );
             const cos  = Math.cos( angle );
 
-            let x, y, size, doubleSize;
+            let x, y;
             for ( let j = 0; j < dist; j += incr ) {
                 x = prevPoint.x + ( sin * j );
                 y = prevPoint.y + ( cos * j );
-                ctx.fillStyle = createDrawable( brush, ctx, x, y, scale );
-                ctx.fillRect( x - radius, y - radius, doubleRadius, doubleRadius );
+                ctx.fillStyle = createDrawable( brush, ctx, x, y, scale * size );
+                ctx.fillRect( x - pointRadius, y - pointRadius, doubleRadius * size, doubleRadius * size );
             }
             continue;
         }
 
         if ( type === BrushTypes.SPRAY ) {
             ctx.fillStyle = brush.colors[ 0 ];
-            let j = doubleRadius;
+            let j = doubleRadius * size * flow;
             while ( j-- > 0 ) {
                 const angle = randomInRange( 0, TWO_PI );
                 const size  = randomInRange( 1, 3 );
                 ctx.fillRect(
-                    point.x + randomInRange( -radius, radius ) * cos( angle ),
-                    point.y + randomInRange( -radius, radius ) * sin( angle ),
+                    point.x + randomInRange( -pointRadius, pointRadius ) * cos( angle ),
+                    point.y + randomInRange( -pointRadius, pointRadius ) * sin( angle ),
                     size, size
                 );
             }
@@ -106,9 +148,20 @@ export const renderBrushStroke = ( ctx, brush, sprite, overrideConfig ) => {
 
         ctx.strokeStyle = brush.colors[ 0 ];
 
+        // with dynamics, each segment is stroked individually so its width and opacity can vary
+
+        if ( dynamic ) {
+            ctx.globalAlpha = baseAlpha * opacity * flow;
+            ctx.lineWidth   = lineWidth * size;
+            if ( !isFirst ) {
+                ctx.beginPath();
+                ctx.moveTo( prevPoint.x, prevPoint.y );
+            }
+        }
+
         if ( type === BrushTypes.LINE ) {
             if ( isFirst ) {
-                ctx.lineWidth = lineWidth;
+                ctx.lineWidth = lineWidth * size;
                 ctx.beginPath();
                 ctx.moveTo( prevPoint.x, prevPoint.y );
             }
@@ -119,7 +172,7 @@ export const renderBrushStroke = ( ctx, brush, sprite, overrideConfig ) => {
 
         if ( type === BrushTypes.CALLIGRAPHIC ) {
             if ( isFirst ) {
-                ctx.lineWidth = lineWidth;
+                ctx.lineWidth = lineWidth * size;
                 ctx.beginPath();
             }
             const min = ( radius * 0.2 ) * 0.66666;
@@ -138,7 +191,7 @@ export const renderBrushStroke = ( ctx, brush, sprite, overrideConfig ) => {
 
         if ( type === BrushTypes.CONNECTED ) {
             if ( isFirst ) {
-                ctx.lineWidth = lineWidth;
+                ctx.lineWidth = lineWidth * size;
                 ctx.beginPath();
                 ctx.moveTo( prevPoint.x, prevPoint.y );
             }
@@ -157,7 +210,7 @@ export const renderBrushStroke = ( ctx, brush, sprite, overrideConfig ) => {
 
             if ( isFirst ) {
                 const penultimate = pointers[ pointers.length - 2 ];
-                ctx.lineWidth = lineWidth;
+                ctx.lineWidth = lineWidth * size;
                 ctx.beginPath();
                 ctx.moveTo( penultimate.x, penultimate.y );
                 ctx.lineTo( lastPoint.x,   lastPoint.y );
@@ -191,12 +244,18 @@ export const renderBrushStroke = ( ctx, brush, sprite, overrideConfig ) => {
                 case BrushTypes.PEN:
                     if ( isFirst && j === 0 ) {
                         ctx.beginPath();
-                        ctx.lineWidth = lineWidth * randomInRange( 0.5, 1 );
+                        ctx.lineWidth = lineWidth * size * randomInRange( 0.5, 1 );
                         if ( smooth ) {
                             ctx.moveTo( prevPoint.x - dX, prevPoint.y - dY );
                         }
                     }
                     if ( smooth ) {
+                        if ( dynamic ) {
+                            // each segment is stroked individually, continuing where the curve of the previous segment ended
+                            const startPoint = isFirst ? prevPoint : pointBetween( pointers[ i - 2 ], prevPoint );
+                            ctx.beginPath();
+                            ctx.moveTo( startPoint.x - dX, startPoint.y - dY );
+                        }
                         const midPoint = pointBetween( prevPoint, point );
                         ctx.quadraticCurveTo( prevPoint.x - dX, prevPoint.y - dY, midPoint.x - dX, midPoint.y - dY );
                     } else {
@@ -206,6 +265,8 @@ export const renderBrushStroke = ( ctx, brush, sprite, overrideConfig ) => {
                     }
                     if ( smooth && i === pointers.length - 1 ) {
                         ctx.lineTo( point.x - dX, point.y - dY );
+                    }
+                    if ( smooth && ( dynamic || i === pointers.length - 1 )) {
                         ctx.stroke();
                     }
                     break;
@@ -0,0 +1,423 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2022 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import FiltersFactory, {
+    hasHSL, hasColorBalance, hasSpatialFilters, hasLevels, hasCurves
+} from "@/factories/filters-factory";
+import { calcPathSpline } from "@/math/line-math";
+import { gaussianBlur, unsharpMask, convolve } from "@/rendering/spatial-filters";
+
+const MAX_8BIT     = 255;
+const HALF_MAX8BIT = 2 / MAX_8BIT;
+const ONE_THIRD    = 1 / 3;
+const HALF         = 0.5;
+const TABLE_SIZE   = MAX_8BIT + 1;
+const ONE_SIXTH    = 1 / 6;
+const TWO_THIRDS   = 2 / 3;
+
+// the maximum amount (relative to the full range) by which colour balance shifts a channel
+const BALANCE_RANGE = .25;
+
+// ranges of the spatial filters
+const MAX_BLUR_SIGMA     = 25;  // in pixels
+const MIN_UNSHARP_RADIUS = .1;  // in pixels
+const MAX_UNSHARP_RADIUS = 10;  // in pixels
+const MAX_UNSHARP_AMOUNT = 3;   // e.g. 300 %
+
+const defaultFilters = FiltersFactory.create();
+
+/**
+ * Applies given filters onto given ImageData. This is the JavaScript implementation
+ * of the filters, which can run inside a Worker (see filter.worker.js) or synchronously
+ * (for instance when compositing adjustment layers).
+ *
+ * @param {ImageData} imageData
+ * @param {Object} filters @see filters-factory
+ * @return {Uint8ClampedArray} the filtered pixel data
+ */
+export const renderFilters = ( imageData, filters ) => {
+    const brightness     = ( filters.brightness * 2 );//( filters.brightness * 2 ) - 1; // -1 to 1 range
+    const contrast       = Math.pow((( filters.contrast * 100 ) + 100 ) / 100, 2 ); // -100 to 100 range
+    const gamma          = ( filters.gamma * 2 ); // 0 to 2 range
+    const vibrance       = -(( filters.vibrance * 200 ) - 100 ); // -100 to 100 range
+    const { desaturate } = filters; // boolean
+    const hue            = filters.hue - HALF; // -0.5 to 0.5 range (a full rotation)
+    const saturation     = ( filters.saturation * 2 ) - 1; // -1 to 1 range
+    const lightness      = ( filters.lightness * 2 ) - 1; // -1 to 1 range
+
+    const pixels = imageData.data;
+
+    // spatial filters are applied first as they require the unaltered values of the surrounding pixels
+
+    if ( hasSpatialFilters( filters )) {
+        const { blur, unsharpAmount, unsharpRadius, unsharpThreshold } = getSpatialFilterValues( filters );
+        const { width, height } = imageData;
+
+        gaussianBlur( pixels, width, height, blur );
+        unsharpMask( pixels, width, height, unsharpRadius, unsharpAmount, unsharpThreshold );
+        if ( filters.kernel ) {
+            convolve( pixels, width, height, filters.kernel );
+        }
+    }
+
+    let r, g, b;
+    let grayScale, max, avg, amt;
+    const channels = [ 0, 0, 0 ]; // reused by each pixel (see adjustHSL() and balanceColor())
+    const gammaSquared = gamma * gamma;
+
+    const doBrightness = filters.brightness !== defaultFilters.brightness;
+    const doContrast   = filters.contrast   !== defaultFilters.contrast;
+    const doGamma      = filters.gamma      !== defaultFilters.gamma;
+    const doVibrance   = filters.vibrance   !== defaultFilters.vibrance;
+    const doHSL        = hasHSL( filters );
+
+    const colorBalance = createColorBalance( filters );
+    const lookupTables = createLookupTables( filters );
+
+    // loop through the pixels, note we increment the iterator by four
+    // as each pixel is defined by four channel values : red, green, blue and the alpha channel
+    // note that for most filter types we leave the alpha channel unchanged
+
+    for ( let i = 0, l = pixels.length; i < l; i += 4 ) {
+
+        r = pixels[ i ];
+        g = pixels[ i + 1 ];
+        b = pixels[ i + 2 ];
+        //a = pixels[ i + 3 ]; // currently no filter uses alpha channel
+
+        // 1. adjust gamma
+        if ( doGamma ) {
+            r = r * gammaSquared;
+            g = g * gammaSquared;
+            b = b * gammaSquared;
+        }
+
+        // 2. desaturate
+        if ( desaturate ) {
+            grayScale = r * 0.3 + g * 0.59 + b * 0.11;
+            r = grayScale;
+            g = grayScale;
+            b = grayScale;
+        }
+
+        // 3. adjust brightness
+        if ( doBrightness ) {
+            r *= brightness;
+            g *= brightness;
+            b *= brightness;
+        }
+
+        // 4. adjust contrast
+        if ( doContrast ) {
+            r = (( r / MAX_8BIT - HALF ) * contrast + HALF ) * MAX_8BIT;
+            g = (( g / MAX_8BIT - HALF ) * contrast + HALF ) * MAX_8BIT;
+            b = (( b / MAX_8BIT - HALF ) * contrast + HALF ) * MAX_8BIT;
+        }
+
+        // 5. adjust vibrance
+        if ( doVibrance ) {
+            max = Math.max( r, g, b );
+            avg = ( r + g + b ) * ONE_THIRD;
+            amt = (( Math.abs( max - avg ) * HALF_MAX8BIT ) * vibrance ) * 0.1; // 0.01;
+
+            if ( r !== max ) {
+                r = r + ( max - r ) * amt;
+            }
+            if ( g !== max ) {
+                g = g + ( max - g ) * amt;
+            }
+            if ( b !== max ) {
+                b = b + ( max - b ) * amt;
+            }
+        }
+
+        // 6. adjust hue, saturation and lightness
+        if ( doHSL ) {
+            adjustHSL( r, g, b, hue, saturation, lightness, channels );
+            r = channels[ 0 ];
+            g = channels[ 1 ];
+            b = channels[ 2 ];
+        }
+
+        // 7. apply colour balance
+        if ( colorBalance ) {
+            balanceColor( r, g, b, colorBalance, channels );
+            r = channels[ 0 ];
+            g = channels[ 1 ];
+            b = channels[ 2 ];
+        }
+
+        // 8. apply levels and curves
+        if ( lookupTables ) {
+            r = lookupTables[ toTableIndex( r ) ];
+            g = lookupTables[ TABLE_SIZE + toTableIndex( g ) ];
+            b = lookupTables[ TABLE_SIZE * 2 + toTableIndex( b ) ];
+        }
+
+        // commit the changes
+        pixels[ i ]     = r;
+        pixels[ i + 1 ] = g;
+        pixels[ i + 2 ] = b;
+        //pixels[ i + 3 ] = a; // currently no filter uses alpha channel
+    }
+    return imageData.data;
+};
+
+/**
+ * Levels and Curves adjustments map each input channel value onto an output value. As such,
+ * these can be combined into lookup tables that are calculated once for all pixels.
+ *
+ * @param {Object} filters @see filters-factory
+ * @return {Float32Array|null} lookup tables for the red, green and blue channels (in that order,
+ *                             256 entries per channel). null when no Levels nor Curves are applied
+ */
+export const createLookupTables = filters => {
+    const doLevels = hasLevels( filters );
+    const doCurves = hasCurves( filters );
+
+    if ( !doLevels && !doCurves ) {
+        return null;
+    }
+    const tables = new Float32Array( TABLE_SIZE * 3 );
+
+    const rgbCurve      = doCurves ? createCurveTable( filters.curveRGB ) : null;
+    const channelCurves = doCurves ? [ filters.curveR, filters.curveG, filters.curveB ].map( createCurveTable ) : null;
+
+    for ( let i = 0; i < TABLE_SIZE; ++i ) {
+        const leveled = doLevels ? applyLevels( i / MAX_8BIT, filters ) : i / MAX_8BIT;
+
+        for ( let channel = 0; channel < 3; ++channel ) {
+            let value = leveled;
+            if ( doCurves ) {
+                value = channelCurves[ channel ][ toTableIndex( value * MAX_8BIT ) ];
+                value = rgbCurve[ toTableIndex( value * MAX_8BIT ) ];
+            }
+            tables[ channel * TABLE_SIZE + i ] = value * MAX_8BIT;
+        }
+    }
+    return tables;
+};
+
+/**
+ * Calculates a Catmull-Rom spline running through all points of given curve
+ * and samples it into a table of output values (in 0 - 1 range) for each 8-bit input value
+ *
+ * @param {Array<{ x: Number, y: Number }>} curve
+ * @return {Float32Array}
+ */
+export const createCurveTable = curve => {
+    const table = new Float32Array( TABLE_SIZE );
+    const nodes = [ ...curve ].sort(( a, b ) => a.x - b.x );
+
+    // repeat the first and last nodes so the spline runs through the outer nodes
+    const padded = [ nodes[ 0 ], ...nodes, nodes[ nodes.length - 1 ]];
+    const points = [];
+    for ( let node = 1; node < padded.length - 2; ++node ) {
+        calcPathSpline( padded, node, points );
+    }
+
+    // values outside of the first and last nodes are flat
+    const first = nodes[ 0 ];
+    const last  = nodes[ nodes.length - 1 ];
+    let pointIndex = 0;
+
+    for ( let i = 0; i < TABLE_SIZE; ++i ) {
+        const x = i / MAX_8BIT;
+        let y;
+        if ( x <= first.x ) {
+            y = first.y;
+        } else if ( x >= last.x ) {
+            y = last.y;
+        } else {
+            while ( pointIndex < points.length - 2 && points[ pointIndex + 1 ].x < x ) {
+                ++pointIndex;
+            }
+            const p1    = points[ pointIndex ];
+            const p2    = points[ pointIndex + 1 ];
+            const delta = p2.x - p1.x;
+            y = delta > 0 ? p1.y + ( p2.y - p1.y ) * (( x - p1.x ) / delta ) : p2.y;
+        }
+        table[ i ] = Math.max( 0, Math.min( 1, y ));
+    }
+    return table;
+};
+
+/**
+ * Translates the spatial filter properties (in 0 - 1 range) into their actual values
+ *
+ * @param {Object} filters @see filters-factory
+ * @return {{ blur: Number, unsharpAmount: Number, unsharpRadius: Number, unsharpThreshold: Number }}
+ */
+export const getSpatialFilterValues = filters => ({
+    blur             : filters.blur * MAX_BLUR_SIGMA,
+    unsharpAmount    : filters.unsharpAmount * MAX_UNSHARP_AMOUNT,
+    unsharpRadius    : Math.max( MIN_UNSHARP_RADIUS, filters.unsharpRadius * MAX_UNSHARP_RADIUS ),
+    unsharpThreshold : filters.unsharpThreshold * MAX_8BIT,
+});
+
+/**
+ * Colour balance shifts the channel values of the shadows, midtones and highlights
+ *
+ * @param {Object} filters @see filters-factory
+ * @return {Float32Array|null} the shift (in -1 to 1 range) of the red, green and blue channels
+ *                             for the shadows, midtones and highlights (in that order). null
+ *                             when no colour balance is applied
+ */
+export const createColorBalance = filters => {
+    if ( !hasColorBalance( filters )) {
+        return null;
+    }
+    const balance = new Float32Array( 9 );
+    [ filters.balanceShadows, filters.balanceMidtones, filters.balanceHighlights ].forEach(( range, index ) => {
+        balance[ index * 3 ]     = ( range.r * 2 ) - 1;
+        balance[ index * 3 + 1 ] = ( range.g * 2 ) - 1;
+        balance[ index * 3 + 2 ] = ( range.b * 2 ) - 1;
+    });
+    return balance;
+};
+
+/* internal methods */
+
+function toTableIndex( value ) {
+    return Math.max( 0, Math.min( MAX_8BIT, Math.round( value )));
+}
+
+/**
+ * Maps given value (in 0 - 1 range) from the input black and white points onto the
+ * output black and white points, applying the midtone as a gamma correction
+ */
+function applyLevels( value, { levelsInBlack, levelsInWhite, levelsMidtone, levelsOutBlack, levelsOutWhite }) {
+    const inRange = Math.max( 1 / MAX_8BIT, levelsInWhite - levelsInBlack );
+    value = Math.max( 0, Math.min( 1, ( value - levelsInBlack ) / inRange ));
+
+    // midtone in 0 - 1 range translates to a gamma in the 10 - 0.1 range (where .5 equals a gamma of 1)
+    const gamma = Math.pow( 10, ( HALF - levelsMidtone ) * 2 );
+    value = Math.pow( value, 1 / gamma );
+
+    return levelsOutBlack + value * ( levelsOutWhite - levelsOutBlack );
+}
+
+// previous filters can have pushed the channel values outside of the 8-bit range
+function normalize( value ) {
+    return Math.max( 0, Math.min( 1, value / MAX_8BIT ));
+}
+
+// the adjustment and colour conversion methods below write their result into given
+// out Array (rather than returning a new Array) as these are invoked for every pixel
+
+function adjustHSL( r, g, b, hueShift, saturation, lightness, out ) {
+    rgbToHsl( normalize( r ), normalize( g ), normalize( b ), out );
+
+    const h = ( out[ 0 ] + hueShift + 1 ) % 1;
+    const s = saturation > 0 ? out[ 1 ] + ( 1 - out[ 1 ] ) * saturation : out[ 1 ] * ( 1 + saturation );
+    const l = lightness  > 0 ? out[ 2 ] + ( 1 - out[ 2 ] ) * lightness  : out[ 2 ] * ( 1 + lightness );
+
+    hslToRgb( h, s, l, out );
+
+    out[ 0 ] *= MAX_8BIT;
+    out[ 1 ] *= MAX_8BIT;
+    out[ 2 ] *= MAX_8BIT;
+}
+
+/**
+ * The shift for each tonal range is weighted by the pixels luminance, where the
+ * shadows are affected most by dark values and the highlights by bright values
+ */
+function balanceColor( r, g, b, balance, out ) {
+    const luminance = Math.max( 0, Math.min( 1, ( r * 0.3 + g * 0.59 + b * 0.11 ) / MAX_8BIT ));
+
+    const shadows    = Math.max( 0, 1 - luminance * 2 );
+    const highlights = Math.max( 0, luminance * 2 - 1 );
+    const midtones   = 1 - shadows - highlights;
+
+    const range = MAX_8BIT * BALANCE_RANGE;
+
+    out[ 0 ] = r + ( balance[ 0 ] * shadows + balance[ 3 ] * midtones + balance[ 6 ] * highlights ) * range;
+    out[ 1 ] = g + ( balance[ 1 ] * shadows + balance[ 4 ] * midtones + balance[ 7 ] * highlights ) * range;
+    out[ 2 ] = b + ( balance[ 2 ] * shadows + balance[ 5 ] * midtones + balance[ 8 ] * highlights ) * range;
+}
+
+// all below values are in the 0 - 1 range
+
+function rgbToHsl( r, g, b, out ) {
+    const max = Math.max( r, g, b );
+    const min = Math.min( r, g, b );
+    const l   = ( max + min ) * HALF;
+
+    if ( max === min ) {
+        out[ 0 ] = 0; // achromatic
+        out[ 1 ] = 0;
+        out[ 2 ] = l;
+        return;
+    }
+    const delta = max - min;
+    const s     = l > HALF ? delta / ( 2 - max - min ) : delta / ( max + min );
+    let h;
+    switch ( max ) {
+        case r:
+            h = ( g - b ) / delta + ( g < b ? 6 : 0 );
+            break;
+        case g:
+            h = ( b - r ) / delta + 2;
+            break;
+        default:
+            h = ( r - g ) / delta + 4;
+            break;
+    }
+    out[ 0 ] = h * ONE_SIXTH;
+    out[ 1 ] = s;
+    out[ 2 ] = l;
+}
+
+function hslToRgb( h, s, l, out ) {
+    if ( s === 0 ) {
+        out[ 0 ] = l; // achromatic
+        out[ 1 ] = l;
+        out[ 2 ] = l;
+        return;
+    }
+    const q = l < HALF ? l * ( 1 + s ) : l + s - l * s;
+    const p = 2 * l - q;
+
+    out[ 0 ] = hueToChannel( p, q, h + ONE_THIRD );
+    out[ 1 ] = hueToChannel( p, q, h );
+    out[ 2 ] = hueToChannel( p, q, h - ONE_THIRD );
+}
+
+function hueToChannel( p, q, t ) {
+    if ( t < 0 ) {
+        t += 1;
+    }
+    if ( t > 1 ) {
+        t -= 1;
+    }
+    if ( t < ONE_SIXTH ) {
+        return p + ( q - p ) * 6 * t;
+    }
+    if ( t < HALF ) {
+        return q;
+    }
+    if ( t < TWO_THIRDS ) {
+        return p + ( q - p ) * ( TWO_THIRDS - t ) * 6;
+    }
+    return p;
+}
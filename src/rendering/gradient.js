@@ -0,0 +1,102 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2022 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+export const GRADIENT_LINEAR    = "linear";
+export const GRADIENT_RADIAL    = "radial";
+export const GRADIENT_ANGULAR   = "angular";
+export const GRADIENT_REFLECTED = "reflected";
+
+export const GRADIENT_TYPES = [ GRADIENT_LINEAR, GRADIENT_RADIAL, GRADIENT_ANGULAR, GRADIENT_REFLECTED ];
+
+/**
+ * Angular gradients require CanvasRenderingContext2D.createConicGradient(), which is not
+ * available in all browsers. When unsupported, angular gradients render as radial gradients.
+ *
+ * @param {CanvasRenderingContext2D=} ctx optional context to check, defaults to the browser API
+ * @return {Boolean}
+ */
+export const supportsAngularGradient = ( ctx = window.CanvasRenderingContext2D?.prototype ) => {
+    return typeof ctx?.createConicGradient === "function";
+};
+
+/**
+ * Renders a gradient onto given context. The gradient is drawn between given start and
+ * end coordinate and will fill the entire context (or its clipping path, when the context
+ * has been clipped to a selection prior to invoking this method).
+ *
+ * @param {CanvasRenderingContext2D} ctx context to render on
+ * @param {Object} options gradient tool options (see tool-module.js)
+ * @param {{ x: Number, y: Number }} start coordinate where the gradient starts
+ * @param {{ x: Number, y: Number }} end coordinate where the gradient ends
+ * @param {{ left: Number, top: Number, width: Number, height: Number }} rect area to fill
+ */
+export const renderGradient = ( ctx, { type, stops }, start, end, rect ) => {
+    const gradient = createGradient( ctx, type, start, end );
+    const colorStops = type === GRADIENT_REFLECTED ? reflectStops( stops ) : sortStops( stops );
+
+    colorStops.forEach(({ offset, color }) => {
+        gradient.addColorStop( Math.max( 0, Math.min( 1, offset )), color );
+    });
+    ctx.fillStyle = gradient;
+    ctx.fillRect( rect.left, rect.top, rect.width, rect.height );
+};
+
+/**
+ * Sorts given list of color stops by their offset, in ascending order.
+ * Returns a new list.
+ */
+export const sortStops = stops => [ ...stops ].sort(( a, b ) => a.offset - b.offset );
+
+/**
+ * A reflected gradient runs from its end coordinate, through its start coordinate
+ * back towards the mirrored end coordinate. As such the color stops are compressed
+ * into the second half of the gradient and mirrored into its first half.
+ */
+export const reflectStops = stops => {
+    const sorted = sortStops( stops );
+    return [
+        ...sorted.map(({ offset, color }) => ({ offset: 0.5 - offset / 2, color })).reverse(),
+        ...sorted.map(({ offset, color }) => ({ offset: 0.5 + offset / 2, color })),
+    ];
+};
+
+/* internal methods */
+
+function createGradient( ctx, type, start, end ) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+
+    switch ( type ) {
+        default:
+        case GRADIENT_LINEAR:
+            return ctx.createLinearGradient( start.x, start.y, end.x, end.y );
+        case GRADIENT_ANGULAR:
+            if ( supportsAngularGradient( ctx )) {
+                return ctx.createConicGradient( Math.atan2( dy, dx ), start.x, start.y );
+            }
+            // falls through to radial gradient when conic gradients are unsupported
+        case GRADIENT_RADIAL:
+            return ctx.createRadialGradient( start.x, start.y, 0, start.x, start.y, Math.sqrt( dx * dx + dy * dy ));
+        case GRADIENT_REFLECTED:
+            return ctx.createLinearGradient( start.x - dx, start.y - dy, end.x, end.y );
+    }
+}
@@ -22,6 +22,7 @@
  */
 import { createCanvas, setCanvasDimensions } from "@/utils/canvas-util";
 import { hasSteppedLiveRender } from "@/definitions/brush-types";
+import { stabilizePointers } from "@/math/stroke-math";
 
 let tempCanvas;
 
@@ -68,12 +69,13 @@ export const disposeTempCanvas = () => {
  * This creates a deep copy of the pointers, leaving the original list unchanged.
  * This can be called in rendering iterations by supplying a positive value for
  * last (which indicates the offset of the last rendered pointer).
+ * When the brush defines a stabilizer, the sliced pointers are stabilized.
  *
  * @param {Object} brush
  * @return {Array<{ x: Number, y:Number }>}
  */
 export const slicePointers = brush => {
-    const { pointers } = brush;
+    const pointers = stabilizePointers( brush.pointers, brush.options );
     const last = hasSteppedLiveRender( brush ) ? brush.last : undefined;
     return JSON.parse( JSON.stringify( pointers.slice( pointers.length - ( pointers.length - last ) - 1 )));
 };
@@ -0,0 +1,147 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2022 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import { createShapesForMask } from "@/math/selection-math";
+
+const UNVISITED = 0;
+const INSIDE    = 1; // equals the value of a selected pixel (see createShapesForMask())
+const OUTSIDE   = 2;
+const QUEUED    = 3;
+
+/**
+ * Creates a selection of all pixels that are similar in color to the pixel at given source coordinate.
+ * The selection is returned as a list of closed polygons (one for each separate area of similar pixels)
+ * whose coordinates are relative to the contexts origin. Dissimilar pixels enclosed within an area are
+ * described as holes (polygons wound in the opposite direction) and as such are not part of the selection.
+ *
+ * @param {CanvasRenderingContext2D} ctx context to sample
+ * @param {Number} sourceX x-coordinate of the pixel to sample
+ * @param {Number} sourceY y-coordinate of the pixel to sample
+ * @param {Number} tolerance maximum difference (0 - 255) per color channel for a pixel to be considered similar
+ * @param {Boolean=} contiguous whether to only select pixels adjacent to the source coordinate
+ * @return {Array<Array<{ x: Number, y: Number }>>}
+ */
+export const selectByColor = ( ctx, sourceX, sourceY, tolerance, contiguous = true ) => {
+    const { width, height } = ctx.canvas;
+    const { data } = ctx.getImageData( 0, 0, width, height );
+    const mask = createColorMask( data, width, height, sourceX, sourceY, tolerance, contiguous );
+
+    return traceMask( mask, width, height );
+};
+
+/**
+ * Creates a mask for all pixels similar in color to the pixel at given source coordinate.
+ * The mask describes each pixel in given RGBA pixel data as a single value, where
+ * similar pixels have the INSIDE value.
+ *
+ * @param {Uint8ClampedArray} pixels RGBA pixel data
+ * @param {Number} width of the image
+ * @param {Number} height of the image
+ * @param {Number} sourceX x-coordinate of the pixel to sample
+ * @param {Number} sourceY y-coordinate of the pixel to sample
+ * @param {Number} tolerance maximum difference (0 - 255) per color channel
+ * @param {Boolean=} contiguous whether to only include pixels adjacent to the source coordinate
+ * @return {Uint8Array}
+ */
+export const createColorMask = ( pixels, width, height, sourceX, sourceY, tolerance, contiguous = true ) => {
+    sourceX = Math.max( 0, Math.min( width  - 1, Math.round( sourceX )));
+    sourceY = Math.max( 0, Math.min( height - 1, Math.round( sourceY )));
+
+    const sourceIndex = sourceY * width + sourceX;
+    const offset = sourceIndex * 4;
+    const r = pixels[ offset ];
+    const g = pixels[ offset + 1 ];
+    const b = pixels[ offset + 2 ];
+    const a = pixels[ offset + 3 ];
+
+    const isSimilar = index => {
+        const i = index * 4;
+        return Math.abs( pixels[ i ]     - r ) <= tolerance &&
+               Math.abs( pixels[ i + 1 ] - g ) <= tolerance &&
+               Math.abs( pixels[ i + 2 ] - b ) <= tolerance &&
+               Math.abs( pixels[ i + 3 ] - a ) <= tolerance;
+    };
+    const mask = new Uint8Array( width * height );
+
+    if ( contiguous ) {
+        fillArea( mask, width, sourceIndex, isSimilar, new Int32Array( mask.length ));
+    } else {
+        for ( let i = 0, l = mask.length; i < l; ++i ) {
+            mask[ i ] = isSimilar( i ) ? INSIDE : OUTSIDE;
+        }
+    }
+    return mask;
+};
+
+/**
+ * Traces the outlines of all separate areas inside given mask (see createColorMask())
+ * into a list of closed polygons, where enclosed areas outside of the mask are described as holes.
+ *
+ * @param {Uint8Array} mask
+ * @param {Number} width of the mask
+ * @param {Number} height of the mask
+ * @return {Array<Array<{ x: Number, y: Number }>>}
+ */
+export const traceMask = ( mask, width, height ) => createShapesForMask( mask, width, height );
+
+/* internal methods */
+
+/**
+ * Marks all pixels connected to given start index that satisfy given isMatch function
+ * with the INSIDE value in given target list. Each pixel is queued at most once, as such
+ * given stack should be able to hold the index of each pixel.
+ */
+function fillArea( target, width, startIndex, isMatch, stack ) {
+    const lastRow = target.length - width;
+    let size = 0;
+
+    const enqueue = index => {
+        if ( target[ index ] === UNVISITED ) {
+            target[ index ] = QUEUED;
+            stack[ size++ ] = index;
+        }
+    };
+    enqueue( startIndex );
+
+    while ( size > 0 ) {
+        const index = stack[ --size ];
+        if ( !isMatch( index )) {
+            target[ index ] = OUTSIDE;
+            continue;
+        }
+        target[ index ] = INSIDE;
+
+        const x = index % width;
+        if ( x > 0 ) {
+            enqueue( index - 1 );
+        }
+        if ( x < width - 1 ) {
+            enqueue( index + 1 );
+        }
+        if ( index >= width ) {
+            enqueue( index - width );
+        }
+        if ( index < lastRow ) {
+            enqueue( index + width );
+        }
+    }
+}
@@ -0,0 +1,107 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2022 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+const { max, min, round, sqrt } = Math;
+
+/**
+ * Creates a map describing the strength of the edges within given pixel data. The strength of
+ * each pixel is determined by the luminance gradient (calculated using the Sobel operator)
+ * and is normalized to the 0 - 1 range, where 1 corresponds to the strongest edge in the image.
+ *
+ * @param {Uint8ClampedArray} pixels RGBA pixel data
+ * @param {Number} width of the image
+ * @param {Number} height of the image
+ * @return {Float32Array} edge strength for each pixel
+ */
+export const createEdgeMap = ( pixels, width, height ) => {
+    const luminance = new Float32Array( width * height );
+    for ( let i = 0, l = luminance.length; i < l; ++i ) {
+        const offset = i * 4;
+        // transparent pixels have no visible luminance
+        const alpha = pixels[ offset + 3 ] / 255;
+        luminance[ i ] = ( pixels[ offset ] * .299 + pixels[ offset + 1 ] * .587 + pixels[ offset + 2 ] * .114 ) * alpha;
+    }
+    const edges = new Float32Array( width * height );
+    const getLuminance = ( x, y ) => luminance[ min( height - 1, max( 0, y )) * width + min( width - 1, max( 0, x )) ];
+    let strongest = 0;
+
+    for ( let y = 0; y < height; ++y ) {
+        for ( let x = 0; x < width; ++x ) {
+            const tl = getLuminance( x - 1, y - 1 ), t = getLuminance( x, y - 1 ), tr = getLuminance( x + 1, y - 1 );
+            const l  = getLuminance( x - 1, y ),                                 r  = getLuminance( x + 1, y );
+            const bl = getLuminance( x - 1, y + 1 ), b = getLuminance( x, y + 1 ), br = getLuminance( x + 1, y + 1 );
+
+            const gx = ( tr + 2 * r + br ) - ( tl + 2 * l + bl );
+            const gy = ( bl + 2 * b + br ) - ( tl + 2 * t + tr );
+            const strength = sqrt( gx * gx + gy * gy );
+
+            edges[ y * width + x ] = strength;
+            strongest = max( strongest, strength );
+        }
+    }
+    if ( strongest > 0 ) {
+        for ( let i = 0, l = edges.length; i < l; ++i ) {
+            edges[ i ] /= strongest;
+        }
+    }
+    return edges;
+};
+
+/**
+ * Snaps given coordinate onto the strongest edge within given radius. Edges further away from
+ * the coordinate weigh less, so the path remains close to the pointer when multiple edges are in range.
+ * When there is no edge exceeding given contrast within range, the coordinate is returned unchanged.
+ *
+ * @param {Float32Array} edges as created by createEdgeMap()
+ * @param {Number} width of the image
+ * @param {Number} height of the image
+ * @param {Number} x coordinate to snap
+ * @param {Number} y coordinate to snap
+ * @param {Number} radius in pixels to look for edges
+ * @param {Number} contrast minimum edge strength (in 0 - 1 range) for an edge to be snapped to
+ * @return {{ x: Number, y: Number }}
+ */
+export const snapToEdge = ( edges, width, height, x, y, radius, contrast ) => {
+    const centerX = round( x );
+    const centerY = round( y );
+    let bestScore = 0;
+    let snapped   = { x, y };
+
+    for ( let py = max( 0, centerY - radius ), maxY = min( height - 1, centerY + radius ); py <= maxY; ++py ) {
+        for ( let px = max( 0, centerX - radius ), maxX = min( width - 1, centerX + radius ); px <= maxX; ++px ) {
+            const strength = edges[ py * width + px ];
+            if ( strength < contrast ) {
+                continue;
+            }
+            const distance = sqrt(( px - centerX ) * ( px - centerX ) + ( py - centerY ) * ( py - centerY ));
+            if ( distance > radius ) {
+                continue;
+            }
+            const score = strength * ( 1 - distance / ( 2 * radius ));
+            if ( score > bestScore ) {
+                bestScore = score;
+                snapped   = { x: px, y: py };
+            }
+        }
+    }
+    return snapped;
+};
@@ -0,0 +1,432 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2022 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import Vue from "vue";
+import SelectionModes from "@/definitions/selection-modes";
+import { areShapesClosed, createShapesForMask, getRectangleForSelection, simplifyShape } from "@/math/selection-math";
+import { isOverlapping } from "@/math/rectangle-math";
+import { translatePoints } from "@/math/point-math";
+import { createCanvas } from "@/utils/canvas-util";
+import { traceSelection, createFeatherMask, createSoftSelectionMask } from "@/rendering/clipping";
+import { applyTransformation, reverseTransformation } from "@/rendering/transforming";
+
+export const SELECTION_EXPAND   = "expand";
+export const SELECTION_CONTRACT = "contract";
+export const SELECTION_BORDER   = "border";
+export const SELECTION_SMOOTH   = "smooth";
+
+const COMPOSITE_OPERATIONS = {
+    [ SelectionModes.ADD ]       : "source-over",
+    [ SelectionModes.SUBTRACT ]  : "destination-out",
+    [ SelectionModes.INTERSECT ] : "destination-in",
+};
+
+/**
+ * Combines given shape with given (existing) selection using given selection mode.
+ * When the shape overlaps the selection, the combination is calculated by rendering the selected
+ * areas onto a canvas (spanning the area covered by both), after which the outlines of the resulting
+ * pixels are traced (and simplified) into a new list of shapes.
+ *
+ * @param {Array<Array<{ x: Number, y: Number }>>} selection the existing selection
+ * @param {Array<{ x: Number, y: Number }>} shape shape to combine with the existing selection
+ * @param {String} mode selection mode (see selection-modes.js)
+ * @param {Number} width of the document
+ * @param {Number} height of the document
+ * @return {Array<Array<{ x: Number, y: Number }>>} the combined selection
+ */
+export const combineSelection = ( selection, shape, mode, width, height ) => {
+    if ( !selection?.length || mode === SelectionModes.REPLACE ) {
+        return [ SelectionModes.SUBTRACT, SelectionModes.INTERSECT ].includes( mode ) ? [] : [ shape ];
+    }
+    const selectionBounds = getRectangleForSelection( selection.flat() );
+    const shapeBounds     = getRectangleForSelection( shape );
+
+    // the area covered by both the selection and the shape, within the document bounds
+    const left   = Math.max( 0, Math.floor( Math.min( selectionBounds.left, shapeBounds.left )));
+    const top    = Math.max( 0, Math.floor( Math.min( selectionBounds.top,  shapeBounds.top )));
+    const right  = Math.min( width,  Math.ceil( Math.max( selectionBounds.left + selectionBounds.width, shapeBounds.left + shapeBounds.width )));
+    const bottom = Math.min( height, Math.ceil( Math.max( selectionBounds.top + selectionBounds.height, shapeBounds.top + shapeBounds.height )));
+
+    if ( !isOverlapping( selectionBounds, shapeBounds ) || right <= left || bottom <= top ) {
+        // shapes that do not overlap the selection can be combined without rasterizing
+        switch ( mode ) {
+            default:
+                return [ ...selection, shape ];
+            case SelectionModes.SUBTRACT:
+                return selection;
+            case SelectionModes.INTERSECT:
+                return [];
+        }
+    }
+    const { ctx } = createCanvas( right - left, bottom - top );
+    ctx.fillStyle = "#000";
+
+    ctx.beginPath();
+    traceSelection( ctx, selection, left, top );
+    ctx.fill();
+
+    ctx.globalCompositeOperation = COMPOSITE_OPERATIONS[ mode ];
+    ctx.beginPath();
+    traceSelection( ctx, [ shape ], left, top );
+    ctx.fill();
+
+    return createShapesForMask( getMaskFromContext( ctx ), right - left, bottom - top ).map( traced => {
+        return translatePoints( simplifyShape( traced ), left, top );
+    });
+};
+
+/**
+ * Modifies the outline of given selection. The selection can be expanded or contracted by given radius,
+ * turned into a border of given width (centered on the outline of the selection) or smoothed
+ * (where the selected state of each pixel is determined by the majority of its surrounding pixels).
+ *
+ * @param {Array<Array<{ x: Number, y: Number }>>} selection the existing selection
+ * @param {String} type modification to apply, e.g. SELECTION_EXPAND
+ * @param {Number} radius of the modification, in pixels
+ * @param {Number} width of the document
+ * @param {Number} height of the document
+ * @return {Array<Array<{ x: Number, y: Number }>>} the modified selection
+ */
+export const modifySelection = ( selection, type, radius, width, height ) => {
+    const mask = createSelectionMask( selection, width, height );
+    let result;
+
+    switch ( type ) {
+        default:
+            return selection;
+        case SELECTION_EXPAND:
+            result = growMask( mask, width, height, radius );
+            break;
+        case SELECTION_CONTRACT:
+            result = growMask( mask, width, height, -radius );
+            break;
+        case SELECTION_BORDER:
+            // the border is the difference between the expanded and the contracted selection
+            result = growMask( mask, width, height, radius / 2 );
+            growMask( mask, width, height, -radius / 2 ).forEach(( value, index ) => {
+                result[ index ] &= 1 - value;
+            });
+            break;
+        case SELECTION_SMOOTH:
+            result = smoothMask( mask, width, height, radius );
+            break;
+    }
+    return createShapesForMask( result, width, height );
+};
+
+/**
+ * Creates a selection outlining the pixels of given bitmap that are at least half opaque.
+ *
+ * @param {HTMLCanvasElement|HTMLImageElement} bitmap
+ * @param {Number} width of the document
+ * @param {Number} height of the document
+ * @param {Number=} x optional position of the bitmap within the document
+ * @param {Number=} y optional position of the bitmap within the document
+ * @return {Array<Array<{ x: Number, y: Number }>>}
+ */
+export const createSelectionFromBitmap = ( bitmap, width, height, x = 0, y = 0 ) => {
+    const { ctx } = createCanvas( width, height );
+    ctx.drawImage( bitmap, x, y );
+
+    return createShapesForMask( getMaskFromContext( ctx ), width, height );
+};
+
+/**
+ * Soft selections describe the selected amount of each pixel by its alpha value (e.g. when
+ * painted in quick mask mode). A soft selection is stored alongside the selection shapes it was
+ * traced into and remains valid for as long as the Documents selection shapes are unchanged.
+ *
+ * @param {Object} document
+ * @param {HTMLCanvasElement|null} bitmap document sized bitmap, null to unset
+ */
+export const setSoftSelection = ( document, bitmap ) => {
+    Vue.set( document, "softSelection", bitmap ? { selection: document.selection, bitmap } : null );
+};
+
+/**
+ * @param {Object} document
+ * @return {HTMLCanvasElement|null} the soft selection bitmap, when valid for the current selection
+ */
+export const getSoftSelection = document => {
+    const { softSelection } = document;
+    return softSelection && softSelection.selection === document.selection ? softSelection.bitmap : null;
+};
+
+/**
+ * Renders the selection of given document into a document sized bitmap, where the alpha
+ * value of each pixel describes whether it is selected (honouring feathered and soft selections).
+ * When the document has no (closed) selection, the bitmap is fully transparent.
+ *
+ * @param {Object} document
+ * @return {HTMLCanvasElement}
+ */
+export const createSelectionBitmap = document => {
+    const { width, height, selection, invertSelection, selectionFeather = 0 } = document;
+    const softSelection = getSoftSelection( document );
+
+    if ( softSelection ) {
+        return createSoftSelectionMask( softSelection, width, height, 0, 0, invertSelection );
+    }
+    if ( !areShapesClosed( selection )) {
+        return createCanvas( width, height ).cvs;
+    }
+    return createFeatherMask( selection, width, height, 0, 0, invertSelection, selectionFeather );
+};
+
+/**
+ * Creates a mask for given layer from the selection of given document. As opaque mask pixels
+ * hide the layers contents, the mask either reveals only the selected area or hides it.
+ * The selection is mapped onto the untransformed layer (e.g. for rotated or mirrored layers).
+ *
+ * @param {Object} document
+ * @param {Object} layer
+ * @param {Boolean=} hideSelection whether to hide the selected area (otherwise only the selected area is revealed)
+ * @return {HTMLCanvasElement} mask bitmap, sized to the layer
+ */
+export const createMaskFromSelection = ( document, layer, hideSelection = false ) => {
+    const { width, height, maskX, maskY } = layer;
+    const { cvs, ctx } = createCanvas( width, height );
+    if ( !hideSelection ) {
+        ctx.fillStyle = "#FFF";
+        ctx.fillRect( 0, 0, width, height );
+        ctx.globalCompositeOperation = "destination-out";
+    }
+    ctx.save();
+    ctx.translate( -maskX, -maskY );
+    const { left, top } = reverseTransformation( ctx, layer ) || layer;
+    ctx.drawImage( createSelectionBitmap( document ), -left, -top );
+    ctx.restore();
+
+    return cvs;
+};
+
+/**
+ * Renders the alpha channel of given layers (transformed) source into a document sized bitmap,
+ * suitable for use with createSelectionFromBitmap() and setSoftSelection().
+ *
+ * @param {Object} document
+ * @param {Object} layer
+ * @return {HTMLCanvasElement}
+ */
+export const createLayerAlphaBitmap = ( document, layer ) => {
+    const { cvs, ctx } = createCanvas( document.width, document.height );
+    drawTransformed( ctx, layer, layer.source );
+    return cvs;
+};
+
+/**
+ * Renders the area revealed by given layers mask (on the transformed layer) into a document
+ * sized bitmap, suitable for use with createSelectionFromBitmap() and setSoftSelection().
+ *
+ * @param {Object} document
+ * @param {Object} layer
+ * @return {HTMLCanvasElement}
+ */
+export const createLayerMaskBitmap = ( document, layer ) => {
+    const { width, height, mask, maskX, maskY } = layer;
+    const revealed = createCanvas( width, height );
+    revealed.ctx.fillStyle = "#FFF";
+    revealed.ctx.fillRect( 0, 0, width, height );
+    revealed.ctx.globalCompositeOperation = "destination-out";
+    revealed.ctx.drawImage( mask, maskX, maskY );
+
+    const { cvs, ctx } = createCanvas( document.width, document.height );
+    drawTransformed( ctx, layer, revealed.cvs );
+    return cvs;
+};
+
+/**
+ * Renders given selection into a mask, where each selected pixel has the value 1.
+ *
+ * @param {Array<Array<{ x: Number, y: Number }>>} selection
+ * @param {Number} width of the document
+ * @param {Number} height of the document
+ * @return {Uint8Array}
+ */
+export const createSelectionMask = ( selection, width, height ) => {
+    const { ctx } = createCanvas( width, height );
+    ctx.fillStyle = "#000";
+    ctx.beginPath();
+    traceSelection( ctx, selection );
+    ctx.fill();
+
+    return getMaskFromContext( ctx );
+};
+
+/**
+ * Grows the selected area within given mask by given radius. When the radius is negative,
+ * the selected area shrinks instead. Note the boundaries of the mask are not considered
+ * to be an edge (e.g. a fully selected mask cannot shrink).
+ *
+ * @param {Uint8Array} mask where each pixel is described by a single value, where 1 means selected
+ * @param {Number} width of the mask
+ * @param {Number} height of the mask
+ * @param {Number} radius in pixels, positive to grow, negative to shrink
+ * @return {Uint8Array} new mask
+ */
+export const growMask = ( mask, width, height, radius ) => {
+    if ( radius === 0 ) {
+        return new Uint8Array( mask );
+    }
+    const grow = radius > 0;
+    // calculate the (squared) distance of each pixel to the nearest pixel on the other side of the edge
+    const distances = getDistanceToValue( mask, width, height, grow ? 1 : 0 );
+    const maxDistance = radius * radius;
+
+    return mask.map(( value, index ) => {
+        if ( grow ) {
+            return distances[ index ] <= maxDistance ? 1 : 0;
+        }
+        return distances[ index ] > maxDistance ? 1 : 0;
+    });
+};
+
+/**
+ * Smoothens the edges of the selected area within given mask. A pixel is selected
+ * when the majority of the pixels within given radius are selected.
+ *
+ * @param {Uint8Array} mask where each pixel is described by a single value, where 1 means selected
+ * @param {Number} width of the mask
+ * @param {Number} height of the mask
+ * @param {Number} radius in pixels
+ * @return {Uint8Array} new mask
+ */
+export const smoothMask = ( mask, width, height, radius ) => {
+    radius = Math.round( radius );
+    // create summed area table, so the sum of any rectangular area can be retrieved in constant time
+    const rowSize = width + 1;
+    const sums    = new Uint32Array( rowSize * ( height + 1 ));
+    for ( let y = 0; y < height; ++y ) {
+        let rowSum = 0;
+        for ( let x = 0; x < width; ++x ) {
+            rowSum += mask[ y * width + x ];
+            sums[( y + 1 ) * rowSize + x + 1 ] = sums[ y * rowSize + x + 1 ] + rowSum;
+        }
+    }
+    const result = new Uint8Array( mask.length );
+    for ( let y = 0; y < height; ++y ) {
+        const top    = Math.max( 0, y - radius );
+        const bottom = Math.min( height, y + radius + 1 );
+        for ( let x = 0; x < width; ++x ) {
+            const left  = Math.max( 0, x - radius );
+            const right = Math.min( width, x + radius + 1 );
+            const sum   = sums[ bottom * rowSize + right ] - sums[ top * rowSize + right ] -
+                          sums[ bottom * rowSize + left ] + sums[ top * rowSize + left ];
+            result[ y * width + x ] = sum * 2 > ( right - left ) * ( bottom - top ) ? 1 : 0;
+        }
+    }
+    return result;
+};
+
+/* internal methods */
+
+// draws given layer sized image onto given document sized context the way the layer is rendered
+// (e.g. taking its mirroring, rotation and scale into account, see LayerSprite.drawLayer())
+
+function drawTransformed( ctx, layer, image ) {
+    ctx.save();
+    const { left, top, width, height } = applyTransformation( ctx, layer ) || layer;
+    ctx.drawImage( image, left, top, width, height );
+    ctx.restore();
+}
+
+// pixels covered for at least half their surface are considered selected
+
+function getMaskFromContext( ctx ) {
+    const { width, height } = ctx.canvas;
+    const { data } = ctx.getImageData( 0, 0, width, height );
+    const mask = new Uint8Array( width * height );
+
+    for ( let i = 0, l = mask.length; i < l; ++i ) {
+        mask[ i ] = data[ i * 4 + 3 ] >= 128 ? 1 : 0;
+    }
+    return mask;
+}
+
+const FAR = 1e20;
+
+/**
+ * Calculates the squared euclidean distance of each pixel in given mask to the nearest pixel
+ * having given value, using the (separable) distance transform by Felzenszwalb and Huttenlocher.
+ */
+function getDistanceToValue( mask, width, height, value ) {
+    const distances = new Float64Array( mask.length );
+    for ( let i = 0, l = mask.length; i < l; ++i ) {
+        distances[ i ] = mask[ i ] === value ? 0 : FAR;
+    }
+    const size   = Math.max( width, height );
+    const input  = new Float64Array( size );
+    const output = new Float64Array( size );
+    const parabolas = new Int32Array( size );
+    const bounds    = new Float64Array( size + 1 );
+
+    // transform all columns, followed by all rows
+    for ( let x = 0; x < width; ++x ) {
+        for ( let y = 0; y < height; ++y ) {
+            input[ y ] = distances[ y * width + x ];
+        }
+        transformLine( input, output, height, parabolas, bounds );
+        for ( let y = 0; y < height; ++y ) {
+            distances[ y * width + x ] = output[ y ];
+        }
+    }
+    for ( let y = 0; y < height; ++y ) {
+        const offset = y * width;
+        for ( let x = 0; x < width; ++x ) {
+            input[ x ] = distances[ offset + x ];
+        }
+        transformLine( input, output, width, parabolas, bounds );
+        for ( let x = 0; x < width; ++x ) {
+            distances[ offset + x ] = output[ x ];
+        }
+    }
+    return distances;
+}
+
+function transformLine( input, output, length, parabolas, bounds ) {
+    let k = 0;
+    parabolas[ 0 ] = 0;
+    bounds[ 0 ] = -Infinity;
+    bounds[ 1 ] = Infinity;
+
+    const intersect = ( q, p ) => (( input[ q ] + q * q ) - ( input[ p ] + p * p )) / ( 2 * q - 2 * p );
+
+    for ( let q = 1; q < length; ++q ) {
+        let s = intersect( q, parabolas[ k ]);
+        while ( s <= bounds[ k ]) {
+            --k;
+            s = intersect( q, parabolas[ k ]);
+        }
+        ++k;
+        parabolas[ k ]  = q;
+        bounds[ k ]     = s;
+        bounds[ k + 1 ] = Infinity;
+    }
+    k = 0;
+    for ( let q = 0; q < length; ++q ) {
+        while ( bounds[ k + 1 ] < q ) {
+            ++k;
+        }
+        const distance = q - parabolas[ k ];
+        output[ q ] = distance * distance + input[ parabolas[ k ]];
+    }
+}
@@ -0,0 +1,214 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2022 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import { SHAPE_ELLIPSE, SHAPE_POLYGON, SHAPE_LINE, SHAPE_ARROW, isLineShape } from "@/definitions/shape-types";
+
+const { abs, ceil, min, max, cos, sin, atan2, hypot, PI } = Math;
+const ARROW_HEAD_SPREAD = PI / 6; // angle between the line and each side of the arrow head
+
+/**
+ * Renders a Layers shape Object onto given context. The context's canvas
+ * is sized to fit the shape (including its stroke).
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} shape Layer shape Object
+ */
+export const renderShape = ( ctx, shape ) => {
+    const { width, height, padding } = getShapeBounds( shape );
+    const lineWidth = getLineWidth( shape );
+
+    // size canvas to bounding box
+    ctx.canvas.width  = width;
+    ctx.canvas.height = height;
+
+    traceShape( ctx, shape, padding, padding );
+
+    if ( !isLineShape( shape )) {
+        ctx.fillStyle = shape.fill;
+        ctx.fill();
+    }
+    if ( lineWidth > 0 ) {
+        ctx.lineWidth   = lineWidth;
+        ctx.lineJoin    = shape.radius > 0 ? "round" : "miter";
+        ctx.strokeStyle = shape.stroke;
+        ctx.stroke();
+    }
+    if ( shape.type === SHAPE_ARROW ) {
+        const { startX, startY, endX, endY } = getLineCoordinates( shape, padding, padding );
+        ctx.beginPath();
+        getArrowHead( startX, startY, endX, endY, getArrowHeadSize( lineWidth )).forEach(( point, index ) => {
+            ctx[ index === 0 ? "moveTo" : "lineTo" ]( point.x, point.y );
+        });
+        ctx.closePath();
+        ctx.fillStyle = shape.stroke;
+        ctx.fill();
+    }
+};
+
+/**
+ * Traces the outline of given shape onto given context, where the top left
+ * coordinate of the shapes bounding box is positioned at given x and y.
+ * Used by the renderer as well as for previewing a shape while it is being drawn.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} shape Layer shape Object
+ * @param {Number=} x
+ * @param {Number=} y
+ */
+export const traceShape = ( ctx, shape, x = 0, y = 0 ) => {
+    const width  = abs( shape.width );
+    const height = abs( shape.height );
+
+    ctx.beginPath();
+
+    switch ( shape.type ) {
+        default:
+            traceRectangle( ctx, x, y, width, height, min( shape.radius, width / 2, height / 2 ));
+            break;
+        case SHAPE_ELLIPSE:
+            ctx.ellipse( x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, PI * 2 );
+            break;
+        case SHAPE_POLYGON:
+            getPolygonPoints( shape.sides, width, height ).forEach(( point, index ) => {
+                ctx[ index === 0 ? "moveTo" : "lineTo" ]( x + point.x, y + point.y );
+            });
+            ctx.closePath();
+            break;
+        case SHAPE_LINE:
+        case SHAPE_ARROW:
+            traceLine( ctx, shape, x, y );
+            break;
+    }
+};
+
+/**
+ * Calculates the dimensions of the bitmap a shape is rendered into. As strokes
+ * are centered on the outline (and arrows have a head extending beyond their line),
+ * the shape is padded on all sides.
+ *
+ * @param {Object} shape Layer shape Object
+ * @return {{ width: Number, height: Number, padding: Number }}
+ */
+export const getShapeBounds = shape => {
+    const lineWidth = getLineWidth( shape );
+    const padding   = ceil( lineWidth / 2 ) + ( shape.type === SHAPE_ARROW ? ceil( getArrowHeadSize( lineWidth )) : 0 );
+
+    return {
+        width  : max( 1, ceil( abs( shape.width )  + padding * 2 )),
+        height : max( 1, ceil( abs( shape.height ) + padding * 2 )),
+        padding,
+    };
+};
+
+/**
+ * Lines and arrows always render a stroke (as these have no fill)
+ */
+export const getLineWidth = shape => isLineShape( shape ) ? max( 1, shape.strokeWidth ) : shape.strokeWidth;
+
+export const getArrowHeadSize = lineWidth => max( 8, lineWidth * 3 );
+
+/**
+ * Calculates the vertices of a regular polygon fitting inside a box of given
+ * dimensions, where the first vertex points upwards.
+ *
+ * @param {Number} sides amount of sides of the polygon
+ * @param {Number} width
+ * @param {Number} height
+ * @return {Array<{ x: Number, y: Number }>}
+ */
+export const getPolygonPoints = ( sides, width, height ) => {
+    const radiusX = width  / 2;
+    const radiusY = height / 2;
+    const points  = [];
+
+    for ( let i = 0; i < sides; ++i ) {
+        const angle = ( i / sides ) * PI * 2 - PI / 2;
+        points.push({
+            x: radiusX + radiusX * cos( angle ),
+            y: radiusY + radiusY * sin( angle )
+        });
+    }
+    return points;
+};
+
+/**
+ * Retrieves the start and end coordinate of a line shape. The sign of the shapes
+ * width and height determines the direction of the line within its bounding box,
+ * where the top left coordinate of the bounding box is positioned at given x and y.
+ *
+ * @param {Object} shape Layer shape Object
+ * @param {Number=} x
+ * @param {Number=} y
+ * @return {{ startX: Number, startY: Number, endX: Number, endY: Number }}
+ */
+export const getLineCoordinates = ({ width, height }, x = 0, y = 0 ) => {
+    const startX = x + ( width  < 0 ? -width  : 0 );
+    const startY = y + ( height < 0 ? -height : 0 );
+    return {
+        startX,
+        startY,
+        endX: startX + width,
+        endY: startY + height,
+    };
+};
+
+/**
+ * Calculates the triangle forming the head of an arrow pointing at the end coordinate of a line
+ *
+ * @return {Array<{ x: Number, y: Number }>} tip, followed by both corners of the base
+ */
+export const getArrowHead = ( startX, startY, endX, endY, size ) => {
+    const angle = atan2( endY - startY, endX - startX );
+    return [
+        { x: endX, y: endY },
+        { x: endX - size * cos( angle - ARROW_HEAD_SPREAD ), y: endY - size * sin( angle - ARROW_HEAD_SPREAD ) },
+        { x: endX - size * cos( angle + ARROW_HEAD_SPREAD ), y: endY - size * sin( angle + ARROW_HEAD_SPREAD ) },
+    ];
+};
+
+/* internal methods */
+
+function traceRectangle( ctx, x, y, width, height, radius ) {
+    if ( radius <= 0 ) {
+        ctx.rect( x, y, width, height );
+        return;
+    }
+    ctx.moveTo( x + radius, y );
+    ctx.arcTo( x + width, y, x + width, y + height, radius );
+    ctx.arcTo( x + width, y + height, x, y + height, radius );
+    ctx.arcTo( x, y + height, x, y, radius );
+    ctx.arcTo( x, y, x + width, y, radius );
+    ctx.closePath();
+}
+
+function traceLine( ctx, shape, x, y ) {
+    let { startX, startY, endX, endY } = getLineCoordinates( shape, x, y );
+    if ( shape.type === SHAPE_ARROW ) {
+        // end the line inside the arrow head so its edges don't exceed the tip of the head
+        const angle  = atan2( endY - startY, endX - startX );
+        const offset = min( getArrowHeadSize( getLineWidth( shape )) / 2, hypot( shape.width, shape.height ));
+        endX -= offset * cos( angle );
+        endY -= offset * sin( angle );
+    }
+    ctx.moveTo( startX, startY );
+    ctx.lineTo( endX, endY );
+}
@@ -0,0 +1,198 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2022 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+/**
+ * Spatial filters calculate the value of a pixel from the values of its surrounding pixels.
+ * All methods operate in place on given pixel data (RGBA values, as found in ImageData.data).
+ * The alpha channel is left unchanged, with the exception of the blur (which also softens
+ * the edges of transparent content).
+ */
+
+const { abs, floor, max, min, round, sqrt } = Math;
+const MAX_8BIT = 255;
+
+/**
+ * Applies a Gaussian blur onto given pixel data. The Gaussian blur
+ * is approximated by three successive box blurs.
+ *
+ * @param {Uint8ClampedArray|Float32Array} pixels
+ * @param {Number} width
+ * @param {Number} height
+ * @param {Number} sigma standard deviation (in pixels) of the blur
+ */
+export const gaussianBlur = ( pixels, width, height, sigma ) => {
+    if ( sigma <= 0 ) {
+        return;
+    }
+    const { length } = pixels;
+    const source = new Float32Array( length );
+    const buffer = new Float32Array( length );
+
+    // blur premultiplied values, so transparent pixels don't bleed their color into their surroundings
+
+    for ( let i = 0; i < length; i += 4 ) {
+        const alpha = pixels[ i + 3 ] / MAX_8BIT;
+        source[ i ]     = pixels[ i ]     * alpha;
+        source[ i + 1 ] = pixels[ i + 1 ] * alpha;
+        source[ i + 2 ] = pixels[ i + 2 ] * alpha;
+        source[ i + 3 ] = pixels[ i + 3 ];
+    }
+
+    getBoxSizesForGaussian( sigma ).forEach( size => {
+        const radius = ( size - 1 ) / 2;
+        boxBlur( source, buffer, width, height, radius, 4, width * 4 );  // horizontal pass
+        boxBlur( buffer, source, height, width, radius, width * 4, 4 );  // vertical pass
+    });
+
+    for ( let i = 0; i < length; i += 4 ) {
+        const alpha = source[ i + 3 ];
+        const scale = alpha > 0 ? MAX_8BIT / alpha : 0;
+        pixels[ i ]     = source[ i ]     * scale;
+        pixels[ i + 1 ] = source[ i + 1 ] * scale;
+        pixels[ i + 2 ] = source[ i + 2 ] * scale;
+        pixels[ i + 3 ] = alpha;
+    }
+};
+
+/**
+ * Sharpens given pixel data by adding the difference between the
+ * pixel data and a blurred copy of the pixel data.
+ *
+ * @param {Uint8ClampedArray|Float32Array} pixels
+ * @param {Number} width
+ * @param {Number} height
+ * @param {Number} radius the radius (in pixels) of the blur
+ * @param {Number} amount the multiplier for the difference (e.g. 1 is 100 %)
+ * @param {Number} threshold the minimum difference (in 0 - 255 range) required for a pixel to be sharpened
+ */
+export const unsharpMask = ( pixels, width, height, radius, amount, threshold = 0 ) => {
+    if ( amount <= 0 ) {
+        return;
+    }
+    const blurred = new Float32Array( pixels );
+    gaussianBlur( blurred, width, height, radius );
+
+    for ( let i = 0, l = pixels.length; i < l; i += 4 ) {
+        for ( let c = 0; c < 3; ++c ) {
+            const diff = pixels[ i + c ] - blurred[ i + c ];
+            if ( abs( diff ) >= threshold ) {
+                pixels[ i + c ] = pixels[ i + c ] + diff * amount;
+            }
+        }
+    }
+};
+
+/**
+ * Convolves given pixel data with given kernel. When the sum of the kernel values is positive,
+ * the result is divided by the sum (so the brightness of the image is retained).
+ *
+ * @param {Uint8ClampedArray|Float32Array} pixels
+ * @param {Number} width
+ * @param {Number} height
+ * @param {Array<Number>} kernel square kernel (e.g. 9 values for a 3x3 kernel, 25 for a 5x5 kernel)
+ */
+export const convolve = ( pixels, width, height, kernel ) => {
+    const size = round( sqrt( kernel.length ));
+    const half = floor( size / 2 );
+    const sum  = kernel.reduce(( total, value ) => total + value, 0 );
+    const divisor = sum > 0 ? sum : 1;
+
+    const source = new Float32Array( pixels );
+
+    for ( let y = 0; y < height; ++y ) {
+        for ( let x = 0; x < width; ++x ) {
+            let r = 0, g = 0, b = 0;
+            for ( let ky = 0; ky < size; ++ky ) {
+                // pixels outside of the image are treated as the nearest edge pixel
+                const sy = min( height - 1, max( 0, y + ky - half ));
+                for ( let kx = 0; kx < size; ++kx ) {
+                    const sx     = min( width - 1, max( 0, x + kx - half ));
+                    const index  = ( sy * width + sx ) * 4;
+                    const weight = kernel[ ky * size + kx ];
+                    r += source[ index ]     * weight;
+                    g += source[ index + 1 ] * weight;
+                    b += source[ index + 2 ] * weight;
+                }
+            }
+            const index = ( y * width + x ) * 4;
+            pixels[ index ]     = r / divisor;
+            pixels[ index + 1 ] = g / divisor;
+            pixels[ index + 2 ] = b / divisor;
+        }
+    }
+};
+
+/* internal methods */
+
+/**
+ * Calculates the sizes of the successive box blurs that approximate a Gaussian blur of given sigma
+ * see http://www.peterkovesi.com/papers/FastGaussianSmoothing.pdf
+ */
+function getBoxSizesForGaussian( sigma, amount = 3 ) {
+    const idealWidth = sqrt(( 12 * sigma * sigma / amount ) + 1 );
+    let lowerWidth = floor( idealWidth );
+    if ( lowerWidth % 2 === 0 ) {
+        --lowerWidth;
+    }
+    const upperWidth = lowerWidth + 2;
+    const idealCount = ( 12 * sigma * sigma - amount * lowerWidth * lowerWidth - 4 * amount * lowerWidth - 3 * amount ) / ( -4 * lowerWidth - 4 );
+    const count      = round( idealCount );
+
+    const sizes = [];
+    for ( let i = 0; i < amount; ++i ) {
+        sizes.push( i < count ? lowerWidth : upperWidth );
+    }
+    return sizes;
+}
+
+/**
+ * Blurs all lines of given source into given destination using a moving average. By providing
+ * the appropriate strides this can blur both horizontally and vertically.
+ *
+ * @param {Float32Array} source
+ * @param {Float32Array} dest
+ * @param {Number} lineLength amount of pixels within a single line
+ * @param {Number} lineCount amount of lines
+ * @param {Number} radius blur radius
+ * @param {Number} pixelStride distance (in Array indices) between two pixels on the same line
+ * @param {Number} lineStride distance (in Array indices) between two lines
+ */
+function boxBlur( source, dest, lineLength, lineCount, radius, pixelStride, lineStride ) {
+    const scale   = 1 / ( radius + radius + 1 );
+    const lastPos = lineLength - 1;
+
+    for ( let line = 0; line < lineCount; ++line ) {
+        for ( let channel = 0; channel < 4; ++channel ) {
+            const offset = line * lineStride + channel;
+            // the window starts outside of the line, where pixels equal the first pixel
+            let value = ( radius + 1 ) * source[ offset ];
+            for ( let i = 0; i < radius; ++i ) {
+                value += source[ offset + min( i, lastPos ) * pixelStride ];
+            }
+            for ( let pos = 0; pos < lineLength; ++pos ) {
+                value += source[ offset + min( pos + radius, lastPos ) * pixelStride ] -
+                         source[ offset + max( pos - radius - 1, 0 ) * pixelStride ];
+                dest[ offset + pos * pixelStride ] = value * scale;
+            }
+        }
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2022 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import { createCanvas } from "@/utils/canvas-util";
+
+const { abs, ceil, cos, sin, max, min, round } = Math;
+const TWO_PI = 2 * Math.PI;
+
+/**
+ * Layer styles are rendered in two parts : the styles that are
+ * rendered onto the contents of a layer (colour overlay and inner glow) and
+ * the styles that are rendered around its contents (drop shadow, outer glow
+ * and stroke). As the latter exceed the bounds of the layer, these are rendered
+ * onto a separate, padded "underlay" that is drawn below the layer contents.
+ *
+ * @see styles-factory
+ */
+
+/**
+ * Calculate the amount of pixels the underlay should extend beyond
+ * the layer bounds to fully contain the styles rendered around the layer contents
+ *
+ * @param {Object} styles
+ * @return {Number}
+ */
+export const getStylesPadding = styles => {
+    let padding = 0;
+    if ( styles.shadow ) {
+        padding = max( padding, max( abs( styles.shadowX ), abs( styles.shadowY )) + styles.shadowBlur );
+    }
+    if ( styles.outerGlow ) {
+        padding = max( padding, styles.outerGlowSize );
+    }
+    if ( styles.stroke ) {
+        padding = max( padding, styles.strokeSize );
+    }
+    return ceil( padding ) + 1;
+};
+
+/**
+ * Renders the styles that apply to the contents of the layer directly
+ * onto given context (e.g. the layers rendered bitmap)
+ *
+ * @param {CanvasRenderingContext2D} ctx context containing the rendered layer contents
+ * @param {Object} styles
+ */
+export const renderStylesOntoContent = ( ctx, styles ) => {
+    const { width, height } = ctx.canvas;
+
+    ctx.save();
+    ctx.globalCompositeOperation = "source-atop"; // maintains the alpha channel of the contents
+
+    if ( styles.overlay ) {
+        ctx.fillStyle = styles.overlayColor;
+        ctx.fillRect( 0, 0, width, height );
+    }
+
+    if ( styles.innerGlow ) {
+        // the glow is the shadow of the inverted contents, bleeding inwards
+        const size = ceil( styles.innerGlowSize );
+        const { cvs: inverted, ctx: invertedCtx } = createCanvas( width + size * 2, height + size * 2 );
+        invertedCtx.fillStyle = "#000";
+        invertedCtx.fillRect( 0, 0, inverted.width, inverted.height );
+        invertedCtx.globalCompositeOperation = "destination-out";
+        invertedCtx.drawImage( ctx.canvas, size, size );
+
+        renderShadowOnly( ctx, inverted, -size, -size, 0, 0, styles.innerGlowSize, styles.innerGlowColor );
+    }
+    ctx.restore();
+};
+
+/**
+ * Renders the styles that are rendered around the layers contents onto a new, padded canvas
+ *
+ * @param {HTMLCanvasElement} source the rendered layer contents
+ * @param {Object} styles
+ * @return {{ cvs: HTMLCanvasElement, padding: Number }|null} null when no such styles are configured
+ */
+export const createStylesUnderlay = ( source, styles ) => {
+    if ( !styles.shadow && !styles.outerGlow && !styles.stroke ) {
+        return null;
+    }
+    const { width, height } = source;
+    const padding = getStylesPadding( styles );
+    const { cvs, ctx } = createCanvas( width + padding * 2, height + padding * 2 );
+
+    // 1. drop shadow (rendered below all other styles)
+
+    if ( styles.shadow ) {
+        renderShadowOnly( ctx, source, padding, padding, styles.shadowX, styles.shadowY, styles.shadowBlur, styles.shadowColor );
+    }
+
+    // 2. outer glow (rendered twice to increase its intensity)
+
+    if ( styles.outerGlow ) {
+        for ( let i = 0; i < 2; ++i ) {
+            renderShadowOnly( ctx, source, padding, padding, 0, 0, styles.outerGlowSize, styles.outerGlowColor );
+        }
+    }
+
+    // 3. outline stroke (rendered by repeatedly drawing a silhouette of the contents around the outline)
+
+    if ( styles.stroke && styles.strokeSize > 0 ) {
+        const silhouette = createSilhouette( source, styles.strokeColor );
+        const radius     = styles.strokeSize;
+        const steps      = min( 64, max( 8, round( TWO_PI * radius )));
+
+        for ( let i = 0; i < steps; ++i ) {
+            const angle = ( i / steps ) * TWO_PI;
+            ctx.drawImage( silhouette, padding + cos( angle ) * radius, padding + sin( angle ) * radius );
+        }
+    }
+    return { cvs, padding };
+};
+
+/* internal methods */
+
+/**
+ * Renders the shadow cast by given source without rendering the source itself. This is done
+ * by drawing the source outside of the visible area while offsetting the shadow into view.
+ */
+function renderShadowOnly( ctx, source, x, y, offsetX, offsetY, blur, color ) {
+    const offscreen = ctx.canvas.width + source.width;
+
+    ctx.save();
+    ctx.shadowColor   = color;
+    ctx.shadowBlur    = blur;
+    ctx.shadowOffsetX = offscreen + offsetX;
+    ctx.shadowOffsetY = offsetY;
+    ctx.drawImage( source, x - offscreen, y );
+    ctx.restore();
+}
+
+function createSilhouette( source, color ) {
+    const { cvs, ctx } = createCanvas( source.width, source.height );
+    ctx.drawImage( source, 0, 0 );
+    ctx.globalCompositeOperation = "source-in";
+    ctx.fillStyle = color;
+    ctx.fillRect( 0, 0, cvs.width, cvs.height );
+    return cvs;
+}
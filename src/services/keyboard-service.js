@@ -33,11 +33,11 @@ import { supportsFullscreen, toggleFullscreen } from "@/utils/environment-util";
 import { addTextLayer } from "@/utils/layer-util";
 
 let store, state, getters, commit, dispatch, listener,
-    suspended = false, blockDefaults = true, optionDown = false, shiftDown = false,
+    suspended = false, blockDefaults = true, optionDown = false, shiftDown = false, altDown = false,
     lastKeyDown = 0, lastKeyCode = "";
 
 const DEFAULT_BLOCKED    = [ 8, 32, 37, 38, 39, 40 ];
-const MOVABLE_TOOL_TYPES = [ ToolTypes.DRAG, ToolTypes.SELECTION, ToolTypes.LASSO ];
+const MOVABLE_TOOL_TYPES = [ ToolTypes.DRAG, ToolTypes.SELECTION, ToolTypes.LASSO, ToolTypes.WAND ];
 const BRUSH_TOOL_TYPES   = [ ToolTypes.BRUSH, ToolTypes.ERASER, ToolTypes.CLONE ];
 const defaultBlock = e => e.preventDefault();
 
@@ -76,6 +76,14 @@ const KeyboardService =
     hasShift() {
         return ( shiftDown === true );
     },
+    /**
+     * whether the alt key is currently held down
+     *
+     * @returns {boolean}
+     */
+    hasAlt() {
+        return ( altDown === true );
+    },
     /**
      * attach a listener to receive updates whenever a key
      * has been released. listenerRef is a function
@@ -129,6 +137,7 @@ function handleKeyDown( event ) {
     }
     const keyCode = event.keyCode; // the current step position and channel within the pattern
     shiftDown     = !!event.shiftKey;
+    altDown       = !!event.altKey;
 
     // prevent defaults when using the arrows, space (prevents page jumps) and backspace (navigate back in history)
 
@@ -173,6 +182,14 @@ function handleKeyDown( event ) {
             document.addEventListener( "contextmenu", defaultBlock );
             break;
 
+        case 13: // enter
+            if ( getters.activeTool === ToolTypes.CROP ) {
+                getCanvasInstance()?.interactionPane.commitCrop();
+            } else if ( getters.activeTool === ToolTypes.PEN ) {
+                getCanvasInstance()?.interactionPane.finishPath();
+            }
+            break;
+
         case 27: // escape
 
             // close dialog (if existing), else close overlay (if existing)
@@ -180,6 +197,10 @@ function handleKeyDown( event ) {
                 commit( "closeDialog" );
             } else if ( state.modal ) {
                 commit( "closeModal" );
+            } else if ( getters.activeTool === ToolTypes.CROP ) {
+                getCanvasInstance()?.interactionPane.resetCrop();
+            } else if ( getters.activeTool === ToolTypes.PEN ) {
+                getCanvasInstance()?.interactionPane.finishPath();
             }
             break;
 
@@ -308,7 +329,7 @@ function handleKeyDown( event ) {
 
         case 71: // G
             if ( canDraw( getters.activeDocument, getters.activeLayer )) {
-                setActiveTool( ToolTypes.FILL );
+                setActiveTool( shiftDown ? ToolTypes.GRADIENT : ToolTypes.FILL );
             }
             break;
 
@@ -327,6 +348,12 @@ function handleKeyDown( event ) {
             }
             break;
 
+        case 75: // K
+            if ( getters.activeDocument ) {
+                setActiveTool( ToolTypes.CROP );
+            }
+            break;
+
         case 76: // L
             if ( hasOption ) {
                 if ( shiftDown && getters.activeDocument ) {
@@ -365,7 +392,13 @@ function handleKeyDown( event ) {
 
         case 80: // P
             if ( getters.activeDocument ) {
-                setActiveTool( ToolTypes.MOVE );
+                setActiveTool( shiftDown ? ToolTypes.PEN : ToolTypes.MOVE );
+            }
+            break;
+
+        case 81: // Q
+            if ( getters.activeDocument ) {
+                dispatch( "toggleQuickMask" );
             }
             break;
 
@@ -394,6 +427,12 @@ function handleKeyDown( event ) {
             }
             break;
 
+        case 85: // U
+            if ( getters.activeDocument ) {
+                setActiveTool( ToolTypes.SHAPE );
+            }
+            break;
+
         case 86: // V
             // paste current selection
             if ( hasOption ) {
@@ -411,6 +450,8 @@ function handleKeyDown( event ) {
             if ( hasOption ) {
                 dispatch( "requestDocumentClose" );
                 preventDefault( event );
+            } else if ( getters.activeDocument ) {
+                setActiveTool( ToolTypes.WAND );
             }
             break;
 
@@ -473,6 +514,7 @@ function handleKeyDown( event ) {
 
 function handleKeyUp( event ) {
     shiftDown = false;
+    altDown   = false;
 
     switch ( event.keyCode ) {
         default:
@@ -509,7 +551,7 @@ function handleKeyUp( event ) {
 
 function handleFocus() {
     // when switching browser tabs it is possible these values were left active
-    shiftDown = optionDown = false;
+    shiftDown = optionDown = altDown = false;
 }
 
 function preventDefault( event ) {
@@ -548,12 +590,13 @@ function moveObject( axis = 0, dir = 0, activeTool ) {
             break;
         case ToolTypes.SELECTION:
         case ToolTypes.LASSO:
+        case ToolTypes.WAND:
             getCanvasInstance()?.interactionPane.setSelection(
-                translatePoints(
-                    getters.activeDocument.selection,
+                getters.activeDocument.selection.map( shape => translatePoints(
+                    shape,
                     axis === 0 ? dir === 0 ? -speed : speed : 0,
                     axis === 1 ? dir === 0 ? -speed : speed : 0
-                ), true
+                )), true
             );
             break;
     }
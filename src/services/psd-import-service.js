@@ -21,6 +21,8 @@
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
 import PSD from "psd.js";
+import { DEFAULT_BLEND_MODE, isValidBlendMode } from "@/definitions/blend-modes";
+import { LAYER_GROUP } from "@/definitions/layer-types";
 import DocumentFactory from "@/factories/document-factory";
 import FiltersFactory from "@/factories/filters-factory";
 import LayerFactory from "@/factories/layer-factory";
@@ -49,23 +51,7 @@ async function psdToBitMapperyDocument( psd, psdFileReference ) {
     // collect layers
     const layers = [];
 
-    const treeLayerObjects = psdTree.children().reverse();
-    for ( const layerObj of treeLayerObjects ) {
-        const { layer } = layerObj;
-
-        // 1. determine layer bounding box
-
-        const children = layer.node?.children() ?? [];
-
-        if ( children.length ) {
-            // we are likely looking at a group layer
-            for ( const childLayer of children.reverse() ) {
-                await createLayer( childLayer.layer, layers, childLayer.name );
-            }
-        } else {
-            await createLayer( layer, layers, layerObj.name );
-        }
-    }
+    await createLayersForNodes( psdTree.children(), layers );
 
     // also add the merged layer preview
     // (in case the above layer collection loop ran into an incompatibility issue
@@ -86,7 +72,33 @@ async function psdToBitMapperyDocument( psd, psdFileReference ) {
     });
 }
 
-async function createLayer( layer, layers, name = "" ) {
+/**
+ * PSD nodes are listed from the top down while our layers are stacked from the bottom up.
+ * Group nodes are created as group Layers positioned directly above their contents.
+ */
+async function createLayersForNodes( nodes, layers, groupId = null ) {
+    for ( const node of nodes.slice().reverse() ) {
+        if ( !node.isGroup() ) {
+            await createLayer( node.layer, layers, node.name, groupId );
+            continue;
+        }
+        const group = LayerFactory.create({
+            type    : LAYER_GROUP,
+            name    : node.name,
+            visible : node.layer.visible,
+            groupId,
+            filters : FiltersFactory.create({
+                opacity: ( node.layer.opacity ?? 255 ) / 255,
+            }),
+        });
+        await createLayersForNodes( node.children(), layers, group.id );
+        layers.push( group );
+    }
+}
+
+async function createLayer( layer, layers, name = "", groupId = null ) {
+    // 1. determine layer bounding box
+
     const layerX      = layer.left;
     const layerY      = layer.top;
     const layerWidth  = layer.width;
@@ -127,6 +139,9 @@ async function createLayer( layer, layers, name = "" ) {
         name,
         source,
         ...maskProps,
+        blendMode : getBlendMode( layer ),
+        clipped   : !!layer.clipped,
+        groupId,
         filters : FiltersFactory.create({
             opacity: ( layer.opacity ?? 255 ) / 255,
         }),
@@ -135,3 +150,12 @@ async function createLayer( layer, layers, name = "" ) {
     // layer bitmap parsing can be heavy, unblock CPU on each iteration
     await debounce();
 }
+
+/**
+ * psd.js describes blending modes in snake case (e.g. "soft_light"), which (for
+ * supported modes) translate directly to Canvas composite operations
+ */
+function getBlendMode( layer ) {
+    const blendMode = layer.blendMode?.blendingMode?.replace( "_", "-" );
+    return isValidBlendMode( blendMode ) ? blendMode : DEFAULT_BLEND_MODE;
+}
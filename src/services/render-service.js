@@ -21,15 +21,19 @@
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
 import Vue from "vue";
-import { LAYER_TEXT } from "@/definitions/layer-types";
+import { LAYER_ADJUSTMENT, LAYER_SHAPE, LAYER_TEXT } from "@/definitions/layer-types";
 import { getSpriteForLayer } from "@/factories/sprite-factory";
 import { isEqual as isEffectsEqual } from "@/factories/effects-factory";
 import { hasFilters, isEqual as isFiltersEqual } from "@/factories/filters-factory";
+import { hasStyles, isEqual as isStylesEqual } from "@/factories/styles-factory";
 import { isEqual as isTextEqual } from "@/factories/text-factory";
+import { isEqual as isShapeEqual } from "@/factories/shape-factory";
 import { createCanvas, cloneCanvas, matchDimensions } from "@/utils/canvas-util";
 import { replaceLayerSource } from "@/utils/layer-util";
 import { hasLayerCache, getLayerCache, setLayerCache } from "@/rendering/cache/bitmap-cache";
+import { renderStylesOntoContent, createStylesUnderlay } from "@/rendering/styles";
 import { renderMultiLineText } from "@/rendering/text";
+import { renderShape } from "@/rendering/shape";
 import { loadGoogleFont } from "@/services/font-service";
 import FilterWorker from "@/workers/filter.worker";
 
@@ -67,9 +71,11 @@ export const renderEffectsForLayer = async ( layer, useCaching = true ) => {
     const cached     = useCaching ? getLayerCache( layer ) : null;
     const cacheToSet = {};
 
-    const applyMask     = !!layer.mask;
-    const applyFilter   = hasFilters( layer.filters );
+    const applyMask     = !!layer.mask && layer.maskEnabled;
+    // note adjustment layers apply their filters at composite time (see LayerSprite)
+    const applyFilter   = layer.type !== LAYER_ADJUSTMENT && hasFilters( layer.filters );
     let hasCachedFilter = applyFilter && cached?.filterData && isFiltersEqual( layer.filters, cached.filters );
+    const applyStyles   = layer.type !== LAYER_ADJUSTMENT && hasStyles( layer.styles );
 
     // step 1. render layer source contents
 
@@ -89,6 +95,24 @@ export const renderEffectsForLayer = async ( layer, useCaching = true ) => {
         matchDimensions({ width, height }, cvs );
         // render text onto destination source
         ctx.drawImage( textData, 0, 0 );
+    } else if ( layer.type === LAYER_SHAPE ) {
+        let shapeData;
+        if ( cached?.shapeData && isShapeEqual( layer.shape, cached.shape )) {
+            //console.info( "reading rendered shape from cache" );
+            shapeData = cached.shapeData;
+        } else {
+            shapeData = renderShapeLayer( layer );
+            replaceLayerSource( layer, shapeData );
+            //console.info( "writing rendered shape to cache" );
+            cacheToSet.shape     = { ...layer.shape };
+            cacheToSet.shapeData = shapeData;
+            hasCachedFilter = false; // new contents need to be refiltered
+        }
+        // the shapes bounding box changes with its dimensions and stroke
+        ({ width, height } = layer );
+        matchDimensions({ width, height }, cvs );
+        // render shape onto destination source
+        ctx.drawImage( shapeData, 0, 0 );
     } else if ( !hasCachedFilter ) {
         //console.info( "draw unfiltered source, will apply filter next: " + applyFilter );
         ctx.drawImage( layer.source, 0, 0 );
@@ -126,7 +150,34 @@ export const renderEffectsForLayer = async ( layer, useCaching = true ) => {
         await renderMask( layer, ctx, applyFilter ? cloneCanvas( cvs ) : layer.source, width, height );
     }
 
-    // step 4. update cache and on-screen canvas contents
+    // step 4. apply layer styles, this step can be cached as the styled contents only change when
+    // the source contents change (in which case the cache is cleared, see LayerSprite.resetFilterAndRecache())
+
+    let underlay = null;
+    if ( applyStyles ) {
+        if ( isStylesCacheValid( layer, cached )) {
+            //console.info( "reading styled content from cache" );
+            ctx.clearRect( 0, 0, width, height );
+            ctx.drawImage( cached.stylesData.bitmap, 0, 0 );
+            underlay = cached.stylesData.underlay;
+        } else {
+            renderStylesOntoContent( ctx, layer.styles );
+            underlay = createStylesUnderlay( cvs, layer.styles );
+            //console.info( "writing styled content to cache" );
+            cacheToSet.styles     = { ...layer.styles };
+            cacheToSet.stylesData = {
+                bitmap  : cloneCanvas( cvs ),
+                underlay,
+                source  : layer.source,
+                mask    : applyMask ? layer.mask : null,
+                filters : { ...layer.filters },
+                text    : { ...layer.text },
+                shape   : { ...layer.shape },
+            };
+        }
+    }
+
+    // step 5. update cache and on-screen canvas contents
 
     if ( useCaching && Object.keys( cacheToSet ).length ) {
         setLayerCache( layer, cacheToSet );
@@ -138,11 +189,25 @@ export const renderEffectsForLayer = async ( layer, useCaching = true ) => {
     // as appropriate (f.i. if rotation were handled by this service), the
     // Layer model remains unaffected by this
     sprite.setBitmap( cvs, width, height );
+    sprite.setStylesUnderlay( underlay );
     sprite.invalidate();
 };
 
 /* internal methods */
 
+const isStylesCacheValid = ( layer, cached ) => {
+    const stylesData = cached?.stylesData;
+    if ( !stylesData ) {
+        return false;
+    }
+    return isStylesEqual( layer.styles, cached.styles ) &&
+           stylesData.source === layer.source &&
+           stylesData.mask   === ( layer.maskEnabled ? layer.mask : null ) &&
+           isFiltersEqual( layer.filters, stylesData.filters ) &&
+           ( layer.type !== LAYER_TEXT  || isTextEqual( layer.text, stylesData.text )) &&
+           ( layer.type !== LAYER_SHAPE || isShapeEqual( layer.shape, stylesData.shape ));
+};
+
 /**
  * Run a image processing job in a dedicated Worker.
  *
@@ -215,8 +280,18 @@ const renderText = async layer => {
     return cvs;
 };
 
+/**
+ * @param {Object} layer
+ * @returns {HTMLCanvasElement}
+ */
+const renderShapeLayer = layer => {
+    const { cvs, ctx } = createCanvas();
+    renderShape( ctx, layer.shape );
+    return cvs;
+};
+
 const renderMask = async ( layer, ctx, sourceBitmap, width, height ) => {
-    if ( !layer.mask ) {
+    if ( !layer.mask || !layer.maskEnabled ) {
         return;
     }
     ctx.clearRect( 0, 0, width, height );
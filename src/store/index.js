@@ -20,26 +20,39 @@
  * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
+import Vue from "vue";
+import { loader } from "zcanvas";
 import KeyboardService from "@/services/keyboard-service";
 import DocumentFactory from "@/factories/document-factory";
 import LayerFactory    from "@/factories/layer-factory";
+import BrushFactory    from "@/factories/brush-factory";
 import { initHistory, enqueueState } from "@/factories/history-state-factory";
-import { getCanvasInstance, getSpriteForLayer } from "@/factories/sprite-factory";
+import { getCanvasInstance, getSpriteForLayer, flushLayerSprites } from "@/factories/sprite-factory";
 import { PROJECT_FILE_EXTENSION } from "@/definitions/file-types";
 import { LAYER_GRAPHIC } from "@/definitions/layer-types";
 import { PANEL_TOOL_OPTIONS, PANEL_LAYERS } from "@/definitions/panel-types";
 import { STORAGE_TYPES } from "@/definitions/storage-types";
+import ToolTypes, { canDraw } from "@/definitions/tool-types";
 import { runSpriteFn }   from "@/factories/sprite-factory";
+import { createPath, clonePath, pathToPolygon } from "@/math/path-math";
+import { PNG } from "@/definitions/image-types";
+import brushModule, { createBrushLibraryExport } from "./modules/brush-module";
 import canvasModule      from "./modules/canvas-module";
 import documentModule    from "./modules/document-module";
 import historyModule     from "./modules/history-module";
 import imageModule       from "./modules/image-module";
 import preferencesModule from "./modules/preferences-module";
 import toolModule        from "./modules/tool-module";
-import { cloneCanvas, imageToCanvas } from "@/utils/canvas-util";
+import {
+    createSelectionBitmap, createSelectionFromBitmap, createMaskFromSelection, createLayerAlphaBitmap,
+    createLayerMaskBitmap, setSoftSelection
+} from "@/rendering/selection";
+import { createCanvas, cloneCanvas, imageToCanvas } from "@/utils/canvas-util";
 import { copySelection, deleteSelectionContent } from "@/utils/document-util";
-import { saveBlobAsFile, selectFile } from "@/utils/file-util";
+import { saveBlobAsFile, selectFile, readFile } from "@/utils/file-util";
 import { replaceLayerSource } from "@/utils/layer-util";
+import { getLayerContent } from "@/utils/render-util";
+import { blobToResource, disposeResource } from "@/utils/resource-manager";
 import { truncate } from "@/utils/string-util";
 
 // cheat a little by exposing the vue-i18n translations directly to the
@@ -48,8 +61,14 @@ import { truncate } from "@/utils/string-util";
 let i18n;
 const translate = ( key, optArgs ) => i18n?.t( key, optArgs ) ?? key;
 
+const QUICK_MASK_COLOR   = "#FF0000";
+const QUICK_MASK_OPACITY = .5;
+
+const BRUSH_LIBRARY_FILE_NAME = "bitmappery_brushes.json";
+
 export default {
     modules: {
+        brushModule,
         canvasModule,
         documentModule,
         historyModule,
@@ -62,6 +81,7 @@ export default {
         toolboxOpened: false,
         openedPanels: [ PANEL_TOOL_OPTIONS, PANEL_LAYERS ],
         selectionContent: null, // clipboard content of copied images ({ image, size })
+        quickMask: null,        // while in quick mask mode, describes the layer representing the selection
         blindActive: false,
         panMode: false,         // whether drag interactions with the document will pan its viewport
         selectMode: false,      // whether the currently active tool is a selection type (works across layers)
@@ -83,6 +103,7 @@ export default {
         t: state => ( key, optArgs ) => translate( key, optArgs ),
         isLoading: state => state.loadingStates.length > 0,
         hasCloudConnection: state => state.dropboxConnected || state.driveConnected,
+        quickMaskActive: state => !!state.quickMask,
     },
     mutations: {
         setMenuOpened( state, value ) {
@@ -104,6 +125,9 @@ export default {
         setSelectionContent( state, image ) {
             state.selectionContent = image;
         },
+        setQuickMask( state, value ) {
+            state.quickMask = value;
+        },
         setBlindActive( state, active ) {
             state.blindActive = !!active;
         },
@@ -199,7 +223,9 @@ export default {
             }
             commit( "unsetLoading", "doc" );
         },
-        async saveDocument({ commit, getters }, name = null ) {
+        async saveDocument({ commit, dispatch, getters }, name = null ) {
+            // the quick mask overlay is not part of the Document
+            await dispatch( "exitQuickMask" );
             if ( !name ) {
                 name = getters.activeDocument.name;
             }
@@ -250,6 +276,318 @@ export default {
                 redo: paste
             });
         },
+        /**
+         * Crops the active document to given area. The document contents can be straightened
+         * (rotated around the center of the area by given angle in radians) prior to cropping and
+         * the pixels outside of the cropped area can be deleted (otherwise these remain available
+         * for repositioning the layers within the cropped document).
+         */
+        cropActiveDocument({ commit, getters }, { left, top, width, height, angle = 0, deletePixels = false }) {
+            const document  = getters.activeDocument;
+            const orgSize   = { width: document.width, height: document.height };
+            const contents  = document.layers.map( getLayerContent );
+            const selection = [ ...( document.selection || [] )];
+
+            width  = Math.min( orgSize.width  - left, width );
+            height = Math.min( orgSize.height - top,  height );
+
+            const commitFn = () => {
+                commit( "cropActiveDocumentContent", { left, top, width, height, angle, trim: deletePixels });
+                commit( "setActiveDocumentSize", { width, height });
+                getCanvasInstance()?.interactionPane.setSelection( [], false );
+            };
+            commitFn();
+            enqueueState( "crop", {
+                undo() {
+                    commit( "restoreLayerContents", contents );
+                    commit( "setActiveDocumentSize", orgSize );
+                    getCanvasInstance()?.interactionPane.setSelection( selection, false );
+                },
+                redo: commitFn
+            });
+        },
+        toggleQuickMask({ dispatch, state }) {
+            dispatch( state.quickMask ? "exitQuickMask" : "enterQuickMask" );
+        },
+        /**
+         * In quick mask mode, the selection is represented by a temporary layer that is covered by a
+         * translucent overlay where the document is not selected. The selected area is described by the
+         * layers mask, which can be painted using the brush (to select) and eraser (to deselect) tools.
+         */
+        enterQuickMask({ commit, getters, state }) {
+            const document = getters.activeDocument;
+            if ( !document || state.quickMask ) {
+                return;
+            }
+            const { width, height } = document;
+            const { cvs, ctx } = createCanvas( width, height );
+            ctx.fillStyle = QUICK_MASK_COLOR;
+            ctx.fillRect( 0, 0, width, height );
+
+            const layer = LayerFactory.create({
+                name: translate( "quickMask" ),
+                type: LAYER_GRAPHIC,
+                source: cvs,
+                mask: createSelectionBitmap( document ),
+                filters: { opacity: QUICK_MASK_OPACITY },
+                width,
+                height,
+            });
+            commit( "setQuickMask", { document, layer, layerIndex: getters.activeLayerIndex, selection: document.selection || [] });
+
+            // the selection is represented by the layer mask while in quick mask mode
+            Vue.set( document, "selection", [] );
+            Vue.set( document, "invertSelection", false );
+            Vue.set( document, "selectionFeather", 0 );
+
+            commit( "addLayer", layer );
+            commit( "setActiveLayerMask", document.layers.length - 1 );
+            commit( "setActiveTool", { tool: ToolTypes.BRUSH, document });
+        },
+        /**
+         * Leaves quick mask mode, the mask painted while in quick mask mode is converted into
+         * the selection (where partially transparent mask pixels describe a soft selection).
+         * This is also invoked when saving, closing or switching away from the Document in quick mask mode.
+         */
+        exitQuickMask({ commit, dispatch, getters, state }) {
+            if ( !state.quickMask ) {
+                return;
+            }
+            const { document, layer, layerIndex, selection } = state.quickMask;
+            const { width, height } = document;
+            commit( "setQuickMask", null );
+
+            const index = document.layers.indexOf( layer );
+            if ( index > -1 ) {
+                flushLayerSprites( layer );
+                Vue.delete( document.layers, index );
+            }
+            if ( document === getters.activeDocument ) {
+                commit( "setActiveLayerIndex", Math.min( layerIndex, document.layers.length - 1 ));
+            }
+            const { cvs, ctx } = createCanvas( width, height );
+            ctx.drawImage( layer.mask, layer.maskX, layer.maskY );
+
+            // restore the original selection so it can be restored when undoing the quick mask changes
+            Vue.set( document, "selection", selection );
+            dispatch( "selectBitmap", { document, bitmap: cvs });
+        },
+        /**
+         * Selects the opaque pixels of given document sized bitmap. Partially transparent
+         * pixels are partially selected (see setSoftSelection()).
+         */
+        selectBitmap({ getters }, { document, bitmap }) {
+            const { width, height } = document;
+            const selection = createSelectionFromBitmap( bitmap, width, height );
+            Vue.set( document, "invertSelection", false );
+            Vue.set( document, "selectionFeather", 0 );
+            if ( document === getters.activeDocument ) {
+                getCanvasInstance()?.interactionPane.setSelection( selection, true );
+            } else {
+                Vue.set( document, "selection", selection ); // no interaction pane (nor history) for inactive Documents
+            }
+            setSoftSelection( document, bitmap );
+            runSpriteFn( sprite => sprite.setSelection( document ), document );
+        },
+        selectLayerAlpha({ dispatch, getters }) {
+            const document = getters.activeDocument;
+            const layer    = getters.activeLayer;
+            if ( layer?.source ) {
+                dispatch( "selectBitmap", { document, bitmap: createLayerAlphaBitmap( document, layer ) });
+            }
+        },
+        selectLayerMask({ dispatch, getters }) {
+            const document = getters.activeDocument;
+            const layer    = getters.activeLayer;
+            if ( layer?.mask ) {
+                dispatch( "selectBitmap", { document, bitmap: createLayerMaskBitmap( document, layer ) });
+            }
+        },
+        /**
+         * Creates a mask for the active layer from the current selection, either revealing
+         * or hiding the selected area. Replaces the existing layer mask (if defined).
+         */
+        addMaskFromSelection({ commit, getters }, hideSelection = false ) {
+            const document = getters.activeDocument;
+            const layer    = getters.activeLayer;
+            if ( !layer || !getters.hasSelection ) {
+                return;
+            }
+            const index   = getters.activeLayerIndex;
+            const orgMask = layer.mask;
+            const mask    = createMaskFromSelection( document, layer, hideSelection );
+            const update  = value => {
+                commit( "updateLayer", { index, opts: { mask: value } });
+                getSpriteForLayer( layer )?.resetFilterAndRecache();
+            };
+            const commitFn = () => update( mask );
+            commitFn();
+            enqueueState( `maskFromSelection_${index}`, {
+                undo() {
+                    update( orgMask );
+                },
+                redo: commitFn
+            });
+        },
+        /**
+         * Adds a new (empty) path to the active Document and makes it the path edited by the PEN tool
+         */
+        addPath({ commit, getters }) {
+            const { paths } = getters.activeDocument;
+            let index = Object.keys( paths ).length;
+            let name;
+            do {
+                name = translate( "pathName", { index: ++index });
+            } while ( paths[ name ]);
+
+            const commitFn = () => {
+                commit( "savePath", { name, path: createPath() });
+                commit( "setActivePath", name );
+            };
+            commitFn();
+            enqueueState( `pathAdd_${name}`, {
+                undo() {
+                    commit( "removePath", name );
+                },
+                redo: commitFn
+            });
+            return name;
+        },
+        removePath({ commit, getters }, name ) {
+            const document = getters.activeDocument;
+            const path     = document.paths[ name ];
+            if ( !path ) {
+                return;
+            }
+            const wasActive = document.activePath === name;
+            const commitFn  = () => commit( "removePath", name );
+            commitFn();
+            enqueueState( `pathRemove_${name}`, {
+                undo() {
+                    commit( "savePath", { name, path: clonePath( path ) });
+                    if ( wasActive ) {
+                        commit( "setActivePath", name );
+                    }
+                },
+                redo: commitFn
+            });
+        },
+        /**
+         * Replaces the current selection with the area enclosed by given path
+         * (open paths are closed by connecting their last and first anchor).
+         */
+        selectPath({ getters }, name ) {
+            const document = getters.activeDocument;
+            const path     = document.paths[ name ];
+            if ( !path || path.points.length < 2 ) {
+                return;
+            }
+            Vue.set( document, "invertSelection", false );
+            Vue.set( document, "selectionFeather", 0 );
+            getCanvasInstance()?.interactionPane.setSelection([ pathToPolygon( path, true ) ], true );
+            runSpriteFn( sprite => sprite.setSelection( document ), document );
+        },
+        /**
+         * Renders the outline of given path onto the active layer using the current brush options.
+         */
+        strokePath({ getters }, name ) {
+            const path = getters.activeDocument.paths[ name ];
+            if ( !path?.points.length || !canDraw( getters.activeDocument, getters.activeLayer )) {
+                return;
+            }
+            const { brushOptions } = getters;
+            getSpriteForLayer( getters.activeLayer )?.paint({
+                type     : "brush",
+                pointers : pathToPolygon( path ),
+                brush    : BrushFactory.create({ color: getters.activeColor, radius: brushOptions.size, options: brushOptions }),
+            });
+        },
+        /**
+         * Fills the area enclosed by given path on the active layer using the current color.
+         */
+        fillPath({ getters }, name ) {
+            const path = getters.activeDocument.paths[ name ];
+            if ( !path || path.points.length < 2 || !canDraw( getters.activeDocument, getters.activeLayer )) {
+                return;
+            }
+            getSpriteForLayer( getters.activeLayer )?.paint({
+                type     : "fill",
+                pointers : pathToPolygon( path, true ),
+                color    : getters.activeColor,
+            });
+        },
+        /**
+         * Adds a brush tip to the brush library using the contents of the current selection
+         * (or an imported PNG image when fromSelection is false). Returns the created tip.
+         */
+        async addBrushTip({ commit, getters, dispatch }, fromSelection = true ) {
+            let image;
+            if ( fromSelection ) {
+                if ( !getters.hasSelection || !getters.activeLayer ) {
+                    return null;
+                }
+                ({ image } = await copySelection( getters.activeDocument, getters.activeLayer ));
+            } else {
+                const fileList = await selectFile( PNG.mime, false );
+                if ( !fileList?.length ) {
+                    return null;
+                }
+                const url = blobToResource( fileList[ 0 ]);
+                try {
+                    ({ image } = await loader.loadImage( url ));
+                } catch {
+                    commit( "showNotification", {
+                        title: translate( "title.error" ),
+                        message: translate( "errorLoadingFile", { file: truncate( fileList[ 0 ].name, 35 ) })
+                    });
+                    return null;
+                } finally {
+                    disposeResource( url );
+                }
+            }
+            const { tip, stored } = await dispatch( "createBrushTip", {
+                name: translate( "brushTipName", { index: getters.brushTips.length + 1 }),
+                image
+            });
+            if ( !stored ) {
+                commit( "showNotification", { title: translate( "title.error" ), message: translate( "brushLibraryFull" ) });
+            }
+            return tip;
+        },
+        /**
+         * Saves the current brush options as a new preset in the brush library. When no name
+         * is provided, a default name is generated. Returns the created preset.
+         */
+        async addBrushPreset({ commit, getters, dispatch }, name = "" ) {
+            if ( !name ) {
+                name = translate( "presetName", { index: getters.brushPresets.length + 1 });
+            }
+            const { preset, stored } = await dispatch( "saveBrushPreset", { name, options: getters.brushOptions });
+            if ( !stored ) {
+                commit( "showNotification", { title: translate( "title.error" ), message: translate( "brushLibraryFull" ) });
+            }
+            return preset;
+        },
+        exportBrushPresets({ getters }) {
+            const data = createBrushLibraryExport( getters.brushPresets, getters.brushTips );
+            saveBlobAsFile( new Blob([ JSON.stringify( data )], { type: "application/json" }), BRUSH_LIBRARY_FILE_NAME );
+        },
+        async importBrushPresets({ commit, dispatch }) {
+            const fileList = await selectFile( ".json", false );
+            if ( !fileList?.length ) {
+                return;
+            }
+            const file = fileList[ 0 ];
+            try {
+                const amount = await dispatch( "importBrushLibrary", JSON.parse( await readFile( file )));
+                commit( "showNotification", { message: translate( "importedBrushPresets", { amount }) });
+            } catch {
+                commit( "showNotification", {
+                    title: translate( "title.error" ),
+                    message: translate( "errorLoadingFile", { file: truncate( file.name, 35 ) })
+                });
+            }
+        },
         async deleteInSelection({ getters, state }) {
             const activeLayer = getters.activeLayer;
             if ( !activeLayer || !getters.activeDocument?.selection.length ) {
@@ -285,6 +623,7 @@ export default {
                 KeyboardService.init( storeReference );
                 initHistory( storeReference );
                 await dispatch( "restorePreferences" );
+                await dispatch( "restoreBrushLibrary" );
                 resolve();
             });
         },
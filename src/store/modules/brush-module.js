@@ -0,0 +1,180 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2022 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import ToolTypes from "@/definitions/tool-types";
+import BrushPresetFactory from "@/factories/brush-preset-factory";
+import BrushTipFactory from "@/factories/brush-tip-factory";
+import { createTipSource } from "@/rendering/brush-tip";
+import { cacheBrushTip, flushBrushTip } from "@/rendering/cache/brush-tip-cache";
+
+const STORAGE_KEY = "bpy_brushes";
+
+// tools that can paint using a brush tip from the library
+export const BRUSH_TIP_TOOLS = [ ToolTypes.BRUSH, ToolTypes.ERASER, ToolTypes.CLONE ];
+
+/**
+ * Create the exportable contents of the brush library for given presets. As presets
+ * can reference image based brush tips, the tips they use are included in the export.
+ *
+ * @param {Array<Object>} presets
+ * @param {Array<Object>} tips all tips within the library
+ * @return {{ presets: Array<Object>, tips: Array<Object> }} serialized presets and tips
+ */
+export const createBrushLibraryExport = ( presets, tips ) => {
+    const tipIds = presets.map(({ options }) => options.tipId ).filter( Boolean );
+    return {
+        presets : presets.map( BrushPresetFactory.serialize ),
+        tips    : tips.filter(({ id }) => tipIds.includes( id )).map( BrushTipFactory.serialize ),
+    };
+};
+
+/**
+ * The brush library contains the image based brush tips and brush presets created by the user.
+ * The library is persisted in local storage so it is available across sessions.
+ */
+export default {
+    state: {
+        brushTips: [],
+        brushPresets: [],
+    },
+    getters: {
+        brushTips: state => state.brushTips,
+        brushPresets: state => state.brushPresets,
+    },
+    mutations: {
+        addBrushTip( state, tip ) {
+            state.brushTips.push( tip );
+        },
+        removeBrushTip( state, tipId ) {
+            state.brushTips = state.brushTips.filter(({ id }) => id !== tipId );
+        },
+        /**
+         * Adds given preset to the library, replacing the existing preset with the same id
+         */
+        addBrushPreset( state, preset ) {
+            const index = state.brushPresets.findIndex(({ id }) => id === preset.id );
+            if ( index === -1 ) {
+                state.brushPresets.push( preset );
+            } else {
+                state.brushPresets.splice( index, 1, preset );
+            }
+        },
+        removeBrushPreset( state, presetId ) {
+            state.brushPresets = state.brushPresets.filter(({ id }) => id !== presetId );
+        },
+    },
+    actions: {
+        async restoreBrushLibrary({ commit }) {
+            const existing = window.localStorage?.getItem( STORAGE_KEY );
+            if ( !existing ) {
+                return;
+            }
+            try {
+                const { tips = [], presets = [] } = JSON.parse( existing );
+                for ( const serializedTip of tips ) {
+                    const tip = BrushTipFactory.deserialize( serializedTip );
+                    await cacheBrushTip( tip );
+                    commit( "addBrushTip", tip );
+                }
+                presets.forEach( preset => commit( "addBrushPreset", BrushPresetFactory.deserialize( preset )));
+            } catch {
+                // non-blocking
+            }
+        },
+        /**
+         * Persist the brush library. Returns false when this failed (e.g. storage quota exceeded)
+         */
+        storeBrushLibrary({ state }) {
+            try {
+                window.localStorage?.setItem( STORAGE_KEY, JSON.stringify({
+                    tips    : state.brushTips.map( BrushTipFactory.serialize ),
+                    presets : state.brushPresets.map( BrushPresetFactory.serialize ),
+                }));
+                return true;
+            } catch {
+                return false;
+            }
+        },
+        /**
+         * Create a new brush tip from given image, adding it to the library.
+         * Returns the newly created tip and whether the library could be persisted.
+         */
+        async createBrushTip({ commit, dispatch }, { name, image }) {
+            const tip = BrushTipFactory.create({ name, ...createTipSource( image ) });
+            await cacheBrushTip( tip );
+            commit( "addBrushTip", tip );
+            const stored = await dispatch( "storeBrushLibrary" );
+            return { tip, stored };
+        },
+        deleteBrushTip({ commit, dispatch, rootState }, tipId ) {
+            commit( "removeBrushTip", tipId );
+            flushBrushTip( tipId );
+            // tools using the removed tip fall back to the paint brush
+            BRUSH_TIP_TOOLS.forEach( tool => {
+                if ( rootState.toolModule.options[ tool ].tipId === tipId ) {
+                    commit( "setToolOptionValue", { tool, option: "tipId", value: null });
+                }
+            });
+            return dispatch( "storeBrushLibrary" );
+        },
+        /**
+         * Save given brush options as a new preset within the library.
+         * Returns the newly created preset and whether the library could be persisted.
+         */
+        async saveBrushPreset({ commit, dispatch }, { name, options }) {
+            const preset = BrushPresetFactory.create({ name, options });
+            commit( "addBrushPreset", preset );
+            const stored = await dispatch( "storeBrushLibrary" );
+            return { preset, stored };
+        },
+        deleteBrushPreset({ commit, dispatch }, presetId ) {
+            commit( "removeBrushPreset", presetId );
+            return dispatch( "storeBrushLibrary" );
+        },
+        applyBrushPreset({ commit, state }, presetId ) {
+            const preset = state.brushPresets.find(({ id }) => id === presetId );
+            if ( preset ) {
+                commit( "setToolOptions", { tool: ToolTypes.BRUSH, options: preset.options });
+            }
+        },
+        /**
+         * Import the presets (and their brush tips) of an exported brush library (see createBrushLibraryExport()).
+         * Presets with the same id as an existing preset replace the existing preset.
+         * Returns the amount of imported presets, throws when given data is not a valid brush library export.
+         */
+        async importBrushLibrary({ commit, dispatch, state }, { presets, tips = [] } = {}) {
+            if ( !Array.isArray( presets ) || !Array.isArray( tips )) {
+                throw new Error( "invalid brush library" );
+            }
+            for ( const serializedTip of tips ) {
+                const tip = BrushTipFactory.deserialize( serializedTip );
+                if ( !state.brushTips.some(({ id }) => id === tip.id )) {
+                    await cacheBrushTip( tip );
+                    commit( "addBrushTip", tip );
+                }
+            }
+            presets.forEach( preset => commit( "addBrushPreset", BrushPresetFactory.deserialize( preset )));
+            await dispatch( "storeBrushLibrary" );
+            return presets.length;
+        },
+    },
+};
@@ -25,7 +25,9 @@ import Vue from "vue";
 import DocumentFactory from "@/factories/document-factory";
 import LayerFactory    from "@/factories/layer-factory";
 import { flushLayerSprites, runSpriteFn, getSpriteForLayer, getCanvasInstance } from "@/factories/sprite-factory";
-import { resizeLayerContent, cropLayerContent } from "@/utils/render-util";
+import {
+    resizeLayerContent, cropLayerContent, straightenLayerContent, trimLayerContent, restoreLayerContent
+} from "@/utils/render-util";
 
 export default {
     state: {
@@ -173,20 +175,59 @@ export default {
                 await resizeLayerContent( layer, scaleX, scaleY );
             }
         },
-        async cropActiveDocumentContent( state, { left, top }) {
+        /**
+         * Repositions the layers for a crop at given coordinate. When given a size, the layers can
+         * be straightened around the center of the cropped area (rotation by given angle) and have
+         * their pixels outside of the cropped area removed (trim).
+         */
+        async cropActiveDocumentContent( state, { left, top, width = 0, height = 0, angle = 0, trim = false }) {
             const document = state.documents[ state.activeIndex ];
             for ( const layer of document?.layers ) {
+                if ( angle !== 0 ) {
+                    straightenLayerContent( layer, left + width / 2, top + height / 2, angle );
+                }
                 await cropLayerContent( layer, left, top );
+                if ( trim ) {
+                    trimLayerContent( layer, width, height );
+                    getSpriteForLayer( layer )?.resetFilterAndRecache(); // source has been replaced
+                }
                 getSpriteForLayer( layer )?.syncPosition();
             }
         },
+        restoreLayerContents( state, contents ) {
+            const document = state.documents[ state.activeIndex ];
+            contents.forEach(( content, index ) => {
+                const layer = document?.layers[ index ];
+                if ( layer ) {
+                    restoreLayerContent( layer, content );
+                    // the restored source (and position) must be synced with the Layers renderer
+                    const sprite = getSpriteForLayer( layer );
+                    sprite?.syncPosition();
+                    sprite?.resetFilterAndRecache();
+                }
+            });
+        },
         saveSelection( state, { name, selection }) {
             const document = state.documents[ state.activeIndex ];
             Vue.set( document.selections, name, selection );
         },
+        savePath( state, { name, path }) {
+            const document = state.documents[ state.activeIndex ];
+            Vue.set( document.paths, name, path );
+        },
+        removePath( state, name ) {
+            const document = state.documents[ state.activeIndex ];
+            Vue.delete( document.paths, name );
+            if ( document.activePath === name ) {
+                document.activePath = null;
+            }
+        },
+        setActivePath( state, name ) {
+            state.documents[ state.activeIndex ].activePath = name;
+        },
     },
     actions: {
-        requestDocumentClose({ state, commit, getters }) {
+        requestDocumentClose({ state, commit, dispatch, getters }) {
             const document = getters.activeDocument;
             if ( !document ) {
                 return;
@@ -196,6 +237,7 @@ export default {
                 title   : getters.t( "areYouSure" ),
                 message : getters.t( "closeDocumentWarning", { document: document.name } ),
                 confirm : () => {
+                    dispatch( "exitQuickMask" );
                     commit( "closeActiveDocument" );
                     commit( "removeImagesForDocument", document );
                     commit( "setActiveDocument", Math.min( state.documents.length - 1, state.activeIndex ));
@@ -21,10 +21,21 @@
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
 import Vue from "vue";
-import ToolTypes, { TOOL_SRC_MERGED } from "@/definitions/tool-types";
-import BrushTypes from "@/definitions/brush-types";
+import ToolTypes, { TOOL_SRC_MERGED, MARQUEE_RECTANGLE, LASSO_POLYGONAL, CROP_FREE } from "@/definitions/tool-types";
+import BrushTypes, { DYNAMICS_NONE, DYNAMICS_PRESSURE, STABILIZER_NONE, SYMMETRY_NONE } from "@/definitions/brush-types";
+import { SHAPE_RECTANGLE } from "@/definitions/shape-types";
+import SelectionModes from "@/definitions/selection-modes";
+import { GRADIENT_LINEAR } from "@/rendering/gradient";
 import { runSpriteFn } from "@/factories/sprite-factory";
 
+// by default pen pressure scales the brush size (see brush-types#getBrushDynamics())
+const BRUSH_DYNAMICS = { sizeDynamics: DYNAMICS_PRESSURE, opacityDynamics: DYNAMICS_NONE, flowDynamics: DYNAMICS_NONE };
+// applies to brushes using an image based tip from the brush library (see brush-tip.js)
+const BRUSH_TIP = { tipId: null, spacing: .25, rotation: 0, scatter: 0, sizeJitter: 0, angleJitter: 0 };
+// smoothens the pointer input of a stroke (see stroke-math.js)
+const BRUSH_STABILIZER = { stabilizer: STABILIZER_NONE, stabilizerStrength: .5 };
+const BRUSH_SYMMETRY   = { symmetry: SYMMETRY_NONE, symmetryAxes: 6, symmetryX: .5, symmetryY: .5 }; // center relative to document size
+
 export default {
     state: {
         activeTool  : null,
@@ -33,15 +44,39 @@ export default {
             // see tool-options-zoom.vue
             [ ToolTypes.ZOOM ]  : { level: 1 },
             // see tool-options-brush.vue
-            [ ToolTypes.BRUSH ] : { size: 10, type: BrushTypes.LINE, opacity: 1, strokes: 1, thickness: .5 },
+            [ ToolTypes.BRUSH ] : {
+                size: 10, type: BrushTypes.LINE, opacity: 1, strokes: 1, thickness: .5,
+                ...BRUSH_DYNAMICS, ...BRUSH_TIP, ...BRUSH_STABILIZER, ...BRUSH_SYMMETRY
+            },
             // see tool-options-eraser.vue
-            [ ToolTypes.ERASER ]: { size: 10, type: BrushTypes.PAINT_BRUSH, opacity: 1, thickness: .5 },
+            [ ToolTypes.ERASER ]: {
+                size: 10, type: BrushTypes.PAINT_BRUSH, opacity: 1, thickness: .5,
+                ...BRUSH_DYNAMICS, ...BRUSH_TIP, ...BRUSH_STABILIZER, ...BRUSH_SYMMETRY
+            },
             // see tool-options-clone.vue
-            [ ToolTypes.CLONE ] : { size: 10, type: BrushTypes.PAINT_BRUSH, opacity: .5, thickness: .5, sourceLayerId: TOOL_SRC_MERGED, coords: null },
+            [ ToolTypes.CLONE ] : {
+                size: 10, type: BrushTypes.PAINT_BRUSH, opacity: .5, thickness: .5, sourceLayerId: TOOL_SRC_MERGED, coords: null,
+                ...BRUSH_DYNAMICS, ...BRUSH_TIP, ...BRUSH_STABILIZER, ...BRUSH_SYMMETRY
+            },
+            // see tool-options-selection
+            [ ToolTypes.SELECTION ] : { shape: MARQUEE_RECTANGLE, lockRatio: false, xRatio: 1, yRatio: 1, mode: SelectionModes.REPLACE },
             // see tool-options-selection
-            [ ToolTypes.SELECTION ] : { lockRatio: false, xRatio: 1, yRatio: 1 },
+            [ ToolTypes.LASSO ] : { type: LASSO_POLYGONAL, width: 10, contrast: .1 },
+            // see tool-options-wand.vue
+            [ ToolTypes.WAND ] : { tolerance: 32, contiguous: true, sampleMerged: false },
             // see tool-options-fill.vue
             [ ToolTypes.FILL ] : { smartFill: true },
+            // see tool-options-crop.vue
+            [ ToolTypes.CROP ] : { aspect: CROP_FREE, xRatio: 1, yRatio: 1, deletePixels: false, angle: 0 },
+            // see tool-options-shape.vue
+            [ ToolTypes.SHAPE ] : {
+                type: SHAPE_RECTANGLE, fill: "rgba(255,0,0,1)", stroke: "rgba(0,0,0,1)", strokeWidth: 0, radius: 0, sides: 5
+            },
+            // see tool-options-gradient.vue
+            [ ToolTypes.GRADIENT ] : {
+                type: GRADIENT_LINEAR,
+                stops: [{ offset: 0, color: "rgba(0,0,0,1)" }, { offset: 1, color: "rgba(0,0,0,0)" }]
+            },
         },
         snapAlign : true,
         antiAlias : true,
@@ -52,11 +87,16 @@ export default {
         activeColor       : state => state.activeColor,
         activeToolOptions : state => state.options[ state.activeTool ],
         selectionOptions  : state => state.options[ ToolTypes.SELECTION ],
+        lassoOptions      : state => state.options[ ToolTypes.LASSO ],
+        wandOptions       : state => state.options[ ToolTypes.WAND ],
         zoomOptions       : state => state.options[ ToolTypes.ZOOM ],
         brushOptions      : state => state.options[ ToolTypes.BRUSH ],
         eraserOptions     : state => state.options[ ToolTypes.ERASER ],
         cloneOptions      : state => state.options[ ToolTypes.CLONE ],
         fillOptions       : state => state.options[ ToolTypes.FILL ],
+        gradientOptions   : state => state.options[ ToolTypes.GRADIENT ],
+        cropOptions       : state => state.options[ ToolTypes.CROP ],
+        shapeOptions      : state => state.options[ ToolTypes.SHAPE ],
         snapAlign         : state => state.snapAlign,
         antiAlias         : state => state.antiAlias,
         pixelGrid         : state => state.pixelGrid,
@@ -71,19 +111,16 @@ export default {
             updateLayerSprites( state.activeColor, state.options[ ToolTypes.BRUSH ]);
         },
         setToolOptionValue( state, { tool, option, value }) {
+            Vue.set( state.options[ tool ], option, value );
+            updateToolSprites( state, tool );
+        },
+        /**
+         * Set multiple option values for given tool at once (e.g. when applying a brush preset)
+         */
+        setToolOptions( state, { tool, options }) {
             const toolOptions = state.options[ tool ];
-            Vue.set( toolOptions, option, value );
-            switch ( tool ) {
-                default:
-                    break;
-                case ToolTypes.CLONE:
-                case ToolTypes.BRUSH:
-                    updateLayerSprites( state.activeColor, toolOptions );
-                    break;
-                case ToolTypes.ERASER:
-                    updateLayerSprites( `rgba(255,255,255,${toolOptions.opacity})`, toolOptions );
-                    break;
-            }
+            Object.entries( options ).forEach(([ option, value ]) => Vue.set( toolOptions, option, value ));
+            updateToolSprites( state, tool );
         },
         setSnapAlign( state, value ) {
             state.snapAlign = value;
@@ -97,6 +134,21 @@ export default {
     },
 };
 
+function updateToolSprites( state, tool ) {
+    const toolOptions = state.options[ tool ];
+    switch ( tool ) {
+        default:
+            break;
+        case ToolTypes.CLONE:
+        case ToolTypes.BRUSH:
+            updateLayerSprites( state.activeColor, toolOptions );
+            break;
+        case ToolTypes.ERASER:
+            updateLayerSprites( `rgba(255,255,255,${toolOptions.opacity})`, toolOptions );
+            break;
+    }
+}
+
 function updateLayerSprites( color, toolOptions ) {
     runSpriteFn( sprite => {
         if ( sprite.isDrawable() ) {
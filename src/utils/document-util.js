@@ -25,9 +25,12 @@ import { PNG } from "@/definitions/image-types";
 import { renderEffectsForLayer } from "@/services/render-service";
 import { createSpriteForLayer, getSpriteForLayer } from "@/factories/sprite-factory";
 import { createCanvas } from "@/utils/canvas-util";
+import { isGroup, isLayerVisible } from "@/utils/layer-util";
 import { reverseTransformation } from "@/rendering/transforming";
 import { rotateRectangle, areEqual } from "@/math/rectangle-math";
 import { getRectangleForSelection, isSelectionRectangular } from "@/math/selection-math";
+import { traceSelection, createFeatherMask, createSoftSelectionMask } from "@/rendering/clipping";
+import { getSoftSelection } from "@/rendering/selection";
 
 /**
  * Creates a snapshot of the current document at its full size.
@@ -66,8 +69,8 @@ export const createLayerSnapshot = async ( layer ) => {
     // ensure all layer effects are rendered, note we omit caching
     await renderEffectsForLayer( layer, false );
 
-    // draw existing layers onto temporary canvas at full document scale
-    sprite?.draw( ctx, zcvs._viewport, true );
+    // draw existing layers onto temporary canvas at full document scale (omitting the opacity of its group)
+    sprite?.drawLayer( ctx, zcvs._viewport );
     zcvs.dispose();
 
     return cvs;
@@ -79,7 +82,8 @@ export const createLayerSnapshot = async ( layer ) => {
  *
  * @param {Object} activeDocument
  * @param {Array<Number>=} optLayerIndices optional whitelist of layers to render, defaults
-                           to render all layers unless specified
+                           to render all layers unless specified. Whitelisted layers are rendered
+                           individually (e.g. not composited with the group they are nested in)
  * @return {HTMLCanvasElement}
  */
 export const renderFullSize = ( activeDocument, optLayerIndices = [] ) => {
@@ -89,10 +93,11 @@ export const renderFullSize = ( activeDocument, optLayerIndices = [] ) => {
     const { layers } = activeDocument;
     layers.forEach(( layer, index ) => {
         // if a whitelist of layers has been provided, apply filter here
-        if ( optLayerIndices.length && !optLayerIndices.includes( index )) {
-            return;
+        if ( !optLayerIndices.length ) {
+            getSpriteForLayer( layer )?.draw( ctx, zcvs._viewport, true );
+        } else if ( optLayerIndices.includes( index )) {
+            getSpriteForLayer( layer )?.drawLayer( ctx, zcvs._viewport );
         }
-        getSpriteForLayer( layer )?.draw( ctx, zcvs._viewport, true );
     });
     zcvs.dispose();
     return cvs;
@@ -164,16 +169,19 @@ export const copySelection = async ( activeDocument, activeLayer, copyMerged = f
     const merged = copyMerged ? await createDocumentSnapshot( activeDocument ) : null;
 
     const { zcvs, cvs, ctx } = createFullSizeZCanvas( activeDocument );
+    const feather = activeDocument.selectionFeather || 0;
+    const softSelection = getSoftSelection( activeDocument );
     ctx.beginPath();
-    activeDocument.selection.forEach(( point, index ) => {
-        ctx[ index === 0 ? "moveTo" : "lineTo" ]( point.x, point.y );
-    });
+    traceSelection( ctx, activeDocument.selection );
     ctx.closePath();
     if ( activeDocument.invertSelection ) {
         ctx.globalCompositeOperation = "destination-in";
     }
     ctx.save();
-    ctx.clip();
+    // feathered and soft selections are applied after drawing the contents (see below)
+    if ( feather === 0 && !softSelection ) {
+        ctx.clip();
+    }
 
     if ( copyMerged ) {
         ctx.drawImage( merged, 0, 0 );
@@ -189,9 +197,17 @@ export const copySelection = async ( activeDocument, activeLayer, copyMerged = f
     }
     ctx.restore();
 
+    if ( feather > 0 || softSelection ) {
+        ctx.save();
+        ctx.globalCompositeOperation = "destination-in";
+        ctx.drawImage( createAlphaMask( activeDocument, softSelection, 0, 0 ), 0, 0 );
+        ctx.restore();
+    }
+
     // when calculating the source rectangle we must take the device pixel ratio into account
     const pixelRatio = window.devicePixelRatio || 1;
-    const selectionRectangle = getRectangleForSelection( activeDocument.selection );
+    const selectionRectangle = softSelection && !activeDocument.invertSelection ? getBoundsForAlpha( softSelection ) :
+        growRectangle( getRectangleForSelection( activeDocument.selection.flat() ), feather, activeDocument );
     const selectionCanvas = createCanvas( selectionRectangle.width, selectionRectangle.height );
     selectionCanvas.ctx.drawImage(
         cvs,
@@ -227,10 +243,16 @@ export const deleteSelectionContent = ( activeDocument, activeLayer ) => {
        ({ left, top, width, height } = transformedBounds );
     }
 
+    const softSelection = getSoftSelection( activeDocument );
+    if ( activeDocument.selectionFeather > 0 || softSelection ) {
+        // feathered and soft selections erase the content through the selections soft edged mask
+        ctx.drawImage( createAlphaMask( activeDocument, softSelection, left, top, width, height ), 0, 0 );
+        ctx.restore();
+
+        return cvs;
+    }
     ctx.beginPath();
-    activeDocument.selection.forEach(( point, index ) => {
-        ctx[ index === 0 ? "moveTo" : "lineTo" ]( point.x - left, point.y - top );
-    });
+    traceSelection( ctx, activeDocument.selection, left, top );
     if ( activeDocument.invertSelection ) {
         ctx.globalCompositeOperation = "destination-in";
     }
@@ -256,10 +278,12 @@ export const getAlignableObjects = ( document, excludeLayer ) => {
     // create bounding boxes for all eligible objects
     return [ documentBounds, ...document.layers ].reduce(( acc, object ) => {
         // ignore this object in case
-        // 1. it is an invisible layer
-        // 2. it matches the size of the document (which is an alignable object in itself)
-        // 3. it is the optionally provided excludeLayer
-        if ( !object.visible ||
+        // 1. it is an invisible layer (or nested inside an invisible group)
+        // 2. it is a group, which has no content of its own
+        // 3. it matches the size of the document (which is an alignable object in itself)
+        // 4. it is the optionally provided excludeLayer
+        if ( !isLayerVisible( object, document.layers ) ||
+             isGroup( object ) ||
              ( object !== documentBounds && areEqual( documentBounds, object )) ||
              ( excludeLayer && object.id === excludeLayer.id )) {
             return acc;
@@ -301,3 +325,45 @@ function createFullSizeZCanvas( object ) {
 
      return { zcvs, cvs, ctx };
 }
+
+// creates the soft edged mask for a Documents feathered or soft selection
+
+function createAlphaMask( activeDocument, softSelection, left, top, width = activeDocument.width, height = activeDocument.height ) {
+    const { selection, invertSelection, selectionFeather } = activeDocument;
+    if ( softSelection ) {
+        return createSoftSelectionMask( softSelection, width, height, left, top, invertSelection );
+    }
+    return createFeatherMask( selection, width, height, left, top, invertSelection, selectionFeather );
+}
+
+// retrieves the bounding box of all non-transparent pixels within given bitmap
+
+function getBoundsForAlpha( bitmap ) {
+    const { width, height } = bitmap;
+    const { data } = bitmap.getContext( "2d" ).getImageData( 0, 0, width, height );
+    let left = width, top = height, right = 0, bottom = 0;
+    for ( let y = 0; y < height; ++y ) {
+        for ( let x = 0; x < width; ++x ) {
+            if ( data[ ( y * width + x ) * 4 + 3 ] > 0 ) {
+                left   = Math.min( left, x );
+                top    = Math.min( top, y );
+                right  = Math.max( right, x + 1 );
+                bottom = Math.max( bottom, y + 1 );
+            }
+        }
+    }
+    return right > left ? { left, top, width: right - left, height: bottom - top } : { left: 0, top: 0, width: 1, height: 1 };
+}
+
+// grows given rectangle by given amount of pixels on each side, while remaining within given bounds
+
+function growRectangle({ left, top, width, height }, amount, bounds ) {
+    if ( amount === 0 ) {
+        return { left, top, width, height };
+    }
+    const right  = Math.min( bounds.width,  left + width  + amount );
+    const bottom = Math.min( bounds.height, top  + height + amount );
+    left = Math.max( 0, left - amount );
+    top  = Math.max( 0, top  - amount );
+    return { left, top, width: right - left, height: bottom - top };
+}
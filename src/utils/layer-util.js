@@ -20,7 +20,7 @@
  * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
-import { LAYER_TEXT } from "@/definitions/layer-types";
+import { LAYER_GROUP, LAYER_SHAPE, LAYER_TEXT, DEFAULT_SHAPE_NAME } from "@/definitions/layer-types";
 import { enqueueState } from "@/factories/history-state-factory";
 
 /**
@@ -63,3 +63,114 @@ export const addTextLayer = ({ getters, commit }) => {
         redo: fn,
     });
 };
+
+/**
+ * Adds a shape layer spanning given rectangle (as drawn using the SHAPE tool), where
+ * shape describes the vector shape properties (see shape-factory.js)
+ */
+export const addShapeLayer = ({ getters, commit }, { left, top, width, height, shape }) => {
+    const fn = () => commit( "addLayer", { type: LAYER_SHAPE, name: DEFAULT_SHAPE_NAME, left, top, width, height, shape });
+    fn();
+    const addedLayerIndex = getters.activeLayerIndex;
+    enqueueState( `layerAdd_${addedLayerIndex}`, {
+        undo() {
+            commit( "removeLayer", addedLayerIndex );
+        },
+        redo: fn,
+    });
+};
+
+/* layer groups */
+
+export const isGroup = layer => layer?.type === LAYER_GROUP;
+
+/**
+ * Retrieve the list of groups given layer is nested in, ordered
+ * from the direct parent group up to the group at the root level.
+ *
+ * @param {Object} layer
+ * @param {Array<Object>} layers all layers within the Document
+ * @return {Array<Object>}
+ */
+export const getLayerAncestors = ( layer, layers = [] ) => {
+    const ancestors = [];
+    let groupId = layer?.groupId;
+    while ( groupId ) {
+        const group = layers.find(({ id }) => id === groupId );
+        // guard against corrupted hierarchies where a group would be nested inside itself
+        if ( !group || ancestors.includes( group )) {
+            break;
+        }
+        ancestors.push( group );
+        groupId = group.groupId;
+    }
+    return ancestors;
+};
+
+/**
+ * Retrieve all layers (including groups) nested inside given group, in
+ * the same order as they appear in the Documents layer list.
+ *
+ * @param {Object} group
+ * @param {Array<Object>} layers all layers within the Document
+ * @return {Array<Object>}
+ */
+export const getLayerDescendants = ( group, layers = [] ) => {
+    if ( !isGroup( group )) {
+        return [];
+    }
+    return layers.filter( layer => getLayerAncestors( layer, layers ).includes( group ));
+};
+
+export const getLayerDepth = ( layer, layers = [] ) => getLayerAncestors( layer, layers ).length;
+
+/**
+ * A clipped layer is only visible where the layer it is clipped to has content.
+ * Subsequently stacked clipped layers are all clipped to the same base layer (e.g. the
+ * first unclipped layer below, within the same group). Groups cannot act as a base layer.
+ *
+ * @param {Object} layer
+ * @param {Array<Object>} layers all layers within the Document
+ * @return {Object|null} base layer or null when given layer is not clipped (or cannot be clipped)
+ */
+export const getClippingBase = ( layer, layers = [] ) => {
+    if ( !layer?.clipped ) {
+        return null;
+    }
+    for ( let i = layers.findIndex(({ id }) => id === layer.id ) - 1; i >= 0; --i ) {
+        const candidate = layers[ i ];
+        if ( candidate.groupId !== layer.groupId || isGroup( candidate )) {
+            return null;
+        }
+        if ( !candidate.clipped ) {
+            return candidate;
+        }
+    }
+    return null;
+};
+
+/**
+ * A layer is only visible when both itself and all the groups it is nested in are visible
+ */
+export const isLayerVisible = ( layer, layers = [] ) => {
+    return !!layer?.visible && getLayerAncestors( layer, layers ).every(({ visible }) => visible );
+};
+
+/**
+ * A translucent group is composited as a single unit, meaning its contents are rendered
+ * together before the groups opacity is applied (when a group has its filters disabled,
+ * its opacity is not applied)
+ */
+export const isTranslucentGroup = layer => isGroup( layer ) && layer.filters.enabled && layer.filters.opacity < 1;
+
+/**
+ * Retrieve the outermost translucent group given layer is nested in. This is the
+ * group that should be composited as a unit when rendering given layer.
+ *
+ * @param {Object} layer
+ * @param {Array<Object>} layers all layers within the Document
+ * @return {Object|null}
+ */
+export const getCompositedGroup = ( layer, layers = [] ) => {
+    return getLayerAncestors( layer, layers ).reverse().find( isTranslucentGroup ) ?? null;
+};
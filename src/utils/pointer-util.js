@@ -0,0 +1,90 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Igor Zinken 2022 - https://www.igorski.nl
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import { radiansToDegrees } from "@/math/unit-math";
+
+const { atan, cos, sin, tan, max, min } = Math;
+const MAX_TILT = 90;
+
+/**
+ * Retrieve the pressure and tilt of given PointerEvent. Only pen input reports
+ * meaningful values, for all other pointer types null is returned.
+ * Tilt is expressed in degrees within the -90 to 90 range (like the PointerEvent spec).
+ *
+ * @param {PointerEvent} event
+ * @return {{ pressure: Number, tiltX: Number, tiltY: Number }|null}
+ */
+export const getPointerDataFromEvent = ({ pointerType, pressure, tiltX = 0, tiltY = 0 }) => {
+    if ( pointerType !== "pen" ) {
+        return null;
+    }
+    return {
+        pressure : clamp( pressure, 0, 1, 1 ),
+        tiltX    : clamp( tiltX, -MAX_TILT, MAX_TILT, 0 ),
+        tiltY    : clamp( tiltY, -MAX_TILT, MAX_TILT, 0 ),
+    };
+};
+
+/**
+ * Retrieve the pressure and tilt of given Touch. Only stylus input (e.g. Apple Pencil)
+ * reports meaningful values, for all other touches null is returned.
+ * The altitude and azimuth angles of the stylus are converted to tilt angles.
+ *
+ * @param {Touch} touch
+ * @return {{ pressure: Number, tiltX: Number, tiltY: Number }|null}
+ */
+export const getPointerDataFromTouch = ({ touchType, force, altitudeAngle, azimuthAngle = 0 }) => {
+    if ( touchType !== "stylus" ) {
+        return null;
+    }
+    // an altitude of PI / 2 means the stylus is perpendicular to the surface (e.g. has no tilt)
+    const altitude = tan( altitudeAngle ?? Math.PI / 2 );
+    return {
+        pressure : clamp( force, 0, 1, 1 ),
+        tiltX    : toTilt( atan( cos( azimuthAngle ) / altitude )),
+        tiltY    : toTilt( atan( sin( azimuthAngle ) / altitude )),
+    };
+};
+
+/**
+ * Get the amount of tilt of given pointer, where 0 describes a
+ * pointer perpendicular to the surface and 1 a pointer lying flat on it.
+ *
+ * @param {{ tiltX: Number, tiltY: Number }} pointer
+ * @return {Number}
+ */
+export const getTiltAmount = ({ tiltX = 0, tiltY = 0 }) => {
+    return min( 1, max( Math.abs( tiltX ), Math.abs( tiltY )) / MAX_TILT );
+};
+
+/* internal methods */
+
+function clamp( value, minValue, maxValue, fallback ) {
+    return isNaN( value ) ? fallback : min( maxValue, max( minValue, value ));
+}
+
+function toTilt( radians ) {
+    if ( isNaN( radians )) {
+        return 0;
+    }
+    return Math.round( radiansToDegrees( radians ) * 100 ) / 100;
+}
@@ -20,8 +20,10 @@
  * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
  * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
-import { LAYER_TEXT } from "@/definitions/layer-types";
-import { resizeImage } from "@/utils/canvas-util";
+import { LAYER_GRAPHIC, LAYER_IMAGE, LAYER_GROUP, LAYER_SHAPE, LAYER_TEXT } from "@/definitions/layer-types";
+import { translatePointerRotation } from "@/math/point-math";
+import { applyTransformation } from "@/rendering/transforming";
+import { createCanvas, resizeImage } from "@/utils/canvas-util";
 
 export const renderCross = ( ctx, x, y, size ) => {
     ctx.save();
@@ -55,6 +57,15 @@ export const resizeLayerContent = async ( layer, ratioX, ratioY ) => {
         text.spacing    *= ratioX;
         text.lineHeight *= ratioY;
     }
+
+    if ( layer.type === LAYER_SHAPE ) {
+        const { shape } = layer;
+
+        shape.width       *= ratioX;
+        shape.height      *= ratioY;
+        shape.radius      *= ratioX;
+        shape.strokeWidth *= ratioX;
+    }
 };
 
 export const cropLayerContent = async ( layer, left, top ) => {
@@ -68,3 +79,108 @@ export const cropLayerContent = async ( layer, left, top ) => {
     layer.left -= left;
     layer.top  -= top;
 };
+
+/**
+ * Rotates the contents of given layer around given coordinate (for instance to straighten
+ * the document prior to cropping). As layers rotate around their own center, the layer
+ * is repositioned so its center rotates around given coordinate.
+ */
+export const straightenLayerContent = ( layer, x, y, angleInRadians ) => {
+    if ( layer.type === LAYER_GROUP ) {
+        return;
+    }
+    const { left, top, width, height, effects } = layer;
+    const center = translatePointerRotation( left + width / 2, top + height / 2, x, y, -angleInRadians );
+
+    layer.left = center.x - width  / 2;
+    layer.top  = center.y - height / 2;
+    effects.rotation += effects.mirrorY ? -angleInRadians : angleInRadians;
+};
+
+/**
+ * Removes the pixels of given layer that lie outside of the document bounds (for instance
+ * after cropping). Text and shape layers are left untouched, as their contents are rendered
+ * from their properties. The transformations of (for instance straightened) layers are
+ * applied onto their pixels prior to trimming.
+ */
+export const trimLayerContent = ( layer, documentWidth, documentHeight ) => {
+    if ( ![ LAYER_GRAPHIC, LAYER_IMAGE ].includes( layer.type )) {
+        return;
+    }
+    const { rotation, scale, mirrorX, mirrorY } = layer.effects;
+    if ( rotation !== 0 || scale !== 1 || mirrorX || mirrorY ) {
+        flattenTransformation( layer, documentWidth, documentHeight );
+    }
+    const { left, top, width, height, source, mask, maskX, maskY } = layer;
+    const x1 = Math.max( 0, Math.round( left ));
+    const y1 = Math.max( 0, Math.round( top ));
+    const trimmedWidth  = Math.max( 1, Math.min( documentWidth,  Math.round( left + width ))  - x1 );
+    const trimmedHeight = Math.max( 1, Math.min( documentHeight, Math.round( top  + height )) - y1 );
+
+    if ( x1 === left && y1 === top && trimmedWidth === width && trimmedHeight === height ) {
+        return;
+    }
+    const { cvs, ctx } = createCanvas( trimmedWidth, trimmedHeight );
+    ctx.drawImage( source, left - x1, top - y1 );
+    layer.source = cvs;
+
+    if ( mask ) {
+        const trimmedMask = createCanvas( trimmedWidth, trimmedHeight );
+        trimmedMask.ctx.drawImage( mask, left + maskX - x1, top + maskY - y1 );
+        layer.mask  = trimmedMask.cvs;
+        layer.maskX = 0;
+        layer.maskY = 0;
+    }
+    layer.left   = x1;
+    layer.top    = y1;
+    layer.width  = trimmedWidth;
+    layer.height = trimmedHeight;
+};
+
+/**
+ * Retrieves a snapshot of the properties describing the content and position of given
+ * layer, which can be restored using restoreLayerContent() (e.g. for undoing a crop).
+ */
+export const getLayerContent = ({ source, mask, left, top, maskX, maskY, width, height, effects }) => ({
+    source, mask, left, top, maskX, maskY, width, height,
+    effects: { rotation: effects.rotation, scale: effects.scale, mirrorX: effects.mirrorX, mirrorY: effects.mirrorY }
+});
+
+export const restoreLayerContent = ( layer, { effects, ...content }) => {
+    Object.assign( layer, content );
+    Object.assign( layer.effects, effects );
+};
+
+/* internal methods */
+
+// renders the transformed contents (and mask) of given layer onto a document sized bitmap, after
+// which the layer spans the document and is no longer transformed
+
+function flattenTransformation( layer, documentWidth, documentHeight ) {
+    const { width, height, source, mask, maskX, maskY, effects } = layer;
+    const render = image => {
+        const { cvs, ctx } = createCanvas( documentWidth, documentHeight );
+        const bounds = applyTransformation( ctx, layer );
+        ctx.drawImage( image, bounds.left, bounds.top, bounds.width, bounds.height );
+        return cvs;
+    };
+    layer.source = render( source );
+
+    if ( mask ) {
+        // the mask is positioned relative to the layer source
+        const { cvs, ctx } = createCanvas( width, height );
+        ctx.drawImage( mask, maskX, maskY );
+        layer.mask  = render( cvs );
+        layer.maskX = 0;
+        layer.maskY = 0;
+    }
+    layer.left   = 0;
+    layer.top    = 0;
+    layer.width  = documentWidth;
+    layer.height = documentHeight;
+
+    effects.rotation = 0;
+    effects.scale    = 1;
+    effects.mirrorX  = false;
+    effects.mirrorY  = false;
+}
@@ -0,0 +1,17 @@
+import BlendModes, { DEFAULT_BLEND_MODE, getBlendMode, isValidBlendMode } from "@/definitions/blend-modes";
+
+describe( "blend modes", () => {
+    it( "should recognize the supported blend modes", () => {
+        expect( isValidBlendMode( BlendModes.MULTIPLY )).toBe( true );
+        expect( isValidBlendMode( "foo" )).toBe( false );
+    });
+
+    it( "should retrieve the blend mode of a layer", () => {
+        expect( getBlendMode({ blendMode: BlendModes.SCREEN })).toEqual( BlendModes.SCREEN );
+    });
+
+    it( "should fall back to the default blend mode for layers without a supported blend mode", () => {
+        expect( getBlendMode({})).toEqual( DEFAULT_BLEND_MODE );
+        expect( getBlendMode({ blendMode: "foo" })).toEqual( DEFAULT_BLEND_MODE );
+    });
+});
@@ -0,0 +1,41 @@
+import {
+    DYNAMICS_NONE, DYNAMICS_PRESSURE, DYNAMICS_TILT, MIN_DYNAMICS_FACTOR, hasDynamics, getBrushDynamics
+} from "@/definitions/brush-types";
+
+describe( "Brush types", () => {
+    describe( "When determining the dynamics of a brush", () => {
+        it( "should know whether the brush options define dynamics", () => {
+            expect( hasDynamics({})).toBe( false );
+            expect( hasDynamics({ sizeDynamics: DYNAMICS_NONE, opacityDynamics: DYNAMICS_NONE })).toBe( false );
+            expect( hasDynamics({ sizeDynamics: DYNAMICS_NONE, flowDynamics: DYNAMICS_TILT })).toBe( true );
+        });
+
+        it( "should not scale the brush for pointers without pressure information", () => {
+            const options = { sizeDynamics: DYNAMICS_PRESSURE, opacityDynamics: DYNAMICS_TILT, flowDynamics: DYNAMICS_PRESSURE };
+            expect( getBrushDynamics( options, { x: 10, y: 10 })).toEqual({ size: 1, opacity: 1, flow: 1 });
+        });
+
+        it( "should scale the properties mapped to pressure by the pointer pressure", () => {
+            const options = { sizeDynamics: DYNAMICS_PRESSURE, opacityDynamics: DYNAMICS_NONE, flowDynamics: DYNAMICS_PRESSURE };
+            const { size, opacity, flow } = getBrushDynamics( options, { x: 0, y: 0, pressure: .5, tiltX: 0, tiltY: 0 });
+
+            expect( size ).toBeCloseTo( .55 );
+            expect( opacity ).toEqual( 1 );
+            expect( flow ).toBeCloseTo( .55 );
+        });
+
+        it( "should scale the properties mapped to tilt by the pointer tilt", () => {
+            const options = { sizeDynamics: DYNAMICS_TILT, opacityDynamics: DYNAMICS_PRESSURE };
+
+            expect( getBrushDynamics( options, { x: 0, y: 0, pressure: 1, tiltX: 90, tiltY: 0 }))
+                .toEqual({ size: 1, opacity: 1, flow: 1 });
+            expect( getBrushDynamics( options, { x: 0, y: 0, pressure: 1, tiltX: 0, tiltY: 0 }).size )
+                .toEqual( MIN_DYNAMICS_FACTOR );
+        });
+
+        it( "should never scale a property below the minimum factor", () => {
+            const options = { sizeDynamics: DYNAMICS_PRESSURE };
+            expect( getBrushDynamics( options, { x: 0, y: 0, pressure: 0, tiltX: 0, tiltY: 0 }).size ).toEqual( MIN_DYNAMICS_FACTOR );
+        });
+    });
+});
@@ -0,0 +1,146 @@
+import { toggleLayerMask, invertLayerMask, applyLayerMask } from "@/factories/action-factory";
+
+let mockUpdateFn;
+jest.mock( "@/factories/history-state-factory", () => ({
+    enqueueState: (...args) => mockUpdateFn?.( "enqueueState", ...args ),
+}));
+jest.mock( "@/rendering/compositing", () => ({
+    inverseMask: (...args) => mockUpdateFn?.( "inverseMask", ...args ),
+}));
+jest.mock( "@/utils/canvas-util", () => ({
+    cloneCanvas: (...args) => mockUpdateFn?.( "cloneCanvas", ...args ),
+}));
+
+describe( "Action factory", () => {
+    const index = 1;
+    let store;
+    let layer;
+    let historyState;
+
+    beforeEach(() => {
+        layer = {
+            source: { id: "source" },
+            mask: { id: "mask" },
+            maskX: 5,
+            maskY: 10,
+            maskEnabled: true,
+        };
+        store = {
+            commit: jest.fn(),
+            getters: {
+                layers: [ {}, layer ],
+            },
+        };
+        historyState = null;
+        mockUpdateFn = jest.fn(( fn, ...args ) => {
+            if ( fn === "enqueueState" ) {
+                historyState = args[ 1 ];
+            }
+        });
+    });
+
+    describe( "when toggling the mask of a layer", () => {
+        it( "should toggle the enabled state of the mask", () => {
+            toggleLayerMask( store, index );
+            expect( store.commit ).toHaveBeenCalledWith( "updateLayer", { index, opts: { maskEnabled: false } });
+            expect( mockUpdateFn ).toHaveBeenCalledWith( "enqueueState", `layerMask_${index}`, expect.any( Object ));
+        });
+
+        it( "should restore the original enabled state on undo and toggle it again on redo", () => {
+            toggleLayerMask( store, index );
+            store.commit.mockReset();
+
+            historyState.undo();
+            expect( store.commit ).toHaveBeenCalledWith( "updateLayer", { index, opts: { maskEnabled: true } });
+
+            historyState.redo();
+            expect( store.commit ).toHaveBeenLastCalledWith( "updateLayer", { index, opts: { maskEnabled: false } });
+        });
+    });
+
+    describe( "when inverting the mask of a layer", () => {
+        const invertedMask = { id: "invertedMask" };
+
+        beforeEach(() => {
+            const orgUpdateFn = mockUpdateFn;
+            mockUpdateFn = jest.fn(( fn, ...args ) => {
+                orgUpdateFn( fn, ...args );
+                return fn === "cloneCanvas" ? invertedMask : undefined;
+            });
+        });
+
+        it( "should invert a copy of the mask and set it as the layers mask", () => {
+            invertLayerMask( store, index );
+
+            expect( mockUpdateFn ).toHaveBeenCalledWith( "cloneCanvas", layer.mask );
+            expect( mockUpdateFn ).toHaveBeenCalledWith( "inverseMask", invertedMask );
+            expect( store.commit ).toHaveBeenCalledWith( "updateLayer", { index, opts: { mask: invertedMask } });
+            expect( mockUpdateFn ).toHaveBeenCalledWith( "enqueueState", `invertMask_${index}`, expect.any( Object ));
+        });
+
+        it( "should restore the original mask on undo and the inverted mask on redo", () => {
+            invertLayerMask( store, index );
+            store.commit.mockReset();
+
+            historyState.undo();
+            expect( store.commit ).toHaveBeenCalledWith( "updateLayer", { index, opts: { mask: layer.mask } });
+
+            historyState.redo();
+            expect( store.commit ).toHaveBeenLastCalledWith( "updateLayer", { index, opts: { mask: invertedMask } });
+        });
+    });
+
+    describe( "when applying the mask of a layer", () => {
+        const maskedSource = { id: "maskedSource" };
+        let ctx;
+
+        beforeEach(() => {
+            ctx = { drawImage: jest.fn() };
+            maskedSource.getContext = () => ctx;
+
+            const orgUpdateFn = mockUpdateFn;
+            mockUpdateFn = jest.fn(( fn, ...args ) => {
+                orgUpdateFn( fn, ...args );
+                return fn === "cloneCanvas" ? maskedSource : undefined;
+            });
+        });
+
+        it( "should erase the masked pixels from a copy of the source and remove the mask", () => {
+            applyLayerMask( store, index );
+
+            expect( mockUpdateFn ).toHaveBeenCalledWith( "cloneCanvas", layer.source );
+            expect( ctx.globalCompositeOperation ).toEqual( "destination-out" );
+            expect( ctx.drawImage ).toHaveBeenCalledWith( layer.mask, layer.maskX, layer.maskY );
+            expect( store.commit ).toHaveBeenCalledWith( "updateLayer", {
+                index, opts: { source: maskedSource, mask: null, maskEnabled: true }
+            });
+            expect( mockUpdateFn ).toHaveBeenCalledWith( "enqueueState", `applyMask_${index}`, expect.any( Object ));
+        });
+
+        it( "should also apply the mask when it is disabled", () => {
+            layer.maskEnabled = false;
+            applyLayerMask( store, index );
+
+            expect( ctx.drawImage ).toHaveBeenCalledWith( layer.mask, layer.maskX, layer.maskY );
+            expect( store.commit ).toHaveBeenCalledWith( "updateLayer", {
+                index, opts: { source: maskedSource, mask: null, maskEnabled: true }
+            });
+        });
+
+        it( "should restore the original source and mask on undo and reapply the mask on redo", () => {
+            layer.maskEnabled = false;
+            applyLayerMask( store, index );
+            store.commit.mockReset();
+
+            historyState.undo();
+            expect( store.commit ).toHaveBeenCalledWith( "updateLayer", {
+                index, opts: { source: layer.source, mask: layer.mask, maskEnabled: false }
+            });
+
+            historyState.redo();
+            expect( store.commit ).toHaveBeenLastCalledWith( "updateLayer", {
+                index, opts: { source: maskedSource, mask: null, maskEnabled: true }
+            });
+        });
+    });
+});
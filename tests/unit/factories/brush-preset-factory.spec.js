@@ -0,0 +1,38 @@
+import BrushPresetFactory from "@/factories/brush-preset-factory";
+
+describe( "Brush preset factory", () => {
+    describe( "when creating a new brush preset instance", () => {
+        it( "should create a default brush preset structure when no arguments are passed", () => {
+            expect( BrushPresetFactory.create()).toEqual({ id: expect.any( String ), name: "", options: {} });
+        });
+
+        it( "should create unique identifiers for each brush preset", () => {
+            expect( BrushPresetFactory.create().id ).not.toEqual( BrushPresetFactory.create().id );
+        });
+
+        it( "should only store the brush options that describe the brush", () => {
+            const preset = BrushPresetFactory.create({
+                name: "Ink",
+                options: { size: 5, type: "2", opacity: .8, stabilizer: "lazy", coords: { x: 10, y: 10 }, sourceLayerId: "foo" }
+            });
+            expect( preset.options ).toEqual({ size: 5, type: "2", opacity: .8, stabilizer: "lazy" });
+        });
+
+        it( "should not reference the provided options", () => {
+            const options = { size: 5 };
+            const preset  = BrushPresetFactory.create({ options });
+            options.size = 10;
+            expect( preset.options.size ).toEqual( 5 );
+        });
+    });
+
+    describe( "when serializing and deserializing a brush preset", () => {
+        it( "should do so without data loss", () => {
+            const preset = BrushPresetFactory.create({ name: "Ink", options: { size: 5, type: "2", tipId: "tip1" } });
+            const serialized = BrushPresetFactory.serialize( preset );
+
+            expect( JSON.parse( JSON.stringify( serialized ))).toEqual( serialized );
+            expect( BrushPresetFactory.deserialize( serialized )).toEqual( preset );
+        });
+    });
+});
@@ -0,0 +1,35 @@
+import BrushTipFactory from "@/factories/brush-tip-factory";
+
+describe( "Brush tip factory", () => {
+    describe( "when creating a new brush tip instance", () => {
+        it( "should create a default brush tip structure when no arguments are passed", () => {
+            const tip = BrushTipFactory.create();
+            expect( tip ).toEqual({
+                id: expect.any( String ),
+                name: "",
+                width: 1,
+                height: 1,
+                src: "",
+            });
+        });
+
+        it( "should create unique identifiers for each brush tip", () => {
+            expect( BrushTipFactory.create().id ).not.toEqual( BrushTipFactory.create().id );
+        });
+
+        it( "should be able to create a brush tip structure from given arguments", () => {
+            const tip = BrushTipFactory.create({ id: "foo", name: "Grass", width: 100, height: 50, src: "data:image/png;base64,foo" });
+            expect( tip ).toEqual({ id: "foo", name: "Grass", width: 100, height: 50, src: "data:image/png;base64,foo" });
+        });
+    });
+
+    describe( "when serializing and deserializing a brush tip", () => {
+        it( "should do so without data loss", () => {
+            const tip = BrushTipFactory.create({ name: "Grass", width: 100, height: 50, src: "data:image/png;base64,foo" });
+            const serialized = BrushTipFactory.serialize( tip );
+
+            expect( JSON.parse( JSON.stringify( serialized ))).toEqual( serialized );
+            expect( BrushTipFactory.deserialize( serialized )).toEqual( tip );
+        });
+    });
+});
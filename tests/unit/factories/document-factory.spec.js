@@ -22,8 +22,10 @@ describe( "Document factory", () => {
                 height: 1000,
                 layers: [ { layer: "1" } ],
                 selections: {},
+                paths: {},
                 selection: null,
                 invertSelection: false,
+                activePath: null,
             });
         });
 
@@ -34,7 +36,8 @@ describe( "Document factory", () => {
                 width: 1200,
                 height: 900,
                 layers,
-                selections: { foo: [{ x: 0, y: 0 }] }
+                selections: { foo: [{ x: 0, y: 0 }] },
+                paths: { bar: { points: [], closed: false } }
             });
             expect( document ).toEqual({
                 id: expect.any( String ),
@@ -43,8 +46,10 @@ describe( "Document factory", () => {
                 height: 900,
                 layers,
                 selections: { foo: [{ x: 0, y: 0 }] },
+                paths: { bar: { points: [], closed: false } },
                 selection: null,
                 invertSelection: false,
+                activePath: null,
             });
         });
     });
@@ -56,12 +61,16 @@ describe( "Document factory", () => {
                 foo: [{ x: 0, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }, { x: 0, y: 0 }],
                 bar: []
             };
+            const paths = {
+                baz: { points: [{ x: 0, y: 0, in: { x: 0, y: 0 }, out: { x: 10, y: 5 } }], closed: true }
+            };
             const document = DocumentFactory.create({
                 name: "foo",
                 width: 1200,
                 height: 900,
                 layers,
-                selections
+                selections,
+                paths
             });
             mockUpdateFn = jest.fn(( fn, data ) => JSON.stringify( data ));
             const serialized = DocumentFactory.serialize( document );
@@ -84,5 +93,32 @@ describe( "Document factory", () => {
                 id: expect.any( String )
             })
         });
+
+        it( "should maintain the layer group hierarchy", async () => {
+            const layers = [
+                { id: "layer_1", groupId: "layer_3" },
+                { id: "layer_2", groupId: "layer_3" },
+                { id: "layer_3", groupId: "layer_4" },
+                { id: "layer_4", groupId: null },
+                { id: "layer_5", groupId: null },
+            ];
+            const document = DocumentFactory.create({ layers });
+
+            mockUpdateFn = jest.fn(( fn, data ) => JSON.stringify( data ));
+            const serialized = DocumentFactory.serialize( document );
+
+            expect( serialized.g ).toEqual([ 2, 2, 3, -1, -1 ]);
+
+            // deserialized Layers will have new unique id's
+            mockUpdateFn = jest.fn(( fn, data ) => {
+                const layer = JSON.parse( data );
+                return { ...layer, id: `${layer.id}_new` };
+            });
+            const deserialized = await DocumentFactory.deserialize( serialized );
+
+            expect( deserialized.layers.map(({ groupId }) => groupId )).toEqual([
+                "layer_3_new", "layer_3_new", "layer_4_new", null, null
+            ]);
+        });
     });
 });
@@ -1,4 +1,6 @@
-import FiltersFactory, { hasFilters, isEqual } from "@/factories/filters-factory";
+import FiltersFactory, {
+    hasFilters, hasHSL, hasColorBalance, hasSpatialFilters, hasLevels, hasCurves, isEqual, isCurveEqual
+} from "@/factories/filters-factory";
 
 describe( "Filters factory", () => {
     describe( "when creating a new filter list", () => {
@@ -12,6 +14,26 @@ describe( "Filters factory", () => {
                 contrast: 0,
                 vibrance: .5,
                 desaturate: false,
+                hue: .5,
+                saturation: .5,
+                lightness: .5,
+                balanceShadows: { r: .5, g: .5, b: .5 },
+                balanceMidtones: { r: .5, g: .5, b: .5 },
+                balanceHighlights: { r: .5, g: .5, b: .5 },
+                blur: 0,
+                unsharpAmount: 0,
+                unsharpRadius: .1,
+                unsharpThreshold: 0,
+                kernel: null,
+                levelsInBlack: 0,
+                levelsInWhite: 1,
+                levelsMidtone: .5,
+                levelsOutBlack: 0,
+                levelsOutWhite: 1,
+                curveRGB: [{ x: 0, y: 0 }, { x: 1, y: 1 }],
+                curveR: [{ x: 0, y: 0 }, { x: 1, y: 1 }],
+                curveG: [{ x: 0, y: 0 }, { x: 1, y: 1 }],
+                curveB: [{ x: 0, y: 0 }, { x: 1, y: 1 }],
             });
         });
 
@@ -24,6 +46,26 @@ describe( "Filters factory", () => {
                 contrast: .3,
                 vibrance: .2,
                 desaturate: true,
+                hue: .1,
+                saturation: .2,
+                lightness: .3,
+                balanceShadows: { r: .1, g: .2, b: .3 },
+                balanceMidtones: { r: .4, g: .5, b: .6 },
+                balanceHighlights: { r: .7, g: .8, b: .9 },
+                blur: .1,
+                unsharpAmount: .2,
+                unsharpRadius: .3,
+                unsharpThreshold: .4,
+                kernel: [ 0, -1, 0, -1, 5, -1, 0, -1, 0 ],
+                levelsInBlack: .1,
+                levelsInWhite: .9,
+                levelsMidtone: .4,
+                levelsOutBlack: .2,
+                levelsOutWhite: .8,
+                curveRGB: [{ x: 0, y: .1 }, { x: 1, y: .9 }],
+                curveR: [{ x: 0, y: .2 }, { x: 1, y: .8 }],
+                curveG: [{ x: 0, y: .3 }, { x: 1, y: .7 }],
+                curveB: [{ x: 0, y: .4 }, { x: 1, y: .6 }],
             });
             expect( filters ).toEqual({
                 enabled: false,
@@ -33,6 +75,26 @@ describe( "Filters factory", () => {
                 contrast: .3,
                 vibrance: .2,
                 desaturate: true,
+                hue: .1,
+                saturation: .2,
+                lightness: .3,
+                balanceShadows: { r: .1, g: .2, b: .3 },
+                balanceMidtones: { r: .4, g: .5, b: .6 },
+                balanceHighlights: { r: .7, g: .8, b: .9 },
+                blur: .1,
+                unsharpAmount: .2,
+                unsharpRadius: .3,
+                unsharpThreshold: .4,
+                kernel: [ 0, -1, 0, -1, 5, -1, 0, -1, 0 ],
+                levelsInBlack: .1,
+                levelsInWhite: .9,
+                levelsMidtone: .4,
+                levelsOutBlack: .2,
+                levelsOutWhite: .8,
+                curveRGB: [{ x: 0, y: .1 }, { x: 1, y: .9 }],
+                curveR: [{ x: 0, y: .2 }, { x: 1, y: .8 }],
+                curveG: [{ x: 0, y: .3 }, { x: 1, y: .7 }],
+                curveB: [{ x: 0, y: .4 }, { x: 1, y: .6 }],
             });
         });
     });
@@ -47,6 +109,19 @@ describe( "Filters factory", () => {
                 contrast: .3,
                 vibrance: .2,
                 desaturate: true,
+                hue: .3,
+                saturation: .7,
+                lightness: .4,
+                balanceShadows: { r: .6, g: .5, b: .4 },
+                balanceHighlights: { r: .2, g: .5, b: .5 },
+                blur: .25,
+                unsharpAmount: .5,
+                kernel: [ 1, 1, 1, 1, 1, 1, 1, 1, 1 ],
+                levelsInBlack: .1,
+                levelsMidtone: .6,
+                levelsOutWhite: .9,
+                curveRGB: [{ x: 0, y: 0 }, { x: .5, y: .7 }, { x: 1, y: 1 }],
+                curveB: [{ x: 0, y: .2 }, { x: 1, y: .8 }],
             });
             const serialized   = FiltersFactory.serialize( filters );
             const deserialized = FiltersFactory.deserialize( serialized );
@@ -79,6 +154,61 @@ describe( "Filters factory", () => {
 
             filter = FiltersFactory.create({ desaturate: true });
             expect( hasFilters( filter )).toBe( true );
+
+            filter = FiltersFactory.create({ hue: .1 });
+            expect( hasFilters( filter )).toBe( true );
+
+            filter = FiltersFactory.create({ balanceMidtones: { r: .5, g: .6, b: .5 } });
+            expect( hasFilters( filter )).toBe( true );
+
+            filter = FiltersFactory.create({ blur: .1 });
+            expect( hasFilters( filter )).toBe( true );
+
+            filter = FiltersFactory.create({ kernel: [ 0, 0, 0, 0, 1, 0, 0, 0, 0 ] });
+            expect( hasFilters( filter )).toBe( true );
+
+            filter = FiltersFactory.create({ levelsInWhite: .8 });
+            expect( hasFilters( filter )).toBe( true );
+
+            filter = FiltersFactory.create({ curveR: [{ x: 0, y: 0 }, { x: .5, y: .6 }, { x: 1, y: 1 }] });
+            expect( hasFilters( filter )).toBe( true );
+        });
+
+        it( "should know whether a configuration specifies a hue, saturation or lightness adjustment", () => {
+            expect( hasHSL( FiltersFactory.create() )).toBe( false );
+            [ "hue", "saturation", "lightness" ].forEach( property => {
+                expect( hasHSL( FiltersFactory.create({ [ property ]: .33 }))).toBe( true );
+            });
+        });
+
+        it( "should know whether a configuration specifies a colour balance adjustment", () => {
+            expect( hasColorBalance( FiltersFactory.create() )).toBe( false );
+            [ "balanceShadows", "balanceMidtones", "balanceHighlights" ].forEach( property => {
+                expect( hasColorBalance( FiltersFactory.create({ [ property ]: { r: .5, g: .5, b: .75 } }))).toBe( true );
+            });
+        });
+
+        it( "should know whether a configuration specifies a spatial filter", () => {
+            expect( hasSpatialFilters( FiltersFactory.create() )).toBe( false );
+            expect( hasSpatialFilters( FiltersFactory.create({ unsharpRadius: .5 }))).toBe( false ); // requires an amount
+
+            expect( hasSpatialFilters( FiltersFactory.create({ blur: .5 }))).toBe( true );
+            expect( hasSpatialFilters( FiltersFactory.create({ unsharpAmount: .5 }))).toBe( true );
+            expect( hasSpatialFilters( FiltersFactory.create({ kernel: [ 0, 0, 0, 0, 1, 0, 0, 0, 0 ] }))).toBe( true );
+        });
+
+        it( "should know whether a configuration specifies a Levels adjustment", () => {
+            expect( hasLevels( FiltersFactory.create() )).toBe( false );
+            [ "levelsInBlack", "levelsInWhite", "levelsMidtone", "levelsOutBlack", "levelsOutWhite" ].forEach( property => {
+                expect( hasLevels( FiltersFactory.create({ [ property ]: .33 }))).toBe( true );
+            });
+        });
+
+        it( "should know whether a configuration specifies a Curves adjustment", () => {
+            expect( hasCurves( FiltersFactory.create() )).toBe( false );
+            [ "curveRGB", "curveR", "curveG", "curveB" ].forEach( property => {
+                expect( hasCurves( FiltersFactory.create({ [ property ]: [{ x: 0, y: .5 }, { x: 1, y: 1 }] }))).toBe( true );
+            });
         });
     });
 
@@ -90,4 +220,10 @@ describe( "Filters factory", () => {
         });
         expect( isEqual( defaultFilter, FiltersFactory.create() )).toBe( true );
     });
+
+    it( "should compare curves by the values of their points", () => {
+        expect( isCurveEqual([{ x: 0, y: 0 }, { x: 1, y: 1 }], [{ x: 0, y: 0 }, { x: 1, y: 1 }])).toBe( true );
+        expect( isCurveEqual([{ x: 0, y: 0 }, { x: 1, y: 1 }], [{ x: 0, y: 0 }, { x: 1, y: .9 }])).toBe( false );
+        expect( isCurveEqual([{ x: 0, y: 0 }, { x: 1, y: 1 }], [{ x: 0, y: 0 }, { x: .5, y: .5 }, { x: 1, y: 1 }])).toBe( false );
+    });
 });
@@ -1,8 +1,9 @@
 import LayerFactory, { layerToRect } from "@/factories/layer-factory";
-import { LAYER_GRAPHIC, LAYER_IMAGE, LAYER_MASK } from "@/definitions/layer-types";
+import { LAYER_ADJUSTMENT, LAYER_GRAPHIC, LAYER_IMAGE, LAYER_MASK } from "@/definitions/layer-types";
 
 let mockUpdateFn;
 jest.mock( "@/utils/canvas-util", () => ({
+    createCanvas: (...args) => mockUpdateFn?.( "createCanvas", ...args ),
     imageToBase64: (...args) => mockUpdateFn?.( "imageToBase64", ...args ),
     base64toCanvas: (...args) => mockUpdateFn?.( "base64toCanvas", ...args ),
 }));
@@ -16,18 +17,30 @@ jest.mock( "@/factories/filters-factory", () => ({
     serialize: (...args) => mockUpdateFn?.( "serializeFilters", ...args ),
     deserialize: (...args) => mockUpdateFn?.( "deserializeFilters", ...args ),
 }));
+jest.mock( "@/factories/styles-factory", () => ({
+    create: (...args) => mockUpdateFn?.( "createStyles", ...args ),
+    serialize: (...args) => mockUpdateFn?.( "serializeStyles", ...args ),
+    deserialize: (...args) => mockUpdateFn?.( "deserializeStyles", ...args ),
+}));
 jest.mock( "@/factories/text-factory", () => ({
     create: (...args) => mockUpdateFn?.( "createText", ...args ),
     serialize: (...args) => mockUpdateFn?.( "serializeText", ...args ),
     deserialize: (...args) => mockUpdateFn?.( "deserializeText", ...args ),
 }));
+jest.mock( "@/factories/shape-factory", () => ({
+    create: (...args) => mockUpdateFn?.( "createShape", ...args ),
+    serialize: (...args) => mockUpdateFn?.( "serializeShape", ...args ),
+    deserialize: (...args) => mockUpdateFn?.( "deserializeShape", ...args ),
+}));
 
 describe( "Layer factory", () => {
     describe( "when creating a new layer", () => {
         it( "should create a default Layer structure when no arguments are passed", () => {
             const mockEffects = { foo: "bar" };
             const mockFilters = { baz: "qux" };
+            const mockStyles  = { quux: "corge" };
             const mockText    = { value: "lorem ipsum dolor sit amet" };
+            const mockShape   = { type: "rectangle" };
             mockUpdateFn = fn => {
                 switch( fn ) {
                     default:
@@ -36,8 +49,12 @@ describe( "Layer factory", () => {
                         return mockEffects;
                     case "createFilters":
                         return mockFilters;
+                    case "createStyles":
+                        return mockStyles;
                     case "createText":
                         return mockText;
+                    case "createShape":
+                        return mockShape;
                 }
             }
             const layer = LayerFactory.create();
@@ -48,6 +65,7 @@ describe( "Layer factory", () => {
                 transparent: true,
                 source: null,
                 mask: null,
+                maskEnabled: true,
                 left: 0,
                 top: 0,
                 maskX: 0,
@@ -55,9 +73,14 @@ describe( "Layer factory", () => {
                 width: 1,
                 height: 1,
                 visible: true,
+                blendMode: "source-over",
+                groupId: null,
+                clipped: false,
                 text: mockText,
+                shape: mockShape,
                 effects: mockEffects,
                 filters: mockFilters,
+                styles: mockStyles,
             });
         });
 
@@ -69,6 +92,7 @@ describe( "Layer factory", () => {
                 transparent: false,
                 source: { src: "bitmap" },
                 mask: { src: "mask" },
+                maskEnabled: false,
                 left: 100,
                 top: 50,
                 maskX: 50,
@@ -76,9 +100,14 @@ describe( "Layer factory", () => {
                 width: 16,
                 height: 9,
                 visible: false,
+                blendMode: "multiply",
+                groupId: "layer_1",
+                clipped: true,
                 text: { value: "Lorem ipsum" },
+                shape: { type: "ellipse" },
                 effects: { rotation: 270 },
-                filters: { contrast: .7 }
+                filters: { contrast: .7 },
+                styles: { stroke: true },
             });
             expect( layer ).toEqual({
                 id: expect.any( String ),
@@ -87,6 +116,7 @@ describe( "Layer factory", () => {
                 transparent: false,
                 source: { src: "bitmap" },
                 mask: { src: "mask" },
+                maskEnabled: false,
                 left: 100,
                 top: 50,
                 maskX: 50,
@@ -94,9 +124,14 @@ describe( "Layer factory", () => {
                 width: 16,
                 height: 9,
                 visible: false,
+                blendMode: "multiply",
+                groupId: "layer_1",
+                clipped: true,
                 text: { value: "Lorem ipsum" },
+                shape: { type: "ellipse" },
                 effects: { rotation: 270 },
                 filters: { contrast: .7 },
+                styles: { stroke: true },
             })
         });
     });
@@ -109,14 +144,19 @@ describe( "Layer factory", () => {
                 transparent: false,
                 source: { src: "bitmap" },
                 mask: { src: "mask" },
+                maskEnabled: false,
                 left: 100,
                 top: 50,
                 width: 16,
                 height: 9,
                 visible: false,
+                blendMode: "multiply",
+                clipped: true,
                 text: { value: "Lorem ipsum" },
+                shape: { type: "ellipse" },
                 effects: { rotation: 270 },
-                filters: { contrast: .7 }
+                filters: { contrast: .7 },
+                styles: { shadow: true },
             });
             mockUpdateFn = jest.fn(( fn, data ) => data );
 
@@ -126,6 +166,8 @@ describe( "Layer factory", () => {
             expect( mockUpdateFn ).toHaveBeenNthCalledWith( 3, "serializeText", layer.text );
             expect( mockUpdateFn ).toHaveBeenNthCalledWith( 4, "serializeEffects", layer.effects );
             expect( mockUpdateFn ).toHaveBeenNthCalledWith( 5, "serializeFilters", layer.filters );
+            expect( mockUpdateFn ).toHaveBeenNthCalledWith( 6, "serializeStyles", layer.styles );
+            expect( mockUpdateFn ).toHaveBeenNthCalledWith( 7, "serializeShape", layer.shape );
 
             mockUpdateFn = jest.fn(( fn, data ) => data );
             const deserialized = await LayerFactory.deserialize( serialized );
@@ -134,6 +176,8 @@ describe( "Layer factory", () => {
             expect( mockUpdateFn ).toHaveBeenNthCalledWith( 3, "deserializeText",    layer.text );
             expect( mockUpdateFn ).toHaveBeenNthCalledWith( 4, "deserializeEffects", layer.effects );
             expect( mockUpdateFn ).toHaveBeenNthCalledWith( 5, "deserializeFilters", layer.filters );
+            expect( mockUpdateFn ).toHaveBeenNthCalledWith( 6, "deserializeStyles", layer.styles );
+            expect( mockUpdateFn ).toHaveBeenNthCalledWith( 7, "deserializeShape", layer.shape );
 
             // note id's are unique per created session instance and therefor will differ
             expect({
@@ -146,6 +190,31 @@ describe( "Layer factory", () => {
         });
     });
 
+    describe( "when serializing and deserializing an adjustment Layer", () => {
+        it( "should omit the source as it is recreated upon deserialization", async () => {
+            const layer = LayerFactory.create({
+                type: LAYER_ADJUSTMENT,
+                source: { src: "bitmap" },
+                width: 16,
+                height: 9,
+            });
+            mockUpdateFn = jest.fn(( fn, data ) => data );
+
+            const serialized = LayerFactory.serialize( layer );
+            expect( serialized.s ).toBeNull();
+            expect( mockUpdateFn ).not.toHaveBeenCalledWith( "imageToBase64", layer.source, expect.anything(), expect.anything(), expect.anything() );
+
+            const cvs = { src: "adjustment" };
+            const ctx = { fillRect: jest.fn() };
+            mockUpdateFn = jest.fn(( fn, data ) => fn === "createCanvas" ? { cvs, ctx } : data );
+
+            const deserialized = await LayerFactory.deserialize( serialized );
+            expect( mockUpdateFn ).toHaveBeenCalledWith( "createCanvas", layer.width, layer.height );
+            expect( ctx.fillRect ).toHaveBeenCalledWith( 0, 0, layer.width, layer.height );
+            expect( deserialized.source ).toEqual( cvs );
+        });
+    });
+
     it( "should be able to return a rectangle for a Layer", () => {
         const layer = LayerFactory.create({
             name   : "foo",
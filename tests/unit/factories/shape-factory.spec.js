@@ -0,0 +1,71 @@
+import ShapeFactory, { isEqual } from "@/factories/shape-factory";
+import { SHAPE_RECTANGLE, SHAPE_ARROW } from "@/definitions/shape-types";
+
+describe( "Shape factory", () => {
+    describe( "when creating a new Shape instance", () => {
+        it( "should create a default Shape structure when no arguments are passed", () => {
+            const shape = ShapeFactory.create();
+            expect( shape ).toEqual({
+                type: SHAPE_RECTANGLE,
+                width: 0,
+                height: 0,
+                fill: expect.any( String ),
+                stroke: expect.any( String ),
+                strokeWidth: 0,
+                radius: 0,
+                sides: 5,
+            });
+        });
+
+        it( "should be able to create a Shape structure from given arguments", () => {
+            const shape = ShapeFactory.create({
+                type: SHAPE_ARROW,
+                width: -100,
+                height: 50,
+                fill: "#FF00AE",
+                stroke: "#000",
+                strokeWidth: 3,
+                radius: 10,
+                sides: 6
+            });
+            expect( shape ).toEqual({
+                type: SHAPE_ARROW,
+                width: -100,
+                height: 50,
+                fill: "#FF00AE",
+                stroke: "#000",
+                strokeWidth: 3,
+                radius: 10,
+                sides: 6
+            });
+        });
+    });
+
+    describe( "when serializing and deserializing a Shape structure", () => {
+        it( "should do so without data loss", () => {
+            const shape = ShapeFactory.create({
+                type: SHAPE_ARROW,
+                width: 100,
+                height: -50,
+                fill: "#FF00AE",
+                stroke: "#FFF",
+                strokeWidth: 5,
+                radius: 12,
+                sides: 8
+            });
+            const serialized   = ShapeFactory.serialize( shape );
+            const deserialized = ShapeFactory.deserialize( serialized );
+
+            expect( deserialized ).toEqual( shape );
+        });
+    });
+
+    it( "should know when two shape instances are equal", () => {
+        const defaultShape = ShapeFactory.create();
+        [ "type", "width", "height", "fill", "stroke", "strokeWidth", "radius", "sides" ].forEach( property => {
+            const shape = ShapeFactory.create({ [ property ]: 1 });
+            expect( isEqual( shape, defaultShape )).toBe( false );
+        });
+        expect( isEqual( defaultShape, ShapeFactory.create() )).toBe( true );
+    });
+});
@@ -0,0 +1,90 @@
+import StylesFactory, { hasStyles, isEqual } from "@/factories/styles-factory";
+
+describe( "Styles factory", () => {
+    describe( "when creating a new styles Object", () => {
+        it( "should create a default styles structure with all styles disabled when no arguments are passed", () => {
+            const styles = StylesFactory.create();
+            expect( styles ).toEqual({
+                shadow: false,
+                shadowColor: "rgba(0,0,0,.75)",
+                shadowX: 5,
+                shadowY: 5,
+                shadowBlur: 5,
+                outerGlow: false,
+                outerGlowColor: "rgba(255,255,160,1)",
+                outerGlowSize: 10,
+                innerGlow: false,
+                innerGlowColor: "rgba(255,255,160,1)",
+                innerGlowSize: 10,
+                stroke: false,
+                strokeColor: "rgba(0,0,0,1)",
+                strokeSize: 3,
+                overlay: false,
+                overlayColor: "rgba(255,0,0,1)",
+            });
+        });
+
+        it( "should be able to create a styles Object from given arguments", () => {
+            const styles = StylesFactory.create({
+                shadow: true,
+                shadowColor: "red",
+                shadowX: -3,
+                stroke: true,
+                strokeSize: 7,
+            });
+            expect( styles ).toEqual( expect.objectContaining({
+                shadow: true,
+                shadowColor: "red",
+                shadowX: -3,
+                stroke: true,
+                strokeSize: 7,
+            }));
+        });
+    });
+
+    describe( "when serializing and deserializing a styles Object", () => {
+        it( "should do so without data loss", () => {
+            const styles = StylesFactory.create({
+                shadow: true,
+                shadowColor: "rgba(0,0,255,.5)",
+                shadowX: 10,
+                shadowY: -10,
+                shadowBlur: 20,
+                outerGlow: true,
+                outerGlowColor: "#FF0",
+                outerGlowSize: 15,
+                innerGlow: true,
+                innerGlowColor: "#0FF",
+                innerGlowSize: 12,
+                stroke: true,
+                strokeColor: "#FFF",
+                strokeSize: 4,
+                overlay: true,
+                overlayColor: "#000",
+            });
+            const serialized   = StylesFactory.serialize( styles );
+            const deserialized = StylesFactory.deserialize( serialized );
+
+            expect( deserialized ).toEqual( styles );
+        });
+    });
+
+    it( "should only consider styles to be active when at least one of the styles is enabled", () => {
+        expect( hasStyles( StylesFactory.create() )).toBe( false );
+        // changing the properties of a disabled style does not make it active
+        expect( hasStyles( StylesFactory.create({ shadowBlur: 20 }))).toBe( false );
+
+        [ "shadow", "outerGlow", "innerGlow", "stroke", "overlay" ].forEach( style => {
+            expect( hasStyles( StylesFactory.create({ [ style ]: true }))).toBe( true );
+        });
+    });
+
+    it( "should know when two styles instances are equal", () => {
+        const defaultStyles = StylesFactory.create();
+        Object.keys( defaultStyles ).forEach( property => {
+            const styles = StylesFactory.create({ [ property ]: 88 });
+            expect( isEqual( styles, defaultStyles )).toBe( false );
+        });
+        expect( isEqual( defaultStyles, StylesFactory.create() )).toBe( true );
+    });
+});
@@ -0,0 +1,82 @@
+import {
+    getCropRatio, getCropHandleAtPoint, resizeCrop, moveCrop, fitCropToRatio, CROP_MOVE
+} from "@/math/crop-math";
+import { CROP_FREE, CROP_SQUARE, CROP_WIDESCREEN, CROP_CUSTOM } from "@/definitions/tool-types";
+
+describe( "Crop math", () => {
+    const bounds = { width: 400, height: 300 };
+
+    describe( "when determining the ratio of the crop area", () => {
+        it( "should not constrain the ratio when cropping freely", () => {
+            expect( getCropRatio({ aspect: CROP_FREE })).toEqual( 0 );
+        });
+
+        it( "should calculate the ratio for the presets", () => {
+            expect( getCropRatio({ aspect: CROP_SQUARE })).toEqual( 1 );
+            expect( getCropRatio({ aspect: CROP_WIDESCREEN })).toEqual( 16 / 9 );
+        });
+
+        it( "should calculate the ratio for a custom ratio", () => {
+            expect( getCropRatio({ aspect: CROP_CUSTOM, xRatio: 3, yRatio: 2 })).toEqual( 1.5 );
+            expect( getCropRatio({ aspect: CROP_CUSTOM, xRatio: 3, yRatio: 0 })).toEqual( 0 );
+        });
+    });
+
+    describe( "when determining the handle at a coordinate", () => {
+        const rect = { left: 10, top: 10, width: 100, height: 50 };
+
+        it( "should return the handle in range of the coordinate", () => {
+            expect( getCropHandleAtPoint( rect, 12, 8, 5 )).toEqual( "nw" );
+            expect( getCropHandleAtPoint( rect, 60, 60, 5 )).toEqual( "s" );
+            expect( getCropHandleAtPoint( rect, 110, 35, 5 )).toEqual( "e" );
+        });
+
+        it( "should return the move handle when inside the area, but not near a handle", () => {
+            expect( getCropHandleAtPoint( rect, 40, 30, 5 )).toEqual( CROP_MOVE );
+        });
+
+        it( "should return null when outside of the area", () => {
+            expect( getCropHandleAtPoint( rect, 200, 200, 5 )).toBeNull();
+        });
+    });
+
+    describe( "when resizing the crop area", () => {
+        const rect = { left: 100, top: 100, width: 100, height: 100 };
+
+        it( "should keep the opposite edges in place when freely resizing", () => {
+            expect( resizeCrop( rect, "se", 250, 220, 0, bounds )).toEqual({ left: 100, top: 100, width: 150, height: 120 });
+            expect( resizeCrop( rect, "nw", 50, 80, 0, bounds )).toEqual({ left: 50, top: 80, width: 150, height: 120 });
+            expect( resizeCrop( rect, "e", 250, 0, 0, bounds )).toEqual({ left: 100, top: 100, width: 150, height: 100 });
+        });
+
+        it( "should not allow the area to be inverted", () => {
+            expect( resizeCrop( rect, "w", 300, 0, 0, bounds )).toEqual({ left: 199, top: 100, width: 1, height: 100 });
+        });
+
+        it( "should maintain given ratio", () => {
+            expect( resizeCrop( rect, "se", 300, 150, 1, bounds )).toEqual({ left: 100, top: 100, width: 200, height: 200 });
+            expect( resizeCrop( rect, "se", 150, 280, 1, bounds )).toEqual({ left: 100, top: 100, width: 180, height: 180 });
+        });
+
+        it( "should center the area on the axis perpendicular to a dragged edge when maintaining the ratio", () => {
+            expect( resizeCrop( rect, "s", 0, 220, 2, bounds )).toEqual({ left: 30, top: 100, width: 240, height: 120 });
+        });
+
+        it( "should keep the area within the bounds", () => {
+            expect( resizeCrop( rect, "se", 500, 500, 0, bounds )).toEqual({ left: 100, top: 100, width: 300, height: 200 });
+            expect( resizeCrop( rect, "se", 500, 100, 1, bounds )).toEqual({ left: 100, top: 100, width: 200, height: 200 });
+        });
+    });
+
+    it( "should be able to move the crop area within the bounds", () => {
+        const rect = { left: 100, top: 100, width: 100, height: 100 };
+        expect( moveCrop( rect, 50, -20, bounds )).toEqual({ left: 150, top: 80, width: 100, height: 100 });
+        expect( moveCrop( rect, 500, -500, bounds )).toEqual({ left: 300, top: 0, width: 100, height: 100 });
+    });
+
+    it( "should be able to fit the largest area of given ratio, centered inside the crop area", () => {
+        const rect = { left: 0, top: 0, width: 400, height: 300 };
+        expect( fitCropToRatio( rect, 1 )).toEqual({ left: 50, top: 0, width: 300, height: 300 });
+        expect( fitCropToRatio( rect, 0 )).toEqual( rect );
+    });
+});
@@ -0,0 +1,104 @@
+import {
+    createPath, createAnchor, clonePath, getBezierPoint, pathToPolygon, moveAnchor, moveHandle,
+    getPathHandleAtPoint, PATH_ANCHOR, PATH_HANDLE_IN, PATH_HANDLE_OUT
+} from "@/math/path-math";
+
+describe( "Path math", () => {
+    it( "should create anchors with their control handles positioned on the anchor", () => {
+        expect( createAnchor( 10, 20 )).toEqual({ x: 10, y: 20, in: { x: 10, y: 20 }, out: { x: 10, y: 20 } });
+    });
+
+    it( "should be able to clone a path without sharing references", () => {
+        const path   = createPath([ createAnchor( 0, 0 ), createAnchor( 10, 10 ) ], true );
+        const cloned = clonePath( path );
+
+        expect( cloned ).toEqual( path );
+
+        cloned.points[ 0 ].out.x = 5;
+        expect( path.points[ 0 ].out.x ).toEqual( 0 );
+    });
+
+    it( "should be able to calculate a coordinate along a cubic Bezier curve", () => {
+        const start = { x: 0, y: 0 };
+        const end   = { x: 100, y: 0 };
+        const c1    = { x: 0, y: 100 };
+        const c2    = { x: 100, y: 100 };
+
+        expect( getBezierPoint( start, c1, c2, end, 0 )).toEqual( start );
+        expect( getBezierPoint( start, c1, c2, end, 1 )).toEqual( end );
+        expect( getBezierPoint( start, c1, c2, end, .5 )).toEqual({ x: 50, y: 75 });
+    });
+
+    describe( "when converting a path to a polygon", () => {
+        it( "should return an empty list for an empty path", () => {
+            expect( pathToPolygon( createPath() )).toEqual([]);
+        });
+
+        it( "should only use the anchor coordinates for straight segments", () => {
+            const path = createPath([ createAnchor( 0, 0 ), createAnchor( 10, 0 ), createAnchor( 10, 10 ) ]);
+            expect( pathToPolygon( path )).toEqual([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }]);
+        });
+
+        it( "should end at the first coordinate when the path is closed", () => {
+            const path = createPath([ createAnchor( 0, 0 ), createAnchor( 10, 0 ), createAnchor( 10, 10 ) ], true );
+            const expected = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 0 }];
+
+            expect( pathToPolygon( path )).toEqual( expected );
+
+            path.closed = false;
+            expect( pathToPolygon( path, true )).toEqual( expected );
+        });
+
+        it( "should divide curved segments into multiple lines", () => {
+            const start = createAnchor( 0, 0 );
+            const end   = createAnchor( 100, 0 );
+            start.out = { x: 0, y: 100 };
+            end.in    = { x: 100, y: 100 };
+
+            const polygon = pathToPolygon( createPath([ start, end ]));
+            expect( polygon.length ).toBeGreaterThan( 2 );
+            expect( polygon[ 0 ]).toEqual({ x: 0, y: 0 });
+            expect( polygon[ polygon.length - 1 ]).toEqual({ x: 100, y: 0 });
+            expect( polygon ).toContainEqual({ x: 50, y: 75 });
+        });
+    });
+
+    it( "should move the control handles along with their anchor", () => {
+        const anchor = createAnchor( 10, 10 );
+        anchor.out = { x: 20, y: 10 };
+        moveAnchor( anchor, 15, 5 );
+        expect( anchor ).toEqual({ x: 15, y: 5, in: { x: 15, y: 5 }, out: { x: 25, y: 5 } });
+    });
+
+    it( "should be able to move a control handle, optionally mirroring the opposite handle", () => {
+        const anchor = createAnchor( 10, 10 );
+
+        moveHandle( anchor, PATH_HANDLE_OUT, 20, 15 );
+        expect( anchor.out ).toEqual({ x: 20, y: 15 });
+        expect( anchor.in ).toEqual({ x: 0, y: 5 });
+
+        moveHandle( anchor, PATH_HANDLE_IN, 10, 0, false );
+        expect( anchor.in ).toEqual({ x: 10, y: 0 });
+        expect( anchor.out ).toEqual({ x: 20, y: 15 });
+    });
+
+    describe( "when retrieving the handle at a coordinate", () => {
+        const anchor1 = createAnchor( 0, 0 );
+        const anchor2 = createAnchor( 100, 100 );
+        anchor2.out   = { x: 150, y: 100 };
+        const path    = createPath([ anchor1, anchor2 ]);
+
+        it( "should return the anchor at the coordinate", () => {
+            expect( getPathHandleAtPoint( path, 2, 2 )).toEqual({ index: 0, handle: PATH_ANCHOR });
+            expect( getPathHandleAtPoint( path, 100, 100 )).toEqual({ index: 1, handle: PATH_ANCHOR });
+        });
+
+        it( "should return a dragged out control handle at the coordinate", () => {
+            expect( getPathHandleAtPoint( path, 148, 101 )).toEqual({ index: 1, handle: PATH_HANDLE_OUT });
+        });
+
+        it( "should return null when there is nothing at the coordinate", () => {
+            expect( getPathHandleAtPoint( path, 50, 50 )).toBeNull();
+        });
+    });
+});
@@ -1,5 +1,6 @@
 import {
-    translatePoints, isPointInRange, isCoordinateInHorizontalRange, isCoordinateInVerticalRange
+    translatePoints, isPointInRange, isCoordinateInHorizontalRange, isCoordinateInVerticalRange,
+    ellipseToCoordinateList
 } from "@/math/point-math";
 
 describe( "Point math", () => {
@@ -82,4 +83,34 @@ describe( "Point math", () => {
             expect( isPointInRange( 16, 16, 10, 10, margin )).toBe( false );
         });
     });
+
+    describe( "when creating a coordinate list for an ellipse", () => {
+        it( "should create a closed shape fitting inside the given rectangle", () => {
+            const list = ellipseToCoordinateList( 10, 20, 100, 50 );
+
+            expect( list[ 0 ]).toEqual( list[ list.length - 1 ]);
+            expect( Math.min( ...list.map(({ x }) => x ))).toBeCloseTo( 10 );
+            expect( Math.max( ...list.map(({ x }) => x ))).toBeCloseTo( 110 );
+            expect( Math.min( ...list.map(({ y }) => y ))).toBeCloseTo( 20 );
+            expect( Math.max( ...list.map(({ y }) => y ))).toBeCloseTo( 70 );
+        });
+
+        it( "should position all points on the outline of the ellipse", () => {
+            ellipseToCoordinateList( 0, 0, 100, 50 ).forEach(({ x, y }) => {
+                expect( Math.pow(( x - 50 ) / 50, 2 ) + Math.pow(( y - 25 ) / 25, 2 )).toBeCloseTo( 1 );
+            });
+        });
+
+        it( "should support rectangles drawn from right to left", () => {
+            const list = ellipseToCoordinateList( 100, 50, -100, -50 );
+
+            expect( Math.min( ...list.map(({ x }) => x ))).toBeCloseTo( 0 );
+            expect( Math.max( ...list.map(({ y }) => y ))).toBeCloseTo( 50 );
+        });
+
+        it( "should scale the amount of points with the size of the ellipse", () => {
+            expect( ellipseToCoordinateList( 0, 0, 400, 400 ).length )
+                .toBeGreaterThan( ellipseToCoordinateList( 0, 0, 40, 40 ).length );
+        });
+    });
 });
@@ -1,4 +1,4 @@
-import { areEqual, scaleRectangle } from "@/math/rectangle-math";
+import { areEqual, scaleRectangle, isOverlapping } from "@/math/rectangle-math";
 
 describe( "Rectangle math utilities", () => {
     describe( "should recognize equality between two given rectangles", () => {
@@ -51,4 +51,18 @@ describe( "Rectangle math utilities", () => {
             });
         });
     });
+
+    describe( "when determining whether rectangles overlap", () => {
+        const rect = { left: 10, top: 10, width: 20, height: 20 };
+
+        it( "should recognize overlapping rectangles", () => {
+            expect( isOverlapping( rect, { left: 25, top: 25, width: 20, height: 20 })).toBe( true );
+            expect( isOverlapping( rect, { left: 15, top: 15, width: 5, height: 5 })).toBe( true );
+        });
+
+        it( "should not consider rectangles that are apart or merely touch to overlap", () => {
+            expect( isOverlapping( rect, { left: 50, top: 10, width: 20, height: 20 })).toBe( false );
+            expect( isOverlapping( rect, { left: 30, top: 10, width: 20, height: 20 })).toBe( false );
+        });
+    });
 });
@@ -1,4 +1,7 @@
-import { getRectangleForSelection, createSelectionForRectangle, isSelectionRectangular, isSelectionClosed } from "@/math/selection-math";
+import {
+    getRectangleForSelection, createSelectionForRectangle, isSelectionRectangular, isSelectionClosed,
+    areShapesClosed, getShapeArea, normalizeShape, normalizeSelection, createShapesForMask, simplifyShape
+} from "@/math/selection-math";
 
 describe( "selection math", () => {
     it( "should be able to calculate the bounding box of the selection", () => {
@@ -95,4 +98,68 @@ describe( "selection math", () => {
             expect( isSelectionClosed( selection )).toBe( true );
         });
     });
+
+    describe( "when working with selections consisting of multiple shapes", () => {
+        const clockwise = createSelectionForRectangle( 10, 10 );
+
+        it( "should only consider the selection closed when all of its shapes are closed", () => {
+            expect( areShapesClosed([])).toBe( false );
+            expect( areShapesClosed([ clockwise ])).toBe( true );
+            expect( areShapesClosed([ clockwise, [{ x: 0, y: 0 }, { x: 10, y: 0 }] ])).toBe( false );
+        });
+
+        it( "should calculate a positive area for clockwise wound shapes and a negative area for counter-clockwise wound shapes", () => {
+            expect( getShapeArea( clockwise )).toEqual( 100 );
+            expect( getShapeArea([ ...clockwise ].reverse() )).toEqual( -100 );
+        });
+
+        it( "should wind shapes clockwise when normalizing", () => {
+            expect( normalizeShape( clockwise )).toBe( clockwise );
+            expect( normalizeShape([ ...clockwise ].reverse() )).toEqual( clockwise );
+        });
+
+        it( "should convert selections consisting of a single list of coordinates into a list of shapes", () => {
+            expect( normalizeSelection( null )).toBeNull();
+            expect( normalizeSelection( clockwise )).toEqual([ clockwise ]);
+            expect( normalizeSelection([ clockwise ])).toEqual([ clockwise ]);
+        });
+
+        it( "should be able to outline the selected pixels of a mask, including holes", () => {
+            const mask = new Uint8Array([
+                1, 1, 1, 0,
+                1, 0, 1, 0,
+                1, 1, 1, 0,
+                0, 0, 0, 1,
+            ]);
+            const shapes = createShapesForMask( mask, 4, 4 );
+
+            expect( shapes ).toEqual([
+                [{ x: 0, y: 0 }, { x: 3, y: 0 }, { x: 3, y: 3 }, { x: 0, y: 3 }, { x: 0, y: 0 }],
+                [{ x: 2, y: 1 }, { x: 1, y: 1 }, { x: 1, y: 2 }, { x: 2, y: 2 }, { x: 2, y: 1 }],
+                [{ x: 3, y: 3 }, { x: 4, y: 3 }, { x: 4, y: 4 }, { x: 3, y: 4 }, { x: 3, y: 3 }],
+            ]);
+            // selected areas are wound clockwise, holes are wound counter-clockwise
+            expect( shapes.map( getShapeArea )).toEqual([ 9, -1, 1 ]);
+        });
+
+        it( "should simplify the staircase outline of traced pixels into a diagonal line", () => {
+            const staircase = [
+                { x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 2, y: 2 },
+                { x: 3, y: 2 }, { x: 3, y: 3 }, { x: 0, y: 3 }, { x: 0, y: 0 }
+            ];
+            expect( simplifyShape( staircase )).toEqual([
+                { x: 0, y: 0 }, { x: 3, y: 3 }, { x: 0, y: 3 }, { x: 0, y: 0 }
+            ]);
+        });
+
+        it( "should not simplify the corners of a rectangular shape", () => {
+            const rectangle = createSelectionForRectangle( 10, 5 );
+            expect( simplifyShape( rectangle )).toEqual( rectangle );
+        });
+
+        it( "should not simplify shapes that would collapse", () => {
+            const pixel = createSelectionForRectangle( 1, 1 );
+            expect( simplifyShape( pixel )).toEqual( pixel );
+        });
+    });
 });
@@ -0,0 +1,70 @@
+import {
+    MAX_LAZY_RADIUS, MAX_AVERAGE_WINDOW, stabilizePointers, getLazyPointers, getAveragedPointers
+} from "@/math/stroke-math";
+import { STABILIZER_NONE, STABILIZER_LAZY, STABILIZER_AVERAGE } from "@/definitions/brush-types";
+
+describe( "Stroke math", () => {
+    const pointers = [{ x: 0, y: 0 }, { x: 5, y: 0 }, { x: 20, y: 0 }, { x: 20, y: 30 }];
+
+    describe( "When stabilizing using the lazy mouse", () => {
+        it( "should not move the brush while the pointer is within the radius", () => {
+            expect( getLazyPointers( pointers, 10 ).slice( 0, 2 )).toEqual([{ x: 0, y: 0 }, { x: 0, y: 0 }]);
+        });
+
+        it( "should pull the brush towards the pointer once it exceeds the radius", () => {
+            const stabilized = getLazyPointers( pointers, 10 );
+            expect( stabilized[ 2 ]).toEqual({ x: 10, y: 0 });
+
+            // the brush remains exactly the radius away from the pointer
+            const last = stabilized[ 3 ];
+            expect( Math.hypot( 20 - last.x, 30 - last.y )).toBeCloseTo( 10 );
+        });
+
+        it( "should not stabilize when the radius is zero", () => {
+            expect( getLazyPointers( pointers, 0 )).toEqual( pointers );
+        });
+    });
+
+    describe( "When stabilizing using the weighted moving average", () => {
+        it( "should weigh the most recent pointers the heaviest", () => {
+            expect( getAveragedPointers( pointers, 2 )).toEqual([
+                { x: 0, y: 0 }, { x: 10 / 3, y: 0 }, { x: 15, y: 0 }, { x: 20, y: 20 }
+            ]);
+        });
+
+        it( "should not stabilize when the window size is a single pointer", () => {
+            expect( getAveragedPointers( pointers, 1 )).toEqual( pointers );
+        });
+    });
+
+    describe( "When stabilizing using the brush options", () => {
+        it( "should return the source pointers when no stabilizer is defined", () => {
+            expect( stabilizePointers( pointers, {})).toBe( pointers );
+            expect( stabilizePointers( pointers, { stabilizer: STABILIZER_NONE, stabilizerStrength: 1 })).toBe( pointers );
+        });
+
+        it( "should map the strength onto the lazy mouse radius", () => {
+            const options = { stabilizer: STABILIZER_LAZY, stabilizerStrength: .2 };
+            expect( stabilizePointers( pointers, options )).toEqual( getLazyPointers( pointers, MAX_LAZY_RADIUS * .2 ));
+        });
+
+        it( "should map the strength onto the moving average window size", () => {
+            const options = { stabilizer: STABILIZER_AVERAGE, stabilizerStrength: 1 };
+            expect( stabilizePointers( pointers, options )).toEqual( getAveragedPointers( pointers, MAX_AVERAGE_WINDOW ));
+        });
+
+        it( "should maintain additional pointer properties without mutating the source pointers", () => {
+            const source  = [{ x: 0, y: 0, pressure: .5 }, { x: 20, y: 0, pressure: .75 }];
+            const options = { stabilizer: STABILIZER_LAZY, stabilizerStrength: .2 };
+
+            expect( stabilizePointers( source, options )).toEqual([{ x: 0, y: 0, pressure: .5 }, { x: 10, y: 0, pressure: .75 }]);
+            expect( source ).toEqual([{ x: 0, y: 0, pressure: .5 }, { x: 20, y: 0, pressure: .75 }]);
+        });
+
+        it( "should stabilize a list identically when it is extended with new pointers", () => {
+            const options = { stabilizer: STABILIZER_AVERAGE, stabilizerStrength: .5 };
+            const partial = stabilizePointers( pointers.slice( 0, 2 ), options );
+            expect( stabilizePointers( pointers, options ).slice( 0, 2 )).toEqual( partial );
+        });
+    });
+});
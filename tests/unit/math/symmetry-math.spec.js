@@ -0,0 +1,77 @@
+import { getSymmetricalPointers, getSymmetryAxes } from "@/math/symmetry-math";
+import {
+    SYMMETRY_NONE, SYMMETRY_VERTICAL, SYMMETRY_HORIZONTAL, SYMMETRY_BOTH, SYMMETRY_RADIAL, MAX_SYMMETRY_AXES
+} from "@/definitions/brush-types";
+
+describe( "Symmetry math", () => {
+    const pointers = [{ x: 10, y: 20, pressure: .5 }, { x: 30, y: 40, pressure: 1 }];
+
+    describe( "When replicating the pointers of a brush stroke", () => {
+        it( "should return only the source pointers when no symmetry is defined", () => {
+            const strokes = getSymmetricalPointers( pointers, { symmetry: SYMMETRY_NONE }, 50, 50 );
+            expect( strokes ).toEqual([ pointers ]);
+            expect( strokes[ 0 ]).toBe( pointers );
+        });
+
+        it( "should mirror the pointers across the vertical axis, maintaining additional pointer properties", () => {
+            expect( getSymmetricalPointers( pointers, { symmetry: SYMMETRY_VERTICAL }, 50, 50 )).toEqual([
+                pointers,
+                [{ x: 90, y: 20, pressure: .5 }, { x: 70, y: 40, pressure: 1 }]
+            ]);
+        });
+
+        it( "should mirror the pointers across the horizontal axis", () => {
+            expect( getSymmetricalPointers( pointers, { symmetry: SYMMETRY_HORIZONTAL }, 50, 50 )).toEqual([
+                pointers,
+                [{ x: 10, y: 80, pressure: .5 }, { x: 30, y: 60, pressure: 1 }]
+            ]);
+        });
+
+        it( "should mirror the pointers across both axes", () => {
+            const strokes = getSymmetricalPointers( pointers, { symmetry: SYMMETRY_BOTH }, 50, 50 );
+            expect( strokes ).toHaveLength( 4 );
+            expect( strokes[ 3 ]).toEqual([{ x: 90, y: 80, pressure: .5 }, { x: 70, y: 60, pressure: 1 }]);
+        });
+
+        it( "should rotate the pointers around the center for each radial axis", () => {
+            const strokes = getSymmetricalPointers([{ x: 50, y: 0 }], { symmetry: SYMMETRY_RADIAL, symmetryAxes: 4 }, 50, 50 );
+            expect( strokes ).toHaveLength( 4 );
+
+            const expected = [{ x: 50, y: 0 }, { x: 100, y: 50 }, { x: 50, y: 100 }, { x: 0, y: 50 }];
+            strokes.forEach(([ pointer ], index ) => {
+                expect( pointer.x ).toBeCloseTo( expected[ index ].x );
+                expect( pointer.y ).toBeCloseTo( expected[ index ].y );
+            });
+        });
+
+        it( "should keep the amount of radial axes within range", () => {
+            expect( getSymmetricalPointers( pointers, { symmetry: SYMMETRY_RADIAL, symmetryAxes: 0 }, 50, 50 )).toHaveLength( 2 );
+            expect( getSymmetricalPointers( pointers, { symmetry: SYMMETRY_RADIAL, symmetryAxes: 100 }, 50, 50 )).toHaveLength( MAX_SYMMETRY_AXES );
+        });
+    });
+
+    describe( "When retrieving the symmetry axes", () => {
+        it( "should span the mirror axes across the full area", () => {
+            expect( getSymmetryAxes({ symmetry: SYMMETRY_BOTH }, 25, 75, 100, 200 )).toEqual([
+                { x1: 25, y1: 0, x2: 25, y2: 200 },
+                { x1: 0, y1: 75, x2: 100, y2: 75 }
+            ]);
+        });
+
+        it( "should not return axes when no symmetry is defined", () => {
+            expect( getSymmetryAxes({ symmetry: SYMMETRY_NONE }, 50, 50, 100, 100 )).toEqual([]);
+        });
+
+        it( "should return a ray from the center for each radial axis, reaching the furthest corner", () => {
+            const axes = getSymmetryAxes({ symmetry: SYMMETRY_RADIAL, symmetryAxes: 4 }, 0, 0, 30, 40 );
+            expect( axes ).toHaveLength( 4 );
+            axes.forEach(({ x1, y1, x2, y2 }) => {
+                expect({ x1, y1 }).toEqual({ x1: 0, y1: 0 });
+                expect( Math.hypot( x2, y2 )).toBeCloseTo( 50 );
+            });
+            // first ray points upwards
+            expect( axes[ 0 ].x2 ).toBeCloseTo( 0 );
+            expect( axes[ 0 ].y2 ).toBeCloseTo( -50 );
+        });
+    });
+});
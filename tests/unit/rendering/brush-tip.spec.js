@@ -0,0 +1,49 @@
+import { MAX_TIP_SIZE, createTipMask, getTipDimensions, getTipSpacing, getTipDab } from "@/rendering/brush-tip";
+
+jest.mock( "@/utils/canvas-util", () => ({}));
+
+describe( "Brush tip rendering", () => {
+    it( "should convert pixel data into a mask where dark, opaque pixels paint at full strength", () => {
+        const data = new Uint8ClampedArray([
+            0,   0,   0,   255, // opaque black
+            255, 255, 255, 255, // opaque white
+            0,   0,   0,   0,   // transparent
+            0,   0,   0,   128, // semi transparent black
+        ]);
+        expect( Array.from( createTipMask( data ))).toEqual([
+            0, 0, 0, 255,
+            0, 0, 0, 0,
+            0, 0, 0, 0,
+            0, 0, 0, 128,
+        ]);
+    });
+
+    it( "should scale the dimensions of large images down to the maximum tip size, maintaining their ratio", () => {
+        expect( getTipDimensions( 100, 50 )).toEqual({ width: 100, height: 50 });
+        expect( getTipDimensions( MAX_TIP_SIZE * 2, MAX_TIP_SIZE )).toEqual({ width: MAX_TIP_SIZE, height: MAX_TIP_SIZE / 2 });
+        expect( getTipDimensions( 1, MAX_TIP_SIZE * 4 )).toEqual({ width: 1, height: MAX_TIP_SIZE });
+    });
+
+    it( "should calculate the spacing between dabs relative to the tip size, with a minimum of a single pixel", () => {
+        expect( getTipSpacing( 100, .5 )).toEqual( 50 );
+        expect( getTipSpacing( 100 )).toEqual( 25 );
+        expect( getTipSpacing( 2, .05 )).toEqual( 1 );
+    });
+
+    describe( "When calculating the transformation of a single dab", () => {
+        it( "should not transform the dab when no rotation nor jitter is defined", () => {
+            expect( getTipDab({}, () => 1 )).toEqual({ scale: 1, angle: 0, scatter: 0 });
+        });
+
+        it( "should apply the rotation in radians", () => {
+            expect( getTipDab({ rotation: 180 }, () => .5 ).angle ).toBeCloseTo( Math.PI );
+        });
+
+        it( "should apply the jitter and scatter within their defined ranges", () => {
+            const options = { scatter: 1.5, sizeJitter: .5, angleJitter: 1 };
+
+            expect( getTipDab( options, () => 0 )).toEqual({ scale: 1, angle: -Math.PI, scatter: -1.5 });
+            expect( getTipDab( options, () => 1 )).toEqual({ scale: .5, angle: Math.PI, scatter: 1.5 });
+        });
+    });
+});
@@ -0,0 +1,60 @@
+import BrushTypes, { DYNAMICS_PRESSURE } from "@/definitions/brush-types";
+import { renderBrushStroke } from "@/rendering/drawing";
+
+jest.mock( "@/utils/canvas-util", () => ({}));
+
+// mock context that keeps track of the path operations that have actually been stroked
+
+const createMockContext = () => {
+    let path = [];
+    const ctx = {
+        stroked: [],
+        save: jest.fn(),
+        restore: jest.fn(),
+        beginPath: () => { path = []; },
+        moveTo: ( x, y ) => path.push({ op: "moveTo", x, y }),
+        lineTo: ( x, y ) => path.push({ op: "lineTo", x, y }),
+        quadraticCurveTo: ( cpx, cpy, x, y ) => path.push({ op: "quadraticCurveTo", x, y }),
+        stroke: () => ctx.stroked.push( ...path.filter( operation => !ctx.stroked.includes( operation ))),
+    };
+    return ctx;
+};
+
+describe( "Brush stroke rendering", () => {
+    const points = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 20, y: 10 }, { x: 30, y: 10 }];
+
+    const createBrush = ( pointers, options = {}) => ({
+        pointers,
+        radius: 10,
+        halfRadius: 5,
+        doubleRadius: 20,
+        colors: [ "#FF0000" ],
+        options: { type: BrushTypes.PEN, strokes: 1, smooth: true, sizeDynamics: DYNAMICS_PRESSURE, ...options },
+    });
+
+    const getStrokedCurves = ctx => ctx.stroked.filter(({ op }) => op === "quadraticCurveTo" );
+
+    it( "should stroke all segments of a smooth pen stroke", () => {
+        const ctx = createMockContext();
+        renderBrushStroke( ctx, createBrush( points ));
+
+        expect( getStrokedCurves( ctx )).toHaveLength( points.length - 1 );
+        // the stroke should end at the last pointer
+        expect( ctx.stroked[ ctx.stroked.length - 1 ]).toEqual({ op: "lineTo", x: 30, y: 10 });
+    });
+
+    it( "should stroke all segments of a smooth pen stroke when the pointers define a pressure", () => {
+        const ctx = createMockContext();
+        renderBrushStroke( ctx, createBrush( points.map(( point, index ) => ({ ...point, pressure: index / 4 }))));
+
+        const curves = getStrokedCurves( ctx );
+        expect( curves ).toHaveLength( points.length - 1 );
+        // each curve should start where the curve of the previous segment ended (e.g. the stroke is continuous)
+        const starts = ctx.stroked.filter(({ op }) => op === "moveTo" );
+        expect( starts ).toHaveLength( points.length - 1 );
+        starts.slice( 1 ).forEach(( start, index ) => {
+            expect({ x: start.x, y: start.y }).toEqual({ x: curves[ index ].x, y: curves[ index ].y });
+        });
+        expect( ctx.stroked[ ctx.stroked.length - 1 ]).toEqual({ op: "lineTo", x: 30, y: 10 });
+    });
+});
@@ -0,0 +1,144 @@
+import { renderFilters, createColorBalance, createLookupTables } from "@/rendering/filters";
+import FiltersFactory from "@/factories/filters-factory";
+
+const createImageData = pixels => ({ data: new Uint8ClampedArray( pixels ) });
+
+describe( "Filter rendering", () => {
+    it( "should leave the pixel data unchanged when the default filters are applied", () => {
+        const pixels    = [ 255, 0, 0, 255, 10, 100, 200, 128 ];
+        const imageData = createImageData( pixels );
+
+        expect( Array.from( renderFilters( imageData, FiltersFactory.create() ))).toEqual( pixels );
+    });
+
+    it( "should be able to desaturate the pixel data", () => {
+        const imageData = createImageData([ 255, 0, 0, 255 ]);
+        const pixels    = renderFilters( imageData, FiltersFactory.create({ desaturate: true }));
+
+        expect( pixels[ 0 ] ).toEqual( pixels[ 1 ] );
+        expect( pixels[ 1 ] ).toEqual( pixels[ 2 ] );
+    });
+
+    it( "should be able to adjust the brightness of the pixel data", () => {
+        const imageData = createImageData([ 100, 100, 100, 255 ]);
+        const pixels    = renderFilters( imageData, FiltersFactory.create({ brightness: .75 }));
+
+        expect( Array.from( pixels )).toEqual([ 150, 150, 150, 255 ]);
+    });
+
+    it( "should not affect the alpha channel", () => {
+        const imageData = createImageData([ 100, 100, 100, 64 ]);
+        const pixels    = renderFilters( imageData, FiltersFactory.create({ brightness: .75, contrast: .5, desaturate: true }));
+
+        expect( pixels[ 3 ] ).toEqual( 64 );
+    });
+
+    describe( "when adjusting hue, saturation and lightness", () => {
+        it( "should be able to shift the hue", () => {
+            const imageData = createImageData([ 255, 0, 0, 255 ]);
+            // a third of a full rotation turns red into green
+            const pixels = renderFilters( imageData, FiltersFactory.create({ hue: .5 + 1 / 3 }));
+
+            expect( Array.from( pixels )).toEqual([ 0, 255, 0, 255 ]);
+        });
+
+        it( "should fully desaturate the pixel data at the lowest saturation", () => {
+            const imageData = createImageData([ 200, 100, 50, 255 ]);
+            const pixels    = renderFilters( imageData, FiltersFactory.create({ saturation: 0 }));
+
+            expect( pixels[ 0 ] ).toEqual( pixels[ 1 ] );
+            expect( pixels[ 1 ] ).toEqual( pixels[ 2 ] );
+        });
+
+        it( "should render white and black at the highest and lowest lightness", () => {
+            expect( Array.from( renderFilters( createImageData([ 200, 100, 50, 255 ]), FiltersFactory.create({ lightness: 1 }))))
+                .toEqual([ 255, 255, 255, 255 ]);
+            expect( Array.from( renderFilters( createImageData([ 200, 100, 50, 255 ]), FiltersFactory.create({ lightness: 0 }))))
+                .toEqual([ 0, 0, 0, 255 ]);
+        });
+    });
+
+    describe( "when applying colour balance", () => {
+        it( "should not create a colour balance when none is specified", () => {
+            expect( createColorBalance( FiltersFactory.create() )).toBeNull();
+        });
+
+        it( "should only shift the colours of the shadows when balancing the shadows", () => {
+            const filters = FiltersFactory.create({ balanceShadows: { r: 1, g: .5, b: .5 } });
+
+            const dark = renderFilters( createImageData([ 0, 0, 0, 255 ]), filters );
+            expect( dark[ 0 ] ).toBeGreaterThan( 0 );
+            expect( dark[ 1 ] ).toEqual( 0 );
+
+            const bright = renderFilters( createImageData([ 200, 200, 200, 255 ]), filters );
+            expect( Array.from( bright )).toEqual([ 200, 200, 200, 255 ]);
+        });
+
+        it( "should only shift the colours of the highlights when balancing the highlights", () => {
+            const filters = FiltersFactory.create({ balanceHighlights: { r: .5, g: .5, b: 0 } });
+
+            const bright = renderFilters( createImageData([ 255, 255, 255, 255 ]), filters );
+            expect( bright[ 2 ] ).toBeLessThan( 255 );
+
+            const dark = renderFilters( createImageData([ 50, 50, 50, 255 ]), filters );
+            expect( Array.from( dark )).toEqual([ 50, 50, 50, 255 ]);
+        });
+    });
+
+    describe( "when applying levels and curves", () => {
+        it( "should not create lookup tables when neither levels nor curves are specified", () => {
+            expect( createLookupTables( FiltersFactory.create() )).toBeNull();
+        });
+
+        it( "should map the input black and white points onto the full tonal range", () => {
+            const imageData = createImageData([ 51, 128, 204, 255 ]);
+            const pixels    = renderFilters( imageData, FiltersFactory.create({ levelsInBlack: .2, levelsInWhite: .8 }));
+
+            expect( Array.from( pixels )).toEqual([ 0, 128, 255, 255 ]);
+        });
+
+        it( "should map the tonal range onto the output black and white points", () => {
+            const imageData = createImageData([ 0, 255, 0, 255 ]);
+            const pixels    = renderFilters( imageData, FiltersFactory.create({ levelsOutBlack: .2, levelsOutWhite: .8 }));
+
+            expect( Array.from( pixels )).toEqual([ 51, 204, 51, 255 ]);
+        });
+
+        it( "should brighten the midtones when lowering the midtone value", () => {
+            const imageData = createImageData([ 0, 128, 255, 255 ]);
+            const pixels    = renderFilters( imageData, FiltersFactory.create({ levelsMidtone: .25 }));
+
+            expect( pixels[ 0 ] ).toEqual( 0 );
+            expect( pixels[ 1 ] ).toBeGreaterThan( 128 );
+            expect( pixels[ 2 ] ).toEqual( 255 );
+        });
+
+        it( "should be able to apply a curve onto all channels", () => {
+            const imageData = createImageData([ 0, 128, 255, 255 ]);
+            const curveRGB  = [{ x: 0, y: 1 }, { x: 1, y: 0 }]; // inverts the image
+            const pixels    = renderFilters( imageData, FiltersFactory.create({ curveRGB }));
+
+            expect( Array.from( pixels )).toEqual([ 255, 127, 0, 255 ]);
+        });
+
+        it( "should be able to apply a curve onto a single channel", () => {
+            const imageData = createImageData([ 100, 100, 100, 255 ]);
+            const curveG    = [{ x: 0, y: 0 }, { x: .5, y: .75 }, { x: 1, y: 1 }];
+            const pixels    = renderFilters( imageData, FiltersFactory.create({ curveG }));
+
+            expect( pixels[ 0 ] ).toEqual( 100 );
+            expect( pixels[ 1 ] ).toBeGreaterThan( 100 );
+            expect( pixels[ 2 ] ).toEqual( 100 );
+        });
+
+        it( "should let a curve run through all of its points", () => {
+            const curveRGB = [{ x: 0, y: 0 }, { x: .25, y: .5 }, { x: .75, y: .6 }, { x: 1, y: 1 }];
+            const tables   = createLookupTables( FiltersFactory.create({ curveRGB }));
+
+            expect( tables[ 0 ] ).toBeCloseTo( 0 );
+            expect( tables[ 64 ] ).toBeCloseTo( 127.5, -1 );
+            expect( tables[ 191 ] ).toBeCloseTo( 153, -1 );
+            expect( tables[ 255 ] ).toBeCloseTo( 255 );
+        });
+    });
+});
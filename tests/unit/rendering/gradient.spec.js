@@ -0,0 +1,82 @@
+import {
+    renderGradient, sortStops, reflectStops, GRADIENT_LINEAR, GRADIENT_RADIAL, GRADIENT_ANGULAR, GRADIENT_REFLECTED
+} from "@/rendering/gradient";
+
+const stops = [{ offset: 1, color: "blue" }, { offset: 0, color: "red" }];
+
+// mock 2D context capturing the created gradient and its color stops
+const createContext = () => {
+    const gradient = { addColorStop: jest.fn() };
+    return {
+        gradient,
+        createLinearGradient: jest.fn(() => gradient ),
+        createRadialGradient: jest.fn(() => gradient ),
+        createConicGradient: jest.fn(() => gradient ),
+        fillRect: jest.fn(),
+    };
+};
+
+describe( "Gradient rendering", () => {
+    describe( "when processing color stops", () => {
+        it( "should be able to sort the stops by offset, without mutating the original list", () => {
+            expect( sortStops( stops )).toEqual([{ offset: 0, color: "red" }, { offset: 1, color: "blue" }]);
+            expect( stops[ 0 ].offset ).toEqual( 1 );
+        });
+
+        it( "should mirror the stops around the center of a reflected gradient", () => {
+            expect( reflectStops( stops )).toEqual([
+                { offset: 0,   color: "blue" },
+                { offset: 0.5, color: "red" },
+                { offset: 0.5, color: "red" },
+                { offset: 1,   color: "blue" },
+            ]);
+        });
+    });
+
+    describe( "when rendering a gradient", () => {
+        const start = { x: 10, y: 10 };
+        const end   = { x: 40, y: 50 };
+        const rect  = { left: 0, top: 0, width: 100, height: 100 };
+
+        it( "should render a linear gradient between the start and end coordinates", () => {
+            const ctx = createContext();
+            renderGradient( ctx, { type: GRADIENT_LINEAR, stops }, start, end, rect );
+
+            expect( ctx.createLinearGradient ).toHaveBeenCalledWith( 10, 10, 40, 50 );
+            expect( ctx.gradient.addColorStop ).toHaveBeenNthCalledWith( 1, 0, "red" );
+            expect( ctx.gradient.addColorStop ).toHaveBeenNthCalledWith( 2, 1, "blue" );
+            expect( ctx.fillStyle ).toEqual( ctx.gradient );
+            expect( ctx.fillRect ).toHaveBeenCalledWith( 0, 0, 100, 100 );
+        });
+
+        it( "should render a radial gradient with the distance between the coordinates as its radius", () => {
+            const ctx = createContext();
+            renderGradient( ctx, { type: GRADIENT_RADIAL, stops }, start, end, rect );
+
+            expect( ctx.createRadialGradient ).toHaveBeenCalledWith( 10, 10, 0, 10, 10, 50 );
+        });
+
+        it( "should render an angular gradient around the start coordinate", () => {
+            const ctx = createContext();
+            renderGradient( ctx, { type: GRADIENT_ANGULAR, stops }, start, end, rect );
+
+            expect( ctx.createConicGradient ).toHaveBeenCalledWith( Math.atan2( 40, 30 ), 10, 10 );
+        });
+
+        it( "should render an angular gradient as a radial gradient when conic gradients are unsupported", () => {
+            const ctx = createContext();
+            delete ctx.createConicGradient;
+            renderGradient( ctx, { type: GRADIENT_ANGULAR, stops }, start, end, rect );
+
+            expect( ctx.createRadialGradient ).toHaveBeenCalledWith( 10, 10, 0, 10, 10, 50 );
+        });
+
+        it( "should render a reflected gradient mirrored around the start coordinate", () => {
+            const ctx = createContext();
+            renderGradient( ctx, { type: GRADIENT_REFLECTED, stops }, start, end, rect );
+
+            expect( ctx.createLinearGradient ).toHaveBeenCalledWith( -20, -30, 40, 50 );
+            expect( ctx.gradient.addColorStop ).toHaveBeenCalledTimes( 4 );
+        });
+    });
+});
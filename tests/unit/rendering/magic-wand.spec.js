@@ -0,0 +1,80 @@
+import { getShapeArea } from "@/math/selection-math";
+import { createColorMask, traceMask } from "@/rendering/magic-wand";
+
+const O = 0;   // transparent pixel
+const X = 255; // opaque white pixel
+
+// creates RGBA pixel data for a grid of given grayscale values (where only non-zero values are opaque)
+const createPixels = rows => new Uint8ClampedArray(
+    rows.flat().flatMap( value => [ value, value, value, value > 0 ? 255 : 0 ])
+);
+const selected = ( mask, width ) => Array.from( mask ).reduce(( rows, value, index ) => {
+    if ( index % width === 0 ) {
+        rows.push([]);
+    }
+    rows[ rows.length - 1 ].push( value === 1 ? 1 : 0 );
+    return rows;
+}, []);
+
+describe( "Magic wand selection", () => {
+    const image = [
+        [ X, X, O, O, O ],
+        [ X, X, O, X, X ],
+        [ O, O, O, X, X ],
+        [ O, O, O, X, X ],
+    ];
+    const pixels = createPixels( image );
+
+    describe( "when creating the color mask", () => {
+        it( "should only include pixels adjacent to the source coordinate in contiguous mode", () => {
+            const mask = createColorMask( pixels, 5, 4, 4, 3, 0, true );
+            expect( selected( mask, 5 )).toEqual([
+                [ 0, 0, 0, 0, 0 ],
+                [ 0, 0, 0, 1, 1 ],
+                [ 0, 0, 0, 1, 1 ],
+                [ 0, 0, 0, 1, 1 ],
+            ]);
+        });
+
+        it( "should include all similar pixels across the image in global mode", () => {
+            const mask = createColorMask( pixels, 5, 4, 4, 3, 0, false );
+            expect( selected( mask, 5 )).toEqual([
+                [ 1, 1, 0, 0, 0 ],
+                [ 1, 1, 0, 1, 1 ],
+                [ 0, 0, 0, 1, 1 ],
+                [ 0, 0, 0, 1, 1 ],
+            ]);
+        });
+
+        it( "should include pixels whose color difference lies within the tolerance", () => {
+            const tinted = createPixels([[ 200, 220, 100 ]]);
+            expect( selected( createColorMask( tinted, 3, 1, 0, 0, 10 ), 3 )).toEqual([[ 1, 0, 0 ]]);
+            expect( selected( createColorMask( tinted, 3, 1, 0, 0, 20 ), 3 )).toEqual([[ 1, 1, 0 ]]);
+        });
+    });
+
+    describe( "when tracing the mask", () => {
+        it( "should create a closed polygon for each separate area", () => {
+            const mask = createColorMask( pixels, 5, 4, 4, 3, 0, false );
+            expect( traceMask( mask, 5, 4 )).toEqual([
+                [{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 2, y: 2 }, { x: 0, y: 2 }, { x: 0, y: 0 }],
+                [{ x: 3, y: 1 }, { x: 5, y: 1 }, { x: 5, y: 4 }, { x: 3, y: 4 }, { x: 3, y: 1 }],
+            ]);
+        });
+
+        it( "should leave dissimilar pixels enclosed within an area out of the selection", () => {
+            const mask = createColorMask( createPixels([
+                [ X, X, X ],
+                [ X, O, X ],
+                [ X, X, X ],
+            ]), 3, 3, 0, 0, 0 );
+            const [ outline, hole ] = traceMask( mask, 3, 3 );
+
+            expect( outline ).toEqual([{ x: 0, y: 0 }, { x: 3, y: 0 }, { x: 3, y: 3 }, { x: 0, y: 3 }, { x: 0, y: 0 }]);
+            // the enclosed pixel is traced as a hole, wound in the opposite direction of the outline
+            expect( hole ).toEqual([{ x: 2, y: 1 }, { x: 1, y: 1 }, { x: 1, y: 2 }, { x: 2, y: 2 }, { x: 2, y: 1 }]);
+            expect( getShapeArea( outline )).toBeGreaterThan( 0 );
+            expect( getShapeArea( hole )).toBeLessThan( 0 );
+        });
+    });
+});
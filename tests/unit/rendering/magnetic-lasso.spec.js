@@ -0,0 +1,62 @@
+import { createEdgeMap, snapToEdge } from "@/rendering/magnetic-lasso";
+
+const O = 0;   // black pixel
+const X = 255; // white pixel
+
+// creates opaque RGBA pixel data for a grid of given grayscale values
+const createPixels = rows => new Uint8ClampedArray(
+    rows.flat().flatMap( value => [ value, value, value, 255 ])
+);
+
+describe( "Magnetic lasso", () => {
+    // image with a vertical edge between the second and third column
+    const image = [
+        [ O, O, X, X, X, X ],
+        [ O, O, X, X, X, X ],
+        [ O, O, X, X, X, X ],
+        [ O, O, X, X, X, X ],
+    ];
+    const width  = 6;
+    const height = 4;
+
+    describe( "when creating an edge map", () => {
+        it( "should normalize the edge strength, where the strongest edge equals 1", () => {
+            const edges = createEdgeMap( createPixels( image ), width, height );
+
+            expect( Math.max( ...edges )).toEqual( 1 );
+            expect( edges[ 1 ]).toEqual( 1 );
+            expect( edges[ 2 ]).toEqual( 1 );
+        });
+
+        it( "should not report edges in areas of uniform color", () => {
+            const edges = createEdgeMap( createPixels( image ), width, height );
+
+            expect( edges[ 0 ]).toEqual( 0 );
+            expect( edges[ 4 ]).toEqual( 0 );
+            expect( edges[ 5 ]).toEqual( 0 );
+        });
+
+        it( "should not report edges for an image without contrast", () => {
+            const edges = createEdgeMap( createPixels([[ X, X ], [ X, X ]]), 2, 2 );
+            expect( Array.from( edges )).toEqual([ 0, 0, 0, 0 ]);
+        });
+    });
+
+    describe( "when snapping to an edge", () => {
+        const edges = createEdgeMap( createPixels( image ), width, height );
+
+        it( "should snap to the closest strongest edge within range", () => {
+            expect( snapToEdge( edges, width, height, 4, 1, 3, .1 )).toEqual({ x: 2, y: 1 });
+            expect( snapToEdge( edges, width, height, 0, 2, 3, .1 )).toEqual({ x: 1, y: 2 });
+        });
+
+        it( "should not snap when there is no edge within range", () => {
+            expect( snapToEdge( edges, width, height, 5, 1, 2, .1 )).toEqual({ x: 5, y: 1 });
+        });
+
+        it( "should not snap to edges weaker than the given contrast", () => {
+            const weakEdges = edges.map( value => value / 2 );
+            expect( snapToEdge( weakEdges, width, height, 4, 1, 3, .6 )).toEqual({ x: 4, y: 1 });
+        });
+    });
+});
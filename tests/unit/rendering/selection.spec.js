@@ -0,0 +1,247 @@
+import {
+    combineSelection, growMask, smoothMask, setSoftSelection, getSoftSelection,
+    createMaskFromSelection, createLayerAlphaBitmap, createLayerMaskBitmap
+} from "@/rendering/selection";
+import { createSelectionForRectangle } from "@/math/selection-math";
+import SelectionModes from "@/definitions/selection-modes";
+
+// mock canvases keep track of the transformation of their context, so we can assert where
+// the corners of drawn images end up (rounded to whole pixels)
+
+let mockCanvases = [];
+jest.mock( "@/utils/canvas-util", () => ({
+    createCanvas: ( width, height ) => {
+        let matrix  = [ 1, 0, 0, 1, 0, 0 ];
+        const stack = [];
+        const multiply = ([ a, b, c, d, e, f ]) => {
+            const [ ma, mb, mc, md, me, mf ] = matrix;
+            matrix = [
+                ma * a + mc * b, mb * a + md * b,
+                ma * c + mc * d, mb * c + md * d,
+                ma * e + mc * f + me, mb * e + md * f + mf
+            ];
+        };
+        const transform = ( x, y, [ a, b, c, d, e, f ] = matrix ) => ({ x: a * x + c * y + e, y: b * x + d * y + f });
+        const apply = ( x, y ) => {
+            const point = transform( x, y );
+            return { x: Math.round( point.x ) + 0, y: Math.round( point.y ) + 0 };
+        };
+        const cvs = { width, height, draws: [] };
+        const ctx = {
+            canvas: cvs,
+            save: () => stack.push( matrix ),
+            restore: () => { matrix = stack.pop(); },
+            translate: ( x, y ) => multiply([ 1, 0, 0, 1, x, y ]),
+            scale: ( x, y ) => multiply([ x, 0, 0, y, 0, 0 ]),
+            rotate: angle => multiply([ Math.cos( angle ), Math.sin( angle ), -Math.sin( angle ), Math.cos( angle ), 0, 0 ]),
+            fillRect: () => {},
+            drawImage: ( image, x, y, w = image.width, h = image.height ) => {
+                const drawMatrix = [ ...matrix ];
+                cvs.draws.push({ image, from: apply( x, y ), to: apply( x + w, y + h ) });
+                // maps a coordinate within the drawn image onto this canvas
+                cvs.mapPoint = point => transform( x + point.x * w / image.width, y + point.y * h / image.height, drawMatrix );
+            },
+        };
+        mockCanvases.push( cvs );
+        return { cvs, ctx };
+    },
+}));
+
+// creates a mask from a grid of rows (where 1 means selected)
+const createMask = rows => new Uint8Array( rows.flat() );
+const toRows = ( mask, width ) => Array.from( mask ).reduce(( rows, value, index ) => {
+    if ( index % width === 0 ) {
+        rows.push([]);
+    }
+    rows[ rows.length - 1 ].push( value );
+    return rows;
+}, []);
+
+describe( "Selection rendering", () => {
+    describe( "when combining a shape with a selection that it does not overlap", () => {
+        const selection = [ createSelectionForRectangle( 10, 10 ) ];
+        const shape     = createSelectionForRectangle( 10, 10, 20, 20 );
+
+        it( "should add the shape to the selection", () => {
+            expect( combineSelection( selection, shape, SelectionModes.ADD, 100, 100 )).toEqual([ ...selection, shape ]);
+        });
+
+        it( "should leave the selection unchanged when subtracting the shape", () => {
+            expect( combineSelection( selection, shape, SelectionModes.SUBTRACT, 100, 100 )).toEqual( selection );
+        });
+
+        it( "should deselect everything when intersecting with the shape", () => {
+            expect( combineSelection( selection, shape, SelectionModes.INTERSECT, 100, 100 )).toEqual([]);
+        });
+    });
+
+    describe( "when growing or shrinking a selection mask", () => {
+        it( "should grow the selected area by the given radius", () => {
+            const mask = createMask([
+                [ 0, 0, 0, 0, 0 ],
+                [ 0, 0, 0, 0, 0 ],
+                [ 0, 0, 1, 0, 0 ],
+                [ 0, 0, 0, 0, 0 ],
+                [ 0, 0, 0, 0, 0 ],
+            ]);
+            expect( toRows( growMask( mask, 5, 5, 1 ), 5 )).toEqual([
+                [ 0, 0, 0, 0, 0 ],
+                [ 0, 0, 1, 0, 0 ],
+                [ 0, 1, 1, 1, 0 ],
+                [ 0, 0, 1, 0, 0 ],
+                [ 0, 0, 0, 0, 0 ],
+            ]);
+            expect( toRows( growMask( mask, 5, 5, 2 ), 5 )).toEqual([
+                [ 0, 0, 1, 0, 0 ],
+                [ 0, 1, 1, 1, 0 ],
+                [ 1, 1, 1, 1, 1 ],
+                [ 0, 1, 1, 1, 0 ],
+                [ 0, 0, 1, 0, 0 ],
+            ]);
+        });
+
+        it( "should shrink the selected area when the radius is negative", () => {
+            const mask = createMask([
+                [ 0, 0, 0, 0, 0 ],
+                [ 0, 1, 1, 1, 0 ],
+                [ 0, 1, 1, 1, 0 ],
+                [ 0, 1, 1, 1, 0 ],
+                [ 0, 0, 0, 0, 0 ],
+            ]);
+            expect( toRows( growMask( mask, 5, 5, -1 ), 5 )).toEqual([
+                [ 0, 0, 0, 0, 0 ],
+                [ 0, 0, 0, 0, 0 ],
+                [ 0, 0, 1, 0, 0 ],
+                [ 0, 0, 0, 0, 0 ],
+                [ 0, 0, 0, 0, 0 ],
+            ]);
+        });
+
+        it( "should not consider the boundaries of the mask to be an edge when shrinking", () => {
+            const mask = createMask([
+                [ 1, 1, 1 ],
+                [ 1, 1, 1 ],
+                [ 0, 0, 0 ],
+            ]);
+            expect( toRows( growMask( mask, 3, 3, -1 ), 3 )).toEqual([
+                [ 1, 1, 1 ],
+                [ 0, 0, 0 ],
+                [ 0, 0, 0 ],
+            ]);
+        });
+
+        it( "should return an unchanged copy when the radius is zero", () => {
+            const mask   = createMask([[ 0, 1 ], [ 1, 0 ]]);
+            const result = growMask( mask, 2, 2, 0 );
+
+            expect( result ).toEqual( mask );
+            expect( result ).not.toBe( mask );
+        });
+    });
+
+    describe( "when smoothing a selection mask", () => {
+        it( "should select pixels surrounded by a majority of selected pixels and deselect isolated pixels", () => {
+            const mask = createMask([
+                [ 1, 1, 1, 0, 0 ],
+                [ 1, 0, 1, 0, 0 ],
+                [ 1, 1, 1, 0, 0 ],
+                [ 0, 0, 0, 0, 1 ],
+                [ 0, 0, 0, 0, 0 ],
+            ]);
+            const result = toRows( smoothMask( mask, 5, 5, 1 ), 5 );
+
+            expect( result[ 1 ][ 1 ]).toEqual( 1 ); // hole is filled
+            expect( result[ 3 ][ 4 ]).toEqual( 0 ); // isolated pixel is removed
+            expect( result[ 0 ][ 0 ]).toEqual( 1 );
+            expect( result[ 2 ][ 2 ]).toEqual( 0 ); // sharp corner is rounded
+        });
+    });
+
+    describe( "when converting between selections and layer bitmaps", () => {
+        const document = { width: 100, height: 100, selection: [] };
+        const source   = { width: 30, height: 40 };
+        const mask     = { width: 30, height: 40 };
+
+        const createLayer = ( effects = {}) => ({
+            left: 10, top: 20, width: 30, height: 40, maskX: 0, maskY: 0, source, mask,
+            effects: { mirrorX: false, mirrorY: false, rotation: 0, scale: 1, ...effects }
+        });
+
+        beforeEach(() => {
+            mockCanvases = [];
+        });
+
+        it( "should render the layer source at the layer position when the layer is not transformed", () => {
+            const cvs = createLayerAlphaBitmap( document, createLayer());
+            expect( cvs.draws ).toEqual([{ image: source, from: { x: 10, y: 20 }, to: { x: 40, y: 60 } }]);
+        });
+
+        it( "should render the layer source mirrored when the layer is mirrored", () => {
+            const cvs = createLayerAlphaBitmap( document, createLayer({ mirrorX: true }));
+            expect( cvs.draws ).toEqual([{ image: source, from: { x: 40, y: 20 }, to: { x: 10, y: 60 } }]);
+        });
+
+        it( "should render the layer source rotated around its center when the layer is rotated", () => {
+            const cvs = createLayerAlphaBitmap( document, createLayer({ rotation: Math.PI }));
+            expect( cvs.draws ).toEqual([{ image: source, from: { x: 40, y: 60 }, to: { x: 10, y: 20 } }]);
+        });
+
+        it( "should render the layer source scaled around its center when the layer is scaled", () => {
+            const cvs = createLayerAlphaBitmap( document, createLayer({ scale: 2 }));
+            expect( cvs.draws ).toEqual([{ image: source, from: { x: -5, y: 0 }, to: { x: 55, y: 80 } }]);
+        });
+
+        it( "should render the area revealed by the layer mask onto the transformed layer", () => {
+            const cvs = createLayerMaskBitmap( document, createLayer({ mirrorY: true }));
+            // the first canvas is the layer sized bitmap describing the revealed area
+            expect( cvs.draws ).toEqual([{ image: mockCanvases[ 0 ], from: { x: 10, y: 60 }, to: { x: 40, y: 20 } }]);
+        });
+
+        it( "should map the selection onto the layer when creating a mask for an untransformed layer", () => {
+            const layer = { ...createLayer(), maskX: 5, maskY: 2 };
+            const cvs   = createMaskFromSelection( document, layer );
+            // the selection bitmap is document sized
+            expect( cvs.draws[ 0 ].from ).toEqual({ x: -15, y: -22 });
+            expect( cvs.draws[ 0 ].to ).toEqual({ x: 85, y: 78 });
+        });
+
+        it( "should map the selection onto the untransformed layer when creating a mask for a transformed layer", () => {
+            [{ mirrorX: true }, { mirrorY: true }, { rotation: Math.PI / 2 }, { rotation: 1 }, { scale: 2 }].forEach( effects => {
+                const layer = createLayer( effects );
+
+                // map the selection onto the layer mask, then render the layer mask back onto the document
+                const maskCvs = createMaskFromSelection( document, layer );
+                const docCvs  = createLayerAlphaBitmap( document, { ...layer, source: maskCvs });
+
+                // assert the transformations cancel each other out (e.g. the selection ends up at its original position)
+                [{ x: 0, y: 0 }, { x: 25, y: 50 }, { x: 100, y: 100 }].forEach( point => {
+                    const { x, y } = docCvs.mapPoint( maskCvs.mapPoint( point ));
+                    expect({ effects, x: Math.round( x ) + 0, y: Math.round( y ) + 0 }).toEqual({ effects, ...point });
+                });
+            });
+        });
+    });
+
+    describe( "when working with soft selections", () => {
+        it( "should return the soft selection for the documents current selection", () => {
+            const document = { selection: [[{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 0 }]] };
+            const bitmap   = {};
+            setSoftSelection( document, bitmap );
+            expect( getSoftSelection( document )).toEqual( bitmap );
+        });
+
+        it( "should not return the soft selection once the documents selection has been replaced", () => {
+            const document = { selection: [] };
+            setSoftSelection( document, {} );
+            document.selection = [];
+            expect( getSoftSelection( document )).toBeNull();
+        });
+
+        it( "should be able to clear the soft selection", () => {
+            const document = { selection: [] };
+            setSoftSelection( document, {} );
+            setSoftSelection( document, null );
+            expect( getSoftSelection( document )).toBeNull();
+        });
+    });
+});
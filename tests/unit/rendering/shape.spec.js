@@ -0,0 +1,53 @@
+import {
+    getShapeBounds, getLineWidth, getPolygonPoints, getLineCoordinates, getArrowHead
+} from "@/rendering/shape";
+import { SHAPE_RECTANGLE, SHAPE_LINE, SHAPE_ARROW } from "@/definitions/shape-types";
+
+describe( "Shape rendering", () => {
+    describe( "when calculating the bounds of a shape", () => {
+        it( "should pad the bounding box to fit the stroke", () => {
+            expect( getShapeBounds({ type: SHAPE_RECTANGLE, width: 100, height: 50, strokeWidth: 0 }))
+                .toEqual({ width: 100, height: 50, padding: 0 });
+            expect( getShapeBounds({ type: SHAPE_RECTANGLE, width: 100, height: 50, strokeWidth: 4 }))
+                .toEqual({ width: 104, height: 54, padding: 2 });
+        });
+
+        it( "should use the absolute size of shapes drawn in a negative direction", () => {
+            expect( getShapeBounds({ type: SHAPE_LINE, width: -100, height: -50, strokeWidth: 2 }))
+                .toEqual({ width: 102, height: 52, padding: 1 });
+        });
+
+        it( "should pad the bounding box to fit the head of an arrow", () => {
+            const { padding } = getShapeBounds({ type: SHAPE_ARROW, width: 100, height: 0, strokeWidth: 4 });
+            expect( padding ).toEqual( 2 + 12 );
+        });
+
+        it( "should always give a line a visible stroke", () => {
+            expect( getLineWidth({ type: SHAPE_LINE, strokeWidth: 0 })).toEqual( 1 );
+            expect( getLineWidth({ type: SHAPE_RECTANGLE, strokeWidth: 0 })).toEqual( 0 );
+        });
+    });
+
+    it( "should be able to calculate the vertices of a regular polygon fitting inside a box", () => {
+        const points = getPolygonPoints( 4, 100, 50 );
+        expect( points ).toHaveLength( 4 );
+        [{ x: 50, y: 0 }, { x: 100, y: 25 }, { x: 50, y: 50 }, { x: 0, y: 25 }].forEach(( expected, index ) => {
+            expect( points[ index ].x ).toBeCloseTo( expected.x );
+            expect( points[ index ].y ).toBeCloseTo( expected.y );
+        });
+    });
+
+    it( "should determine the direction of a line by the sign of its dimensions", () => {
+        expect( getLineCoordinates({ width: 100, height: 50 })).toEqual({ startX: 0, startY: 0, endX: 100, endY: 50 });
+        expect( getLineCoordinates({ width: -100, height: 50 }, 10, 10 )).toEqual({ startX: 110, startY: 10, endX: 10, endY: 60 });
+    });
+
+    it( "should be able to calculate the head of an arrow pointing at the end of a line", () => {
+        const [ tip, left, right ] = getArrowHead( 0, 0, 100, 0, 10 );
+        expect( tip ).toEqual({ x: 100, y: 0 });
+        expect( left.x ).toBeCloseTo( 100 - 10 * Math.cos( Math.PI / 6 ));
+        expect( left.y ).toBeCloseTo( 5 );
+        expect( right.x ).toBeCloseTo( left.x );
+        expect( right.y ).toBeCloseTo( -5 );
+    });
+});
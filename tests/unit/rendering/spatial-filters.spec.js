@@ -0,0 +1,85 @@
+import { gaussianBlur, unsharpMask, convolve } from "@/rendering/spatial-filters";
+
+// creates a 3 x 3 image of opaque pixels of given grayscale values
+const createPixels = values => new Uint8ClampedArray( values.flatMap( value => [ value, value, value, 255 ]));
+const getGrayScale = pixels => Array.from( pixels ).filter(( value, index ) => index % 4 === 0 );
+
+describe( "Spatial filters", () => {
+    describe( "when applying a Gaussian blur", () => {
+        it( "should not alter the pixels when the blur size is zero", () => {
+            const pixels = createPixels([ 0, 0, 0, 0, 255, 0, 0, 0, 0 ]);
+            gaussianBlur( pixels, 3, 3, 0 );
+
+            expect( getGrayScale( pixels )).toEqual([ 0, 0, 0, 0, 255, 0, 0, 0, 0 ]);
+        });
+
+        it( "should spread the value of a pixel onto its surrounding pixels", () => {
+            const pixels = createPixels([ 0, 0, 0, 0, 255, 0, 0, 0, 0 ]);
+            gaussianBlur( pixels, 3, 3, 1 );
+
+            const [ topLeft, top, , , center ] = getGrayScale( pixels );
+            expect( center ).toBeLessThan( 255 );
+            expect( top ).toBeGreaterThan( 0 );
+            expect( topLeft ).toBeGreaterThan( 0 );
+        });
+
+        it( "should not bleed the colour of transparent pixels into opaque pixels", () => {
+            const pixels = new Uint8ClampedArray([ 255, 0, 0, 255, 0, 255, 0, 0 ]); // opaque red next to transparent green
+            gaussianBlur( pixels, 2, 1, 1 );
+
+            expect( pixels[ 0 ] ).toEqual( 255 );
+            expect( pixels[ 1 ] ).toEqual( 0 );
+            expect( pixels[ 3 ] ).toBeLessThan( 255 );
+        });
+    });
+
+    describe( "when applying an unsharp mask", () => {
+        it( "should increase the difference between a pixel and its surroundings", () => {
+            const pixels = createPixels([ 100, 100, 100, 100, 150, 100, 100, 100, 100 ]);
+            unsharpMask( pixels, 3, 3, 1, 1 );
+
+            const values = getGrayScale( pixels );
+            expect( values[ 4 ] ).toBeGreaterThan( 150 );
+            expect( values[ 1 ] ).toBeLessThan( 100 );
+        });
+
+        it( "should not sharpen pixels whose difference is below the threshold", () => {
+            const pixels = createPixels([ 100, 100, 100, 100, 110, 100, 100, 100, 100 ]);
+            unsharpMask( pixels, 3, 3, 1, 1, 50 );
+
+            expect( getGrayScale( pixels )).toEqual([ 100, 100, 100, 100, 110, 100, 100, 100, 100 ]);
+        });
+    });
+
+    describe( "when convolving with a custom kernel", () => {
+        it( "should not alter the pixels when using an identity kernel", () => {
+            const pixels = createPixels([ 10, 20, 30, 40, 50, 60, 70, 80, 90 ]);
+            convolve( pixels, 3, 3, [ 0, 0, 0, 0, 1, 0, 0, 0, 0 ]);
+
+            expect( getGrayScale( pixels )).toEqual([ 10, 20, 30, 40, 50, 60, 70, 80, 90 ]);
+        });
+
+        it( "should divide the result by the sum of the kernel values", () => {
+            const pixels = createPixels([ 0, 0, 0, 0, 90, 0, 0, 0, 0 ]);
+            convolve( pixels, 3, 3, [ 1, 1, 1, 1, 1, 1, 1, 1, 1 ]);
+
+            expect( getGrayScale( pixels )).toEqual([ 10, 10, 10, 10, 10, 10, 10, 10, 10 ]);
+        });
+
+        it( "should support 5x5 kernels", () => {
+            const pixels = createPixels([ 10, 20, 30, 40, 50, 60, 70, 80, 90 ]);
+            const kernel = new Array( 25 ).fill( 0 );
+            kernel[ 12 ] = 1;
+            convolve( pixels, 3, 3, kernel );
+
+            expect( getGrayScale( pixels )).toEqual([ 10, 20, 30, 40, 50, 60, 70, 80, 90 ]);
+        });
+
+        it( "should leave the alpha channel unchanged", () => {
+            const pixels = new Uint8ClampedArray([ 100, 100, 100, 128 ]);
+            convolve( pixels, 1, 1, [ -1, -1, -1, -1, 8, -1, -1, -1, -1 ]);
+
+            expect( pixels[ 3 ] ).toEqual( 128 );
+        });
+    });
+});
@@ -0,0 +1,194 @@
+import storeModule, { createBrushLibraryExport } from "@/store/modules/brush-module";
+import ToolTypes from "@/definitions/tool-types";
+
+const { getters, mutations, actions } = storeModule;
+
+jest.mock( "@/rendering/brush-tip", () => ({
+    createTipSource: jest.fn(() => ({ width: 10, height: 20, src: "data:image/png;base64,foo" })),
+}));
+jest.mock( "@/rendering/cache/brush-tip-cache", () => ({
+    cacheBrushTip: jest.fn(),
+    flushBrushTip: jest.fn(),
+}));
+import { cacheBrushTip, flushBrushTip } from "@/rendering/cache/brush-tip-cache";
+
+let mockStorageData;
+Storage.prototype.getItem = jest.fn(() => mockStorageData && JSON.stringify( mockStorageData ));
+Storage.prototype.setItem = jest.fn();
+
+describe( "Vuex brush module", () => {
+    const tip1 = { id: "tip1", name: "foo", width: 10, height: 10, src: "data:image/png;base64,foo" };
+    const tip2 = { id: "tip2", name: "bar", width: 20, height: 10, src: "data:image/png;base64,bar" };
+
+    const preset1 = { id: "preset1", name: "foo", options: { size: 10, opacity: 1 } };
+    const preset2 = { id: "preset2", name: "bar", options: { size: 20, tipId: tip2.id } };
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe( "getters", () => {
+        it( "should be able to return all brush tips", () => {
+            const state = { brushTips: [ tip1, tip2 ] };
+            expect( getters.brushTips( state )).toEqual([ tip1, tip2 ]);
+        });
+
+        it( "should be able to return all brush presets", () => {
+            const state = { brushPresets: [ preset1, preset2 ] };
+            expect( getters.brushPresets( state )).toEqual([ preset1, preset2 ]);
+        });
+    });
+
+    describe( "mutations", () => {
+        it( "should be able to add a brush tip to the library", () => {
+            const state = { brushTips: [ tip1 ] };
+            mutations.addBrushTip( state, tip2 );
+            expect( state.brushTips ).toEqual([ tip1, tip2 ]);
+        });
+
+        it( "should be able to remove a brush tip from the library", () => {
+            const state = { brushTips: [ tip1, tip2 ] };
+            mutations.removeBrushTip( state, tip1.id );
+            expect( state.brushTips ).toEqual([ tip2 ]);
+        });
+
+        it( "should be able to add a brush preset to the library", () => {
+            const state = { brushPresets: [ preset1 ] };
+            mutations.addBrushPreset( state, preset2 );
+            expect( state.brushPresets ).toEqual([ preset1, preset2 ]);
+        });
+
+        it( "should replace an existing brush preset with the same id", () => {
+            const state   = { brushPresets: [ preset1, preset2 ] };
+            const updated = { ...preset1, name: "baz" };
+            mutations.addBrushPreset( state, updated );
+            expect( state.brushPresets ).toEqual([ updated, preset2 ]);
+        });
+
+        it( "should be able to remove a brush preset from the library", () => {
+            const state = { brushPresets: [ preset1, preset2 ] };
+            mutations.removeBrushPreset( state, preset2.id );
+            expect( state.brushPresets ).toEqual([ preset1 ]);
+        });
+    });
+
+    describe( "actions", () => {
+        it( "should be able to restore a previously saved brush library", async () => {
+            mockStorageData = {
+                tips: [{ i: tip1.id, n: tip1.name, w: tip1.width, h: tip1.height, s: tip1.src }],
+                presets: [{ i: preset1.id, n: preset1.name, o: preset1.options }]
+            };
+            const commit = jest.fn();
+            await actions.restoreBrushLibrary({ commit });
+
+            expect( cacheBrushTip ).toHaveBeenCalledWith( tip1 );
+            expect( commit ).toHaveBeenCalledTimes( 2 );
+            expect( commit ).toHaveBeenNthCalledWith( 1, "addBrushTip", tip1 );
+            expect( commit ).toHaveBeenNthCalledWith( 2, "addBrushPreset", preset1 );
+        });
+
+        it( "should be able to save the brush library", () => {
+            const state = { brushTips: [ tip1 ], brushPresets: [ preset1 ] };
+            expect( actions.storeBrushLibrary({ state })).toBe( true );
+            expect( Storage.prototype.setItem ).toHaveBeenCalledWith( "bpy_brushes", JSON.stringify({
+                tips: [{ i: tip1.id, n: tip1.name, w: tip1.width, h: tip1.height, s: tip1.src }],
+                presets: [{ i: preset1.id, n: preset1.name, o: preset1.options }]
+            }));
+        });
+
+        it( "should report when the brush library could not be saved", () => {
+            Storage.prototype.setItem.mockImplementationOnce(() => { throw new Error( "QuotaExceededError" ); });
+            expect( actions.storeBrushLibrary({ state: { brushTips: [ tip1 ], brushPresets: [] } })).toBe( false );
+        });
+
+        it( "should be able to create a new brush tip from an image and save the library", async () => {
+            const commit   = jest.fn();
+            const dispatch = jest.fn(() => Promise.resolve( true ));
+            const { tip, stored } = await actions.createBrushTip({ commit, dispatch }, { name: "foo", image: {} });
+
+            expect( tip ).toEqual({ id: expect.any( String ), name: "foo", width: 10, height: 20, src: "data:image/png;base64,foo" });
+            expect( stored ).toBe( true );
+            expect( cacheBrushTip ).toHaveBeenCalledWith( tip );
+            expect( commit ).toHaveBeenCalledWith( "addBrushTip", tip );
+            expect( dispatch ).toHaveBeenCalledWith( "storeBrushLibrary" );
+        });
+
+        it( "should be able to delete a brush tip, unsetting it for the tools using it", () => {
+            const commit    = jest.fn();
+            const dispatch  = jest.fn();
+            const rootState = {
+                toolModule: {
+                    options: {
+                        [ ToolTypes.BRUSH ]  : { tipId: tip1.id },
+                        [ ToolTypes.ERASER ] : { tipId: tip2.id },
+                        [ ToolTypes.CLONE ]  : { tipId: null },
+                    }
+                }
+            };
+            actions.deleteBrushTip({ commit, dispatch, rootState }, tip1.id );
+
+            expect( commit ).toHaveBeenNthCalledWith( 1, "removeBrushTip", tip1.id );
+            expect( flushBrushTip ).toHaveBeenCalledWith( tip1.id );
+            expect( commit ).toHaveBeenNthCalledWith( 2, "setToolOptionValue", { tool: ToolTypes.BRUSH, option: "tipId", value: null });
+            expect( commit ).toHaveBeenCalledTimes( 2 );
+            expect( dispatch ).toHaveBeenCalledWith( "storeBrushLibrary" );
+        });
+
+        it( "should be able to save brush options as a new preset", async () => {
+            const commit   = jest.fn();
+            const dispatch = jest.fn(() => Promise.resolve( true ));
+            const { preset, stored } = await actions.saveBrushPreset({ commit, dispatch }, {
+                name: "foo", options: { size: 10, opacity: .5, coords: { x: 0, y: 0 } }
+            });
+            expect( preset ).toEqual({ id: expect.any( String ), name: "foo", options: { size: 10, opacity: .5 } });
+            expect( stored ).toBe( true );
+            expect( commit ).toHaveBeenCalledWith( "addBrushPreset", preset );
+            expect( dispatch ).toHaveBeenCalledWith( "storeBrushLibrary" );
+        });
+
+        it( "should be able to apply a preset onto the brush tool options", () => {
+            const commit = jest.fn();
+            actions.applyBrushPreset({ commit, state: { brushPresets: [ preset1, preset2 ] } }, preset2.id );
+            expect( commit ).toHaveBeenCalledWith( "setToolOptions", { tool: ToolTypes.BRUSH, options: preset2.options });
+        });
+
+        it( "should be able to delete a preset and save the library", () => {
+            const commit   = jest.fn();
+            const dispatch = jest.fn();
+            actions.deleteBrushPreset({ commit, dispatch }, preset1.id );
+            expect( commit ).toHaveBeenCalledWith( "removeBrushPreset", preset1.id );
+            expect( dispatch ).toHaveBeenCalledWith( "storeBrushLibrary" );
+        });
+
+        it( "should be able to import an exported library, only adding the brush tips that do not exist yet", async () => {
+            const commit   = jest.fn();
+            const dispatch = jest.fn();
+            const state    = { brushTips: [ tip1 ], brushPresets: [] };
+            const data     = createBrushLibraryExport([ preset1, preset2 ], [ tip1, tip2 ]);
+
+            expect( await actions.importBrushLibrary({ commit, dispatch, state }, data )).toEqual( 2 );
+            expect( commit ).toHaveBeenCalledTimes( 3 );
+            expect( commit ).toHaveBeenNthCalledWith( 1, "addBrushTip", tip2 );
+            expect( commit ).toHaveBeenNthCalledWith( 2, "addBrushPreset", preset1 );
+            expect( commit ).toHaveBeenNthCalledWith( 3, "addBrushPreset", preset2 );
+            expect( dispatch ).toHaveBeenCalledWith( "storeBrushLibrary" );
+        });
+
+        it( "should throw when importing invalid data", async () => {
+            const commit = jest.fn();
+            await expect( actions.importBrushLibrary({ commit, dispatch: jest.fn(), state: { brushTips: [] } }, { foo: "bar" }))
+                .rejects.toThrow();
+            expect( commit ).not.toHaveBeenCalled();
+        });
+    });
+
+    it( "should only include the brush tips used by the exported presets", () => {
+        expect( createBrushLibraryExport([ preset1, preset2 ], [ tip1, tip2 ])).toEqual({
+            presets: [
+                { i: preset1.id, n: preset1.name, o: preset1.options },
+                { i: preset2.id, n: preset2.name, o: preset2.options },
+            ],
+            tips: [{ i: tip2.id, n: tip2.name, w: tip2.width, h: tip2.height, s: tip2.src }]
+        });
+    });
+});
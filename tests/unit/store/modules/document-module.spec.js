@@ -16,6 +16,9 @@ jest.mock( "@/factories/layer-factory", () => ({
 jest.mock( "@/utils/render-util", () => ({
     resizeLayerContent: (...args) => mockUpdateFn?.( "resizeLayerContent", ...args ),
     cropLayerContent: (...args) => mockUpdateFn?.( "cropLayerContent", ...args ),
+    straightenLayerContent: (...args) => mockUpdateFn?.( "straightenLayerContent", ...args ),
+    trimLayerContent: (...args) => mockUpdateFn?.( "trimLayerContent", ...args ),
+    restoreLayerContent: (...args) => mockUpdateFn?.( "restoreLayerContent", ...args ),
 }));
 
 describe( "Vuex document module", () => {
@@ -492,5 +495,66 @@ describe( "Vuex document module", () => {
             expect( mockUpdateFn ).toHaveBeenNthCalledWith( 3, "cropLayerContent", layer2, left, top );
             expect( mockUpdateFn ).toHaveBeenNthCalledWith( 4, "getSpriteForLayer", layer2 );
         });
+
+        it( "should be able to straighten and trim the Layers when cropping active Document content", async () => {
+            const layer = { name: "layer1" };
+            const state = {
+                documents: [
+                    { layers: [ layer ]}
+                ],
+                activeIndex: 0,
+            };
+            mockUpdateFn = jest.fn();
+            await mutations.cropActiveDocumentContent( state, { left: 10, top: 20, width: 100, height: 50, angle: .5, trim: true });
+            expect( mockUpdateFn ).toHaveBeenNthCalledWith( 1, "straightenLayerContent", layer, 60, 45, .5 );
+            expect( mockUpdateFn ).toHaveBeenNthCalledWith( 2, "cropLayerContent", layer, 10, 20 );
+            expect( mockUpdateFn ).toHaveBeenNthCalledWith( 3, "trimLayerContent", layer, 100, 50 );
+            expect( mockUpdateFn ).toHaveBeenNthCalledWith( 4, "getSpriteForLayer", layer );
+        });
+
+        it( "should be able to restore the contents of the active Documents Layers", () => {
+            const layer1 = { name: "layer1" };
+            const layer2 = { name: "layer2" };
+            const state = {
+                documents: [
+                    { layers: [ layer1, layer2 ]}
+                ],
+                activeIndex: 0,
+            };
+            const contents = [{ left: 10 }, { left: 20 }];
+            const sprite   = { syncPosition: jest.fn(), resetFilterAndRecache: jest.fn() };
+            mockUpdateFn = jest.fn( fn => fn === "getSpriteForLayer" ? sprite : undefined );
+            mutations.restoreLayerContents( state, contents );
+            expect( mockUpdateFn ).toHaveBeenNthCalledWith( 1, "restoreLayerContent", layer1, contents[ 0 ]);
+            expect( mockUpdateFn ).toHaveBeenNthCalledWith( 2, "getSpriteForLayer", layer1 );
+            expect( mockUpdateFn ).toHaveBeenNthCalledWith( 3, "restoreLayerContent", layer2, contents[ 1 ]);
+            expect( mockUpdateFn ).toHaveBeenNthCalledWith( 4, "getSpriteForLayer", layer2 );
+            // assert the Sprites are synced with the restored contents
+            expect( sprite.syncPosition ).toHaveBeenCalledTimes( 2 );
+            expect( sprite.resetFilterAndRecache ).toHaveBeenCalledTimes( 2 );
+        });
+
+        describe( "when managing paths", () => {
+            const path = { points: [], closed: false };
+
+            it( "should be able to save a path in the active Document", () => {
+                const state = { documents: [{ paths: {} }], activeIndex: 0 };
+                mutations.savePath( state, { name: "foo", path });
+                expect( state.documents[ 0 ].paths ).toEqual({ foo: path });
+            });
+
+            it( "should be able to set the path that is being edited in the active Document", () => {
+                const state = { documents: [{ paths: { foo: path }, activePath: null }], activeIndex: 0 };
+                mutations.setActivePath( state, "foo" );
+                expect( state.documents[ 0 ].activePath ).toEqual( "foo" );
+            });
+
+            it( "should be able to remove a path, unsetting it as the active path", () => {
+                const state = { documents: [{ paths: { foo: path, bar: path }, activePath: "foo" }], activeIndex: 0 };
+                mutations.removePath( state, "foo" );
+                expect( state.documents[ 0 ].paths ).toEqual({ bar: path });
+                expect( state.documents[ 0 ].activePath ).toBeNull();
+            });
+        });
     });
 });
@@ -13,8 +13,13 @@ describe( "Vuex tool module", () => {
                 [ ToolTypes.BRUSH ]     : { size: 10 },
                 [ ToolTypes.ERASER ]    : { size: 10, opacity: 1 },
                 [ ToolTypes.CLONE ]     : { size: 10, opacity: 1, source: null, coords: null },
-                [ ToolTypes.SELECTION ] : { lockRatio: false, xRatio: 1, yRatio: 1 },
+                [ ToolTypes.SELECTION ] : { shape: "rectangle", lockRatio: false, xRatio: 1, yRatio: 1, mode: "replace" },
+                [ ToolTypes.LASSO ]     : { type: "polygonal", width: 10, contrast: .1 },
+                [ ToolTypes.WAND ]      : { tolerance: 32, contiguous: true, sampleMerged: false },
                 [ ToolTypes.FILL ]      : { smartFill: true },
+                [ ToolTypes.GRADIENT ]  : { type: "linear", stops: [] },
+                [ ToolTypes.CROP ]      : { aspect: "free", xRatio: 1, yRatio: 1, deletePixels: false, angle: 0 },
+                [ ToolTypes.SHAPE ]     : { type: "ellipse", fill: "red", stroke: "black", strokeWidth: 2, radius: 0, sides: 5 },
             },
             snapAlign: true,
             antiAlias: true,
@@ -32,7 +37,15 @@ describe( "Vuex tool module", () => {
         });
 
         it( "should be able to retrieve the selection options", () => {
-            expect( getters.selectionOptions( state )).toEqual({ lockRatio: false, xRatio: 1, yRatio: 1 });
+            expect( getters.selectionOptions( state )).toEqual({ shape: "rectangle", lockRatio: false, xRatio: 1, yRatio: 1, mode: "replace" });
+        });
+
+        it( "should be able to retrieve the lasso options", () => {
+            expect( getters.lassoOptions( state )).toEqual({ type: "polygonal", width: 10, contrast: .1 });
+        });
+
+        it( "should be able to retrieve the magic wand options", () => {
+            expect( getters.wandOptions( state )).toEqual({ tolerance: 32, contiguous: true, sampleMerged: false });
         });
 
         it( "should be able to retrieve the zoom options", () => {
@@ -55,6 +68,18 @@ describe( "Vuex tool module", () => {
             expect( getters.fillOptions( state )).toEqual({ smartFill: true });
         })
 
+        it( "should be able to retrieve the gradient options", () => {
+            expect( getters.gradientOptions( state )).toEqual({ type: "linear", stops: [] });
+        });
+
+        it( "should be able to retrieve the crop options", () => {
+            expect( getters.cropOptions( state )).toEqual({ aspect: "free", xRatio: 1, yRatio: 1, deletePixels: false, angle: 0 });
+        });
+
+        it( "should be able to retrieve the shape options", () => {
+            expect( getters.shapeOptions( state )).toEqual({ type: "ellipse", fill: "red", stroke: "black", strokeWidth: 2, radius: 0, sides: 5 });
+        });
+
         it( "should be able to retrieve the current snap and alignment state", () => {
             expect( getters.snapAlign ( state )).toBe( true );
         });
@@ -94,6 +119,14 @@ describe( "Vuex tool module", () => {
             });
         });
 
+        it( "should be able to set multiple tool option values at once", () => {
+            mutations.setToolOptions( state, { tool: ToolTypes.BRUSH, options: { size: 20, opacity: .5 } });
+            expect( state.options ).toEqual({
+                [ ToolTypes.ZOOM ]: { level: 10 },
+                [ ToolTypes.BRUSH ]: { size: 20, opacity: .5 }
+            });
+        });
+
         it( "should be able to set the snap and align state", () => {
             mutations.setSnapAlign( state, false );
             expect( state.snapAlign ).toBe( false );
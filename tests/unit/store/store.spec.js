@@ -1,6 +1,7 @@
 import store from "@/store";
 import { PROJECT_FILE_EXTENSION } from "@/definitions/file-types";
 import { LAYER_IMAGE } from "@/definitions/layer-types";
+import { createCanvas } from "@/utils/canvas-util";
 
 const { getters, mutations, actions } = store;
 
@@ -92,6 +93,14 @@ describe( "Vuex store", () => {
             expect( state.blindActive ).toBe( true );
         });
 
+        it( "should be able to set the quick mask state", () => {
+            const state = { quickMask: null };
+            const quickMask = { layer: { id: "foo" } };
+            mutations.setQuickMask( state, quickMask );
+            expect( state.quickMask ).toEqual( quickMask );
+            expect( getters.quickMaskActive( state )).toBe( true );
+        });
+
         it( "should be able to set the global Document pan mode", () => {
             const state = { panMode: false };
             mutations.setPanMode( state, true );
@@ -303,7 +312,11 @@ describe( "Vuex store", () => {
                         return mockSavedDocument;
                 }
             });
-            await actions.saveDocument({ commit, getters: mockedGetters }, "foo" );
+            const dispatch = jest.fn();
+            await actions.saveDocument({ commit, dispatch, getters: mockedGetters }, "foo" );
+
+            // assert quick mask mode is left prior to saving
+            expect( dispatch ).toHaveBeenCalledWith( "exitQuickMask" );
 
             // assert the active document is serialized by DocumentFactory.toBlob
             expect( mockUpdateFn ).toHaveBeenNthCalledWith( 1, "toBlob", mockedGetters.activeDocument );
@@ -312,6 +325,28 @@ describe( "Vuex store", () => {
             expect( commit ).toHaveBeenCalledWith( "showNotification", expect.any( Object ));
         });
 
+        it( "should remove the quick mask layer from its Document when exiting quick mask mode", () => {
+            const layer     = { id: "qm", mask: {}, maskX: 0, maskY: 0 };
+            const document  = { width: 200, height: 150, layers: [ { id: "foo" }, layer ], selection: [] };
+            const selection = [[{ x: 0, y: 0 }, { x: 10, y: 10 }]];
+            const state     = { quickMask: { document, layer, layerIndex: 0, selection } };
+            const commit    = jest.fn();
+            const dispatch  = jest.fn();
+
+            createCanvas.mockReturnValueOnce({ cvs: { id: "cvs" }, ctx: { drawImage: jest.fn() } });
+
+            // note the quick masked Document is no longer the active one (e.g. when switching Documents)
+            actions.exitQuickMask({ state, commit, dispatch, getters: { activeDocument: { layers: [] } } });
+
+            expect( commit ).toHaveBeenCalledWith( "setQuickMask", null );
+            expect( document.layers ).toEqual([ { id: "foo" } ]);
+            // the active layer index of the active Document should not be changed
+            expect( commit ).not.toHaveBeenCalledWith( "setActiveLayerIndex", expect.any( Number ));
+            // the original selection should be restored prior to selecting the quick mask contents
+            expect( document.selection ).toEqual( selection );
+            expect( dispatch ).toHaveBeenCalledWith( "selectBitmap", { document, bitmap: { id: "cvs" } });
+        });
+
         it( "should be able to paste the current in-memory image selection at the center of the Document", async () => {
             const state = {
                 selectionContent: { image: { src: "foo" }, size: { width: 40, height: 30 } },
@@ -0,0 +1,119 @@
+import {
+    isGroup, getLayerAncestors, getLayerDescendants, getLayerDepth, isLayerVisible, isTranslucentGroup,
+    getCompositedGroup, getClippingBase
+} from "@/utils/layer-util";
+import { LAYER_GRAPHIC, LAYER_GROUP } from "@/definitions/layer-types";
+
+let UID = 0;
+const createLayer = ({ type = LAYER_GRAPHIC, groupId = null, opacity = 1, clipped = false } = {}) => ({
+    id: `layer_${++UID}`, type, groupId, clipped, visible: true, filters: { enabled: true, opacity }
+});
+
+describe( "Layer utilities", () => {
+    describe( "When working with layer groups", () => {
+        let outerGroup, innerGroup, nestedLayer, groupedLayer, rootLayer, layers;
+
+        beforeEach(() => {
+            outerGroup   = createLayer({ type: LAYER_GROUP, opacity: .5 });
+            innerGroup   = createLayer({ type: LAYER_GROUP, groupId: outerGroup.id, opacity: .5 });
+            nestedLayer  = createLayer({ groupId: innerGroup.id });
+            groupedLayer = createLayer({ groupId: outerGroup.id });
+            rootLayer    = createLayer();
+            // note layers are listed from the bottom up, groups are positioned above their contents
+            layers = [ nestedLayer, innerGroup, groupedLayer, outerGroup, rootLayer ];
+        });
+
+        it( "should know whether a layer is a group", () => {
+            expect( isGroup( outerGroup )).toBe( true );
+            expect( isGroup( rootLayer )).toBe( false );
+        });
+
+        it( "should be able to retrieve the groups a layer is nested in, from the inside out", () => {
+            expect( getLayerAncestors( nestedLayer, layers )).toEqual([ innerGroup, outerGroup ]);
+            expect( getLayerAncestors( groupedLayer, layers )).toEqual([ outerGroup ]);
+            expect( getLayerAncestors( rootLayer, layers )).toEqual([]);
+        });
+
+        it( "should not get stuck when a group is nested inside itself", () => {
+            outerGroup.groupId = innerGroup.id;
+            expect( getLayerAncestors( nestedLayer, layers )).toEqual([ innerGroup, outerGroup ]);
+        });
+
+        it( "should be able to retrieve all layers nested inside a group, in document order", () => {
+            expect( getLayerDescendants( outerGroup, layers )).toEqual([ nestedLayer, innerGroup, groupedLayer ]);
+            expect( getLayerDescendants( innerGroup, layers )).toEqual([ nestedLayer ]);
+            expect( getLayerDescendants( rootLayer, layers )).toEqual([]);
+        });
+
+        it( "should be able to determine the nesting depth of a layer", () => {
+            expect( getLayerDepth( nestedLayer, layers )).toEqual( 2 );
+            expect( getLayerDepth( groupedLayer, layers )).toEqual( 1 );
+            expect( getLayerDepth( rootLayer, layers )).toEqual( 0 );
+        });
+
+        it( "should consider a layer invisible when one of its groups is invisible", () => {
+            expect( isLayerVisible( nestedLayer, layers )).toBe( true );
+
+            outerGroup.visible = false;
+
+            expect( isLayerVisible( nestedLayer, layers )).toBe( false );
+            expect( isLayerVisible( groupedLayer, layers )).toBe( false );
+            expect( isLayerVisible( rootLayer, layers )).toBe( true );
+        });
+
+        it( "should consider a group with an opacity below 1 to be translucent", () => {
+            expect( isTranslucentGroup( outerGroup )).toBe( true );
+            expect( isTranslucentGroup( createLayer({ type: LAYER_GROUP }))).toBe( false );
+            expect( isTranslucentGroup( createLayer({ opacity: .5 }))).toBe( false );
+        });
+
+        it( "should not consider a group that has its filters disabled to be translucent", () => {
+            outerGroup.filters.enabled = false;
+            expect( isTranslucentGroup( outerGroup )).toBe( false );
+        });
+
+        it( "should composite a layer as part of its outermost translucent group", () => {
+            expect( getCompositedGroup( nestedLayer, layers )).toEqual( outerGroup );
+            expect( getCompositedGroup( groupedLayer, layers )).toEqual( outerGroup );
+            expect( getCompositedGroup( rootLayer, layers )).toBeNull();
+        });
+
+        it( "should skip opaque groups when determining the composited group", () => {
+            outerGroup.filters.opacity = 1;
+            expect( getCompositedGroup( nestedLayer, layers )).toEqual( innerGroup );
+            expect( getCompositedGroup( groupedLayer, layers )).toBeNull();
+        });
+    });
+
+    describe( "When working with clipped layers", () => {
+        it( "should not return a clipping base for an unclipped layer", () => {
+            const base  = createLayer();
+            const layer = createLayer();
+            expect( getClippingBase( layer, [ base, layer ])).toBeNull();
+        });
+
+        it( "should return the first unclipped layer below as the clipping base", () => {
+            const base    = createLayer();
+            const clipped = createLayer({ clipped: true });
+            const layer   = createLayer({ clipped: true });
+
+            expect( getClippingBase( clipped, [ base, clipped, layer ])).toEqual( base );
+            expect( getClippingBase( layer, [ base, clipped, layer ])).toEqual( base );
+        });
+
+        it( "should not return a clipping base when there is no layer below", () => {
+            const layer = createLayer({ clipped: true });
+            expect( getClippingBase( layer, [ layer ])).toBeNull();
+        });
+
+        it( "should not return a clipping base outside of the layers group, nor a group", () => {
+            const group   = createLayer({ type: LAYER_GROUP });
+            const base    = createLayer();
+            const grouped = createLayer({ groupId: group.id, clipped: true });
+            const layer   = createLayer({ clipped: true });
+
+            expect( getClippingBase( grouped, [ base, grouped, group ])).toBeNull();
+            expect( getClippingBase( layer, [ base, grouped, group, layer ])).toBeNull();
+        });
+    });
+});
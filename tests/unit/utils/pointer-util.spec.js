@@ -0,0 +1,55 @@
+import { getPointerDataFromEvent, getPointerDataFromTouch, getTiltAmount } from "@/utils/pointer-util";
+
+describe( "Pointer utilities", () => {
+    describe( "When retrieving pointer data from a PointerEvent", () => {
+        it( "should not return data for pointers that are not pressure sensitive", () => {
+            expect( getPointerDataFromEvent({ pointerType: "mouse", pressure: .5 })).toBeNull();
+            expect( getPointerDataFromEvent({ pointerType: "touch", pressure: .5 })).toBeNull();
+        });
+
+        it( "should return the pressure and tilt of a pen", () => {
+            expect( getPointerDataFromEvent({ pointerType: "pen", pressure: .5, tiltX: 30, tiltY: -45 }))
+                .toEqual({ pressure: .5, tiltX: 30, tiltY: -45 });
+        });
+
+        it( "should keep the values within their supported range", () => {
+            expect( getPointerDataFromEvent({ pointerType: "pen", pressure: 2, tiltX: 120, tiltY: -120 }))
+                .toEqual({ pressure: 1, tiltX: 90, tiltY: -90 });
+        });
+
+        it( "should fall back to full pressure and no tilt when the pen does not report these", () => {
+            expect( getPointerDataFromEvent({ pointerType: "pen" })).toEqual({ pressure: 1, tiltX: 0, tiltY: 0 });
+        });
+    });
+
+    describe( "When retrieving pointer data from a Touch", () => {
+        it( "should not return data for touches that are not made by a stylus", () => {
+            expect( getPointerDataFromTouch({ touchType: "direct", force: .5 })).toBeNull();
+        });
+
+        it( "should return the force of a stylus as its pressure", () => {
+            expect( getPointerDataFromTouch({ touchType: "stylus", force: .75 }).pressure ).toEqual( .75 );
+        });
+
+        it( "should report no tilt for a stylus perpendicular to the surface", () => {
+            const { tiltX, tiltY } = getPointerDataFromTouch({ touchType: "stylus", force: 1, altitudeAngle: Math.PI / 2 });
+            expect( tiltX ).toBeCloseTo( 0 );
+            expect( tiltY ).toBeCloseTo( 0 );
+        });
+
+        it( "should convert the altitude and azimuth of a stylus into tilt angles", () => {
+            const altitudeAngle = Math.PI / 4; // stylus held at a 45 degree angle
+            expect( getPointerDataFromTouch({ touchType: "stylus", force: 1, altitudeAngle, azimuthAngle: 0 }))
+                .toEqual({ pressure: 1, tiltX: 45, tiltY: 0 });
+            expect( getPointerDataFromTouch({ touchType: "stylus", force: 1, altitudeAngle, azimuthAngle: Math.PI / 2 }))
+                .toEqual({ pressure: 1, tiltX: 0, tiltY: 45 });
+        });
+    });
+
+    it( "should be able to calculate the amount of tilt of a pointer", () => {
+        expect( getTiltAmount({ tiltX: 0, tiltY: 0 })).toEqual( 0 );
+        expect( getTiltAmount({ tiltX: 45, tiltY: -30 })).toEqual( .5 );
+        expect( getTiltAmount({ tiltX: 0, tiltY: -90 })).toEqual( 1 );
+        expect( getTiltAmount({})).toEqual( 0 );
+    });
+});